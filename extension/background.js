@@ -43,19 +43,25 @@ chrome.runtime.onInstalled.addListener(async (details) => {
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   if (info.menuItemId === 'askMexty' && info.selectionText) {
     try {
-      // Send selected text to Mexty
+      // The selection is untrusted page content: it goes in its own field, never
+      // into the message, so the backend can quote it as data
       const response = await sendToBackend('/chat', {
-        message: `Context: "${info.selectionText}". What can you tell me about this?`,
-        pageUrl: tab.url,
-        pageTitle: tab.title
+        message: 'What can you tell me about the text I selected on this page?',
+        pageContext: {
+          selection: info.selectionText,
+          // Local files, browser pages and the PDF viewer have no web URL to quote
+          url: tab && /^https?:\/\//i.test(tab.url || '') ? tab.url : null,
+          title: tab ? tab.title : null
+        }
       });
       
       if (response.success) {
-        // Show response in notification
+        // Show response in notification, with a warning if the page tried to instruct the twin
+        const flagged = response.injection && response.injection.flagged;
         chrome.notifications.create({
           type: 'basic',
           iconUrl: 'icon.png',
-          title: 'Mexty Says:',
+          title: flagged ? 'Mexty Says (page contains hidden instructions):' : 'Mexty Says:',
           message: response.reply.substring(0, 200) + (response.reply.length > 200 ? '...' : '')
         });
       }
@@ -155,7 +161,7 @@ async function handleLogin(email, password) {
       
       return { success: true, user: userData };
     } else {
-      return { success: false, error: data.error || 'Login failed' };
+      return { success: false, error: data.message || 'Login failed', code: data.code };
     }
   } catch (error) {
     console.error('Login error:', error);
@@ -210,7 +216,12 @@ async function sendToBackend(endpoint, data = {}) {
   });
   
   if (!response.ok) {
-    throw new Error(`API request failed: ${response.statusText}`);
+    const body = await response.json().catch(() => ({}));
+    // An expired or revoked session token: sign out so the popup asks to log in again
+    if (body.code === 'UNAUTHORIZED' && token) {
+      await handleLogout();
+    }
+    throw Object.assign(new Error(body.message || `API request failed: ${response.statusText}`), { code: body.code, requestId: body.requestId });
   }
   
   return await response.json();
@@ -238,7 +249,7 @@ async function syncUserProfile() {
       
       return { success: true };
     } else {
-      throw new Error(result.error || 'Sync failed');
+      throw new Error(result.message || 'Sync failed');
     }
   } catch (error) {
     console.error('Sync error:', error);
@@ -263,7 +274,7 @@ async function getFormFillData() {
     if (result.success) {
       return result.data;
     } else {
-      throw new Error(result.error || 'Failed to get form data');
+      throw new Error(result.message || 'Failed to get form data');
     }
   } catch (error) {
     console.error('Error getting form data:', error);
@@ -10,9 +10,33 @@ let state = {
   isLoading: false,
   isListening: false,
   avatarUrl: null,
-  user: null
+  user: null,
+  abortController: null,
+  sessionId: null // Server-side conversation; history is loaded from it
 };
 
+// Authorization header for API calls; omitted when logged out so the
+// backend serves the request on its anonymous tier instead of rejecting it
+function authHeaders(token) {
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+}
+
+// Text to show for an API error reply, chosen by its code (see
+// functions/errors.js); the request id lets a report be matched to the logs
+const ERROR_TEXT = {
+  UNAUTHORIZED: 'Please log in to Mexty first.',
+  PROFILE_NOT_FOUND: 'Sync your profile first, then try again.'
+};
+function apiErrorText(data, fallback) {
+  const text = ERROR_TEXT[data.code] || data.message || fallback;
+  return data.requestId ? `${text} (ref: ${data.requestId})` : text;
+}
+
+// An API error reply as an exception that keeps its code
+function apiError(data, fallback) {
+  return Object.assign(new Error(apiErrorText(data, fallback)), { code: data.code });
+}
+
 // Speech Recognition & Synthesis
 let recognition = null;
 let synthesis = window.speechSynthesis;
@@ -81,13 +105,127 @@ function toggleVoice() {
   render();
 }
 
+// Parse a Server-Sent Events body into { event, data } records
+async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) yield { event, data: JSON.parse(data) };
+    }
+  }
+}
+
+// Update the in-progress reply without re-rendering (keeps the input intact)
+function updateStreamingMessage(reply) {
+  const chatContainer = document.getElementById('chatContainer');
+  const bubbles = chatContainer ? chatContainer.querySelectorAll('.message.mexty') : [];
+  const last = bubbles[bubbles.length - 1];
+  if (last) {
+    last.innerHTML = escapeHtml(reply.content) + renderTools(reply.tools);
+    scrollToBottom();
+  }
+}
+
+// Track a tool the twin started or finished on the in-progress reply
+function updateTool(reply, tool) {
+  reply.tools = (reply.tools || []).filter(t => t.id !== tool.id).concat(tool);
+  updateStreamingMessage(reply);
+}
+
+// tool_result parts (from `done` or a stored message) as tool entries
+function toolsFromParts(parts) {
+  return (parts || [])
+    .filter(part => part.type === 'tool_result')
+    .map(part => ({ id: part.id, name: part.name, status: part.ok ? 'done' : 'failed', result: part.result, error: part.error }));
+}
+
+// Stop the reply currently being streamed
+function stopResponse() {
+  if (state.abortController) {
+    state.abortController.abort();
+  }
+}
+
+// Persist the conversation id so a reopened popup continues it
+async function rememberSession(sessionId) {
+  if (sessionId === undefined || sessionId === state.sessionId) return;
+  state.sessionId = sessionId;
+  if (sessionId) {
+    await chrome.storage.local.set({ chatSessionId: sessionId });
+  } else {
+    await chrome.storage.local.remove('chatSessionId');
+  }
+}
+
+// Restore the stored conversation when the popup opens
+async function loadConversation() {
+  try {
+    const { chatSessionId } = await chrome.storage.local.get('chatSessionId');
+    if (!chatSessionId) return;
+    state.sessionId = chatSessionId;
+
+    const { token } = await chrome.runtime.sendMessage({ action: 'getAuthToken' });
+    const response = await fetch(`${API_BASE_URL}/sessions?id=${encodeURIComponent(chatSessionId)}`, {
+      headers: {
+        ...authHeaders(token)
+      }
+    });
+
+    const data = await response.json();
+    if (data.code === 'SESSION_NOT_FOUND') {
+      await rememberSession(null);
+      return;
+    }
+    if (Array.isArray(data.messages) && state.messages.length === 0) {
+      state.messages = data.messages.map(msg => ({
+        role: msg.role === 'user' ? 'user' : 'mexty',
+        content: msg.content,
+        sources: msg.sources,
+        tools: toolsFromParts(msg.parts)
+      }));
+      render();
+      scrollToBottom();
+    }
+  } catch (error) {
+    console.error('Error loading conversation:', error);
+  }
+}
+
+// Start a fresh conversation
+async function newConversation() {
+  if (state.isLoading) return;
+  await rememberSession(null);
+  state.messages = [];
+  render();
+}
+
 // Handle User Message
 async function handleUserMessage(message) {
-  if (!message.trim()) return;
+  if (!message.trim() || state.isLoading) return;
 
-  // Add user message
+  // Add user message and an empty reply that fills in as tokens arrive
   state.messages.push({ role: 'user', content: message });
+  const reply = { role: 'mexty', content: '' };
+  state.messages.push(reply);
   state.isLoading = true;
+  state.abortController = new AbortController();
   render();
 
   try {
@@ -99,35 +237,78 @@ async function handleUserMessage(message) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        'Accept': 'text/event-stream',
+        ...authHeaders(token)
       },
       body: JSON.stringify({
         message,
-        conversationHistory: state.messages.slice(-10) // Last 10 messages for context
-      })
+        sessionId: state.sessionId,
+        stream: true
+      }),
+      signal: state.abortController.signal
     });
 
-    const data = await response.json();
-    
-    if (data.success) {
-      // Add Mexty's response
-      state.messages.push({ role: 'mexty', content: data.reply });
-      
-      // Speak response if in voice mode
-      if (state.mode === 'voice') {
-        speak(data.reply);
+    const contentType = response.headers.get('Content-Type') || '';
+
+    if (response.ok && contentType.includes('text/event-stream')) {
+      let finished = false;
+      for await (const { event, data } of readEvents(response.body)) {
+        if (event === 'token') {
+          reply.content += data.text;
+          updateStreamingMessage(reply);
+        } else if (event === 'tool_call') {
+          updateTool(reply, { id: data.id, name: data.name, status: 'running' });
+        } else if (event === 'tool_result') {
+          updateTool(reply, toolsFromParts([data])[0]);
+        } else if (event === 'error') {
+          throw apiError(data, 'The reply was interrupted');
+        } else if (event === 'done') {
+          reply.content = data.reply || data.response || reply.content;
+          reply.sources = data.sources;
+          reply.tools = toolsFromParts(data.parts);
+          await rememberSession(data.sessionId);
+          finished = true;
+        }
+      }
+      if (!finished) {
+        throw new Error('The reply was interrupted');
       }
     } else {
-      throw new Error(data.error || 'Failed to get response');
+      const data = await response.json();
+      if (data.code === 'SESSION_NOT_FOUND') {
+        // Stored conversation is gone; the next message starts a new one
+        await rememberSession(null);
+      }
+      if (!data.success) {
+        throw apiError(data, 'Failed to get response');
+      }
+      reply.content = data.reply;
+      reply.sources = data.sources;
+      reply.tools = toolsFromParts(data.parts);
+      await rememberSession(data.sessionId);
+    }
+
+    // Speak response if in voice mode
+    if (state.mode === 'voice') {
+      speak(reply.content);
     }
   } catch (error) {
-    console.error('Error:', error);
-    state.messages.push({ 
-      role: 'mexty', 
-      content: 'Sorry, I encountered an error. Please try again.' 
-    });
+    if (error.name === 'AbortError') {
+      // Keep the partial reply if anything arrived before the user stopped it
+      if (!reply.content && !(reply.tools && reply.tools.length)) {
+        state.messages.pop();
+      }
+    } else {
+      console.error('Error:', error);
+      // Errors the server explained (quota, provider busy, ...) are shown as sent
+      const reason = error.code ? error.message : 'Please try again.';
+      reply.content = reply.content
+        ? `${reply.content}\n\n(Reply interrupted. ${reason})`
+        : `Sorry, I encountered an error. ${reason}`;
+    }
   } finally {
     state.isLoading = false;
+    state.abortController = null;
     render();
     scrollToBottom();
   }
@@ -166,7 +347,7 @@ async function generateResume() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        ...authHeaders(token)
       }
     });
 
@@ -176,7 +357,7 @@ async function generateResume() {
       // Open resume in new tab
       chrome.tabs.create({ url: data.resumeUrl });
     } else {
-      alert('Failed to generate resume: ' + data.error);
+      alert('Failed to generate resume: ' + apiErrorText(data, 'Please try again.'));
     }
   } catch (error) {
     console.error('Error generating resume:', error);
@@ -195,7 +376,7 @@ async function generateCoverLetter() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        ...authHeaders(token)
       },
       body: JSON.stringify({ jobUrl: tab.url })
     });
@@ -205,7 +386,7 @@ async function generateCoverLetter() {
     if (data.success) {
       chrome.tabs.create({ url: data.coverLetterUrl });
     } else {
-      alert('Failed to generate cover letter: ' + data.error);
+      alert('Failed to generate cover letter: ' + apiErrorText(data, 'Please try again.'));
     }
   } catch (error) {
     console.error('Error generating cover letter:', error);
@@ -239,7 +420,7 @@ async function syncData() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
+        ...authHeaders(token)
       }
     });
 
@@ -248,7 +429,7 @@ async function syncData() {
     if (data.success) {
       alert('Profile synced successfully!');
     } else {
-      alert('Failed to sync profile: ' + data.error);
+      alert('Failed to sync profile: ' + apiErrorText(data, 'Please try again.'));
     }
   } catch (error) {
     console.error('Error syncing data:', error);
@@ -263,7 +444,7 @@ async function loadAvatar() {
     
     const response = await fetch(`${API_BASE_URL}/get-avatar`, {
       headers: {
-        'Authorization': `Bearer ${token}`
+        ...authHeaders(token)
       }
     });
 
@@ -278,6 +459,41 @@ async function loadAvatar() {
   }
 }
 
+// Escape text for insertion into HTML
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+// Source references the twin cited, as [n] links under the reply
+function renderSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) return '';
+  return `<div class="sources">${sources.map(src => src.url ?
+    `<a href="${escapeHtml(src.url)}" target="_blank" rel="noopener noreferrer">[${src.ref}] ${escapeHtml(src.title)}</a>` :
+    `<span>[${src.ref}] ${escapeHtml(src.title)}</span>`
+  ).join('<br/>')}</div>`;
+}
+
+const TOOL_LABELS = {
+  generate_resume: { running: 'Generating resume…', done: '📄 Resume (PDF)' },
+  generate_cover_letter: { running: 'Writing cover letter…', done: '📄 Cover letter (PDF)' },
+  text_to_speech: { running: 'Recording audio…', done: '🔊 Audio' },
+  send_email: { running: 'Queueing email…', done: '✉️ Email queued' }
+};
+
+// Tools the twin ran for a reply: progress, output links or errors
+function renderTools(tools) {
+  if (!Array.isArray(tools) || tools.length === 0) return '';
+  return `<div class="tools">${tools.map(tool => {
+    const label = TOOL_LABELS[tool.name] || { running: `Running ${tool.name}…`, done: tool.name };
+    if (tool.status === 'running') return `<div>⚙️ ${escapeHtml(label.running)}</div>`;
+    if (tool.status === 'failed') return `<div>⚠️ ${escapeHtml(label.done)}: ${escapeHtml(tool.error)}</div>`;
+    const url = tool.result && tool.result.url;
+    return url ?
+      `<div><a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label.done)}</a></div>` :
+      `<div>${escapeHtml(label.done)}</div>`;
+  }).join('')}</div>`;
+}
+
 // Scroll to Bottom of Chat
 function scrollToBottom() {
   const chatContainer = document.getElementById('chatContainer');
@@ -304,7 +520,7 @@ function render() {
       <!-- Avatar Container -->
       <div class="avatar-container">
         ${state.avatarUrl ? 
-          `<iframe class="avatar-iframe" src="${state.avatarUrl}" allow="camera *; microphone *"></iframe>` :
+          `<iframe class="avatar-iframe" src="${escapeHtml(state.avatarUrl)}" allow="camera *; microphone *"></iframe>` :
           '<div class="avatar-placeholder">M</div>'
         }
         <div class="voice-indicator ${state.isListening ? 'active' : ''}"></div>
@@ -325,13 +541,10 @@ function render() {
         ${state.messages.length === 0 ? 
           '<div class="message mexty">Hi! I\'m Mexty, Jerry\'s AI twin. How can I help you today?</div>' :
           state.messages.map(msg => 
-            `<div class="message ${msg.role}">${msg.content}</div>`
+            `<div class="message ${msg.role}">${msg.content ? escapeHtml(msg.content) :
+              '<div class="loading"><span></span><span></span><span></span></div>'}${renderTools(msg.tools)}${renderSources(msg.sources)}</div>`
           ).join('')
         }
-        ${state.isLoading ? 
-          '<div class="message mexty"><div class="loading"><span></span><span></span><span></span></div></div>' :
-          ''
-        }
       </div>
 
       <!-- Input Container -->
@@ -344,7 +557,10 @@ function render() {
             placeholder="Type your message..."
             onkeypress="if(event.key==='Enter') sendMessage()"
           />
-          <button class="send-btn" onclick="sendMessage()">Send</button>
+          ${state.isLoading ?
+            '<button class="send-btn" onclick="stopResponse()">Stop</button>' :
+            '<button class="send-btn" onclick="sendMessage()">Send</button>'
+          }
         </div>
       ` : `
         <div class="input-container">
@@ -364,6 +580,7 @@ function render() {
         <button class="action-btn" onclick="generateCoverLetter()">✉️ Cover Letter</button>
         <button class="action-btn" onclick="autoFillForm()">⚡ Auto-Fill</button>
         <button class="action-btn" onclick="syncData()">🔄 Sync Data</button>
+        <button class="action-btn" onclick="newConversation()">➕ New Chat</button>
       </div>
     </div>
   `;
@@ -380,6 +597,8 @@ function render() {
 // Make functions globally available
 window.toggleMode = toggleMode;
 window.sendMessage = sendMessage;
+window.stopResponse = stopResponse;
+window.newConversation = newConversation;
 window.toggleVoice = toggleVoice;
 window.generateResume = generateResume;
 window.generateCoverLetter = generateCoverLetter;
@@ -390,6 +609,7 @@ window.syncData = syncData;
 document.addEventListener('DOMContentLoaded', () => {
   initSpeechRecognition();
   loadAvatar();
+  loadConversation();
   render();
   
   // Load voices for speech synthesis
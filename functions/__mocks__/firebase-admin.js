@@ -0,0 +1,310 @@
+/**
+ * In-memory firebase-admin for the unit tests
+ *
+ * Jest uses this file in place of the real package (mocks of node modules
+ * next to node_modules apply automatically). Firestore keeps documents in a
+ * Map keyed by path and supports what the functions use: get/set (with
+ * merge)/update/create/delete, add, queries with where/orderBy/limit,
+ * transactions, batches, getAll, serverTimestamp and increment. Storage keeps
+ * saved files in memory, and Auth verifies the tokens a test registers.
+ *
+ * Tests call `__reset()` in beforeEach; `__store` and `__files` expose the
+ * stored data and `__auth` registers ID tokens and accounts.
+ */
+const TRANSFORM = Symbol('transform');
+
+class Timestamp {
+  constructor(ms) {
+    this.ms = ms;
+  }
+
+  toDate() {
+    return new Date(this.ms);
+  }
+
+  toMillis() {
+    return this.ms;
+  }
+
+  static now() {
+    return new Timestamp(Date.now());
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => ({ [TRANSFORM]: 'serverTimestamp' }),
+  increment: (n) => ({ [TRANSFORM]: 'increment', n }),
+  arrayUnion: (...items) => ({ [TRANSFORM]: 'arrayUnion', items }),
+  delete: () => ({ [TRANSFORM]: 'delete' }),
+};
+
+const store = new Map();
+const files = new Map();
+const auth = { tokens: new Map(), users: new Map() };
+let autoId = 0;
+
+const isPlain = (value) => Boolean(value) && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype && !value[TRANSFORM];
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlain(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  if (value instanceof Date) return new Date(value.getTime());
+  return value;
+}
+
+/** A written value with its transforms applied against the current one */
+function resolve(current, value, merge) {
+  if (value && value[TRANSFORM]) {
+    switch (value[TRANSFORM]) {
+      case 'serverTimestamp': return Timestamp.now();
+      case 'increment': return (typeof current === 'number' ? current : 0) + value.n;
+      case 'arrayUnion': return [...(Array.isArray(current) ? current : []), ...value.items.filter(item => !(current || []).includes(item))];
+      default: return undefined;
+    }
+  }
+  if (isPlain(value)) {
+    const base = merge && isPlain(current) ? { ...current } : {};
+    Object.entries(value).forEach(([key, item]) => {
+      const next = resolve(base[key], item, merge);
+      if (next === undefined) delete base[key];
+      else base[key] = next;
+    });
+    return base;
+  }
+  return clone(value);
+}
+
+/** Read a dotted field path */
+const field = (data, path) => String(path).split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+/** Comparable form of a stored value */
+const comparable = (value) => (value instanceof Timestamp ? value.ms : value instanceof Date ? value.getTime() : value);
+
+function firestoreError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function snapshot(ref) {
+  const data = store.get(ref.path);
+  return {
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => clone(data),
+    get: (path) => clone(field(data, path)),
+  };
+}
+
+function write(ref, op, data, options = {}) {
+  const current = store.get(ref.path);
+  if (op === 'delete') return store.delete(ref.path);
+  if (op === 'create' && current !== undefined) throw firestoreError(6, `Document already exists: ${ref.path}`);
+  if (op === 'update') {
+    if (current === undefined) throw firestoreError(5, `No document to update: ${ref.path}`);
+    const next = clone(current);
+    Object.entries(data).forEach(([path, value]) => {
+      const keys = path.split('.');
+      const parent = keys.slice(0, -1).reduce((node, key) => {
+        if (!isPlain(node[key])) node[key] = {};
+        return node[key];
+      }, next);
+      const last = keys[keys.length - 1];
+      const resolved = resolve(parent[last], value, false);
+      if (resolved === undefined) delete parent[last];
+      else parent[last] = resolved;
+    });
+    return store.set(ref.path, next);
+  }
+  return store.set(ref.path, resolve(current, data, op === 'set' && options.merge));
+}
+
+class DocumentReference {
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new CollectionReference(this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  async get() {
+    return snapshot(this);
+  }
+
+  async set(data, options) {
+    write(this, 'set', data, options);
+  }
+
+  async update(data) {
+    write(this, 'update', data);
+  }
+
+  async create(data) {
+    write(this, 'create', data);
+  }
+
+  async delete() {
+    write(this, 'delete');
+  }
+}
+
+class Query {
+  constructor(path, filters = [], order = [], max = null) {
+    this.path = path;
+    this.filters = filters;
+    this.order = order;
+    this.max = max;
+  }
+
+  where(path, op, value) {
+    return new Query(this.path, [...this.filters, { path, op, value }], this.order, this.max);
+  }
+
+  orderBy(path, direction = 'asc') {
+    return new Query(this.path, this.filters, [...this.order, { path, direction }], this.max);
+  }
+
+  limit(max) {
+    return new Query(this.path, this.filters, this.order, max);
+  }
+
+  async get() {
+    const prefix = `${this.path}/`;
+    const matches = (data) => this.filters.every(({ path, op, value }) => {
+      const actual = comparable(field(data, path));
+      const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+      switch (op) {
+        case '==': return actual === expected;
+        case '!=': return actual !== undefined && actual !== expected;
+        case '<': return actual !== undefined && actual !== null && actual < expected;
+        case '<=': return actual !== undefined && actual !== null && actual <= expected;
+        case '>': return actual !== undefined && actual !== null && actual > expected;
+        case '>=': return actual !== undefined && actual !== null && actual >= expected;
+        case 'in': return expected.includes(actual);
+        case 'array-contains': return Array.isArray(actual) && actual.map(comparable).includes(expected);
+        default: throw new Error(`Unsupported operator ${op}`);
+      }
+    });
+    let docs = [...store.keys()]
+      .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+      .map(path => snapshot(new DocumentReference(path)))
+      .filter(snap => matches(store.get(snap.ref.path)));
+    this.order.slice().reverse().forEach(({ path, direction }) => {
+      const sign = direction === 'desc' ? -1 : 1;
+      docs = docs.slice().sort((a, b) => {
+        const x = comparable(field(store.get(a.ref.path), path));
+        const y = comparable(field(store.get(b.ref.path), path));
+        return x === y ? 0 : (x > y ? sign : -sign);
+      });
+    });
+    if (this.max !== null) docs = docs.slice(0, this.max);
+    return { docs, size: docs.length, empty: docs.length === 0, forEach: fn => docs.forEach(fn) };
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(path) {
+    super(path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id) {
+    return new DocumentReference(`${this.path}/${id === undefined ? `auto${++autoId}` : id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+const db = {
+  collection: (path) => new CollectionReference(path),
+  doc: (path) => new DocumentReference(path),
+  getAll: (...refs) => Promise.all(refs.map(ref => ref.get())),
+  batch() {
+    const ops = [];
+    const batch = {
+      set: (ref, data, options) => { ops.push([ref, 'set', data, options]); return batch; },
+      update: (ref, data) => { ops.push([ref, 'update', data]); return batch; },
+      create: (ref, data) => { ops.push([ref, 'create', data]); return batch; },
+      delete: (ref) => { ops.push([ref, 'delete']); return batch; },
+      commit: async () => { ops.forEach(op => write(...op)); },
+    };
+    return batch;
+  },
+  async runTransaction(fn) {
+    const ops = [];
+    const tx = {
+      get: (target) => target.get(),
+      set: (ref, data, options) => { ops.push([ref, 'set', data, options]); return tx; },
+      update: (ref, data) => { ops.push([ref, 'update', data]); return tx; },
+      create: (ref, data) => { ops.push([ref, 'create', data]); return tx; },
+      delete: (ref) => { ops.push([ref, 'delete']); return tx; },
+    };
+    const result = await fn(tx);
+    ops.forEach(op => write(...op));
+    return result;
+  },
+};
+
+const bucket = {
+  name: 'test-bucket',
+  file: (path) => ({
+    name: path,
+    save: async (data, options = {}) => { files.set(path, { data: Buffer.from(data), contentType: options.contentType, metadata: options.metadata || {} }); },
+    download: async () => {
+      if (!files.has(path)) throw Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+      return [files.get(path).data];
+    },
+    exists: async () => [files.has(path)],
+    delete: async () => { files.delete(path); },
+    getMetadata: async () => {
+      if (!files.has(path)) throw Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+      const { data, contentType, metadata } = files.get(path);
+      return [{ ...metadata, name: path, size: data.length, contentType }];
+    },
+    getSignedUrl: async () => [`https://storage.test/${path}`],
+    publicUrl: () => `https://storage.test/${path}`,
+  }),
+};
+
+const firestore = Object.assign(() => db, { FieldValue, Timestamp });
+const apps = [];
+
+module.exports = {
+  apps,
+  initializeApp: () => { apps.push({}); return apps[0]; },
+  firestore,
+  storage: () => ({ bucket: () => bucket }),
+  auth: () => ({
+    verifyIdToken: async (token) => {
+      if (!auth.tokens.has(token)) throw new Error('Invalid ID token');
+      return auth.tokens.get(token);
+    },
+    getUser: async (uid) => {
+      if (!auth.users.has(uid)) throw Object.assign(new Error(`No user ${uid}`), { code: 'auth/user-not-found' });
+      return auth.users.get(uid);
+    },
+  }),
+  __store: store,
+  __files: files,
+  __auth: auth,
+  __reset() {
+    store.clear();
+    files.clear();
+    auth.tokens.clear();
+    auth.users.clear();
+  },
+};
@@ -0,0 +1,313 @@
+/**
+ * Routed API for the browser extension
+ *
+ * One HTTP function (`api`) serves every route the extension calls, on top of
+ * the same modules as the standalone endpoints:
+ *
+ *   POST     /v1/auth/login             { email, password } -> { token, expiresAt, user }
+ *   POST     /v1/auth/logout            -> {} (revokes the session token sent)
+ *   POST     /v1/chat                   same body as /api/ai -> { reply, ...the /api/ai reply }
+ *   GET      /v1/sessions               ?id=<sessionId> -> { session, messages }; no id -> { sessions }
+ *   POST     /v1/sync-profile           { profile? } -> { userData }
+ *   GET|POST /v1/get-profile-data       -> { data } (form auto-fill values)
+ *   GET      /v1/get-avatar             -> { avatarUrl }
+ *   POST     /v1/profile/import         { resume, dryRun? } -> { userData, report, dryRun } (JSON Resume in)
+ *   GET      /v1/profile/export         ?format=json|markdown -> { format, filename, resume | markdown }
+ *   GET      /v1/documents/export       ?id=<documentId>&format=json|markdown -> the same, for a generated resume
+ *   POST     /v1/generate-resume        { job?, model?, preferences?, format? } -> { resumeUrl, documentId, template, files, match, jobKey, version, ... }
+ *   GET      /v1/resumes                -> { resumes } (generated resumes grouped by job)
+ *   GET      /v1/resumes/versions       ?job=<jobKey> -> { jobKey, job, latestVersion, versions }
+ *   GET      /v1/resumes/version        ?job=<jobKey>&version=<n> -> { jobKey, job, version } (with its resume JSON)
+ *   GET      /v1/resumes/diff           ?job=<jobKey>&from=<n>&to=<n> -> { jobKey, from, to, template, sections }
+ *   POST     /v1/resumes/restore        { jobKey, version, edits?, preferences?, format?, model? } -> the generate-resume reply
+ *   POST     /v1/generate-cover-letter  { job? | jobUrl?, model?, preferences?, format? } -> { coverLetterUrl, documentId, files, ... }
+ *   POST     /v1/tts                    same body as /api/tts -> the /api/tts reply
+ *   GET      /v1/openapi.json           the OpenAPI document for every endpoint (public)
+ *
+ * Paths without a version are served as v1, which is what the shipped
+ * extension calls. Every JSON reply carries `success` and `timestamp`;
+ * errors are { success: false, error, code, message, requestId, timestamp }
+ * (see errors.js). Streamed chat replies use the events in streaming.js,
+ * with `reply` added to `done`.
+ * Each route runs behind the auth guard (and so the quotas and budgets) of
+ * the endpoint it mirrors, and its request must match the contract in
+ * schemas.js.
+ */
+const { createGuard, signInWithPassword, createSessionToken, revokeSessionToken } = require('./auth');
+const { registry } = require('./providers');
+const { handleChat } = require('./chat');
+const sessions = require('./sessions');
+const profiles = require('./profiles');
+const { synthesizeSpeech } = require('./tts');
+const { createValidator } = require('./validation');
+const { buildOpenApi } = require('./openapi');
+const { toJsonResume, toMarkdown } = require('./jsonResume');
+const versions = require('./resumeVersions');
+const { replyError, sendError } = require('./errors');
+
+const API_VERSION = 'v1';
+
+// resumeGenerator.js initializes Storage on load, so it is required lazily
+const documents = () => require('./resumeGenerator');
+
+const guards = {
+  login: createGuard({ scope: 'login', allowAnonymous: true }),
+  chat: createGuard({ scope: 'ai', allowAnonymous: true, metered: true }),
+  sessions: createGuard({ scope: 'sessions', allowAnonymous: true }),
+  profile: createGuard({ scope: 'profile' }),
+  documents: createGuard({ scope: 'generateResume', metered: true }),
+  tts: createGuard({ scope: 'tts', allowAnonymous: true, metered: true }),
+};
+
+/**
+ * Error for a request body a route cannot use.
+ */
+class ApiInputError extends Error {
+  constructor(message, code = 'INVALID_INPUT') {
+    super(message);
+    this.name = 'ApiInputError';
+    this.status = 400;
+    this.code = code;
+  }
+}
+
+const text = (value, max) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+/**
+ * The job a document is written for, from `job: { ... }` or top-level
+ * fields. `jobUrl` (the page the extension was on) is stored with the
+ * document; the page itself is not fetched.
+ * @param {Object} body
+ * @returns {{ jobTitle: string, companyName: string, jobDescription: string, jobUrl: string }}
+ */
+function jobFrom(body) {
+  const job = body.job && typeof body.job === 'object' ? body.job : body;
+  const jobUrl = text(job.jobUrl, 2048);
+  return {
+    jobTitle: text(job.jobTitle, 200),
+    companyName: text(job.companyName, 200),
+    jobDescription: text(job.jobDescription, 20000),
+    jobUrl: /^https?:\/\//i.test(jobUrl) ? jobUrl : '',
+  };
+}
+
+/**
+ * Generation options shared by the document routes.
+ * @param {Object} body
+ * @returns {{ model: string, preferences: Object, format: string }}
+ * @throws {ApiInputError}
+ */
+function generationOptions(body) {
+  const { model = 'gemini', preferences = {}, format = 'pdf' } = body;
+  if (!registry.has(model)) throw new ApiInputError('Model must be either "gemini" or "openai"', 'INVALID_MODEL');
+  return { model, preferences, format };
+}
+
+/**
+ * An export reply: the JSON Resume document, or its Markdown.
+ * @param {Object} source - Profile-shaped data (see jsonResume.js)
+ * @param {string} format - 'json' or 'markdown'
+ * @param {string} name - File name without extension
+ * @param {string|null} lastModified - ISO timestamp
+ * @returns {{ format: string, filename: string, resume?: Object, markdown?: string }}
+ */
+function exportReply(source, format, name, lastModified) {
+  const resume = toJsonResume(source, { lastModified: lastModified || undefined });
+  return format === 'markdown'
+    ? { format, filename: `${name}.md`, markdown: toMarkdown(resume) }
+    : { format: 'json', filename: `${name}.json`, resume };
+}
+
+/**
+ * Route handlers; each runs after its guard with `req.user` and `req.usage` set.
+ */
+const handlers = {
+  login: async (req, res) => {
+    const { email, password } = req.body;
+    const account = await signInWithPassword(email, password);
+    const session = await createSessionToken({ uid: account.uid, email: account.email });
+    return res.status(200).json({ token: session.token, expiresAt: session.expiresAt.toISOString(), user: account });
+  },
+
+  logout: async (req, res) => {
+    await revokeSessionToken(String(req.headers.authorization || '').replace(/^Bearer\s+/, ''));
+    return res.status(200).json({});
+  },
+
+  chat: (req, res) => handleChat(req, res, { format: body => ({ success: true, reply: body.response, ...body }) }),
+
+  sessions: async (req, res) => {
+    if (req.query.id) {
+      const session = await sessions.getSession(req.query.id, req.user);
+      const messages = await sessions.listMessages(session.id);
+      return res.status(200).json({ session: sessions.serializeSession(session), messages: messages.map(sessions.serializeMessage) });
+    }
+    if (req.user.anonymous) {
+      return replyError(res, 'UNAUTHORIZED', 'Sign in to list conversations');
+    }
+    return res.status(200).json({ sessions: await sessions.listSessions(req.user) });
+  },
+
+  syncProfile: async (req, res) => {
+    const userData = await profiles.syncProfile(req.user, req.body.profile);
+    return res.status(200).json({ userData });
+  },
+
+  profileData: async (req, res) => {
+    const profile = await profiles.getProfile(req.user.uid);
+    return res.status(200).json({ data: profiles.formFillData(profile) });
+  },
+
+  avatar: async (req, res) => {
+    return res.status(200).json({ avatarUrl: await profiles.getAvatarUrl(req.user.uid) });
+  },
+
+  importProfile: async (req, res) => {
+    const result = await profiles.importJsonResume(req.user, req.body.resume, { dryRun: req.body.dryRun === true });
+    return res.status(200).json(result);
+  },
+
+  exportProfile: async (req, res) => {
+    const profile = await profiles.getProfile(req.user.uid);
+    return res.status(200).json(exportReply(profile, req.query.format, 'resume', profile.updatedAt));
+  },
+
+  exportDocument: async (req, res) => {
+    const resume = await documents().getGeneratedResume(req.user.uid, req.query.id);
+    return res.status(200).json(exportReply(resume, req.query.format, `resume-${req.query.id}`, resume.createdAt));
+  },
+
+  resume: async (req, res) => {
+    const { model, preferences, format } = generationOptions(req.body);
+    // The generator needs a stored profile; check first for a clear 404
+    await profiles.getProfile(req.user.uid);
+    const result = await documents().generateResumeFlow({ userId: req.user.uid, job: jobFrom(req.body), preferences, format, model, usage: req.usage });
+    return res.status(200).json({ resumeUrl: result.url, ...result });
+  },
+
+  resumes: async (req, res) => {
+    return res.status(200).json({ resumes: await versions.listResumes(req.user.uid) });
+  },
+
+  resumeVersions: async (req, res) => {
+    return res.status(200).json(await versions.listVersions(req.user.uid, req.query.job));
+  },
+
+  resumeVersion: async (req, res) => {
+    const version = await versions.getVersion(req.user.uid, req.query.job, req.query.version);
+    return res.status(200).json({ jobKey: version.jobKey, job: version.job, version: versions.serializeVersion(version, true) });
+  },
+
+  resumeDiff: async (req, res) => {
+    const { job, from, to } = req.query;
+    const [before, after] = await Promise.all([versions.getVersion(req.user.uid, job, from), versions.getVersion(req.user.uid, job, to)]);
+    return res.status(200).json({ jobKey: before.jobKey, from: before.version, to: after.version, ...versions.diffResumes(before, after) });
+  },
+
+  restoreResume: async (req, res) => {
+    const { jobKey, version, edits, preferences = {}, format = 'pdf', model } = req.body;
+    if (model !== undefined && !registry.has(model)) throw new ApiInputError('Model must be either "gemini" or "openai"', 'INVALID_MODEL');
+    const result = await documents().restoreResumeVersion({ userId: req.user.uid, jobKey, version, edits, preferences, format, model, usage: req.usage });
+    return res.status(200).json({ resumeUrl: result.url, ...result });
+  },
+
+  coverLetter: async (req, res) => {
+    const { model, preferences, format } = generationOptions(req.body);
+    await profiles.getProfile(req.user.uid);
+    const result = await documents().generateCoverFlow({ userId: req.user.uid, job: jobFrom(req.body), preferences, format, model, usage: req.usage });
+    return res.status(200).json({ coverLetterUrl: result.url, ...result });
+  },
+
+  openapi: async (req, res) => res.status(200).json(buildOpenApi()),
+
+  tts: async (req, res) => {
+    const { text: input, voice = 'alloy', provider = 'openai', format = 'mp3', output = 'file' } = req.body;
+    const audio = await synthesizeSpeech({ text: input, voice, provider, format, output, usage: req.usage });
+    return res.status(200).json(audio);
+  },
+};
+
+/**
+ * Route table: path (without the version prefix) -> accepted methods, guard and handler.
+ * Requests and replies are checked against the contract for /api/v1<path>
+ * (see schemas.js). Routes without a guard are public and unmetered.
+ */
+const ROUTES = {
+  '/auth/login': { methods: ['POST'], guard: 'login', handler: handlers.login },
+  '/auth/logout': { methods: ['POST'], guard: 'profile', handler: handlers.logout },
+  '/chat': { methods: ['POST'], guard: 'chat', handler: handlers.chat },
+  '/sessions': { methods: ['GET'], guard: 'sessions', handler: handlers.sessions },
+  '/sync-profile': { methods: ['POST'], guard: 'profile', handler: handlers.syncProfile },
+  '/get-profile-data': { methods: ['GET', 'POST'], guard: 'profile', handler: handlers.profileData },
+  '/get-avatar': { methods: ['GET'], guard: 'profile', handler: handlers.avatar },
+  '/profile/import': { methods: ['POST'], guard: 'profile', handler: handlers.importProfile },
+  '/profile/export': { methods: ['GET'], guard: 'profile', handler: handlers.exportProfile },
+  '/documents/export': { methods: ['GET'], guard: 'profile', handler: handlers.exportDocument },
+  '/generate-resume': { methods: ['POST'], guard: 'documents', handler: handlers.resume },
+  '/resumes': { methods: ['GET'], guard: 'profile', handler: handlers.resumes },
+  '/resumes/versions': { methods: ['GET'], guard: 'profile', handler: handlers.resumeVersions },
+  '/resumes/version': { methods: ['GET'], guard: 'profile', handler: handlers.resumeVersion },
+  '/resumes/diff': { methods: ['GET'], guard: 'profile', handler: handlers.resumeDiff },
+  '/resumes/restore': { methods: ['POST'], guard: 'documents', handler: handlers.restoreResume },
+  '/generate-cover-letter': { methods: ['POST'], guard: 'documents', handler: handlers.coverLetter },
+  '/tts': { methods: ['POST'], guard: 'tts', handler: handlers.tts },
+  '/openapi.json': { methods: ['GET'], guard: null, handler: handlers.openapi },
+};
+const validators = Object.fromEntries(Object.keys(ROUTES).map(path => [path, createValidator(`/api/${API_VERSION}${path}`)]));
+
+/**
+ * Find the route for a request path.
+ * @param {string} path - e.g. "/v1/chat" or "/chat"
+ * @returns {{ route: Object|null, path: string }}
+ */
+function matchRoute(path) {
+  const trimmed = String(path || '/').replace(/\/+$/, '') || '/';
+  const version = trimmed.match(/^\/(v\d+)(\/.*)?$/);
+  if (version && version[1] !== API_VERSION) return { route: null, path: trimmed };
+  const routePath = version ? version[2] || '/' : trimmed;
+  return { route: ROUTES[routePath] || null, path: routePath };
+}
+
+/**
+ * Make every JSON reply on `res` carry `success` (from the status code) and a
+ * `timestamp`, including replies written by the guards.
+ * @param {import('express').Response} res
+ */
+function useEnvelope(res) {
+  const json = res.json.bind(res);
+  res.json = (body) => json(body && typeof body === 'object' && !Array.isArray(body)
+    ? { success: res.statusCode < 400, ...body, timestamp: body.timestamp || new Date().toISOString() }
+    : body);
+}
+
+/**
+ * Handle one API request: match the route, run its guard, check the request
+ * against its contract, then run the handler. Thrown errors are answered
+ * with their code (see errors.js).
+ * @param {import('express').Request} req - After CORS
+ * @param {import('express').Response} res
+ * @returns {Promise<*>}
+ */
+async function handleRequest(req, res) {
+  useEnvelope(res);
+  res.set('X-API-Version', API_VERSION);
+  const { route, path } = matchRoute(req.path);
+  if (!route) {
+    return replyError(res, 'NOT_FOUND', `No route for ${req.method} ${path}`);
+  }
+  if (!route.methods.includes(req.method)) {
+    res.set('Allow', route.methods.join(', '));
+    return replyError(res, 'METHOD_NOT_ALLOWED', `Use ${route.methods.join(' or ')}`);
+  }
+  if (req.body === undefined || req.body === null || req.body === '') req.body = {};
+  const run = () => validators[path](req, res, async () => {
+    try {
+      return await route.handler(req, res);
+    } catch (error) {
+      return sendError(req, res, error, `API Error (${path})`);
+    }
+  });
+  return route.guard ? guards[route.guard](req, res, run) : run();
+}
+
+module.exports = { API_VERSION, ROUTES, ApiInputError, matchRoute, handleRequest };
@@ -0,0 +1,67 @@
+const admin = require('firebase-admin');
+const { registry } = require('./providers');
+const { matchRoute, handleRequest, ROUTES } = require('./api');
+const { mockRequest, mockResponse } = require('./testing');
+
+beforeEach(() => {
+  admin.__reset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+/** Send one request through the API; resolves with the response */
+async function call(method, path, body) {
+  const res = mockResponse();
+  await handleRequest(mockRequest({ method, path, body }), res);
+  return res;
+}
+
+describe('matchRoute', () => {
+  test('serves unversioned paths as v1', () => {
+    expect(matchRoute('/chat')).toEqual({ route: ROUTES['/chat'], path: '/chat' });
+    expect(matchRoute('/v1/chat/')).toEqual({ route: ROUTES['/chat'], path: '/chat' });
+  });
+
+  test('finds no route in another version or for an unknown path', () => {
+    expect(matchRoute('/v2/chat').route).toBeNull();
+    expect(matchRoute('/v1/unknown').route).toBeNull();
+  });
+});
+
+describe('handleRequest', () => {
+  test('answers an unknown version with NOT_FOUND in the envelope', async () => {
+    const res = await call('POST', '/v2/chat', { message: 'Hi' });
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toMatchObject({ success: false, code: 'NOT_FOUND', timestamp: expect.any(String) });
+    expect(res.headers['x-api-version']).toBe('v1');
+  });
+
+  test('answers a wrong method with 405 and the allowed methods', async () => {
+    const res = await call('DELETE', '/v1/get-profile-data');
+    expect(res.statusCode).toBe(405);
+    expect(res.headers.allow).toBe('GET, POST');
+    expect(res.body).toMatchObject({ success: false, code: 'METHOD_NOT_ALLOWED' });
+  });
+
+  test('adds the envelope to errors written by the guard', async () => {
+    const res = await call('GET', '/v1/get-avatar');
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toMatchObject({ success: false, code: 'UNAUTHORIZED', timestamp: expect.any(String) });
+  });
+
+  test('checks the request against its contract before the handler runs', async () => {
+    const chat = jest.spyOn(registry, 'chat');
+    const res = await call('POST', '/chat', { message: 42 });
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ success: false, code: 'INVALID_INPUT' });
+    expect(chat).not.toHaveBeenCalled();
+  });
+
+  test('answers a chat message with `reply` and the /api/ai fields', async () => {
+    jest.spyOn(registry, 'chat').mockResolvedValue({ text: 'Web apps.', toolCalls: [], provider: 'gemini', model: 'gemini-test' });
+    const res = await call('POST', '/v1/chat', { message: 'What do you build?' });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, reply: 'Web apps.', response: 'Web apps.', sessionId: expect.any(String), timestamp: expect.any(String) });
+  });
+});
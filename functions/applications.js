@@ -0,0 +1,63 @@
+/**
+ * Job Applications by Email
+ *
+ * One call sends a recruiter the caller's generated resume, and optionally a
+ * cover letter, under the `application_submission` template. The job title
+ * and company default to the ones the resume was generated for, the sender
+ * name to the caller's profile, and replies go to the caller's own address.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+const outbox = require('./outbox');
+const mailer = require('./mailer');
+const { resolveAttachments, AttachmentError } = require('./attachments');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+/**
+ * Queue an application email.
+ * @param {Object} params
+ * @param {Object} params.user - req.user; must be signed in
+ * @param {string} params.to - Recruiter address
+ * @param {string} params.resumeId - users/{uid}/documents id of a resume
+ * @param {string} [params.coverLetterId] - users/{uid}/documents id of a cover letter
+ * @param {string} [params.recipientName]
+ * @param {string} [params.note] - Personal note for the body
+ * @param {string} [params.jobTitle] - Overrides the resume's target job
+ * @param {string} [params.companyName] - Overrides the resume's target company
+ * @param {string} [params.senderName] - Overrides the profile name
+ * @returns {Promise<{ id: string, status: 'queued', attachments: Array<{ filename: string, size: number }> }>}
+ * @throws {AttachmentError|MailInputError|EmailTemplateDataError}
+ */
+async function sendApplication({ user, to, resumeId, coverLetterId, recipientName, note, jobTitle, companyName, senderName }) {
+  if (!resumeId) throw new AttachmentError('resumeId is required');
+  const attachments = await resolveAttachments([{ documentId: resumeId }, ...(coverLetterId ? [{ documentId: coverLetterId }] : [])], user);
+  const job = attachments[0].job || {};
+  const snap = await db.collection('profiles').doc(user.uid).get();
+  const profile = snap.exists ? snap.data() : {};
+
+  const queued = await outbox.enqueue({
+    to,
+    template: 'application_submission',
+    data: {
+      senderName: text(senderName) || text(profile.name) || user.email,
+      jobTitle: text(jobTitle) || text(job.jobTitle),
+      companyName: text(companyName) || text(job.companyName),
+      recipientName: text(recipientName),
+      note: text(note),
+      coverLetter: Boolean(coverLetterId),
+    },
+    attachments,
+    replyTo: [user.email, text(profile.email)].find(mailer.isValidEmail),
+    user,
+    source: 'application',
+  });
+  return { ...queued, attachments: attachments.map(({ filename, size }) => ({ filename, size })) };
+}
+
+module.exports = {
+  sendApplication,
+};
@@ -0,0 +1,136 @@
+/**
+ * Email Attachments from Storage
+ *
+ * Generated resumes and cover letters live in Storage under `docs/{uid}/`
+ * and are listed in `users/{uid}/documents/{documentId}` (resumeGenerator.js).
+ * Mail can attach them by either reference:
+ *   { documentId: 'abc123' }                   a generated document
+ *   { path: 'docs/{uid}/resume_1700000000.pdf' } a Storage path
+ * Each reference is checked against the caller's uid before the message is
+ * queued. The outbox stores only the resolved paths and streams the files
+ * from Storage when it sends the message.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const MAX_ATTACHMENTS = 5;
+/** Gmail rejects messages over 25 MB; base64 adds about a third */
+const MAX_TOTAL_BYTES = 18 * 1024 * 1024;
+
+const DOCUMENT_NAMES = { resume: 'Resume', cover_letter: 'Cover Letter' };
+
+/** Error code by AttachmentError status (see errors.js) */
+const ATTACHMENT_CODES = { 401: 'UNAUTHORIZED', 403: 'FORBIDDEN', 404: 'DOCUMENT_NOT_FOUND' };
+
+/**
+ * Error for an attachment the caller may not use or that does not exist.
+ */
+class AttachmentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AttachmentError';
+    this.status = status;
+    this.code = ATTACHMENT_CODES[status] || 'INVALID_ATTACHMENT';
+  }
+}
+
+const bucket = () => admin.storage().bucket();
+
+/**
+ * Attachment file name for a generated document, e.g. "Resume - Stripe.pdf"
+ * (or .docx for Word documents).
+ * @param {Object} doc - users/{uid}/documents entry
+ * @returns {string}
+ */
+function documentFilename(doc) {
+  const base = DOCUMENT_NAMES[doc.type] || 'Document';
+  const company = doc.job && typeof doc.job.companyName === 'string' ? doc.job.companyName.replace(/[^\w .&-]/g, '').trim() : '';
+  return `${company ? `${base} - ${company}` : base}.${doc.format === 'docx' ? 'docx' : 'pdf'}`;
+}
+
+/**
+ * Resolve one reference to a Storage file owned by the user.
+ * @param {Object} spec - { documentId } or { path }, optional { filename }
+ * @param {string} uid
+ * @returns {Promise<{ storagePath: string, filename: string, documentId: string|null, job: Object|null }>}
+ * @throws {AttachmentError}
+ */
+async function resolveOne(spec, uid) {
+  if (!spec || typeof spec !== 'object') throw new AttachmentError('Each attachment must be an object');
+  let storagePath;
+  let filename;
+  let documentId = null;
+  let job = null;
+  if (spec.documentId) {
+    const snap = await db.collection('users').doc(uid).collection('documents').doc(String(spec.documentId)).get();
+    if (!snap.exists) throw new AttachmentError(`Document ${spec.documentId} not found`, 404);
+    const doc = snap.data();
+    ({ storagePath } = doc);
+    filename = documentFilename(doc);
+    documentId = snap.id;
+    job = doc.job || null;
+  } else if (typeof spec.path === 'string') {
+    storagePath = spec.path.replace(/^\/+/, '');
+    filename = storagePath.split('/').pop();
+  } else {
+    throw new AttachmentError('Each attachment needs a documentId or a path');
+  }
+  // Same check for both kinds, so a document entry cannot point outside the user's folder
+  if (!storagePath || storagePath.split('/').includes('..') || !storagePath.startsWith(`docs/${uid}/`)) {
+    throw new AttachmentError('Attachments must be your own generated documents', 403);
+  }
+  if (typeof spec.filename === 'string' && spec.filename.trim()) filename = spec.filename.trim().replace(/[\r\n/\\]/g, '');
+  return { storagePath, filename, documentId, job };
+}
+
+/**
+ * Check attachment references for a caller and look up their sizes.
+ * @param {Array<Object>} specs - [{ documentId } | { path }]
+ * @param {Object} user - req.user; must be signed in
+ * @returns {Promise<Array<{ storagePath: string, filename: string, contentType: string, size: number, documentId: string|null, job: Object|null }>>}
+ * @throws {AttachmentError}
+ */
+async function resolveAttachments(specs, user) {
+  if (specs === undefined || specs === null) return [];
+  if (!Array.isArray(specs)) throw new AttachmentError('attachments must be an array');
+  if (!specs.length) return [];
+  if (!user || user.anonymous || !user.uid) throw new AttachmentError('Sign in to attach documents', 401);
+  if (specs.length > MAX_ATTACHMENTS) throw new AttachmentError(`At most ${MAX_ATTACHMENTS} attachments are allowed`);
+
+  const resolved = await Promise.all(specs.map(spec => resolveOne(spec, user.uid)));
+  const withMeta = await Promise.all(resolved.map(async (attachment) => {
+    const file = bucket().file(attachment.storagePath);
+    const [exists] = await file.exists();
+    if (!exists) throw new AttachmentError(`File ${attachment.storagePath} not found`, 404);
+    const [metadata] = await file.getMetadata();
+    return { ...attachment, contentType: metadata.contentType || 'application/octet-stream', size: Number(metadata.size) || 0 };
+  }));
+  const total = withMeta.reduce((sum, a) => sum + a.size, 0);
+  if (total > MAX_TOTAL_BYTES) throw new AttachmentError('Attachments must be at most 18 MB in total');
+  return withMeta;
+}
+
+/**
+ * Open stored attachments as streams for nodemailer.
+ * @param {Array<{ storagePath: string, filename: string, contentType: string }>} attachments
+ * @returns {Promise<Array<{ filename: string, contentType: string, content: import('stream').Readable }>>}
+ * @throws {AttachmentError} If a file was deleted after the message was queued
+ */
+async function openAttachments(attachments) {
+  return Promise.all((attachments || []).map(async ({ storagePath, filename, contentType }) => {
+    const file = bucket().file(storagePath);
+    const [exists] = await file.exists();
+    if (!exists) throw new AttachmentError(`File ${storagePath} no longer exists`, 404);
+    return { filename, contentType, content: file.createReadStream() };
+  }));
+}
+
+module.exports = {
+  AttachmentError,
+  MAX_ATTACHMENTS,
+  resolveAttachments,
+  openAttachments,
+};
@@ -0,0 +1,61 @@
+const admin = require('firebase-admin');
+const { resolveAttachments, MAX_ATTACHMENTS } = require('./attachments');
+
+const user = { uid: 'u1', anonymous: false, claims: {} };
+const save = (path, data = 'pdf', contentType = 'application/pdf') => admin.storage().bucket().file(path).save(data, { contentType });
+const addDocument = (id, data) => admin.firestore().doc(`users/u1/documents/${id}`).set(data);
+
+beforeEach(() => admin.__reset());
+
+describe('resolveAttachments', () => {
+  test('resolves a generated document and a path in the caller folder', async () => {
+    await save('docs/u1/resume_1.pdf');
+    await save('docs/u1/notes.docx', 'docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    await addDocument('d1', { type: 'resume', format: 'pdf', storagePath: 'docs/u1/resume_1.pdf', job: { companyName: 'Stripe' } });
+    const resolved = await resolveAttachments([{ documentId: 'd1' }, { path: '/docs/u1/notes.docx' }], user);
+    expect(resolved).toEqual([
+      { storagePath: 'docs/u1/resume_1.pdf', filename: 'Resume - Stripe.pdf', documentId: 'd1', job: { companyName: 'Stripe' }, contentType: 'application/pdf', size: 3 },
+      expect.objectContaining({ storagePath: 'docs/u1/notes.docx', filename: 'notes.docx', documentId: null, size: 4 }),
+    ]);
+  });
+
+  test.each([
+    ['another user', 'docs/u2/resume_1.pdf'],
+    ['a parent segment', 'docs/u1/../u2/resume_1.pdf'],
+    ['a path outside docs', 'avatars/u1.png'],
+  ])('refuses a path to %s', async (_, path) => {
+    await save(path);
+    await expect(resolveAttachments([{ path }], user)).rejects.toMatchObject({ status: 403, code: 'FORBIDDEN' });
+  });
+
+  test('refuses a document entry that points outside the caller folder', async () => {
+    await save('docs/u2/resume_1.pdf');
+    await addDocument('d1', { type: 'resume', storagePath: 'docs/u2/resume_1.pdf' });
+    await expect(resolveAttachments([{ documentId: 'd1' }], user)).rejects.toMatchObject({ status: 403 });
+  });
+
+  test('looks up documents in the caller list only', async () => {
+    await admin.firestore().doc('users/u2/documents/d2').set({ type: 'resume', storagePath: 'docs/u2/resume_1.pdf' });
+    await expect(resolveAttachments([{ documentId: 'd2' }], user)).rejects.toMatchObject({ status: 404, code: 'DOCUMENT_NOT_FOUND' });
+  });
+
+  test('requires a signed-in caller', async () => {
+    await expect(resolveAttachments([{ path: 'docs/u1/a.pdf' }], { uid: null, anonymous: true }))
+      .rejects.toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+    expect(await resolveAttachments([], { uid: null, anonymous: true })).toEqual([]);
+  });
+
+  test('limits the number and total size of attachments', async () => {
+    const paths = Array.from({ length: MAX_ATTACHMENTS + 1 }, (_, i) => ({ path: `docs/u1/${i}.pdf` }));
+    await expect(resolveAttachments(paths, user)).rejects.toMatchObject({ status: 400, code: 'INVALID_ATTACHMENT' });
+
+    await save('docs/u1/large.pdf', Buffer.alloc(10 * 1024 * 1024));
+    await save('docs/u1/larger.pdf', Buffer.alloc(9 * 1024 * 1024));
+    await expect(resolveAttachments([{ path: 'docs/u1/large.pdf' }, { path: 'docs/u1/larger.pdf' }], user))
+      .rejects.toThrow('at most 18 MB');
+  });
+
+  test('reports a missing file', async () => {
+    await expect(resolveAttachments([{ path: 'docs/u1/gone.pdf' }], user)).rejects.toMatchObject({ status: 404 });
+  });
+});
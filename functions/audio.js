@@ -0,0 +1,149 @@
+/**
+ * Audio Helpers for MP3 and WAV buffers
+ *
+ * Just enough container parsing to time and join synthesized speech without
+ * a native dependency:
+ * - MP3: walks MPEG frame headers (ID3v2 tags and Xing/Info frames skipped)
+ * - WAV: reads the RIFF `fmt ` and `data` chunks (PCM)
+ */
+
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/**
+ * Offset of the first byte after an ID3v2 tag (0 without one).
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function id3Length(buf) {
+  if (buf.length < 10 || buf.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buf[6] & 0x7f) << 21) | ((buf[7] & 0x7f) << 14) | ((buf[8] & 0x7f) << 7) | (buf[9] & 0x7f);
+  return 10 + size + (buf[5] & 0x10 ? 10 : 0);
+}
+
+/**
+ * Parse the MPEG Layer III frame header at `offset`.
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{ length: number, seconds: number }|null} Null if no valid header is there
+ */
+function mp3Frame(buf, offset) {
+  if (offset + 4 > buf.length || buf[offset] !== 0xff || (buf[offset + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buf[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = (buf[offset + 1] >> 1) & 0x03; // 1 = Layer III
+  const bitrateIndex = buf[offset + 2] >> 4;
+  const rateIndex = (buf[offset + 2] >> 2) & 0x03;
+  const padding = (buf[offset + 2] >> 1) & 0x01;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const mpeg1 = version === 3;
+  const bitrate = (mpeg1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[rateIndex] / (mpeg1 ? 1 : version === 2 ? 2 : 4);
+  const samples = mpeg1 ? 1152 : 576;
+  return { length: Math.floor((samples / 8) * bitrate / sampleRate) + padding, seconds: samples / sampleRate };
+}
+
+/**
+ * Audio frames of an MP3, without tags and the Xing/Info header frame.
+ * @param {Buffer} buf
+ * @returns {{ start: number, end: number, seconds: number }} Byte range and playing time
+ */
+function mp3Audio(buf) {
+  let offset = id3Length(buf);
+  let start = -1;
+  let end = offset;
+  let seconds = 0;
+  while (offset + 4 <= buf.length) {
+    const frame = mp3Frame(buf, offset);
+    if (!frame) {
+      offset += 1;
+      continue;
+    }
+    // A Xing/Info frame only carries metadata for the original file
+    const tag = buf.toString('latin1', offset + 4, Math.min(offset + 40, buf.length));
+    if (start === -1 && /Xing|Info/.test(tag)) {
+      offset += frame.length;
+      continue;
+    }
+    if (start === -1) start = offset;
+    seconds += frame.seconds;
+    offset += frame.length;
+    end = Math.min(offset, buf.length);
+  }
+  return { start: Math.max(start, 0), end, seconds };
+}
+
+/**
+ * Locate the `fmt ` and `data` chunks of a WAV file.
+ * @param {Buffer} buf
+ * @returns {{ fmt: Buffer, byteRate: number, data: Buffer }}
+ * @throws {Error} If the buffer is not a RIFF/WAVE file
+ */
+function wavChunks(buf) {
+  if (buf.length < 12 || buf.toString('latin1', 0, 4) !== 'RIFF' || buf.toString('latin1', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+  let offset = 12;
+  let fmt = null;
+  let data = null;
+  while (offset + 8 <= buf.length && !data) {
+    const id = buf.toString('latin1', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') fmt = buf.subarray(body, body + size);
+    // Streamed WAV output may leave the data size unset; take the rest of the file
+    if (id === 'data') data = buf.subarray(body, size && body + size <= buf.length ? body + size : buf.length);
+    offset = body + size + (size % 2);
+  }
+  if (!fmt || !data) throw new Error('WAV file has no fmt or data chunk');
+  return { fmt, byteRate: fmt.readUInt32LE(8), data };
+}
+
+/**
+ * Playing time of an audio buffer in seconds.
+ * @param {Buffer} buf
+ * @param {'mp3'|'wav'} format
+ * @returns {number}
+ */
+function audioDuration(buf, format) {
+  if (format === 'wav') {
+    const { byteRate, data } = wavChunks(buf);
+    return byteRate ? data.length / byteRate : 0;
+  }
+  return mp3Audio(buf).seconds;
+}
+
+/**
+ * Join audio buffers of the same format and settings into one file.
+ * @param {Array<Buffer>} buffers
+ * @param {'mp3'|'wav'} format
+ * @returns {Buffer}
+ */
+function concatAudio(buffers, format) {
+  if (buffers.length === 1) return buffers[0];
+  if (format === 'wav') {
+    const chunks = buffers.map(wavChunks);
+    const data = Buffer.concat(chunks.map(c => c.data));
+    const { fmt } = chunks[0];
+    const header = Buffer.alloc(20);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(4 + 8 + fmt.length + 8 + data.length, 4);
+    header.write('WAVE', 8, 'latin1');
+    header.write('fmt ', 12, 'latin1');
+    header.writeUInt32LE(fmt.length, 16);
+    const dataHeader = Buffer.alloc(8);
+    dataHeader.write('data', 0, 'latin1');
+    dataHeader.writeUInt32LE(data.length, 4);
+    return Buffer.concat([header, fmt, dataHeader, data]);
+  }
+  return Buffer.concat(buffers.map(buf => {
+    const { start, end } = mp3Audio(buf);
+    return buf.subarray(start, end);
+  }));
+}
+
+module.exports = {
+  audioDuration,
+  concatAudio,
+};
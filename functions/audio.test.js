@@ -0,0 +1,41 @@
+const { audioDuration, concatAudio } = require('./audio');
+const { mp3File, wavFile, MP3_FRAME_BYTES, MP3_FRAME_SECONDS } = require('./testing');
+
+describe('MP3', () => {
+  test('times the audio frames only', () => {
+    expect(audioDuration(mp3File({ frames: 3 }), 'mp3')).toBeCloseTo(3 * MP3_FRAME_SECONDS, 6);
+    expect(audioDuration(mp3File({ frames: 3, id3: true, xing: true }), 'mp3')).toBeCloseTo(3 * MP3_FRAME_SECONDS, 6);
+  });
+
+  test('joins files without their ID3 tags and Xing frames', () => {
+    const first = mp3File({ frames: 2, id3: true, xing: true, fill: 1 });
+    const second = mp3File({ frames: 3, xing: true, fill: 2 });
+    const joined = concatAudio([first, second], 'mp3');
+    expect(joined.length).toBe(5 * MP3_FRAME_BYTES);
+    expect(joined.equals(Buffer.concat([mp3File({ frames: 2, fill: 1 }), mp3File({ frames: 3, fill: 2 })]))).toBe(true);
+    expect(audioDuration(joined, 'mp3')).toBeCloseTo(5 * MP3_FRAME_SECONDS, 6);
+  });
+
+  test('returns a single file as it is', () => {
+    const only = mp3File({ id3: true });
+    expect(concatAudio([only], 'mp3')).toBe(only);
+  });
+});
+
+describe('WAV', () => {
+  test('times the data chunk from the byte rate', () => {
+    expect(audioDuration(wavFile(Buffer.alloc(8000)), 'wav')).toBe(0.5);
+    expect(audioDuration(wavFile(Buffer.alloc(8000), { streamed: true }), 'wav')).toBe(0.5);
+  });
+
+  test('joins the samples and rewrites the sizes', () => {
+    const joined = concatAudio([wavFile(Buffer.alloc(100, 1)), wavFile(Buffer.alloc(60, 2), { streamed: true })], 'wav');
+    expect(joined.equals(wavFile(Buffer.concat([Buffer.alloc(100, 1), Buffer.alloc(60, 2)])))).toBe(true);
+    expect(joined.readUInt32LE(4)).toBe(joined.length - 8);
+    expect(joined.readUInt32LE(40)).toBe(160);
+  });
+
+  test('rejects a buffer that is not a WAV file', () => {
+    expect(() => audioDuration(mp3File(), 'wav')).toThrow('Not a WAV file');
+  });
+});
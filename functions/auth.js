@@ -0,0 +1,350 @@
+/**
+ * Authentication and rate limiting for HTTP functions
+ *
+ * `createGuard` builds a middleware with the same (req, res, next) shape as
+ * corsMiddleware. It:
+ * 1. Reads `Authorization: Bearer <token>` and verifies it as a Firebase ID
+ *    token or, failing that, as an extension session token (see
+ *    createSessionToken). The caller is attached as `req.user`:
+ *    { uid, email, anonymous: false, via: 'firebase'|'session', claims }.
+ *    Without a token, and only when the guard allows it, `req.user` is the
+ *    anonymous caller { uid: null, anonymous: true }.
+ * 2. Enforces per-user and per-IP quotas in fixed windows, counted in the
+ *    Firestore `rateLimits` collection. Anonymous callers use the stricter
+ *    `anonymous` tier. Counter docs carry `expiresAt` for a Firestore TTL policy.
+ * 3. For `metered` scopes, checks today's AI spend against the budgets in
+ *    usage.js: over a block limit the request is refused, over a degrade
+ *    limit it runs on cheaper models. `req.usage` ({ uid, endpoint, degraded })
+ *    is what handlers pass on to the provider registry for accounting.
+ *
+ * @requires firebase-admin
+ */
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { checkBudget } = require('./usage');
+const { replyError } = require('./errors');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+/** Prefix that marks extension session tokens (vs. Firebase ID tokens) */
+const SESSION_PREFIX = 'mxs_';
+const SESSION_TTL_DAYS = 30;
+
+/**
+ * Default quotas per scope. Each tier lists { windowSeconds, max } windows;
+ * `ip` applies to every caller from the same address regardless of tier.
+ */
+const DEFAULT_LIMITS = {
+  ai: {
+    anonymous: [{ windowSeconds: 60, max: 10 }, { windowSeconds: 86400, max: 100 }],
+    user: [{ windowSeconds: 60, max: 30 }, { windowSeconds: 86400, max: 1000 }],
+    ip: [{ windowSeconds: 60, max: 60 }],
+  },
+  generateResume: {
+    user: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 86400, max: 50 }],
+    ip: [{ windowSeconds: 60, max: 10 }],
+  },
+  atsMatch: {
+    user: [{ windowSeconds: 60, max: 10 }, { windowSeconds: 86400, max: 200 }],
+    ip: [{ windowSeconds: 60, max: 20 }],
+  },
+  sendMail: {
+    user: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 86400, max: 50 }],
+    ip: [{ windowSeconds: 60, max: 10 }],
+  },
+  emailPreview: {
+    user: [{ windowSeconds: 60, max: 30 }],
+    ip: [{ windowSeconds: 60, max: 60 }],
+  },
+  mailStatus: {
+    user: [{ windowSeconds: 60, max: 60 }],
+    ip: [{ windowSeconds: 60, max: 120 }],
+  },
+  sessions: {
+    anonymous: [{ windowSeconds: 60, max: 30 }],
+    user: [{ windowSeconds: 60, max: 60 }],
+    ip: [{ windowSeconds: 60, max: 120 }],
+  },
+  persona: {
+    anonymous: [{ windowSeconds: 60, max: 30 }],
+    user: [{ windowSeconds: 60, max: 30 }],
+    ip: [{ windowSeconds: 60, max: 60 }],
+  },
+  tts: {
+    anonymous: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 86400, max: 50 }],
+    user: [{ windowSeconds: 60, max: 20 }, { windowSeconds: 86400, max: 500 }],
+    ip: [{ windowSeconds: 60, max: 30 }],
+  },
+  transcribe: {
+    anonymous: [{ windowSeconds: 60, max: 5 }, { windowSeconds: 86400, max: 50 }],
+    user: [{ windowSeconds: 60, max: 20 }, { windowSeconds: 86400, max: 500 }],
+    ip: [{ windowSeconds: 60, max: 30 }],
+  },
+  contact: {
+    anonymous: [{ windowSeconds: 3600, max: 3 }, { windowSeconds: 86400, max: 10 }],
+    user: [{ windowSeconds: 3600, max: 5 }, { windowSeconds: 86400, max: 20 }],
+    ip: [{ windowSeconds: 3600, max: 10 }],
+  },
+  usage: {
+    user: [{ windowSeconds: 60, max: 30 }],
+    ip: [{ windowSeconds: 60, max: 60 }],
+  },
+  moderation: {
+    user: [{ windowSeconds: 60, max: 30 }],
+    ip: [{ windowSeconds: 60, max: 60 }],
+  },
+  login: {
+    anonymous: [{ windowSeconds: 300, max: 10 }, { windowSeconds: 86400, max: 50 }],
+    ip: [{ windowSeconds: 300, max: 20 }],
+  },
+  profile: {
+    user: [{ windowSeconds: 60, max: 30 }],
+    ip: [{ windowSeconds: 60, max: 60 }],
+  },
+};
+
+/** Firebase Auth REST endpoint used to check an email and password */
+const SIGN_IN_URL = 'https://identitytoolkit.googleapis.com/v1/accounts:signInWithPassword';
+
+/**
+ * Error for a failed sign-in; `status` and `code` are what to answer with.
+ */
+class LoginError extends Error {
+  constructor(message, status = 401, code = 'INVALID_CREDENTIALS') {
+    super(message);
+    this.name = 'LoginError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * SHA-256 hex digest; session tokens are only stored hashed.
+ * @param {string} value
+ * @returns {string}
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Client IP, for quotas. Cloud Functions sits behind Google's front end,
+ * which appends the address it received the request from to
+ * X-Forwarded-For. Earlier entries are whatever the client sent, so only
+ * the last one is trusted. (`req.ip` is not used: with `trust proxy` on it
+ * is the first, client-supplied entry.)
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  return forwarded[forwarded.length - 1] || (req.socket && req.socket.remoteAddress) || req.ip || 'unknown';
+}
+
+/**
+ * Issue an extension session token for a user. Only the hash is stored.
+ * @param {Object} user - { uid, email }
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function createSessionToken({ uid, email }) {
+  const token = SESSION_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 86400 * 1000);
+  await db.collection('extensionSessions').doc(sha256(token)).set({
+    uid,
+    email: email || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    expiresAt,
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Check an email and password against Firebase Auth (the extension has no
+ * Firebase SDK, so it signs in through the backend). Needs the project's web
+ * API key in FIREBASE_API_KEY.
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<{ uid: string, email: string, displayName: string|null }>}
+ * @throws {LoginError}
+ */
+async function signInWithPassword(email, password) {
+  if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+    throw new LoginError('email and password are required', 400, 'INVALID_INPUT');
+  }
+  if (!process.env.FIREBASE_API_KEY) throw new Error('FIREBASE_API_KEY is not configured');
+  const response = await fetch(`${SIGN_IN_URL}?key=${encodeURIComponent(process.env.FIREBASE_API_KEY)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: email.trim(), password, returnSecureToken: false }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const code = String((data.error && data.error.message) || '');
+    if (code.startsWith('TOO_MANY_ATTEMPTS')) throw new LoginError('Too many failed attempts, please try again later', 429, 'QUOTA_EXCEEDED');
+    if (code.startsWith('USER_DISABLED')) throw new LoginError('This account has been disabled', 403, 'ACCOUNT_DISABLED');
+    if (/^(INVALID_LOGIN_CREDENTIALS|INVALID_PASSWORD|EMAIL_NOT_FOUND|INVALID_EMAIL)/.test(code)) {
+      throw new LoginError('Incorrect email or password');
+    }
+    throw new Error(`Sign-in failed: ${code || response.status}`);
+  }
+  return { uid: data.localId, email: data.email, displayName: data.displayName || null };
+}
+
+/**
+ * Revoke an extension session token.
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+async function revokeSessionToken(token) {
+  if (typeof token === 'string' && token.startsWith(SESSION_PREFIX)) {
+    await db.collection('extensionSessions').doc(sha256(token)).delete();
+  }
+}
+
+/**
+ * Resolve the caller from the Authorization header.
+ * @param {import('express').Request} req
+ * @returns {Promise<Object|null>} User, or null when no token was sent
+ * @throws {Error} If a token was sent but is invalid or expired
+ */
+async function authenticate(req) {
+  const header = String(req.headers.authorization || '');
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) return null;
+
+  if (token.startsWith(SESSION_PREFIX)) {
+    const snap = await db.collection('extensionSessions').doc(sha256(token)).get();
+    const session = snap.exists ? snap.data() : null;
+    const expiresAt = session && session.expiresAt && (session.expiresAt.toDate ? session.expiresAt.toDate() : new Date(session.expiresAt));
+    if (!session || !expiresAt || expiresAt < new Date()) {
+      throw new Error('Session expired or invalid');
+    }
+    return { uid: session.uid, email: session.email, anonymous: false, via: 'session', claims: {} };
+  }
+
+  const decoded = await admin.auth().verifyIdToken(token);
+  return { uid: decoded.uid, email: decoded.email || null, anonymous: false, via: 'firebase', claims: decoded };
+}
+
+/**
+ * Count one hit against each window; resolves with the first exceeded window.
+ * @param {string} scope - Endpoint scope
+ * @param {string} key - Counter key, e.g. "uid:abc" or "ip:1.2.3.4"
+ * @param {Array<{windowSeconds: number, max: number}>} windows
+ * @returns {Promise<{ limited: boolean, retryAfter?: number, remaining: number }>}
+ */
+async function consume(scope, key, windows) {
+  const now = Date.now();
+  let remaining = Infinity;
+  for (const { windowSeconds, max } of windows) {
+    const windowStart = Math.floor(now / (windowSeconds * 1000)) * windowSeconds * 1000;
+    const windowEnd = windowStart + windowSeconds * 1000;
+    const ref = db.collection('rateLimits').doc(`${scope}_${windowSeconds}_${sha256(key).slice(0, 32)}_${windowStart}`);
+    const count = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const current = snap.exists ? snap.data().count : 0;
+      if (current >= max) return current + 1;
+      tx.set(ref, { scope, key, windowSeconds, count: current + 1, expiresAt: new Date(windowEnd) }, { merge: true });
+      return current + 1;
+    });
+    if (count > max) {
+      return { limited: true, retryAfter: Math.ceil((windowEnd - now) / 1000), remaining: 0 };
+    }
+    remaining = Math.min(remaining, max - count);
+  }
+  return { limited: false, remaining };
+}
+
+/**
+ * Count one call against a scope's quotas for a caller.
+ * @param {Object} params
+ * @param {string} params.scope - Quota scope
+ * @param {Object} params.user - req.user
+ * @param {string} params.ip - Client IP
+ * @param {Object} [params.limits] - Override the scope's { anonymous, user, ip } windows
+ * @returns {Promise<{ limited: boolean, retryAfter?: number, remaining: number }>}
+ */
+async function enforceQuota({ scope, user, ip, limits }) {
+  const tiers = limits || DEFAULT_LIMITS[scope] || {};
+  const checks = [];
+  if (tiers.ip) checks.push(consume(scope, `ip:${ip}`, tiers.ip));
+  const tier = user.anonymous ? tiers.anonymous : tiers.user;
+  if (tier) checks.push(consume(scope, user.anonymous ? `anon:${ip}` : `uid:${user.uid}`, tier));
+  const results = await Promise.all(checks);
+  const blocked = results.find(r => r.limited);
+  if (blocked) return blocked;
+  return { limited: false, remaining: Math.min(...results.map(r => r.remaining)) };
+}
+
+/**
+ * Create an auth + quota middleware for a scope.
+ * @param {Object} options
+ * @param {string} options.scope - Quota scope (a key of DEFAULT_LIMITS or custom)
+ * @param {boolean} [options.allowAnonymous=false] - Admit callers without a token on the anonymous tier
+ * @param {Object} [options.limits] - Override the scope's { anonymous, user, ip } windows
+ * @param {boolean} [options.metered=false] - Check the daily AI budgets and set req.usage
+ * @returns {(req, res, next: Function) => Promise<*>}
+ */
+function createGuard({ scope, allowAnonymous = false, limits, metered = false }) {
+  return async (req, res, next) => {
+    let user;
+    try {
+      user = await authenticate(req);
+    } catch (error) {
+      console.warn(`Auth rejected for ${scope} [${req.id}]:`, error.message);
+      return replyError(res, 'UNAUTHORIZED', 'Invalid or expired credentials');
+    }
+    if (!user) {
+      if (!allowAnonymous) {
+        return replyError(res, 'UNAUTHORIZED', 'Sign in to use this endpoint');
+      }
+      user = { uid: null, email: null, anonymous: true, via: 'anonymous', claims: {} };
+    }
+    req.user = user;
+
+    try {
+      const quota = await enforceQuota({ scope, user, ip: clientIp(req), limits });
+      if (quota.limited) {
+        res.set('Retry-After', String(quota.retryAfter));
+        return replyError(res, 'QUOTA_EXCEEDED', 'Rate limit exceeded, please try again later', { retryAfter: quota.retryAfter });
+      }
+      if (Number.isFinite(quota.remaining)) res.set('X-RateLimit-Remaining', String(quota.remaining));
+    } catch (error) {
+      // Quota storage problems should not take the endpoint down
+      console.error(`Rate limit check failed for ${scope} [${req.id}]:`, error);
+    }
+
+    req.usage = { uid: user.anonymous ? null : user.uid, endpoint: scope, degraded: false };
+    if (metered) {
+      try {
+        const budget = await checkBudget({ user, endpoint: scope });
+        if (budget.mode === 'block') {
+          const midnight = new Date();
+          midnight.setUTCHours(24, 0, 0, 0);
+          const retryAfter = Math.ceil((midnight.getTime() - Date.now()) / 1000);
+          res.set('Retry-After', String(retryAfter));
+          return replyError(res, 'BUDGET_EXCEEDED', 'The daily AI usage budget has been reached, please try again tomorrow', { budget: budget.budget, retryAfter });
+        }
+        if (budget.mode === 'degrade') {
+          req.usage.degraded = true;
+          res.set('X-Usage-Mode', 'degraded');
+        }
+      } catch (error) {
+        // Like quotas: accounting problems should not take the endpoint down
+        console.error(`Budget check failed for ${scope} [${req.id}]:`, error);
+      }
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  createGuard,
+  enforceQuota,
+  authenticate,
+  createSessionToken,
+  revokeSessionToken,
+  signInWithPassword,
+  LoginError,
+  clientIp,
+  DEFAULT_LIMITS,
+};
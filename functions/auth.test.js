@@ -0,0 +1,114 @@
+const admin = require('firebase-admin');
+const { createGuard, enforceQuota, clientIp, authenticate, createSessionToken, revokeSessionToken } = require('./auth');
+const { mockRequest, mockResponse } = require('./testing');
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 10);
+
+beforeEach(() => {
+  admin.__reset();
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+/** Run a guard; resolves with the response and whether the handler ran */
+async function guarded(guard, req) {
+  const res = mockResponse();
+  let passed = false;
+  await guard(req, res, () => { passed = true; });
+  return { res, passed };
+}
+
+describe('clientIp', () => {
+  test('uses the address the front end appended, not the client-supplied ones', () => {
+    expect(clientIp(mockRequest({ headers: { 'X-Forwarded-For': '1.2.3.4, 198.51.100.7' } }))).toBe('198.51.100.7');
+    expect(clientIp(mockRequest({ headers: { 'X-Forwarded-For': '198.51.100.7' } }))).toBe('198.51.100.7');
+  });
+
+  test('falls back to the socket address without the header', () => {
+    expect(clientIp(mockRequest({ ip: '192.0.2.9' }))).toBe('192.0.2.9');
+  });
+});
+
+describe('enforceQuota', () => {
+  const limits = { user: [{ windowSeconds: 60, max: 2 }], ip: [{ windowSeconds: 60, max: 4 }] };
+  const user = { uid: 'u1', anonymous: false };
+
+  test('counts calls per window and reports when to retry', async () => {
+    expect(await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits })).toEqual({ limited: false, remaining: 1 });
+    expect(await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits })).toEqual({ limited: false, remaining: 0 });
+    expect(await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits })).toEqual({ limited: true, retryAfter: 50, remaining: 0 });
+  });
+
+  test('starts over in the next window', async () => {
+    await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits });
+    await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits });
+    Date.now.mockReturnValue(NOW + 60 * 1000);
+    expect((await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits })).limited).toBe(false);
+  });
+
+  test('limits each user separately, and all users on an IP together', async () => {
+    const other = { uid: 'u2', anonymous: false };
+    await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits });
+    await enforceQuota({ scope: 't', user, ip: '192.0.2.1', limits });
+    expect((await enforceQuota({ scope: 't', user: other, ip: '192.0.2.1', limits })).limited).toBe(false);
+    expect((await enforceQuota({ scope: 't', user: other, ip: '192.0.2.1', limits })).limited).toBe(false);
+    expect((await enforceQuota({ scope: 't', user: { uid: 'u3' }, ip: '192.0.2.1', limits })).limited).toBe(true);
+  });
+});
+
+describe('createGuard', () => {
+  const guard = createGuard({ scope: 't', allowAnonymous: true, limits: { anonymous: [{ windowSeconds: 60, max: 2 }], ip: [{ windowSeconds: 60, max: 10 }] } });
+
+  test('admits anonymous callers on the anonymous tier', async () => {
+    const req = mockRequest();
+    const { passed } = await guarded(guard, req);
+    expect(passed).toBe(true);
+    expect(req.user).toMatchObject({ uid: null, anonymous: true });
+    expect(req.usage).toEqual({ uid: null, endpoint: 't', degraded: false });
+  });
+
+  test('cannot be bypassed by rotating a spoofed X-Forwarded-For', async () => {
+    const results = [];
+    for (let i = 0; i < 3; i += 1) {
+      const req = mockRequest({ headers: { 'X-Forwarded-For': `10.0.0.${i}, 198.51.100.7` } });
+      results.push(await guarded(guard, req));
+    }
+    expect(results.map(r => r.passed)).toEqual([true, true, false]);
+    expect(results[2].res.statusCode).toBe(429);
+    expect(results[2].res.body.code).toBe('QUOTA_EXCEEDED');
+    expect(results[2].res.headers['retry-after']).toBe('50');
+  });
+
+  test('rejects callers without a token unless anonymous access is allowed', async () => {
+    const { res, passed } = await guarded(createGuard({ scope: 'profile' }), mockRequest());
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('rejects invalid tokens', async () => {
+    const { res } = await guarded(guard, mockRequest({ headers: { Authorization: 'Bearer nope' } }));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.code).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('authenticate', () => {
+  test('accepts Firebase ID tokens', async () => {
+    admin.__auth.tokens.set('id-token', { uid: 'u1', email: 'a@example.com' });
+    const user = await authenticate(mockRequest({ headers: { Authorization: 'Bearer id-token' } }));
+    expect(user).toMatchObject({ uid: 'u1', email: 'a@example.com', via: 'firebase', anonymous: false });
+  });
+
+  test('accepts extension session tokens until they are revoked', async () => {
+    const { token } = await createSessionToken({ uid: 'u1', email: 'a@example.com' });
+    const req = mockRequest({ headers: { Authorization: `Bearer ${token}` } });
+    expect(await authenticate(req)).toMatchObject({ uid: 'u1', via: 'session' });
+    await revokeSessionToken(token);
+    await expect(authenticate(req)).rejects.toThrow('Session expired or invalid');
+  });
+
+  test('returns null without a token', async () => {
+    expect(await authenticate(mockRequest())).toBeNull();
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Twin Chat Turn
+ *
+ * The request handling behind /api/ai, shared with the routed API (api.js):
+ * resolve the session, load context, persona, grounding and page content,
+ * moderate the message, run the tool loop (streamed or not), moderate the
+ * reply and store the exchange. Callers authenticate the request and check
+ * it against its contract first: `req.user` and `req.usage` come from an
+ * auth guard (see auth.js), and the body has been validated (see schemas.js).
+ */
+const { wantsStream, openEventStream } = require('./streaming');
+const { registry } = require('./providers');
+const { clientIp } = require('./auth');
+const sessions = require('./sessions');
+const persona = require('./persona');
+const { retrieve } = require('./retrieval');
+const { runToolLoop } = require('./tools');
+const moderation = require('./moderation');
+const pageContext = require('./pageContext');
+const { replyError, sendError, describeError } = require('./errors');
+
+/**
+ * Tool results worth keeping with a stored message; plain text is already its content.
+ * @param {Array<Object>} [parts]
+ * @returns {Array<Object>}
+ */
+const toolParts = (parts) => (parts || []).filter(part => part.type === 'tool_result');
+
+/**
+ * Resolve the conversation for a chat request: the caller's existing session
+ * when `sessionId` is given, otherwise a new one.
+ * @param {import('express').Request} req
+ * @param {string} model - Requested provider id
+ * @returns {Promise<{ id: string, isNew: boolean }>}
+ * @throws {SessionNotFoundError}
+ */
+async function resolveSession(req, model) {
+  const { sessionId } = req.body;
+  if (sessionId) {
+    const session = await sessions.getSession(sessionId, req.user);
+    return { id: session.id, isNew: false };
+  }
+  const session = await sessions.createSession({ user: req.user, model });
+  return { id: session.id, isNew: true };
+}
+
+/**
+ * Answer one chat message (see the /api/ai docs in index.js for the request
+ * and reply shapes).
+ * @param {import('express').Request} req - Authenticated request
+ * @param {import('express').Response} res
+ * @param {Object} [options]
+ * @param {(body: Object) => Object} [options.format] - Reshape the reply body, for JSON replies and the `done` event
+ * @returns {Promise<*>}
+ */
+async function handleChat(req, res, { format = body => body } = {}) {
+  if (req.method !== 'POST') {
+    return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
+  }
+  const { message, model = 'gemini' } = req.body;
+  if (!registry.has(model)) {
+    return replyError(res, 'INVALID_MODEL', 'Model must be either "gemini" or "openai"');
+  }
+  let page;
+  try {
+    page = pageContext.normalizePageContext(req.body.pageContext);
+  } catch (error) {
+    return sendError(req, res, error, 'AI Page Context Error');
+  }
+  const scan = page ? pageContext.scanForInjection(page) : null;
+  if (scan && scan.flagged) console.warn('Possible prompt injection in page content:', page.url, scan.patterns.join(', '));
+
+  let session;
+  let twin;
+  let sources;
+  let messages;
+  let inputCheck;
+  try {
+    session = await resolveSession(req, model);
+    const [context, active, grounding, check] = await Promise.all([
+      session.isNew ? [] : sessions.loadContext(session.id),
+      persona.getActivePersona(),
+      retrieve(message),
+      moderation.moderate({ text: message, direction: 'input', context: { source: 'ai', uid: req.usage.uid, sessionId: session.id } }),
+    ]);
+    twin = active;
+    sources = grounding.sources;
+    inputCheck = check;
+    messages = [
+      { role: 'system', content: persona.buildSystemPrompt(twin) },
+      ...(grounding.context ? [{ role: 'system', content: grounding.context }] : []),
+      ...(page ? [pageContext.pageContextMessage(page, scan)] : []),
+      ...context,
+      { role: 'user', content: message },
+    ];
+  } catch (error) {
+    if (error instanceof sessions.SessionNotFoundError) {
+      return replyError(res, 'SESSION_NOT_FOUND', 'Start a new conversation without sessionId');
+    }
+    return sendError(req, res, error, 'AI Session Error');
+  }
+
+  // The exchange is stored only once there is a reply, so a failed call
+  // never leaves an unanswered user turn in the context.
+  const saveExchange = (result, extra = {}) => sessions.appendMessages(session.id, [
+    { role: 'user', content: message },
+    { role: 'assistant', content: result.text, provider: result.provider, model: result.model, personaVersion: twin.version, sources, parts: toolParts(result.parts), ...extra },
+  ]);
+  const payload = (result, extra = {}) => format({
+    response: result.text,
+    parts: result.parts,
+    sources,
+    sessionId: session.id,
+    model: result.provider,
+    providerModel: result.model,
+    requestedModel: model,
+    ...(scan ? { injection: { flagged: scan.flagged, patterns: scan.patterns, matches: scan.matches } } : {}),
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+  const outputContext = { source: 'ai', uid: req.usage.uid, sessionId: session.id, personaVersion: twin.version };
+
+  if (!inputCheck.allowed) {
+    // The model never sees the message, and neither will later turns' context
+    const refusal = { text: inputCheck.refusal, parts: [{ type: 'text', text: inputCheck.refusal }], provider: null, model: null };
+    const moderated = { direction: 'input', incidentId: inputCheck.incidentId };
+    try {
+      await sessions.appendMessages(session.id, [
+        { role: 'user', content: moderation.REDACTED_MESSAGE, moderated },
+        { role: 'assistant', content: refusal.text, personaVersion: twin.version, moderated },
+      ]);
+    } catch (error) {
+      console.error(`AI Session Error [${req.id}]:`, error);
+    }
+    if (wantsStream(req)) {
+      const events = openEventStream(res);
+      events.send('token', { text: refusal.text });
+      events.send('done', payload(refusal, { moderated: { direction: 'input' } }));
+      return events.end();
+    }
+    return res.status(200).json(payload(refusal, { moderated: { direction: 'input' } }));
+  }
+
+  const loop = {
+    messages,
+    user: req.user,
+    ip: clientIp(req),
+    model,
+    // Page content must not be able to trigger tools, however it is phrased
+    useTools: req.body.tools !== false && !page,
+    generation: { maxTokens: 2000, temperature: 0.7 },
+    usage: req.usage,
+  };
+
+  if (wantsStream(req)) {
+    const events = openEventStream(res);
+    const monitor = moderation.createReplyMonitor(outputContext);
+    // Generation stops when the client leaves or the reply is blocked mid-stream
+    const stop = new AbortController();
+    [events.signal, monitor.signal].forEach(signal => signal.addEventListener('abort', () => stop.abort(), { once: true }));
+    let partial = '';
+    const parts = [];
+    try {
+      let result;
+      try {
+        result = await runToolLoop({
+          ...loop,
+          signal: stop.signal,
+          onToken: text => {
+            partial += text;
+            monitor.push(partial);
+            if (!monitor.signal.aborted) events.send('token', { text });
+          },
+          onToolCall: call => events.send('tool_call', { id: call.id, name: call.name, args: call.args }),
+          onToolResult: part => {
+            parts.push(part);
+            events.send('tool_result', part);
+          },
+        });
+      } catch (error) {
+        if (!monitor.signal.aborted || events.signal.aborted) throw error;
+        result = { text: partial, parts: [...parts, { type: 'text', text: partial }], provider: null, model: null };
+      }
+      const check = await monitor.finish(result.text);
+      if (!check.allowed) {
+        result = moderation.replaceReply(result, check.refusal);
+        events.send('moderated', { direction: 'output', response: result.text });
+      }
+      const moderated = check.allowed ? {} : { moderated: { direction: 'output', incidentId: check.incidentId } };
+      await saveExchange(result, events.signal.aborted ? { stopped: true, ...moderated } : moderated);
+      events.send('done', payload(result, check.allowed ? {} : { moderated: { direction: 'output' } }));
+    } catch (error) {
+      if (events.signal.aborted) {
+        // Keep what the user already saw before they stopped the reply
+        if (partial || parts.length) await saveExchange({ text: partial, parts }, { stopped: true }).catch(() => {});
+      } else {
+        console.error(`AI Stream Error [${req.id}]:`, error);
+        events.send('error', { ...describeError(error).body, requestId: req.id, sessionId: session.id });
+      }
+    } finally {
+      events.end();
+    }
+    return;
+  }
+
+  try {
+    let result = await runToolLoop(loop);
+    const check = await moderation.moderate({ text: result.text, direction: 'output', context: outputContext });
+    if (!check.allowed) result = moderation.replaceReply(result, check.refusal);
+    await saveExchange(result, check.allowed ? {} : { moderated: { direction: 'output', incidentId: check.incidentId } });
+    return res.status(200).json(payload(result, check.allowed ? {} : { moderated: { direction: 'output' } }));
+  } catch (error) {
+    const { status, body } = describeError(error);
+    console.error(`AI API Error [${req.id}]:`, error);
+    return res.status(status).json({ ...body, sessionId: session.id });
+  }
+}
+
+module.exports = { handleChat, resolveSession, toolParts };
@@ -0,0 +1,116 @@
+const admin = require('firebase-admin');
+const { registry } = require('./providers');
+const { handleChat } = require('./chat');
+const { DEFAULT_POLICY } = require('./moderation');
+const { mockRequest, mockResponse, stored } = require('./testing');
+
+const visitor = { uid: null, anonymous: true, claims: {} };
+const chatRequest = (body, headers) => Object.assign(mockRequest({ body: { message: 'What do you build?', ...body }, headers }), {
+  user: visitor,
+  usage: { uid: null, endpoint: 'ai', degraded: false },
+});
+
+beforeEach(() => {
+  admin.__reset();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('handleChat', () => {
+  test('answers in JSON and stores the exchange in a new session', async () => {
+    jest.spyOn(registry, 'chat').mockResolvedValue({ text: 'Web apps.', toolCalls: [], provider: 'gemini', model: 'gemini-test' });
+    const res = mockResponse();
+    await handleChat(chatRequest(), res);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ response: 'Web apps.', model: 'gemini', requestedModel: 'gemini' });
+    expect(stored(`conversations/${res.body.sessionId}/messages`).map(message => message.role).sort()).toEqual(['assistant', 'user']);
+  });
+
+  test('streams tokens in order, then done with the full reply', async () => {
+    const chunks = ['a'.repeat(250), 'b'.repeat(250), 'c'.repeat(100)];
+    jest.spyOn(registry, 'streamChat').mockImplementation(async ({ onToken }) => {
+      chunks.forEach(onToken);
+      return { text: chunks.join(''), toolCalls: [], provider: 'openai', model: 'gpt-test' };
+    });
+    const res = mockResponse();
+    await handleChat(chatRequest({ stream: true }), res);
+    const events = res.events;
+    expect(events.filter(e => e.event === 'token').map(e => e.data.text)).toEqual(chunks);
+    expect(events[events.length - 1]).toMatchObject({ event: 'done', data: { response: chunks.join(''), model: 'openai' } });
+    expect(res.writableEnded).toBe(true);
+  });
+
+  test('sends the tokens of a short reply before done', async () => {
+    jest.spyOn(registry, 'streamChat').mockImplementation(async ({ onToken }) => {
+      ['Web ', 'apps.'].forEach(onToken);
+      return { text: 'Web apps.', toolCalls: [], provider: 'openai', model: 'gpt-test' };
+    });
+    const res = mockResponse();
+    await handleChat(chatRequest({ stream: true }), res);
+    const names = res.events.map(e => e.event);
+    expect(res.events.filter(e => e.event === 'token').map(e => e.data.text)).toEqual(['Web ', 'apps.']);
+    expect(names.lastIndexOf('token')).toBeLessThan(names.indexOf('done'));
+  });
+
+  test('sends an error event when the provider fails mid-stream', async () => {
+    jest.spyOn(registry, 'streamChat').mockImplementation(async ({ onToken }) => {
+      onToken('Web ');
+      throw new Error('connection reset');
+    });
+    const res = mockResponse();
+    await handleChat(chatRequest({ stream: true }), res);
+    const last = res.events[res.events.length - 1];
+    expect(last.event).toBe('error');
+    expect(last.data).toMatchObject({ code: 'INTERNAL', requestId: 'req-test' });
+    expect(res.events.some(e => e.event === 'done')).toBe(false);
+  });
+
+  test('rejects an unknown model before calling a provider', async () => {
+    const chat = jest.spyOn(registry, 'chat');
+    const res = mockResponse();
+    await handleChat(chatRequest({ model: 'claude' }), res);
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('INVALID_MODEL');
+    expect(chat).not.toHaveBeenCalled();
+  });
+
+  test('retracts a streamed reply that fails moderation', async () => {
+    const opening = 'x'.repeat(400);
+    jest.spyOn(registry, 'streamChat').mockImplementation(async ({ onToken }) => {
+      onToken(opening);
+      onToken(' Also, Sam is a fraudster.');
+      return { text: `${opening} Also, Sam is a fraudster.`, toolCalls: [], provider: 'openai', model: 'gpt-test' };
+    });
+    const res = mockResponse();
+    await handleChat(chatRequest({ stream: true }), res);
+    const events = res.events;
+    expect(events.filter(e => e.event === 'token').map(e => e.data.text)).toEqual([opening, ' Also, Sam is a fraudster.']);
+    expect(events.find(e => e.event === 'moderated').data).toMatchObject({ direction: 'output', response: DEFAULT_POLICY.refusals.output });
+    expect(events[events.length - 1]).toMatchObject({ event: 'done', data: { response: DEFAULT_POLICY.refusals.output, moderated: { direction: 'output' } } });
+  });
+
+  test('still answers when the moderation policy cannot be loaded', async () => {
+    const later = Date.now() + 5 * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    const DocumentReference = admin.firestore().doc('config/x').constructor;
+    const get = DocumentReference.prototype.get;
+    jest.spyOn(DocumentReference.prototype, 'get').mockImplementation(function read() {
+      return this.path === 'config/moderationPolicy' ? Promise.reject(new Error('unavailable')) : get.call(this);
+    });
+    jest.spyOn(registry, 'chat').mockResolvedValue({ text: 'Web apps.', toolCalls: [], provider: 'gemini', model: 'gemini-test' });
+    const res = mockResponse();
+    await handleChat(chatRequest(), res);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.response).toBe('Web apps.');
+  });
+
+  test('answers about a selection from a page without a web URL', async () => {
+    const chat = jest.spyOn(registry, 'chat').mockResolvedValue({ text: 'A backend role.', toolCalls: [], provider: 'gemini', model: 'gemini-test' });
+    const res = mockResponse();
+    await handleChat(chatRequest({ pageContext: { selection: 'Backend Engineer, Node.js', url: 'file:///home/sam/job.pdf', title: 'job.pdf' } }), res);
+    expect(res.statusCode).toBe(200);
+    const quoted = chat.mock.calls[0][0].messages.find(m => m.role === 'system' && m.content.includes('Backend Engineer, Node.js'));
+    expect(quoted.content).not.toContain('file://');
+  });
+});
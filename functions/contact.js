@@ -0,0 +1,163 @@
+/**
+ * Contact Form Submissions
+ *
+ * Pipeline behind /api/contact (src/pages/Contact.jsx):
+ * 1. Validate { name, email, message } and drop bot submissions that filled
+ *    the hidden `website` honeypot field.
+ * 2. Reject repeats: the same email and message within DUPLICATE_WINDOW_HOURS
+ *    resolve to the submission already stored instead of creating another.
+ * 3. Store the submission in `contacts/{id}`.
+ * 4. Queue an email to the owner (CONTACT_EMAIL, default GMAIL_USER) with
+ *    Reply-To set to the visitor, and a short confirmation to the visitor
+ *    (templates `contact_notification` and `contact_auto_reply`, sent through
+ *    the outbox in outbox.js).
+ *
+ *   contacts/{id}
+ *     { name, email, message, fingerprint, ipHash, userAgent, clientTimestamp,
+ *       status: 'received'|'queued'|'failed', ownerMailId, confirmationMailId,
+ *       createdAt, updatedAt }
+ *   contactFingerprints/{fingerprint}
+ *     { contactId, expiresAt }   (enable a Firestore TTL policy on expiresAt)
+ *
+ * @requires firebase-admin
+ */
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const mailer = require('./mailer');
+const outbox = require('./outbox');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const LIMITS = { name: [2, 100], email: [3, 254], message: [10, 5000] };
+const DUPLICATE_WINDOW_HOURS = 24;
+
+/**
+ * Error for a submission the visitor has to fix.
+ */
+class ContactInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ContactInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Same visitor, same message: case and whitespace do not matter.
+ * @param {{ email: string, message: string }} contact
+ * @returns {string}
+ */
+const fingerprintOf = ({ email, message }) => sha256(`${email.toLowerCase()}\n${message.replace(/\s+/g, ' ').toLowerCase()}`);
+
+/**
+ * Validate and normalize a submission.
+ * @param {Object} body - Request body
+ * @returns {{ name: string, email: string, message: string, clientTimestamp: string|null }}
+ * @throws {ContactInputError}
+ */
+function validateContact(body) {
+  const fields = {};
+  Object.entries(LIMITS).forEach(([key, [min, max]]) => {
+    const value = typeof body[key] === 'string' ? body[key].trim() : '';
+    if (!value) throw new ContactInputError(`${key} is required`);
+    if (value.length < min || value.length > max) {
+      throw new ContactInputError(`${key} must be between ${min} and ${max} characters`);
+    }
+    fields[key] = value;
+  });
+  if (!mailer.isValidEmail(fields.email)) throw new ContactInputError('Please provide a valid email address');
+  // Names end up in email headers and greetings
+  if (/[\r\n<>]/.test(fields.name)) throw new ContactInputError('name contains invalid characters');
+  const clientTimestamp = typeof body.timestamp === 'string' && !Number.isNaN(Date.parse(body.timestamp)) ? body.timestamp : null;
+  return { ...fields, clientTimestamp };
+}
+
+/**
+ * Whether the honeypot field was filled in (only bots see it).
+ * @param {Object} body
+ * @returns {boolean}
+ */
+const isBot = (body) => Boolean(body && typeof body.website === 'string' && body.website.trim());
+
+/**
+ * Queue the owner notification and the visitor confirmation; failures are recorded, not thrown.
+ * @param {string} id - Contact id
+ * @param {Object} contact - Validated submission
+ * @returns {Promise<{ ownerMailId: string|null, confirmationMailId: string|null }>} Outbox ids
+ */
+async function notify(id, contact) {
+  const owner = process.env.CONTACT_EMAIL || process.env.GMAIL_USER;
+  const [ownerMail, confirmation] = await Promise.allSettled([
+    outbox.enqueue({
+      to: owner,
+      replyTo: contact.email,
+      template: 'contact_notification',
+      data: { name: contact.name, email: contact.email, message: contact.message, contactId: id },
+      source: 'contact',
+    }),
+    // The visitor's message is not echoed back so the form cannot be used to mail arbitrary text
+    outbox.enqueue({ to: contact.email, template: 'contact_auto_reply', data: { name: contact.name }, source: 'contact' }),
+  ]);
+  if (ownerMail.status === 'rejected') console.error(`Contact ${id}: owner notification failed:`, ownerMail.reason);
+  if (confirmation.status === 'rejected') console.error(`Contact ${id}: confirmation failed:`, confirmation.reason);
+  return {
+    ownerMailId: ownerMail.status === 'fulfilled' ? ownerMail.value.id : null,
+    confirmationMailId: confirmation.status === 'fulfilled' ? confirmation.value.id : null,
+  };
+}
+
+/**
+ * Handle a contact form submission.
+ * @param {Object} body - Request body: { name, email, message, timestamp?, website? }
+ * @param {Object} meta - { ip, userAgent }
+ * @returns {Promise<{ id: string|null, duplicate: boolean, ignored?: boolean, ownerMailId?: string|null, confirmationMailId?: string|null }>}
+ * @throws {ContactInputError}
+ */
+async function submitContact(body, { ip, userAgent }) {
+  if (isBot(body || {})) {
+    console.warn('Contact honeypot triggered, submission dropped');
+    return { id: null, duplicate: false, ignored: true };
+  }
+  const contact = validateContact(body || {});
+  const fingerprint = fingerprintOf(contact);
+  const fingerprintRef = db.collection('contactFingerprints').doc(fingerprint);
+  const contactRef = db.collection('contacts').doc();
+
+  const existingId = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(fingerprintRef);
+    const previous = snap.exists ? snap.data() : null;
+    const expiresAt = previous && (previous.expiresAt.toDate ? previous.expiresAt.toDate() : new Date(previous.expiresAt));
+    if (previous && expiresAt > new Date()) return previous.contactId;
+    tx.set(fingerprintRef, { contactId: contactRef.id, expiresAt: new Date(Date.now() + DUPLICATE_WINDOW_HOURS * 3600 * 1000) });
+    tx.set(contactRef, {
+      ...contact,
+      fingerprint,
+      ipHash: ip ? sha256(ip) : null,
+      userAgent: userAgent ? String(userAgent).slice(0, 300) : null,
+      status: 'received',
+      ownerMailId: null,
+      confirmationMailId: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return null;
+  });
+  if (existingId) return { id: existingId, duplicate: true };
+
+  const delivery = await notify(contactRef.id, contact);
+  await contactRef.update({
+    ...delivery,
+    status: delivery.ownerMailId ? 'queued' : 'failed',
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { id: contactRef.id, duplicate: false, ...delivery };
+}
+
+module.exports = {
+  ContactInputError,
+  validateContact,
+  submitContact,
+};
@@ -0,0 +1,72 @@
+const admin = require('firebase-admin');
+const outbox = require('./outbox');
+const { submitContact, validateContact } = require('./contact');
+const { stored } = require('./testing');
+
+const meta = { ip: '203.0.113.1', userAgent: 'jest' };
+const submission = { name: 'Sam Lee', email: 'sam@example.com', message: 'I would like to talk about a role.', timestamp: '2026-10-19T12:00:00.000Z' };
+
+beforeEach(() => {
+  admin.__reset();
+  process.env.CONTACT_EMAIL = 'owner@example.com';
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => {
+  delete process.env.CONTACT_EMAIL;
+  jest.restoreAllMocks();
+});
+
+describe('validateContact', () => {
+  test('trims the fields and keeps a valid client timestamp', () => {
+    expect(validateContact({ ...submission, name: '  Sam Lee ' })).toEqual({ name: 'Sam Lee', email: 'sam@example.com', message: submission.message, clientTimestamp: submission.timestamp });
+  });
+
+  test.each([
+    [{ name: '' }, 'name is required'],
+    [{ message: 'Too short' }, 'message must be between 10 and 5000 characters'],
+    [{ email: 'not-an-email' }, 'Please provide a valid email address'],
+    [{ name: 'Sam\r\nBcc: x@y.z' }, 'name contains invalid characters'],
+  ])('rejects %o', (change, message) => {
+    expect(() => validateContact({ ...submission, ...change })).toThrow(expect.objectContaining({ status: 400, code: 'INVALID_INPUT', message }));
+  });
+});
+
+describe('submitContact', () => {
+  test('stores the submission and queues the owner notification and the confirmation', async () => {
+    const result = await submitContact(submission, meta);
+    expect(result).toMatchObject({ duplicate: false, ownerMailId: expect.any(String), confirmationMailId: expect.any(String) });
+    const [contact] = stored('contacts');
+    expect(contact).toMatchObject({ name: 'Sam Lee', email: 'sam@example.com', status: 'queued', ownerMailId: result.ownerMailId });
+    expect(contact.ipHash).not.toContain('203.0.113.1');
+    const mail = stored('mailOutbox');
+    expect(mail).toEqual(expect.arrayContaining([
+      expect.objectContaining({ to: 'owner@example.com', replyTo: 'sam@example.com', template: 'contact_notification', source: 'contact' }),
+      expect.objectContaining({ to: 'sam@example.com', template: 'contact_auto_reply' }),
+    ]));
+    expect(mail.find(m => m.template === 'contact_auto_reply').text).not.toContain(submission.message);
+  });
+
+  test('resolves a repeat of the same message to the first submission', async () => {
+    const first = await submitContact(submission, meta);
+    const again = await submitContact({ ...submission, email: 'SAM@example.com', message: `  ${submission.message.toUpperCase()} ` }, meta);
+    expect(again).toEqual({ id: first.id, duplicate: true });
+    expect(stored('contacts')).toHaveLength(1);
+    expect(stored('mailOutbox')).toHaveLength(2);
+  });
+
+  test('drops honeypot submissions without storing anything', async () => {
+    expect(await submitContact({ ...submission, website: 'http://spam.example' }, meta)).toEqual({ id: null, duplicate: false, ignored: true });
+    expect(admin.__store.size).toBe(0);
+  });
+
+  test('marks the submission failed when the owner notification cannot be queued', async () => {
+    jest.spyOn(outbox, 'enqueue').mockImplementation(async ({ template }) => {
+      if (template === 'contact_notification') throw new Error('Firestore unavailable');
+      return { id: 'mail-2', status: 'queued' };
+    });
+    const result = await submitContact(submission, meta);
+    expect(result).toMatchObject({ ownerMailId: null, confirmationMailId: 'mail-2' });
+    expect(stored('contacts')[0].status).toBe('failed');
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Email Templates
+ *
+ * Outgoing mail is rendered on the server from a template id plus data, so
+ * every message gets the same branded layout and a plain-text alternative.
+ *
+ * A template version is immutable: { id, version, description, variables,
+ * subject, text, html, sample }. Changing a template means adding the next
+ * version to TEMPLATES; `render` uses the latest unless a version is asked
+ * for, and sent mail records the version it was rendered from.
+ *
+ * Template syntax (subject, text and html):
+ *   {{name}}                  value of `name` (dot paths allowed); HTML-escaped in html
+ *   {{#name}} ... {{/name}}   block kept only when `name` is set and not empty
+ *   {{^name}} ... {{/name}}   block kept only when `name` is not set
+ *
+ * @module emailTemplates
+ */
+
+const SITE_URL = 'https://mexty101.web.app';
+
+/**
+ * Error for an unknown template or template version.
+ */
+class EmailTemplateNotFoundError extends Error {
+  constructor(id, version) {
+    super(version ? `Email template ${id} version ${version} not found` : `Email template ${id} not found`);
+    this.name = 'EmailTemplateNotFoundError';
+    this.status = 404;
+    this.code = 'TEMPLATE_NOT_FOUND';
+  }
+}
+
+/**
+ * Error for data that does not fill a template's required variables.
+ */
+class EmailTemplateDataError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmailTemplateDataError';
+    this.status = 400;
+    this.code = 'INVALID_TEMPLATE_DATA';
+  }
+}
+
+const TEMPLATES = [
+  {
+    id: 'contact_auto_reply',
+    version: 1,
+    description: 'Confirmation sent to a visitor who used the contact form',
+    variables: { name: { required: true, description: 'Visitor name' } },
+    subject: 'Thanks for getting in touch',
+    text: 'Hi {{name}},\n\nThanks for your message. I\'ve received it and will get back to you soon.\n\nJerry',
+    html: '<p>Hi {{name}},</p><p>Thanks for your message. I\'ve received it and will get back to you soon.</p><p>Jerry</p>',
+    sample: { name: 'Ada' },
+  },
+  {
+    id: 'contact_notification',
+    version: 1,
+    description: 'Contact form submission forwarded to the owner',
+    variables: {
+      name: { required: true, description: 'Visitor name' },
+      email: { required: true, description: 'Visitor email' },
+      message: { required: true, description: 'Message text' },
+      contactId: { required: true, description: 'Id of the stored submission' },
+    },
+    subject: 'New contact from {{name}}',
+    text: '{{name}} <{{email}}> wrote:\n\n{{message}}\n\nSubmission {{contactId}}',
+    html: '<p><strong>{{name}}</strong> &lt;<a href="mailto:{{email}}">{{email}}</a>&gt; wrote:</p>'
+      + '<blockquote style="margin:0;padding-left:12px;border-left:3px solid #0891b2">{{message}}</blockquote>'
+      + '<p style="color:#64748b;font-size:12px">Submission {{contactId}}</p>',
+    sample: { name: 'Ada', email: 'ada@example.com', message: 'Hi Jerry,\nI\'d love to talk about a role on our ML team.', contactId: 'sample123' },
+  },
+  {
+    id: 'application_follow_up',
+    version: 1,
+    description: 'Follow-up to a recruiter or hiring manager after applying',
+    variables: {
+      senderName: { required: true, description: 'Applicant name' },
+      jobTitle: { required: true, description: 'Role applied for' },
+      companyName: { required: true, description: 'Hiring company' },
+      recipientName: { required: false, description: 'Recruiter or hiring manager name' },
+      appliedOn: { required: false, description: 'When the application was sent, e.g. "March 3"' },
+    },
+    subject: 'Following up on my {{jobTitle}} application',
+    text: 'Hi{{#recipientName}} {{recipientName}}{{/recipientName}},\n\n'
+      + 'I applied for the {{jobTitle}} role at {{companyName}}{{#appliedOn}} on {{appliedOn}}{{/appliedOn}} and wanted to follow up. '
+      + 'I\'m still very interested in the position and would be glad to share anything else that helps.\n\n'
+      + 'Thank you for your time,\n{{senderName}}',
+    html: '<p>Hi{{#recipientName}} {{recipientName}}{{/recipientName}},</p>'
+      + '<p>I applied for the <strong>{{jobTitle}}</strong> role at {{companyName}}{{#appliedOn}} on {{appliedOn}}{{/appliedOn}} and wanted to follow up. '
+      + 'I\'m still very interested in the position and would be glad to share anything else that helps.</p>'
+      + '<p>Thank you for your time,<br/>{{senderName}}</p>',
+    sample: { senderName: 'Jerry', jobTitle: 'Backend Engineer', companyName: 'Stripe', recipientName: 'Sam', appliedOn: 'March 3' },
+  },
+  {
+    id: 'application_submission',
+    version: 1,
+    description: 'Application to a recruiter with the resume (and cover letter) attached',
+    variables: {
+      senderName: { required: true, description: 'Applicant name' },
+      jobTitle: { required: true, description: 'Role applied for' },
+      companyName: { required: true, description: 'Hiring company' },
+      recipientName: { required: false, description: 'Recruiter or hiring manager name' },
+      note: { required: false, description: 'Personal note from the applicant' },
+      coverLetter: { required: false, description: 'Set when a cover letter is attached' },
+    },
+    subject: 'Application for {{jobTitle}} – {{senderName}}',
+    text: 'Hi{{#recipientName}} {{recipientName}}{{/recipientName}},\n\n'
+      + 'I\'d like to apply for the {{jobTitle}} role at {{companyName}}. '
+      + 'My resume{{#coverLetter}} and cover letter are{{/coverLetter}}{{^coverLetter}} is{{/coverLetter}} attached.\n\n'
+      + '{{#note}}{{note}}\n\n{{/note}}'
+      + 'I look forward to hearing from you.\n\nBest regards,\n{{senderName}}',
+    html: '<p>Hi{{#recipientName}} {{recipientName}}{{/recipientName}},</p>'
+      + '<p>I\'d like to apply for the <strong>{{jobTitle}}</strong> role at {{companyName}}. '
+      + 'My resume{{#coverLetter}} and cover letter are{{/coverLetter}}{{^coverLetter}} is{{/coverLetter}} attached.</p>'
+      + '{{#note}}<p>{{note}}</p>{{/note}}'
+      + '<p>I look forward to hearing from you.</p><p>Best regards,<br/>{{senderName}}</p>',
+    sample: { senderName: 'Jerry', jobTitle: 'Backend Engineer', companyName: 'Stripe', recipientName: 'Sam', coverLetter: true, note: 'I\'ve admired Stripe\'s API design for years and would love to help build it.' },
+  },
+  {
+    id: 'resume_delivery',
+    version: 1,
+    description: 'Links to a generated resume and cover letter',
+    variables: {
+      name: { required: true, description: 'Recipient name' },
+      jobTitle: { required: true, description: 'Target role' },
+      companyName: { required: true, description: 'Target company' },
+      resumeUrl: { required: true, description: 'Signed resume URL' },
+      coverLetterUrl: { required: false, description: 'Signed cover letter URL' },
+    },
+    subject: 'Your resume for {{jobTitle}} at {{companyName}}',
+    text: 'Hi {{name}},\n\nYour resume for {{jobTitle}} at {{companyName}} is ready:\n{{resumeUrl}}\n'
+      + '{{#coverLetterUrl}}\nCover letter:\n{{coverLetterUrl}}\n{{/coverLetterUrl}}'
+      + '\nDownload links expire after 24 hours.',
+    html: '<p>Hi {{name}},</p><p>Your resume for <strong>{{jobTitle}}</strong> at {{companyName}} is ready.</p>'
+      + '<p><a href="{{resumeUrl}}" style="display:inline-block;background:#0891b2;color:#fff;padding:10px 16px;border-radius:6px;text-decoration:none">Download resume</a></p>'
+      + '{{#coverLetterUrl}}<p><a href="{{coverLetterUrl}}">Download cover letter</a></p>{{/coverLetterUrl}}'
+      + '<p style="color:#64748b;font-size:12px">Download links expire after 24 hours.</p>',
+    sample: { name: 'Jerry', jobTitle: 'Backend Engineer', companyName: 'Stripe', resumeUrl: `${SITE_URL}/sample-resume.pdf`, coverLetterUrl: `${SITE_URL}/sample-cover-letter.pdf` },
+  },
+];
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const lookup = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Fill a template string.
+ * @param {string} source
+ * @param {Object} data
+ * @param {(value: string) => string} [escape] - Applied to every substituted value
+ * @returns {string}
+ */
+function fill(source, data, escape = String) {
+  return source
+    .replace(/\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, path, block) => (isSet(lookup(data, path)) === (kind === '#') ? block : ''))
+    .replace(/\{\{([\w.]+)\}\}/g, (match, path) => {
+      const value = lookup(data, path);
+      return isSet(value) ? escape(String(value)) : '';
+    });
+}
+
+/**
+ * Wrap a rendered body in the shared branded layout.
+ * @param {string} body - HTML fragment
+ * @param {string} [preheader] - Preview text shown by mail clients
+ * @returns {string} Complete HTML document
+ */
+function layout(body, preheader = '') {
+  return '<!doctype html><html><head><meta charset="utf-8"/><meta name="viewport" content="width=device-width"/></head>'
+    + '<body style="margin:0;background:#f1f5f9;font-family:Arial,Helvetica,sans-serif;color:#0b1021">'
+    + `<div style="display:none;max-height:0;overflow:hidden">${escapeHtml(preheader)}</div>`
+    + '<table role="presentation" width="100%" cellpadding="0" cellspacing="0"><tr><td align="center" style="padding:24px 12px">'
+    + '<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:560px;background:#fff;border-radius:12px;overflow:hidden">'
+    + '<tr><td style="background:#0f172a;color:#fff;padding:16px 24px;font-size:18px;font-weight:bold">Mexty</td></tr>'
+    + `<tr><td style="padding:24px;font-size:15px;line-height:1.6">${body}</td></tr>`
+    + `<tr><td style="padding:16px 24px;border-top:1px solid #e2e8f0;color:#64748b;font-size:12px">Sent by Mexty · <a href="${SITE_URL}" style="color:#0891b2">${SITE_URL.replace('https://', '')}</a></td></tr>`
+    + '</table></td></tr></table></body></html>';
+}
+
+/** Plain-text counterpart of the layout footer */
+const textFooter = () => `\n\n--\nSent by Mexty · ${SITE_URL}`;
+
+/**
+ * HTML body for a plain text message: escaped paragraphs with line breaks.
+ * @param {string} text
+ * @returns {string}
+ */
+const textToHtml = (text) => String(text).split(/\n{2,}/).map(p => `<p>${escapeHtml(p).replace(/\n/g, '<br/>')}</p>`).join('');
+
+/**
+ * Find a template version.
+ * @param {string} id
+ * @param {number} [version] - Latest when omitted
+ * @returns {Object}
+ * @throws {EmailTemplateNotFoundError}
+ */
+function getTemplate(id, version) {
+  const versions = TEMPLATES.filter(t => t.id === id).sort((a, b) => b.version - a.version);
+  if (!versions.length) throw new EmailTemplateNotFoundError(id);
+  if (version === undefined || version === null) return versions[0];
+  const match = versions.find(t => t.version === Number(version));
+  if (!match) throw new EmailTemplateNotFoundError(id, version);
+  return match;
+}
+
+/**
+ * Latest version of every template, without bodies.
+ * @returns {Array<{ id: string, version: number, description: string, variables: Object }>}
+ */
+function listTemplates() {
+  const ids = [...new Set(TEMPLATES.map(t => t.id))];
+  return ids.map(id => {
+    const { version, description, variables } = getTemplate(id);
+    return { id, version, description, variables };
+  });
+}
+
+/**
+ * Render a template.
+ * @param {string} id - Template id
+ * @param {Object} data - Variable values
+ * @param {Object} [options]
+ * @param {number} [options.version] - Template version (default: latest)
+ * @returns {{ template: string, version: number, subject: string, text: string, html: string }}
+ * @throws {EmailTemplateNotFoundError|EmailTemplateDataError}
+ */
+function render(id, data = {}, { version } = {}) {
+  const template = getTemplate(id, version);
+  if (!data || typeof data !== 'object') throw new EmailTemplateDataError('data must be an object');
+  const missing = Object.entries(template.variables)
+    .filter(([name, spec]) => spec.required && !isSet(lookup(data, name)))
+    .map(([name]) => name);
+  if (missing.length) throw new EmailTemplateDataError(`Missing template data: ${missing.join(', ')}`);
+
+  const text = fill(template.text, data);
+  // Values can come from visitors, so they are escaped in HTML and kept out of header line breaks
+  const subject = fill(template.subject, data).replace(/[\r\n]+/g, ' ').trim();
+  const html = fill(template.html, data, value => escapeHtml(value).replace(/\n/g, '<br/>'));
+  return {
+    template: template.id,
+    version: template.version,
+    subject,
+    text: text + textFooter(),
+    html: layout(html, text.split('\n')[0]),
+  };
+}
+
+/**
+ * Render a template with its sample data, overridden by `data`.
+ * @param {string} id
+ * @param {Object} [data]
+ * @param {Object} [options] - { version }
+ * @returns {{ template: string, version: number, subject: string, text: string, html: string, data: Object }}
+ */
+function preview(id, data = {}, options = {}) {
+  const merged = { ...getTemplate(id, options.version).sample, ...data };
+  return { ...render(id, merged, options), data: merged };
+}
+
+module.exports = {
+  EmailTemplateNotFoundError,
+  EmailTemplateDataError,
+  TEMPLATES,
+  layout,
+  textToHtml,
+  textFooter,
+  getTemplate,
+  listTemplates,
+  render,
+  preview,
+};
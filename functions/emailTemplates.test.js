@@ -0,0 +1,73 @@
+const { render, preview, getTemplate, listTemplates, TEMPLATES } = require('./emailTemplates');
+
+const contact = { name: 'Ada', email: 'ada@example.com', message: 'Hello', contactId: 'c1' };
+
+describe('render', () => {
+  test('fills the subject, text and html and adds the layout', () => {
+    const mail = render('contact_auto_reply', { name: 'Ada' });
+    expect(mail).toMatchObject({ template: 'contact_auto_reply', version: 1, subject: 'Thanks for getting in touch' });
+    expect(mail.text).toMatch(/^Hi Ada,\n/);
+    expect(mail.text).toContain('Sent by Mexty');
+    expect(mail.html).toMatch(/^<!doctype html>/);
+    expect(mail.html).toContain('<p>Hi Ada,</p>');
+  });
+
+  test('escapes values in html but not in text', () => {
+    const mail = render('contact_notification', { ...contact, name: '<b>Ada</b> & "co"', message: 'Line one\n<script>x</script>' });
+    expect(mail.html).toContain('&lt;b&gt;Ada&lt;/b&gt; &amp; &quot;co&quot;');
+    expect(mail.html).toContain('Line one<br/>&lt;script&gt;x&lt;/script&gt;');
+    expect(mail.html).not.toContain('<script>');
+    expect(mail.text).toContain('<b>Ada</b> & "co"');
+  });
+
+  test('keeps line breaks out of the subject', () => {
+    expect(render('contact_notification', { ...contact, name: 'Ada\r\nBcc: all@example.com' }).subject).toBe('New contact from Ada Bcc: all@example.com');
+  });
+
+  test('keeps blocks by whether their variable is set', () => {
+    const base = { senderName: 'Sam', jobTitle: 'Engineer', companyName: 'Stripe' };
+    const withName = render('application_follow_up', { ...base, recipientName: 'Alex' }).text;
+    const withoutName = render('application_follow_up', base).text;
+    expect(withName).toContain('Alex');
+    expect(withName).not.toBe(withoutName);
+    expect(withoutName).not.toContain('{{');
+  });
+
+  test('reports every missing required variable', () => {
+    expect(() => render('contact_notification', { name: 'Ada' })).toThrow(expect.objectContaining({
+      code: 'INVALID_TEMPLATE_DATA',
+      status: 400,
+      message: 'Missing template data: email, message, contactId',
+    }));
+    expect(() => render('contact_auto_reply', 'Ada')).toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE_DATA' }));
+  });
+
+  test('rejects an unknown template or version', () => {
+    expect(() => render('newsletter', {})).toThrow(expect.objectContaining({ code: 'TEMPLATE_NOT_FOUND', status: 404 }));
+    expect(() => render('contact_auto_reply', { name: 'Ada' }, { version: 9 })).toThrow('Email template contact_auto_reply version 9 not found');
+  });
+});
+
+describe('versions', () => {
+  const next = { ...getTemplate('contact_auto_reply'), version: 2, subject: 'Got your message, {{name}}' };
+  beforeEach(() => TEMPLATES.push(next));
+  afterEach(() => TEMPLATES.splice(TEMPLATES.indexOf(next), 1));
+
+  test('renders the latest version unless one is asked for', () => {
+    expect(render('contact_auto_reply', { name: 'Ada' })).toMatchObject({ version: 2, subject: 'Got your message, Ada' });
+    expect(render('contact_auto_reply', { name: 'Ada' }, { version: '1' })).toMatchObject({ version: 1, subject: 'Thanks for getting in touch' });
+    expect(listTemplates().find(t => t.id === 'contact_auto_reply').version).toBe(2);
+  });
+});
+
+describe('preview', () => {
+  test.each(TEMPLATES.map(t => [t.id, t.version]))('renders %s v%d with its sample data', (id, version) => {
+    const { data, html } = preview(id, {}, { version });
+    expect(data).toEqual(getTemplate(id, version).sample);
+    expect(html).not.toMatch(/\{\{/);
+  });
+
+  test('lets data override the sample', () => {
+    expect(preview('contact_auto_reply', { name: 'Grace' }).text).toMatch(/^Hi Grace,/);
+  });
+});
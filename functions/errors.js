@@ -0,0 +1,158 @@
+/**
+ * Error codes and the shared error reply
+ *
+ * Every error reply has the same shape:
+ *   { error, code, message, requestId, timestamp, ...details }
+ * `code` is stable (see ERROR_CODES) and is what clients branch on; `error`
+ * is a short title and `message` a sentence safe to show a user, and both may
+ * change. `requestId` is also sent as the X-Request-Id header and appears in
+ * the server's log lines for the request, so a user's report can be matched
+ * to its logs.
+ *
+ * Modules' errors carry `status` and `code`. Provider failures (ProviderError)
+ * are answered with a PROVIDER_* code and a generic message, and anything
+ * else with INTERNAL, so upstream and internal error text never reaches
+ * clients; it is logged instead.
+ */
+const crypto = require('crypto');
+const { ProviderError } = require('./providers');
+
+/**
+ * Error codes: HTTP status, reply title and, where the error's own text is
+ * not shown, the message sent instead.
+ */
+const ERROR_CODES = {
+  INVALID_INPUT: { status: 400, title: 'Invalid input' },
+  INVALID_MODEL: { status: 400, title: 'Invalid model' },
+  INVALID_ACTION: { status: 400, title: 'Invalid action' },
+  INVALID_EMAIL: { status: 400, title: 'Invalid email' },
+  INVALID_PERSONA: { status: 400, title: 'Invalid persona' },
+  INVALID_TEMPLATE_DATA: { status: 400, title: 'Invalid template' },
+  INVALID_ATTACHMENT: { status: 400, title: 'Invalid attachment' },
+  UNAUTHORIZED: { status: 401, title: 'Unauthorized' },
+  INVALID_CREDENTIALS: { status: 401, title: 'Sign-in failed' },
+  FORBIDDEN: { status: 403, title: 'Forbidden' },
+  ACCOUNT_DISABLED: { status: 403, title: 'Account disabled' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  SESSION_NOT_FOUND: { status: 404, title: 'Session not found' },
+  PROFILE_NOT_FOUND: { status: 404, title: 'Profile not found' },
+  PERSONA_NOT_FOUND: { status: 404, title: 'Persona not found' },
+  TEMPLATE_NOT_FOUND: { status: 404, title: 'Template not found' },
+  DOCUMENT_NOT_FOUND: { status: 404, title: 'Document not found' },
+  VERSION_NOT_FOUND: { status: 404, title: 'Resume version not found' },
+  MAIL_NOT_FOUND: { status: 404, title: 'Mail not found' },
+  INCIDENT_NOT_FOUND: { status: 404, title: 'Incident not found' },
+  METHOD_NOT_ALLOWED: { status: 405, title: 'Method not allowed' },
+  QUOTA_EXCEEDED: { status: 429, title: 'Too many requests' },
+  BUDGET_EXCEEDED: { status: 429, title: 'Budget exceeded' },
+  PROVIDER_ERROR: { status: 502, title: 'AI provider error', message: 'The AI service could not complete the request, please try again' },
+  PROVIDER_RATE_LIMITED: { status: 503, title: 'AI provider busy', message: 'The AI service is busy right now, please try again in a minute' },
+  PROVIDER_UNAVAILABLE: { status: 503, title: 'AI provider unavailable', message: 'The AI service is unavailable right now, please try again later' },
+  PROVIDER_TIMEOUT: { status: 504, title: 'AI provider timeout', message: 'The AI service took too long to respond, please try again' },
+  INTERNAL: { status: 500, title: 'Server error', message: 'Something went wrong on our side, please try again later' },
+};
+
+/** Code for an error reply written without one, by status */
+const STATUS_CODES = { 400: 'INVALID_INPUT', 401: 'UNAUTHORIZED', 403: 'FORBIDDEN', 404: 'NOT_FOUND', 405: 'METHOD_NOT_ALLOWED', 429: 'QUOTA_EXCEEDED' };
+
+/** ProviderError kinds (see providers.js) -> code */
+const PROVIDER_CODES = { timeout: 'PROVIDER_TIMEOUT', rate_limit: 'PROVIDER_RATE_LIMITED', unavailable: 'PROVIDER_UNAVAILABLE', error: 'PROVIDER_ERROR' };
+
+/** Request ids a client may choose; anything else is replaced */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{8,128}$/;
+
+/**
+ * Give a request its id and make every error reply on `res` carry it: the
+ * client's X-Request-Id when it sent a usable one, otherwise a new UUID.
+ * Sets `req.id` and the X-Request-Id reply header. Error replies written
+ * without a `code` get the one for their status.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @returns {string} The request id
+ */
+function assignRequestId(req, res) {
+  const sent = String((req.headers && req.headers['x-request-id']) || '');
+  req.id = REQUEST_ID_PATTERN.test(sent) ? sent : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  const json = res.json.bind(res);
+  res.json = (body) => json(res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)
+    ? { code: STATUS_CODES[res.statusCode] || 'INTERNAL', ...body, requestId: req.id, timestamp: body.timestamp || new Date().toISOString() }
+    : body);
+  return req.id;
+}
+
+/**
+ * Wrap a middleware (corsMiddleware) so every request gets its id first.
+ * @param {(req, res, next: Function) => *} middleware
+ * @returns {(req, res, next: Function) => *}
+ */
+const withRequestId = (middleware) => (req, res, next) => {
+  assignRequestId(req, res);
+  return middleware(req, res, next);
+};
+
+/**
+ * Error reply body for a code.
+ * @param {string} code - A key of ERROR_CODES
+ * @param {string} [message] - Defaults to the code's message or title
+ * @param {Object} [details] - Extra fields, e.g. { retryAfter }
+ * @returns {{ error: string, code: string, message: string, timestamp: string }}
+ */
+function errorBody(code, message, details = {}) {
+  const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL;
+  return { error: entry.title, code, message: message || entry.message || entry.title, ...details, timestamp: new Date().toISOString() };
+}
+
+/**
+ * Answer with an error code and its status.
+ * @param {import('express').Response} res
+ * @param {string} code - A key of ERROR_CODES
+ * @param {string} [message]
+ * @param {Object} [details]
+ * @returns {*}
+ */
+function replyError(res, code, message, details) {
+  return res.status((ERROR_CODES[code] || ERROR_CODES.INTERNAL).status).json(errorBody(code, message, details));
+}
+
+/**
+ * Status and user-safe body for a thrown error (see the module docs).
+ * @param {Error} error
+ * @returns {{ status: number, body: Object }}
+ */
+function describeError(error) {
+  if (error instanceof ProviderError) {
+    const code = PROVIDER_CODES[error.kind] || 'PROVIDER_ERROR';
+    return { status: ERROR_CODES[code].status, body: errorBody(code) };
+  }
+  if (error && typeof error.code === 'string' && ERROR_CODES[error.code] && error.code !== 'INTERNAL') {
+    const status = error.status || ERROR_CODES[error.code].status;
+    return { status, body: errorBody(error.code, error.message, error.details ? { details: error.details } : {}) };
+  }
+  return { status: 500, body: errorBody('INTERNAL') };
+}
+
+/**
+ * Answer a thrown error. Server-side failures (5xx) are logged with the
+ * request id; the caller's own errors are not.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {Error} error
+ * @param {string} label - Log prefix, e.g. 'Sessions Error'
+ * @returns {*}
+ */
+function sendError(req, res, error, label) {
+  const { status, body } = describeError(error);
+  if (status >= 500) console.error(`${label} [${req.id}]:`, error);
+  return res.status(status).json(body);
+}
+
+module.exports = {
+  ERROR_CODES,
+  assignRequestId,
+  withRequestId,
+  errorBody,
+  replyError,
+  describeError,
+  sendError,
+};
@@ -0,0 +1,99 @@
+const { ProviderError } = require('./providers');
+const { ERROR_CODES, assignRequestId, describeError, sendError, replyError } = require('./errors');
+const { mockRequest, mockResponse } = require('./testing');
+
+beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+describe('describeError', () => {
+  test.each([
+    ['timeout', 'PROVIDER_TIMEOUT', 504],
+    ['rate_limit', 'PROVIDER_RATE_LIMITED', 503],
+    ['unavailable', 'PROVIDER_UNAVAILABLE', 503],
+    ['error', 'PROVIDER_ERROR', 502],
+  ])('answers a %s provider failure with %s and a safe message', (kind, code, status) => {
+    const error = new ProviderError('openai: 503 upstream connect error, key sk-live-123', { provider: 'openai', kind });
+    const { status: replyStatus, body } = describeError(error);
+    expect(replyStatus).toBe(status);
+    expect(body).toMatchObject({ code, message: ERROR_CODES[code].message });
+    expect(JSON.stringify(body)).not.toContain('sk-live');
+  });
+
+  test('passes on the message of an error with a known code', () => {
+    const error = Object.assign(new Error('Session s1 not found'), { status: 404, code: 'SESSION_NOT_FOUND' });
+    expect(describeError(error)).toMatchObject({ status: 404, body: { code: 'SESSION_NOT_FOUND', message: 'Session s1 not found' } });
+  });
+
+  test.each([
+    ['a plain error', new Error('ECONNREFUSED 10.0.0.4:5432')],
+    ['an unknown code', Object.assign(new Error('quota project-123 exhausted'), { code: 'RESOURCE_EXHAUSTED' })],
+    ['a thrown string', 'raw provider text'],
+  ])('answers %s with INTERNAL without its text', (_, error) => {
+    const { status, body } = describeError(error);
+    expect(status).toBe(500);
+    expect(body).toMatchObject({ code: 'INTERNAL', message: ERROR_CODES.INTERNAL.message });
+  });
+});
+
+describe('assignRequestId', () => {
+  test('keeps a usable client id', () => {
+    const req = mockRequest({ headers: { 'X-Request-Id': 'client-id.0001' } });
+    const res = mockResponse();
+    expect(assignRequestId(req, res)).toBe('client-id.0001');
+    expect(res.headers['x-request-id']).toBe('client-id.0001');
+  });
+
+  test.each([
+    ['too short', 'abc'],
+    ['header injection', 'abcdefgh\r\nSet-Cookie: a=b'],
+    ['spaces', 'request id 12345'],
+  ])('replaces a client id with %s', (_, sent) => {
+    const req = mockRequest({ headers: { 'X-Request-Id': sent } });
+    const id = assignRequestId(req, mockResponse());
+    expect(id).not.toBe(sent);
+    expect(id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('adds the request id, a code and a timestamp to error replies only', () => {
+    const req = mockRequest();
+    const res = mockResponse();
+    assignRequestId(req, res);
+    res.status(404).json({ error: 'Not found' });
+    expect(res.body).toEqual({ code: 'NOT_FOUND', error: 'Not found', requestId: req.id, timestamp: expect.any(String) });
+
+    const ok = mockResponse();
+    assignRequestId(req, ok);
+    ok.status(200).json({ response: 'Hi' });
+    expect(ok.body).toEqual({ response: 'Hi' });
+  });
+});
+
+describe('sendError', () => {
+  test('logs server failures with the request id and answers with a safe body', () => {
+    const req = mockRequest();
+    const res = mockResponse();
+    assignRequestId(req, res);
+    sendError(req, res, new Error('db password rejected'), 'Test Error');
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toMatchObject({ code: 'INTERNAL', requestId: req.id });
+    expect(JSON.stringify(res.body)).not.toContain('password');
+    expect(console.error).toHaveBeenCalledWith(`Test Error [${req.id}]:`, expect.any(Error));
+  });
+
+  test('does not log errors caused by the caller', () => {
+    const req = mockRequest();
+    const res = mockResponse();
+    sendError(req, res, Object.assign(new Error('Bad input'), { status: 400, code: 'INVALID_INPUT' }), 'Test Error');
+    expect(res.statusCode).toBe(400);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('replyError', () => {
+  test('spreads details into the body', () => {
+    const res = mockResponse();
+    replyError(res, 'QUOTA_EXCEEDED', 'Slow down', { retryAfter: 30 });
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ error: 'Too many requests', code: 'QUOTA_EXCEEDED', message: 'Slow down', retryAfter: 30 });
+  });
+});
@@ -3,6 +3,8 @@
  * 
  * This file contains secure backend endpoints that proxy API calls to external services
  * keeping API keys and secrets secure on the server-side.
+ * Errors are answered in one shape with a stable `code` and the request's id
+ * (see errors.js).
  * 
  * Required Firebase Secrets (set using Firebase CLI):
  * - OPENAI_API_KEY: OpenAI API key for GPT models and TTS
@@ -14,20 +16,41 @@
  * To set secrets, use:
  * firebase functions:secrets:set SECRET_NAME
  * 
+ * Optional configuration:
+ * - AI_PROVIDER_ORDER: failover order for AI providers (default "gemini,openai")
+ * - TRANSCRIBE_PROVIDER: speech-to-text provider id, "openai" (default) or "local" for the emulator
+ * - CONTACT_EMAIL: where contact form submissions are sent (default GMAIL_USER)
+ * - FIREBASE_API_KEY: the project's web API key, for extension sign-in (/api/auth/login)
+ * - TWIN_PROFILE_UID: uid whose resume profile (profiles/{uid}) grounds the chat twin (default "jerronce")
+ *
  * @requires firebase-functions
- * @requires @google/generative-ai
- * @requires openai
- * @requires nodemailer
  */
 const functions = require('firebase-functions');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { OpenAI } = require('openai');
-const nodemailer = require('nodemailer');
-const fetch = require('node-fetch');
-const { v4: uuidv4 } = require('uuid');
+const { registry } = require('./providers');
+const { createGuard, clientIp } = require('./auth');
+const sessions = require('./sessions');
+const persona = require('./persona');
+const { handleChat } = require('./chat');
+const { synthesizeSpeech } = require('./tts');
+const mailer = require('./mailer');
+const emailTemplates = require('./emailTemplates');
+const outbox = require('./outbox');
+const { resolveAttachments } = require('./attachments');
+const { sendApplication } = require('./applications');
+const { transcriber } = require('./transcription');
+const { submitContact } = require('./contact');
+const usage = require('./usage');
+const moderation = require('./moderation');
+const api = require('./api');
+const profiles = require('./profiles');
+const { matchResume } = require('./keywordMatch');
+const { createValidator } = require('./validation');
+const { withRequestId, replyError, sendError } = require('./errors');
+
+// resumeGenerator.js initializes Storage on load, so it is required lazily
+const documents = () => require('./resumeGenerator');
 
-// Firebase Admin for Storage signed URLs
 const admin = require('firebase-admin');
 if (!admin.apps.length) {
   try {
@@ -36,7 +59,6 @@ if (!admin.apps.length) {
     // ignore duplicate init in emulator
   }
 }
-const storage = admin.storage();
 
 /**
  * CORS Configuration
@@ -60,229 +82,513 @@ const corsOptions = {
     else callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
+  exposedHeaders: ['X-Request-Id'],
   optionsSuccessStatus: 200
 };
-const corsMiddleware = cors(corsOptions);
+// Every request gets an id first, for its error replies and log lines (see errors.js)
+const corsMiddleware = withRequestId(cors(corsOptions));
 
 /**
- * Initialize AI clients with environment variables
+ * Auth + per-user/per-IP quotas for each endpoint (see auth.js).
+ * The AI chat, voice and contact endpoints also serve the public portfolio, so they admit
+ * anonymous callers on a stricter tier; the rest require sign-in. Metered endpoints
+ * are also held to the daily AI budgets (see usage.js).
  */
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const openai = new OpenAI({ apiKey: import.meta.env.VITE_OPENAI_API_KEY });
+const guards = {
+  ai: createGuard({ scope: 'ai', allowAnonymous: true, metered: true }),
+  generateResume: createGuard({ scope: 'generateResume', metered: true }),
+  atsMatch: createGuard({ scope: 'atsMatch', metered: true }),
+  sendMail: createGuard({ scope: 'sendMail' }),
+  emailPreview: createGuard({ scope: 'emailPreview' }),
+  mailStatus: createGuard({ scope: 'mailStatus' }),
+  tts: createGuard({ scope: 'tts', allowAnonymous: true, metered: true }),
+  transcribe: createGuard({ scope: 'transcribe', allowAnonymous: true, metered: true }),
+  contact: createGuard({ scope: 'contact', allowAnonymous: true }),
+  sessions: createGuard({ scope: 'sessions', allowAnonymous: true }),
+  persona: createGuard({ scope: 'persona', allowAnonymous: true }),
+  usage: createGuard({ scope: 'usage' }),
+  moderation: createGuard({ scope: 'moderation' }),
+};
 
 /**
- * Initialize Nodemailer transporter for Gmail
+ * Request and reply schemas for each endpoint (see schemas.js). A request that
+ * does not match is answered with 400 and a `details` list before the handler runs.
  */
-const mailTransporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.GMAIL_USER,
-    pass: process.env.GMAIL_APP_PASSWORD
-  }
-});
+const contracts = Object.fromEntries(
+  ['ai', 'sessions', 'persona', 'generateResume', 'atsMatch', 'sendMail', 'mailStatus', 'emailPreview', 'contact', 'tts', 'transcribe', 'usage', 'moderation']
+    .map(name => [name, createValidator(`/api/${name}`)])
+);
 
 /**
  * /api/ai - Unified AI Chat Endpoint
+ * Request body: { message: string, model?: 'gemini'|'openai', sessionId?: string, stream?: boolean, tools?: boolean }
+ * Prior context is loaded from the stored session (see sessions.js); client-sent
+ * `history` is ignored. The active twin persona (see persona.js) is applied as
+ * the system prompt, and passages from the synced profile that match the
+ * message (see retrieval.js) are added as grounding; the reply lists them in
+ * `sources` as { ref, id, source, title, url }, cited in the text as [ref]. Without `sessionId` a new session is started, and every
+ * reply carries the `sessionId` to continue it.
+ * `model` picks the preferred provider; if it fails the registry falls over to
+ * the next one and `model` in the reply names the provider that answered.
+ * The model may call tools (resume and cover letter generation, TTS, email;
+ * see tools.js) with the caller's permissions; `tools: false` turns them off.
+ * The reply carries `parts`, the text and tool results in order, e.g. a
+ * { type: 'tool_result', name: 'generate_resume', ok, result: { url } } part.
+ * With `stream: true` (or `Accept: text/event-stream`) the reply is sent as
+ * Server-Sent Events; see streaming.js for the event format. Tool activity is
+ * reported as `tool_call` and `tool_result` events between the tokens.
+ * The message and the reply are moderated (see moderation.js). A blocked
+ * message is answered with a refusal without calling the model; a blocked
+ * reply is replaced by one (streams get a `moderated` event first). Either
+ * way the reply carries `moderated: { direction: 'input'|'output' }`.
+ * `pageContext: { selection, url?, title? }` carries text the user selected
+ * on a web page (the extension's context menu). It is passed to the model as
+ * untrusted quoted data, never as part of the message, and tools are off for
+ * the request (see pageContext.js). The reply then carries
+ * `injection: { flagged, patterns, matches }` from a scan for
+ * instruction-like text in it.
  */
 exports.ai = functions.https.onRequest(async (req, res) => {
-  return corsMiddleware(req, res, async () => {
-    if (req.method !== 'POST') {
-      return res.status(405).json({ error: 'Method not allowed', message: 'Only POST requests are accepted' });
+  return corsMiddleware(req, res, () => guards.ai(req, res, () => contracts.ai(req, res, () => handleChat(req, res))));
+});
+
+/**
+ * /api/sessions - Conversation Session Endpoint
+ * GET    ?id=<sessionId>          -> { session, messages }
+ * GET    (no id, signed in only)  -> { sessions }
+ * PATCH  { id, title }            -> { success }
+ * DELETE ?id=<sessionId>          -> { success }
+ */
+exports.sessions = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.sessions(req, res, () => contracts.sessions(req, res, async () => {
+    const id = req.query.id || (req.body && req.body.id);
+    try {
+      if (req.method === 'GET' && id) {
+        const session = await sessions.getSession(id, req.user);
+        const messages = await sessions.listMessages(id);
+        return res.status(200).json({ session: sessions.serializeSession(session), messages: messages.map(sessions.serializeMessage) });
+      }
+      if (req.method === 'GET') {
+        if (req.user.anonymous) {
+          return replyError(res, 'UNAUTHORIZED', 'Sign in to list conversations');
+        }
+        return res.status(200).json({ sessions: await sessions.listSessions(req.user) });
+      }
+      if (req.method === 'PATCH') {
+        await sessions.renameSession(id, req.user, req.body.title);
+        return res.status(200).json({ success: true });
+      }
+      if (req.method === 'DELETE') {
+        await sessions.deleteSession(id, req.user);
+        return res.status(200).json({ success: true });
+      }
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Use GET, PATCH or DELETE');
+    } catch (error) {
+      return sendError(req, res, error, 'Sessions Error');
     }
+  })));
+});
+
+/**
+ * /api/persona - Twin Persona Management Endpoint
+ * GET  ?view=prompt                                   -> { version, systemPrompt } (public)
+ * GET                                                 -> { activeVersion, versions } (admin)
+ * POST { action: 'publish', persona, note?, activate? } -> { version } (admin)
+ * POST { action: 'preview', persona | version, message, model? } -> { systemPrompt, response, model } (admin)
+ * POST { action: 'activate', version }                 -> { success, activeVersion } (admin; also rolls back)
+ * Admin means a Firebase user with the `admin: true` custom claim.
+ */
+exports.persona = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.persona(req, res, () => contracts.persona(req, res, async () => {
     try {
-      const { message, model = 'gemini', history = [] } = req.body;
-      if (!message || typeof message !== 'string') {
-        return res.status(400).json({ error: 'Invalid input', message: 'Message is required and must be a string' });
+      if (req.method === 'GET' && req.query.view === 'prompt') {
+        const active = await persona.getActivePersona();
+        return res.status(200).json({ version: active.version, systemPrompt: persona.buildSystemPrompt(active) });
+      }
+      if (!req.user.claims || req.user.claims.admin !== true) {
+        return replyError(res, 'FORBIDDEN', 'Persona management requires an admin account');
+      }
+      if (req.method === 'GET') {
+        return res.status(200).json(await persona.listVersions());
+      }
+      if (req.method !== 'POST') {
+        return replyError(res, 'METHOD_NOT_ALLOWED', 'Use GET or POST');
       }
-      let response;
-      if (model === 'gemini') {
-        const genModel = genAI.getGenerativeModel({ model: 'gemini-pro' });
-        const chat = genModel.startChat({
-          history: history.map(msg => ({
-            role: msg.role === 'assistant' ? 'model' : 'user',
-            parts: [{ text: msg.content }],
-          })),
-          generationConfig: { maxOutputTokens: 2000, temperature: 0.7 },
+
+      const { action } = req.body || {};
+      if (action === 'publish') {
+        const stored = await persona.createVersion({
+          persona: req.body.persona,
+          note: req.body.note,
+          user: req.user,
+          activate: req.body.activate === true,
         });
-        const result = await chat.sendMessage(message);
-        const geminiResponse = await result.response;
-        response = geminiResponse.text();
-      } else if (model === 'openai') {
-        const messages = [
-          ...history.map(msg => ({ role: msg.role, content: msg.content })),
-          { role: 'user', content: message },
-        ];
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages,
-          max_tokens: 2000,
+        return res.status(200).json({ version: stored.version, active: req.body.activate === true });
+      }
+      if (action === 'activate') {
+        await persona.activateVersion(undefined, req.body.version);
+        return res.status(200).json({ success: true, activeVersion: Number(req.body.version) });
+      }
+      if (action === 'preview') {
+        const { message, model = 'gemini', version } = req.body;
+        const draft = version !== undefined
+          ? await persona.getVersion(persona.DEFAULT_PERSONA_ID, version)
+          : persona.validatePersona(req.body.persona);
+        const systemPrompt = persona.buildSystemPrompt(draft);
+        // Previews are never written to a session
+        const result = await registry.chat({
+          messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: message }],
+          maxTokens: 1000,
           temperature: 0.7,
-        });
-        response = completion.choices[0].message.content;
-      } else {
-        return res.status(400).json({ error: 'Invalid model', message: 'Model must be either "gemini" or "openai"' });
+        }, { preferred: model, usage: req.usage });
+        return res.status(200).json({ systemPrompt, response: result.text, model: result.provider, providerModel: result.model });
       }
-      return res.status(200).json({ response, model, timestamp: new Date().toISOString() });
+      return replyError(res, 'INVALID_ACTION', 'action must be publish, activate or preview');
     } catch (error) {
-      console.error('AI API Error:', error);
-      return res.status(500).json({ error: 'Failed to process request', message: error.message, timestamp: new Date().toISOString() });
+      return sendError(req, res, error, 'Persona Error');
     }
-  });
+  })));
 });
 
 /**
  * /api/generateResume - Resume Generation Endpoint
  */
 exports.generateResume = functions.https.onRequest(async (req, res) => {
-  return corsMiddleware(req, res, async () => {
+  return corsMiddleware(req, res, () => guards.generateResume(req, res, () => contracts.generateResume(req, res, async () => {
     if (req.method !== 'POST') {
-      return res.status(405).json({ error: 'Method not allowed', message: 'Only POST requests are accepted' });
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
     }
     try {
       const { userData, model = 'gemini' } = req.body;
-      if (!userData || typeof userData !== 'object') {
-        return res.status(400).json({ error: 'Invalid input', message: 'userData is required and must be an object' });
+      if (!registry.has(model)) {
+        return replyError(res, 'INVALID_MODEL', 'Model must be either "gemini" or "openai"');
       }
       const prompt = `Generate a professional resume based on the following information:\nName: ${userData.name || 'Not provided'}\nEmail: ${userData.email || 'Not provided'}\nPhone: ${userData.phone || 'Not provided'}\nExperience: ${userData.experience || 'Not provided'}\nEducation: ${userData.education || 'Not provided'}\nSkills: ${userData.skills || 'Not provided'}\nSummary: ${userData.summary || 'Not provided'}\nPlease generate a well-formatted, professional resume with clear sections for Summary, Experience, Education, and Skills. Use professional language and formatting.`;
-      let response;
-      if (model === 'gemini') {
-        const genModel = genAI.getGenerativeModel({ model: 'gemini-pro' });
-        const result = await genModel.generateContent(prompt);
-        const geminiResponse = await result.response;
-        response = geminiResponse.text();
-      } else if (model === 'openai') {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [{ role: 'user', content: prompt }],
-          max_tokens: 2000,
-          temperature: 0.7,
-        });
-        response = completion.choices[0].message.content;
-      } else {
-        return res.status(400).json({ error: 'Invalid model', message: 'Model must be either "gemini" or "openai"' });
+      const result = await registry.text({ prompt, maxTokens: 2000, temperature: 0.7 }, { preferred: model, usage: req.usage });
+      return res.status(200).json({ resume: result.text, model: result.provider, providerModel: result.model, requestedModel: model, timestamp: new Date().toISOString() });
+    } catch (error) {
+      return sendError(req, res, error, 'Resume Generation Error');
+    }
+  })));
+});
+
+/**
+ * /api/atsMatch - ATS Keyword Match
+ * Request body: { jobDescription?, resume? | documentId?, model? }
+ * Response: { score, required, preferred, missing, keywords, provider, analyzedAt, source }
+ * Extracts the required and preferred skills, tools and keywords from the job
+ * description and scores a resume's coverage of them from 0 to 100, listing
+ * what is missing (see keywordMatch.js). The resume scored is `resume`
+ * (resume JSON), else the generated resume `documentId`, else the caller's
+ * stored profile; `source` says which. With `documentId` the job description
+ * defaults to the one the resume was generated for.
+ */
+exports.atsMatch = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.atsMatch(req, res, () => contracts.atsMatch(req, res, async () => {
+    if (req.method !== 'POST') {
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
+    }
+    try {
+      const { resume, documentId, model = 'gemini' } = req.body;
+      if (!registry.has(model)) {
+        return replyError(res, 'INVALID_MODEL', 'Model must be either "gemini" or "openai"');
       }
-      return res.status(200).json({ resume: response, model, timestamp: new Date().toISOString() });
+      let { jobDescription } = req.body;
+      let content = resume;
+      let source = 'resume';
+      if (!content && documentId) {
+        content = await documents().getGeneratedResume(req.user.uid, documentId);
+        jobDescription = jobDescription || content.job.jobDescription;
+        source = 'document';
+      } else if (!content) {
+        content = await profiles.getProfile(req.user.uid);
+        source = 'profile';
+      }
+      const match = await matchResume({ jobDescription, resume: content, model, usage: req.usage });
+      return res.status(200).json({ ...match, source, timestamp: new Date().toISOString() });
     } catch (error) {
-      console.error('Resume Generation Error:', error);
-      return res.status(500).json({ error: 'Failed to generate resume', message: error.message, timestamp: new Date().toISOString() });
+      return sendError(req, res, error, 'ATS Match Error');
     }
-  });
+  })));
 });
 
 /**
  * /api/sendMail - Email Sending Endpoint
+ * Request body: { to: string, subject: string, text: string, html?: string }
+ *   or { to: string, template: string, data: Object, version?: number } to render
+ *   a template from emailTemplates.js
+ * Plain messages are sent in the branded layout unless `html` is given.
+ * `attachments: [{ documentId } | { path }]` attaches the caller's generated
+ * documents (see attachments.js).
+ * POST { action: 'sendApplication', to, resumeId, coverLetterId?, recipientName?, note?,
+ *   jobTitle?, companyName?, senderName? } emails a recruiter the resume and
+ * cover letter with the `application_submission` template (see applications.js).
+ * The message is queued in the outbox and sent in the background (see
+ * outbox.js). Response (202): { success: true, messageId, status: 'queued' };
+ * poll /api/mailStatus?id=<messageId> for delivery.
  */
 exports.sendMail = functions.https.onRequest(async (req, res) => {
-  return corsMiddleware(req, res, async () => {
+  return corsMiddleware(req, res, () => guards.sendMail(req, res, () => contracts.sendMail(req, res, async () => {
     if (req.method !== 'POST') {
-      return res.status(405).json({ error: 'Method not allowed', message: 'Only POST requests are accepted' });
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
     }
     try {
-      const { to, subject, text, html } = req.body;
-      if (!to || !subject || !text) {
-        return res.status(400).json({ error: 'Invalid input', message: 'to, subject, and text are required fields' });
+      const { action, to, subject, text, html, template, data, version } = req.body;
+      if (action === 'sendApplication') {
+        if (!mailer.isValidEmail(to)) {
+          return replyError(res, 'INVALID_EMAIL', 'Please provide a valid recruiter email address');
+        }
+        const queued = await sendApplication({ ...req.body, user: req.user });
+        return res.status(202).json({ success: true, messageId: queued.id, status: queued.status, attachments: queued.attachments, timestamp: new Date().toISOString() });
       }
-      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(to)) {
-        return res.status(400).json({ error: 'Invalid email', message: 'Please provide a valid email address' });
+      if (!mailer.isValidEmail(to)) {
+        return replyError(res, 'INVALID_EMAIL', 'Please provide a valid email address');
       }
-      const mailOptions = {
-        from: `Mexty <${process.env.GMAIL_USER}>`,
-        to,
-        subject,
-        text,
-        html: html || text.replace(/\n/g, '<br/>')
-      };
-      const info = await mailTransporter.sendMail(mailOptions);
-      return res.status(200).json({ success: true, messageId: info.messageId, timestamp: new Date().toISOString() });
+      const attachments = await resolveAttachments(req.body.attachments, req.user);
+      const queued = await outbox.enqueue({ to, subject, text, html, template, data, version, attachments, user: req.user, source: 'sendMail' });
+      return res.status(202).json({ success: true, messageId: queued.id, status: queued.status, timestamp: new Date().toISOString() });
     } catch (error) {
-      console.error('Email Sending Error:', error);
-      return res.status(500).json({ error: 'Failed to send email', message: error.message, timestamp: new Date().toISOString() });
+      return sendError(req, res, error, 'Email Queueing Error');
     }
-  });
+  })));
+});
+
+/**
+ * /api/mailStatus - Delivery Status of a Queued Email
+ * GET ?id=<messageId> -> { id, to, subject, template, templateVersion, attachments, status,
+ *   attempts, maxAttempts, nextAttemptAt, lastError, smtpMessageId, sentAt, createdAt }
+ * `status` is queued, sending, retrying, sent or dead. Callers see the
+ * messages they queued; admins see all of them.
+ * POST { action: 'requeue', id } puts a dead message back in the queue (admin).
+ */
+exports.mailStatus = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.mailStatus(req, res, () => contracts.mailStatus(req, res, async () => {
+    try {
+      if (req.method === 'GET') {
+        return res.status(200).json(await outbox.getStatus(req.query.id, req.user));
+      }
+      if (req.method !== 'POST') {
+        return replyError(res, 'METHOD_NOT_ALLOWED', 'Use GET or POST');
+      }
+      const { id } = req.body;
+      if (!req.user.claims || req.user.claims.admin !== true) {
+        return replyError(res, 'FORBIDDEN', 'Requeueing mail requires an admin account');
+      }
+      return res.status(200).json({ success: true, ...(await outbox.requeue(id)) });
+    } catch (error) {
+      return sendError(req, res, error, 'Mail Status Error');
+    }
+  })));
+});
+
+/**
+ * Outbox workers: send each message as soon as it is queued, and every
+ * minute retry failed sends whose backoff has passed (see outbox.js).
+ */
+exports.deliverQueuedMail = functions.firestore.document('mailOutbox/{id}').onCreate(async (snap) => {
+  await outbox.deliver(snap.id);
+});
+
+exports.retryQueuedMail = functions.pubsub.schedule('every 1 minutes').onRun(async () => {
+  await outbox.processDue();
+});
+
+/**
+ * /api/emailPreview - Email Template Preview
+ * GET lists the templates: { templates: [{ id, version, description, variables }] }
+ * GET ?template=<id>&version=<n> renders a template with its sample data.
+ * POST { template: string, version?: number, data?: Object } renders it with
+ * `data` over the sample data.
+ * Nothing is sent. Response: { template, version, subject, text, html, data }
+ */
+exports.emailPreview = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.emailPreview(req, res, () => contracts.emailPreview(req, res, async () => {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only GET and POST requests are accepted');
+    }
+    try {
+      const { template, version, data } = req.method === 'GET' ? { ...req.query, data: undefined } : (req.body || {});
+      if (!template) {
+        if (req.method === 'GET') return res.status(200).json({ templates: emailTemplates.listTemplates() });
+        return replyError(res, 'INVALID_INPUT', 'template is required');
+      }
+      const rendered = emailTemplates.preview(template, data || {}, { version });
+      return res.status(200).json({ ...rendered, timestamp: new Date().toISOString() });
+    } catch (error) {
+      return sendError(req, res, error, 'Email Preview Error');
+    }
+  })));
+});
+
+/**
+ * /api/contact - Contact Form Endpoint
+ * Request body: { name: string, email: string, message: string, timestamp?: string, website?: string }
+ * Stores the submission in `contacts`, emails the owner and sends the visitor
+ * a confirmation (see contact.js). `website` is a honeypot: when filled the
+ * request is acknowledged but dropped. Resubmitting the same message returns
+ * the stored submission with `duplicate: true` and sends nothing.
+ * Response: { success: true, id, duplicate, message, timestamp }
+ */
+exports.contact = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.contact(req, res, () => contracts.contact(req, res, async () => {
+    if (req.method !== 'POST') {
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
+    }
+    try {
+      const result = await submitContact(req.body || {}, { ip: clientIp(req), userAgent: req.get('User-Agent') });
+      return res.status(200).json({
+        success: true,
+        id: result.id,
+        duplicate: result.duplicate,
+        message: result.duplicate
+          ? 'We already received this message and will get back to you soon.'
+          : 'Thank you for contacting us! We\'ll get back to you soon.',
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      return sendError(req, res, error, 'Contact Error');
+    }
+  })));
 });
 
 /**
  * /api/tts - Text-to-Speech Endpoint
  * Generates speech audio using OpenAI or ElevenLabs, stores to Firebase Storage, and returns a signed URL
- * Request body: { text: string, voice?: string, provider?: 'openai'|'elevenlabs', format?: 'mp3'|'wav' }
+ * Request body: { text: string, voice?: string, provider?: 'openai'|'elevenlabs', format?: 'mp3'|'wav', output?: 'file'|'playlist' }
+ * Long text is synthesized in sentence chunks and returned as one stitched
+ * file (default) or a playlist of chunk URLs; both list per-chunk timings in
+ * `chunks` for captions. Audio is cached by text, voice, provider and format
+ * (see tts.js); `cached` in the reply tells whether the stored audio was reused.
  */
 exports.tts = functions.https.onRequest(async (req, res) => {
-  return corsMiddleware(req, res, async () => {
+  return corsMiddleware(req, res, () => guards.tts(req, res, () => contracts.tts(req, res, async () => {
     if (req.method !== 'POST') {
-      return res.status(405).json({ error: 'Method not allowed', message: 'Only POST requests are accepted' });
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
     }
     try {
-      const { text, voice = 'alloy', provider = 'openai', format = 'mp3' } = req.body || {};
-      if (!text || typeof text !== 'string' || text.trim().length === 0) {
-        return res.status(400).json({ error: 'Invalid input', message: 'text is required' });
-      }
+      const { text, voice = 'alloy', provider = 'openai', format = 'mp3', output = 'file' } = req.body || {};
+      const audio = await synthesizeSpeech({ text, voice, provider, format, output, usage: req.usage });
+      return res.status(200).json({ ...audio, timestamp: new Date().toISOString() });
+    } catch (error) {
+      return sendError(req, res, error, 'TTS Error');
+    }
+  })));
+});
 
-      let audioBuffer;
+/**
+ * /api/transcribe - Speech-to-Text Endpoint
+ * Body: the raw recording with its Content-Type (audio/webm, audio/ogg or audio/wav, up to 10 MB)
+ * Query: ?language=<ISO-639-1> (optional hint; detected when omitted)
+ * Response: { text, language, duration, words: [{ word, start, end }], provider, model, timestamp }
+ */
+exports.transcribe = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.transcribe(req, res, () => contracts.transcribe(req, res, async () => {
+    if (req.method !== 'POST') {
+      return replyError(res, 'METHOD_NOT_ALLOWED', 'Only POST requests are accepted');
+    }
+    try {
+      const result = await transcriber.transcribe({
+        buffer: req.rawBody,
+        contentType: req.get('Content-Type'),
+        language: req.query.language,
+        usage: req.usage,
+      });
+      return res.status(200).json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+      return sendError(req, res, error, 'Transcription Error');
+    }
+  })));
+});
 
-      if (provider === 'openai') {
-        // Use OpenAI TTS (gpt-4o-mini-tts) if available
-        const ttsResp = await openai.audio.speech.create({
-          model: 'gpt-4o-mini-tts',
-          voice,
-          input: text,
-          format,
-        });
-        const arrayBuf = await ttsResp.arrayBuffer();
-        audioBuffer = Buffer.from(arrayBuf);
-      } else if (provider === 'elevenlabs') {
-        const apiKey = process.env.ELEVENLABS_API_KEY;
-        if (!apiKey) {
-          return res.status(400).json({ error: 'Missing ELEVENLABS_API_KEY' });
-        }
-        const voiceId = voice || '21m00Tcm4TlvDq8ikWAM';
-        const resp = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-          method: 'POST',
-          headers: {
-            'xi-api-key': apiKey,
-            'Content-Type': 'application/json',
-            'Accept': 'audio/mpeg'
-          },
-          body: JSON.stringify({
-            text,
-            model_id: 'eleven_multilingual_v2',
-            voice_settings: { stability: 0.55, similarity_boost: 0.6 },
-          })
-        });
-        if (!resp.ok) {
-          const errText = await resp.text();
-          throw new Error(`ElevenLabs error: ${resp.status} ${errText}`);
+/**
+ * /api/usage - AI Usage and Cost Accounting
+ * GET ?from=YYYY-MM-DD&to=YYYY-MM-DD -> { kind, key, from, to, days, totals }
+ *   Daily rollups of requests, tokens, characters, audio seconds, latency and
+ *   estimated cost, with per-provider and per-endpoint breakdowns. The range
+ *   defaults to today (UTC). Callers see their own usage; admins can add
+ *   `uid=<uid>` (or `uid=anonymous`), `endpoint=<scope>` or neither for the total.
+ * GET ?view=budgets -> effective daily budgets (admin)
+ * POST { action: 'setBudgets', budgets } -> replaces the stored budgets (admin)
+ */
+exports.usage = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.usage(req, res, () => contracts.usage(req, res, async () => {
+    const isAdmin = Boolean(req.user.claims && req.user.claims.admin === true);
+    try {
+      if (req.method === 'GET' && req.query.view !== 'budgets') {
+        const today = new Date().toISOString().slice(0, 10);
+        const { from = today, to = from, uid, endpoint } = req.query;
+        if (!isAdmin && ((uid && uid !== req.user.uid) || endpoint)) {
+          return replyError(res, 'FORBIDDEN', 'Only admins can read other usage');
         }
-        const arrayBuf = await resp.arrayBuffer();
-        audioBuffer = Buffer.from(arrayBuf);
-      } else {
-        return res.status(400).json({ error: 'Invalid provider', message: 'provider must be openai or elevenlabs' });
+        let query = { kind: 'user', key: req.user.uid };
+        if (isAdmin && endpoint) query = { kind: 'endpoint', key: endpoint };
+        else if (isAdmin && !uid) query = { kind: 'total' };
+        else if (uid) query = { kind: 'user', key: uid };
+        return res.status(200).json(await usage.getUsage({ from, to, ...query }));
       }
+      if (!isAdmin) {
+        return replyError(res, 'FORBIDDEN', 'Budget management requires an admin account');
+      }
+      if (req.method === 'GET') {
+        return res.status(200).json({ budgets: await usage.getBudgets() });
+      }
+      if (req.method !== 'POST') {
+        return replyError(res, 'METHOD_NOT_ALLOWED', 'Use GET or POST');
+      }
+      return res.status(200).json({ success: true, budgets: await usage.setBudgets(req.body.budgets) });
+    } catch (error) {
+      return sendError(req, res, error, 'Usage Error');
+    }
+  })));
+});
 
-      // Store in Firebase Storage
-      const bucket = storage.bucket();
-      const fileId = uuidv4();
-      const ext = format === 'wav' ? 'wav' : 'mp3';
-      const filePath = `tts/${fileId}.${ext}`;
-      const file = bucket.file(filePath);
-      await file.save(audioBuffer, {
-        contentType: ext === 'wav' ? 'audio/wav' : 'audio/mpeg',
-        public: false,
-        metadata: { cacheControl: 'public, max-age=31536000' }
-      });
-
-      // Signed URL valid for 24 hours
-      const [signedUrl] = await file.getSignedUrl({
-        action: 'read',
-        expires: Date.now() + 24 * 60 * 60 * 1000,
-      });
-
-      return res.status(200).json({ url: signedUrl, path: filePath, provider, format: ext, timestamp: new Date().toISOString() });
+/**
+ * /api/moderation - Moderation Policy and Incident Review (admin)
+ * GET                                   -> { incidents } open incidents, newest first
+ * GET ?status=open|confirmed|dismissed|all&limit=<n> -> { incidents }
+ * GET ?view=policy                      -> { policy } effective policy
+ * POST { action: 'review', id, resolution: 'confirmed'|'dismissed', note? } -> { success, id, status }
+ * POST { action: 'setPolicy', policy }  -> { success, policy } replaces the stored policy
+ * See moderation.js for the policy format and what is checked.
+ */
+exports.moderation = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => guards.moderation(req, res, () => contracts.moderation(req, res, async () => {
+    if (!req.user.claims || req.user.claims.admin !== true) {
+      return replyError(res, 'FORBIDDEN', 'Moderation requires an admin account');
+    }
+    try {
+      if (req.method === 'GET' && req.query.view === 'policy') {
+        return res.status(200).json({ policy: await moderation.getPolicy() });
+      }
+      if (req.method === 'GET') {
+        return res.status(200).json({ incidents: await moderation.listIncidents({ status: req.query.status, limit: req.query.limit }) });
+      }
+      if (req.method !== 'POST') {
+        return replyError(res, 'METHOD_NOT_ALLOWED', 'Use GET or POST');
+      }
+      const { action } = req.body || {};
+      if (action === 'review') {
+        const { id, resolution, note } = req.body;
+        return res.status(200).json({ success: true, ...(await moderation.reviewIncident(id, { resolution, note, user: req.user })) });
+      }
+      if (action === 'setPolicy') {
+        return res.status(200).json({ success: true, policy: await moderation.setPolicy(req.body.policy, req.user) });
+      }
+      return replyError(res, 'INVALID_ACTION', 'action must be review or setPolicy');
     } catch (error) {
-      console.error('TTS Error:', error);
-      return res.status(500).json({ error: 'Failed to synthesize speech', message: error.message, timestamp: new Date().toISOString() });
+      return sendError(req, res, error, 'Moderation Error');
     }
-  });
+  })));
+});
+
+/**
+ * /api/<route> - Routed API for the browser extension
+ * Login, chat, sessions, profile sync and form data, avatar, resume and cover
+ * letter generation and TTS under one function, at /api/v1/<route> or the
+ * unversioned paths the extension calls. See api.js for the routes and reply shapes.
+ */
+exports.api = functions.https.onRequest(async (req, res) => {
+  return corsMiddleware(req, res, () => api.handleRequest(req, res));
 });
 
 /**
@@ -0,0 +1,323 @@
+/**
+ * JSON Resume import and export, and Markdown output
+ *
+ * Converts between the profile shape (see profiles.js) and JSON Resume
+ * (https://jsonresume.org/schema, v1.0.0), and renders a JSON Resume as
+ * Markdown. Generated resumes export the same way: their content has the
+ * profile's shape (see resumeGenerator.js).
+ *
+ *   JSON Resume                              profile
+ *   basics.name, label, email, phone,        name, title, email, phone,
+ *     summary                                  summary
+ *   basics.location                          location ("city, region, countryCode")
+ *   basics.url, basics.profiles[]            links.website, links.linkedin, links.github
+ *   basics.image                             avatarUrl
+ *   work[] (name, position, startDate,       experience[] (company, title, start,
+ *     endDate, summary, highlights[])          end, summary, achievements[])
+ *   education[] (institution, studyType,     education[] (school, degree, start, end)
+ *     area, startDate, endDate)
+ *   skills[] (keywords[], or name)           skills[]
+ *   projects[] (name, description, url)      projects[]
+ *
+ * Import never fails on content it cannot use: it reports it. The report
+ * lists what was imported ({ from, to }), what was skipped ({ path, reason }:
+ * sections and fields a profile has no place for, such as awards or
+ * languages) and warnings ({ path, message }: values of the wrong type or
+ * form, which are ignored). Export writes ISO 8601 dates where a profile's
+ * date can be read as one ("2021", "2021-03", "03/2021", "Mar 2021") and
+ * leaves other dates and "Present" out.
+ */
+
+const SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+const SECTIONS = ['basics', 'work', 'education', 'skills', 'projects'];
+const IGNORED_KEYS = ['$schema', 'meta'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const NETWORKS = {
+  linkedin: { field: 'linkedin', base: 'https://www.linkedin.com/in/' },
+  github: { field: 'github', base: 'https://github.com/' },
+};
+
+/**
+ * Error for a document that is not a JSON Resume at all.
+ */
+class JsonResumeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JsonResumeError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isUrl = (value) => typeof value === 'string' && /^https?:\/\/\S+$/i.test(value);
+const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Map a JSON Resume document to profile fields.
+ * @param {Object} resume - A JSON Resume document
+ * @returns {{ profile: Object, report: { imported: Array<Object>, skipped: Array<Object>, warnings: Array<Object> } }}
+ *   `profile` holds only the fields the document provides
+ * @throws {JsonResumeError} When `resume` is not an object
+ */
+function fromJsonResume(resume) {
+  if (!isObject(resume)) throw new JsonResumeError('resume must be a JSON Resume object');
+  const report = { imported: [], skipped: [], warnings: [] };
+  const warn = (path, message) => report.warnings.push({ path, message });
+  const skip = (path, reason) => report.skipped.push({ path, reason });
+  const profile = {};
+  const set = (to, value, from) => {
+    if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) return;
+    profile[to] = value;
+    report.imported.push({ from, to });
+  };
+  const text = (value, path) => {
+    if (value === undefined || value === null) return undefined;
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number') return String(value);
+    warn(path, 'must be a string; ignored');
+    return undefined;
+  };
+  const list = (value, path) => {
+    if (value === undefined || value === null) return [];
+    if (Array.isArray(value)) return value;
+    warn(path, 'must be a list; ignored');
+    return [];
+  };
+  const texts = (value, path) => list(value, path).map((item, i) => text(item, `${path}[${i}]`)).filter(Boolean);
+  const unmapped = (entry, known, path) => Object.keys(entry)
+    .filter(key => !known.includes(key) && entry[key] !== undefined && entry[key] !== null && entry[key] !== '')
+    .forEach(key => skip(`${path}.${key}`, 'No profile field for it'));
+  const entries = (section, map) => list(resume[section], section).map((entry, i) => {
+    const path = `${section}[${i}]`;
+    if (!isObject(entry)) {
+      warn(path, 'must be an object; ignored');
+      return null;
+    }
+    const mapped = map(entry, path);
+    if (!mapped) warn(path, 'has no usable fields; ignored');
+    return mapped;
+  }).filter(Boolean);
+
+  Object.keys(resume)
+    .filter(key => !SECTIONS.includes(key) && !IGNORED_KEYS.includes(key))
+    .forEach(key => skip(key, 'No profile field for this section'));
+
+  if (resume.basics !== undefined && !isObject(resume.basics)) warn('basics', 'must be an object; ignored');
+  const basics = isObject(resume.basics) ? resume.basics : {};
+  set('name', text(basics.name, 'basics.name'), 'basics.name');
+  set('title', text(basics.label, 'basics.label'), 'basics.label');
+  set('email', text(basics.email, 'basics.email'), 'basics.email');
+  set('phone', text(basics.phone, 'basics.phone'), 'basics.phone');
+  set('summary', text(basics.summary, 'basics.summary'), 'basics.summary');
+  if (isObject(basics.location)) {
+    const { city, region, countryCode, address } = basics.location;
+    const parts = [city, region, countryCode].map((part, i) => text(part, `basics.location.${['city', 'region', 'countryCode'][i]}`)).filter(Boolean);
+    set('location', parts.length ? parts.join(', ') : text(address, 'basics.location.address'), 'basics.location');
+  } else if (basics.location !== undefined) {
+    set('location', text(basics.location, 'basics.location'), 'basics.location');
+  }
+  if (basics.image !== undefined && basics.image !== '') {
+    if (isUrl(basics.image)) set('avatarUrl', basics.image, 'basics.image');
+    else warn('basics.image', 'must be an http(s) URL; ignored');
+  }
+  const links = {};
+  if (basics.url !== undefined && basics.url !== '') {
+    if (isUrl(basics.url)) links.website = basics.url;
+    else warn('basics.url', 'must be an http(s) URL; ignored');
+  }
+  list(basics.profiles, 'basics.profiles').forEach((entry, i) => {
+    const path = `basics.profiles[${i}]`;
+    if (!isObject(entry)) return warn(path, 'must be an object; ignored');
+    const network = NETWORKS[clean(entry.network).toLowerCase()];
+    if (!network) return skip(path, `No profile field for ${clean(entry.network) || 'this network'}`);
+    if (isUrl(entry.url)) links[network.field] = entry.url;
+    else if (clean(entry.username)) links[network.field] = `${network.base}${encodeURIComponent(clean(entry.username))}`;
+    else warn(path, 'needs an http(s) url or a username; ignored');
+    return undefined;
+  });
+  if (Object.keys(links).length) set('links', links, 'basics.url, basics.profiles');
+  unmapped(basics, ['name', 'label', 'email', 'phone', 'summary', 'location', 'image', 'url', 'profiles'], 'basics');
+
+  set('experience', entries('work', (entry, path) => {
+    unmapped(entry, ['name', 'company', 'position', 'startDate', 'endDate', 'summary', 'highlights'], path);
+    const job = {
+      title: text(entry.position, `${path}.position`) || '',
+      // `company` is the field's name before JSON Resume v1.0.0
+      company: text(entry.name !== undefined ? entry.name : entry.company, `${path}.name`) || '',
+      start: text(entry.startDate, `${path}.startDate`) || '',
+      end: text(entry.endDate, `${path}.endDate`) || '',
+      summary: text(entry.summary, `${path}.summary`) || '',
+      achievements: texts(entry.highlights, `${path}.highlights`),
+    };
+    if (!job.summary) delete job.summary;
+    return job.title || job.company ? job : null;
+  }), 'work');
+
+  set('education', entries('education', (entry, path) => {
+    unmapped(entry, ['institution', 'studyType', 'area', 'startDate', 'endDate'], path);
+    const studyType = text(entry.studyType, `${path}.studyType`);
+    const area = text(entry.area, `${path}.area`);
+    const school = {
+      school: text(entry.institution, `${path}.institution`) || '',
+      degree: [studyType, area].filter(Boolean).join(' in '),
+      start: text(entry.startDate, `${path}.startDate`) || '',
+      end: text(entry.endDate, `${path}.endDate`) || '',
+    };
+    return school.school || school.degree ? school : null;
+  }), 'education');
+
+  const skills = [];
+  list(resume.skills, 'skills').forEach((entry, i) => {
+    const path = `skills[${i}]`;
+    if (typeof entry === 'string') return skills.push(entry.trim());
+    if (!isObject(entry)) return warn(path, 'must be an object; ignored');
+    unmapped(entry, ['name', 'keywords', 'level'], path);
+    const keywords = texts(entry.keywords, `${path}.keywords`);
+    skills.push(...(keywords.length ? keywords : [text(entry.name, `${path}.name`)]));
+    return undefined;
+  });
+  const seen = new Set();
+  set('skills', skills.filter(skill => skill && !seen.has(skill.toLowerCase()) && seen.add(skill.toLowerCase())), 'skills');
+
+  set('projects', entries('projects', (entry, path) => {
+    unmapped(entry, ['name', 'description', 'url'], path);
+    const project = { name: text(entry.name, `${path}.name`) || '', description: text(entry.description, `${path}.description`) || '', url: '' };
+    if (isUrl(entry.url)) project.url = entry.url;
+    else if (entry.url !== undefined && entry.url !== '') warn(`${path}.url`, 'must be an http(s) URL; ignored');
+    return project.name ? project : null;
+  }), 'projects');
+
+  return { profile, report };
+}
+
+/**
+ * ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD) for a profile date, or
+ * undefined when it cannot be read as one.
+ * @param {string} value - e.g. "2021-03", "03/2021", "Mar 2021", "Present"
+ * @returns {string|undefined}
+ */
+function isoDate(value) {
+  const date = clean(value);
+  if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(date)) return date;
+  const numeric = date.match(/^(\d{1,2})\/(\d{4})$/);
+  if (numeric && Number(numeric[1]) >= 1 && Number(numeric[1]) <= 12) return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+  const named = date.match(/^([A-Za-z]{3,9})\.?\s+(\d{4})$/);
+  const month = named ? MONTHS.indexOf(named[1].slice(0, 3).toLowerCase()) : -1;
+  return month >= 0 ? `${named[2]}-${String(month + 1).padStart(2, '0')}` : undefined;
+}
+
+/** Drop empty values so exported documents only carry what is known */
+const compact = (value) => Object.fromEntries(Object.entries(value).filter(([, v]) => v !== undefined && v !== '' && !(Array.isArray(v) && !v.length) && !(isObject(v) && !Object.keys(v).length)));
+
+/**
+ * A profile, or a generated resume in the profile's shape, as JSON Resume.
+ * @param {Object} profile - See profiles.js
+ * @param {Object} [options]
+ * @param {string} [options.lastModified] - ISO timestamp for `meta.lastModified`
+ * @returns {Object} A JSON Resume document
+ */
+function toJsonResume(profile = {}, { lastModified } = {}) {
+  const links = isObject(profile.links) ? profile.links : {};
+  const objects = (value) => (Array.isArray(value) ? value : []);
+  const [city, ...region] = clean(profile.location).split(',').map(part => part.trim()).filter(Boolean);
+  const skills = Array.isArray(profile.skills) ? profile.skills : clean(profile.skills).split(',');
+  return compact({
+    $schema: SCHEMA_URL,
+    basics: compact({
+      name: clean(profile.name),
+      label: clean(profile.title),
+      image: isUrl(profile.avatarUrl) ? profile.avatarUrl : undefined,
+      email: clean(profile.email),
+      phone: clean(profile.phone),
+      url: isUrl(links.website) ? links.website : undefined,
+      summary: clean(profile.summary),
+      location: compact({ city, region: region.join(', ') }),
+      profiles: Object.entries(NETWORKS).filter(([, { field }]) => isUrl(links[field])).map(([network, { field }]) => compact({
+        network: network === 'github' ? 'GitHub' : 'LinkedIn',
+        username: links[field].replace(/\/+$/, '').split('/').pop(),
+        url: links[field],
+      })),
+    }),
+    work: objects(profile.experience).map(e => (typeof e === 'string' ? { summary: e.trim() } : compact({
+      name: clean(e.company),
+      position: clean(e.title),
+      startDate: isoDate(e.start),
+      endDate: isoDate(e.end),
+      summary: clean(e.summary),
+      highlights: (Array.isArray(e.achievements) ? e.achievements : []).map(clean).filter(Boolean),
+    }))).filter(e => Object.keys(e).length),
+    education: objects(profile.education).map(e => (typeof e === 'string' ? { institution: e.trim() } : compact({
+      institution: clean(e.school),
+      studyType: clean(e.degree),
+      startDate: isoDate(e.start),
+      endDate: isoDate(e.end),
+    }))).filter(e => Object.keys(e).length),
+    skills: skills.map(clean).filter(Boolean).map(name => ({ name })),
+    projects: objects(profile.projects).map(p => (typeof p === 'string' ? { name: p.trim() } : compact({
+      name: clean(p.name),
+      description: clean(p.description),
+      url: isUrl(p.url) ? p.url : undefined,
+    }))).filter(p => p.name),
+    meta: compact({ version: 'v1.0.0', lastModified }),
+  });
+}
+
+/** Escape the characters Markdown would read as formatting */
+const md = (value) => clean(value).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+const mdDates = (start, end) => (start || end ? `*${[start, end || 'Present'].filter(Boolean).join(' – ')}*` : '');
+
+/**
+ * A JSON Resume document as Markdown.
+ * @param {Object} resume - From toJsonResume, or any JSON Resume document
+ * @returns {string}
+ */
+function toMarkdown(resume = {}) {
+  const basics = isObject(resume.basics) ? resume.basics : {};
+  const list = (value) => (Array.isArray(value) ? value.filter(isObject) : []);
+  const blocks = [];
+  blocks.push(`# ${md(basics.name) || 'Resume'}`);
+  if (basics.label) blocks.push(`**${md(basics.label)}**`);
+  const location = isObject(basics.location) ? [basics.location.city, basics.location.region, basics.location.countryCode].map(clean).filter(Boolean).join(', ') : '';
+  const contact = [md(basics.email), md(basics.phone), md(location), isUrl(basics.url) ? `<${basics.url}>` : ''].filter(Boolean);
+  const profiles = list(basics.profiles).filter(p => isUrl(p.url)).map(p => `[${md(p.network) || 'Profile'}](${p.url})`);
+  if (contact.length || profiles.length) blocks.push([...contact, ...profiles].join(' · '));
+  if (basics.summary) blocks.push(`## Summary\n\n${md(basics.summary)}`);
+
+  const heading = (parts) => (parts.filter(Boolean).length ? `### ${parts.filter(Boolean).join(' — ')}` : '');
+  const work = list(resume.work).map(w => [
+    heading([md(w.position), md(w.name)]),
+    mdDates(w.startDate, w.endDate),
+    md(w.summary),
+    (Array.isArray(w.highlights) ? w.highlights : []).map(h => `- ${md(h)}`).join('\n'),
+  ].filter(Boolean).join('\n\n'));
+  if (work.length) blocks.push(`## Experience\n\n${work.join('\n\n')}`);
+
+  const education = list(resume.education).map(e => [
+    heading([[md(e.studyType), md(e.area)].filter(Boolean).join(' in '), md(e.institution)]),
+    mdDates(e.startDate, e.endDate),
+  ].filter(Boolean).join('\n\n'));
+  if (education.length) blocks.push(`## Education\n\n${education.join('\n\n')}`);
+
+  const skills = list(resume.skills).map(s => {
+    const keywords = (Array.isArray(s.keywords) ? s.keywords : []).map(md).filter(Boolean);
+    return keywords.length ? `- **${md(s.name) || 'Skills'}:** ${keywords.join(', ')}` : `- ${md(s.name)}`;
+  }).filter(line => line !== '- ');
+  if (skills.length) blocks.push(`## Skills\n\n${skills.join('\n')}`);
+
+  const projects = list(resume.projects).filter(p => p.name).map(p => [
+    `### ${isUrl(p.url) ? `[${md(p.name)}](${p.url})` : md(p.name)}`,
+    md(p.description),
+  ].filter(Boolean).join('\n\n'));
+  if (projects.length) blocks.push(`## Projects\n\n${projects.join('\n\n')}`);
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+module.exports = {
+  JsonResumeError,
+  fromJsonResume,
+  toJsonResume,
+  toMarkdown,
+  isoDate,
+};
@@ -0,0 +1,94 @@
+const { fromJsonResume, toJsonResume, toMarkdown, isoDate } = require('./jsonResume');
+
+const profile = {
+  name: 'Sam Lee',
+  title: 'Full-stack developer',
+  email: 'sam@example.com',
+  phone: '+1 555 0100',
+  summary: 'Builds web apps.',
+  location: 'Berlin, BE, DE',
+  avatarUrl: 'https://example.com/sam.png',
+  links: { website: 'https://sam.example.com', linkedin: 'https://www.linkedin.com/in/samlee', github: 'https://github.com/samlee' },
+  experience: [{ title: 'Engineer', company: 'Acme', start: '2021-03', end: '', summary: 'Web team.', achievements: ['Shipped the store'] }],
+  education: [{ school: 'State University', degree: 'BSc', start: '2015', end: '2019' }],
+  skills: ['React', 'Node.js'],
+  projects: [{ name: 'Twin', description: 'A chat twin', url: 'https://twin.example.com' }],
+};
+
+describe('JSON Resume round trip', () => {
+  test('imports what it exports', () => {
+    const { profile: imported, report } = fromJsonResume(toJsonResume(profile));
+    expect(imported).toEqual(profile);
+    expect(report.skipped).toEqual([]);
+    expect(report.warnings).toEqual([]);
+  });
+
+  test('stamps the schema and last modified date', () => {
+    expect(toJsonResume(profile, { lastModified: '2026-10-19T00:00:00.000Z' })).toMatchObject({
+      $schema: expect.stringContaining('jsonresume'),
+      meta: { version: 'v1.0.0', lastModified: '2026-10-19T00:00:00.000Z' },
+    });
+  });
+});
+
+describe('isoDate', () => {
+  test.each([
+    ['2021', '2021'],
+    ['2021-03', '2021-03'],
+    ['2021-03-09', '2021-03-09'],
+    ['3/2021', '2021-03'],
+    ['Mar 2021', '2021-03'],
+    ['September 2021', '2021-09'],
+    ['Sept. 2021', '2021-09'],
+    ['13/2021', undefined],
+    ['Present', undefined],
+    ['Spring 2021', undefined],
+    ['', undefined],
+  ])('reads %j as %j', (value, expected) => {
+    expect(isoDate(value)).toBe(expected);
+  });
+
+  test('leaves dates it cannot read out of the export', () => {
+    const [work] = toJsonResume({ experience: [{ title: 'Engineer', start: 'Spring 2021', end: 'Present' }] }).work;
+    expect(work).toEqual({ position: 'Engineer' });
+  });
+});
+
+describe('fromJsonResume', () => {
+  test('skips networks without a profile field and builds URLs from usernames', () => {
+    const { profile: imported, report } = fromJsonResume({
+      basics: { profiles: [{ network: 'Mastodon', url: 'https://mastodon.social/@sam' }, { network: 'github', username: 'sam lee' }] },
+    });
+    expect(imported.links).toEqual({ github: 'https://github.com/sam%20lee' });
+    expect(report.skipped).toEqual([{ path: 'basics.profiles[0]', reason: 'No profile field for Mastodon' }]);
+  });
+
+  test('reports sections and fields it has no place for', () => {
+    const { report } = fromJsonResume({ basics: { name: 'Sam', nickname: 'S' }, awards: [{ title: 'Prize' }], meta: {} });
+    expect(report.skipped).toEqual([
+      { path: 'awards', reason: 'No profile field for this section' },
+      { path: 'basics.nickname', reason: 'No profile field for it' },
+    ]);
+  });
+
+  test('ignores values of the wrong type with a warning', () => {
+    const { profile: imported, report } = fromJsonResume({ basics: { name: ['Sam'], url: 'javascript:alert(1)' }, work: 'Acme', skills: [{ keywords: ['Go', 7, {}] }] });
+    expect(imported).toEqual({ skills: ['Go', '7'] });
+    expect(report.warnings.map(w => w.path)).toEqual(['basics.name', 'basics.url', 'work', 'skills[0].keywords[2]']);
+  });
+
+  test('rejects a document that is not an object', () => {
+    expect(() => fromJsonResume([])).toThrow(expect.objectContaining({ code: 'INVALID_INPUT', status: 400 }));
+  });
+});
+
+describe('toMarkdown', () => {
+  test('renders the sections and escapes formatting', () => {
+    const markdown = toMarkdown(toJsonResume({ ...profile, summary: 'Uses *React* and <b>HTML</b>.' }));
+    expect(markdown).toMatch(/^# Sam Lee\n/);
+    expect(markdown).toContain('[GitHub](https://github.com/samlee)');
+    expect(markdown).toContain('### Engineer — Acme\n\n*2021-03 – Present*');
+    expect(markdown).toContain('Uses \\*React\\* and \\<b\\>HTML\\</b\\>.');
+    expect(markdown).toContain('## Skills\n\n- React\n- Node.js');
+  });
+});
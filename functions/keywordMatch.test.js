@@ -0,0 +1,74 @@
+const { registry } = require('./providers');
+const { analyzeJob, scoreResume, matchResume } = require('./keywordMatch');
+
+const posting = 'Backend Engineer. Required: TypeScript, Node.js and PostgreSQL. Experience with Go is a plus; Kubernetes preferred.';
+const resume = {
+  title: 'Backend Engineer',
+  summary: 'Builds APIs in TS and Node.js.',
+  skills: ['Postgres', 'Docker'],
+  experience: [{ company: 'Acme', highlights: ['Moved billing to PostgreSQL', 'Good at on-call'] }],
+  links: ['https://github.com/kubernetes'],
+};
+const term = (value, kind = 'tool', aliases = []) => ({ term: value, kind, aliases });
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('analyzeJob', () => {
+  test('keeps only well-formed terms that appear in the posting', async () => {
+    const json = jest.spyOn(registry, 'json').mockResolvedValue({
+      provider: 'gemini',
+      data: {
+        required: [{ term: 'TypeScript', kind: 'tool', aliases: ['TS', 'typescript'] }, 'Node.js', { term: 'PostgreSQL', kind: 'database' }, { term: 'Rust' }, { kind: 'tool' }],
+        preferred: [{ term: 'Go' }, { term: 'Kubernetes', aliases: ['K8s'] }, { term: 'node.js' }],
+      },
+    });
+    const analysis = await analyzeJob({ jobDescription: posting, usage: { uid: 'u1' } });
+    expect(analysis).toEqual({
+      required: [term('TypeScript', 'tool', ['TS']), term('Node.js', 'keyword'), term('PostgreSQL', 'keyword')],
+      preferred: [term('Go', 'keyword'), term('Kubernetes', 'keyword', ['K8s'])],
+      provider: 'gemini',
+    });
+    expect(json.mock.calls[0][0].prompt).toContain(posting);
+    expect(json.mock.calls[0][1]).toEqual({ preferred: 'gemini', usage: { uid: 'u1' } });
+  });
+
+  test('rejects an empty description without calling a provider', async () => {
+    const json = jest.spyOn(registry, 'json');
+    await expect(analyzeJob({ jobDescription: '  ' })).rejects.toMatchObject({ status: 400, code: 'INVALID_INPUT' });
+    expect(json).not.toHaveBeenCalled();
+  });
+});
+
+describe('scoreResume', () => {
+  const analysis = {
+    required: [term('TypeScript', 'tool', ['TS']), term('Node.js'), term('PostgreSQL', 'tool', ['Postgres'])],
+    preferred: [term('Go'), term('Kubernetes', 'tool', ['K8s'])],
+  };
+
+  test('weighs required terms double and matches aliases as whole words', () => {
+    expect(scoreResume(analysis, resume)).toEqual({
+      score: 75,
+      required: { total: 3, matched: ['TypeScript', 'Node.js', 'PostgreSQL'], missing: [] },
+      // "Good" is not Go, and links are not searched
+      preferred: { total: 2, matched: [], missing: ['Go', 'Kubernetes'] },
+      missing: ['Go', 'Kubernetes'],
+    });
+  });
+
+  test('matches terms with symbols', () => {
+    const result = scoreResume({ required: [term('C++'), term('C#')], preferred: [] }, { skills: ['C++, C#'] });
+    expect(result.score).toBe(100);
+  });
+
+  test('has no score when the posting names no terms', () => {
+    expect(scoreResume({ required: [], preferred: [] }, resume).score).toBeNull();
+  });
+});
+
+describe('matchResume', () => {
+  test('returns the score with the keywords it was computed from', async () => {
+    jest.spyOn(registry, 'json').mockResolvedValue({ provider: 'openai', data: { required: [{ term: 'TypeScript', aliases: ['TS'] }], preferred: [] } });
+    const result = await matchResume({ jobDescription: posting, resume });
+    expect(result).toMatchObject({ score: 100, keywords: { required: [{ term: 'TypeScript' }], preferred: [] }, provider: 'openai', analyzedAt: expect.any(String) });
+  });
+});
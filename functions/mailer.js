@@ -0,0 +1,63 @@
+/**
+ * Outgoing Mail
+ *
+ * Gmail transport used by the outbox worker (outbox.js). Request handlers
+ * queue mail in the outbox instead of sending it inline.
+ *
+ * Required secrets: GMAIL_USER, GMAIL_APP_PASSWORD
+ *
+ * @requires nodemailer
+ */
+const nodemailer = require('nodemailer');
+const templates = require('./emailTemplates');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let transporter = null;
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      service: 'gmail',
+      auth: {
+        user: process.env.GMAIL_USER,
+        pass: process.env.GMAIL_APP_PASSWORD
+      }
+    });
+  }
+  return transporter;
+};
+
+/**
+ * @param {string} address
+ * @returns {boolean}
+ */
+const isValidEmail = (address) => typeof address === 'string' && EMAIL_REGEX.test(address);
+
+/**
+ * Send a message from the Mexty mailbox.
+ * @param {Object} params
+ * @param {string} params.to - Recipient address
+ * @param {string} params.subject
+ * @param {string} params.text - Plain text body
+ * @param {string} [params.html] - HTML body (default: the text in the branded layout)
+ * @param {string} [params.replyTo] - Reply-To address
+ * @param {Array<{ filename: string, contentType: string, content: Buffer|import('stream').Readable }>} [params.attachments]
+ * @returns {Promise<{ messageId: string }>}
+ */
+async function sendMail({ to, subject, text, html, replyTo, attachments }) {
+  const info = await getTransporter().sendMail({
+    from: `Mexty <${process.env.GMAIL_USER}>`,
+    to,
+    subject,
+    text,
+    html: html || templates.layout(templates.textToHtml(text), text.split('\n')[0]),
+    ...(replyTo ? { replyTo } : {}),
+    ...(attachments && attachments.length ? { attachments } : {})
+  });
+  return { messageId: info.messageId };
+}
+
+module.exports = {
+  isValidEmail,
+  sendMail,
+};
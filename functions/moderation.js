@@ -0,0 +1,441 @@
+/**
+ * Moderation for the Public Twin
+ *
+ * The twin speaks publicly as a real person, so every chat message is
+ * classified on the way in and every reply on the way out:
+ * - The OpenAI moderation endpoint scores the text per category (hate,
+ *   harassment, sexual, violence, self-harm, illicit, ...). A category blocks
+ *   when its score reaches the threshold the policy sets for that direction.
+ * - Policy rules (regular expressions) catch what the classifier does not
+ *   cover, such as accusations about real people.
+ *
+ * A blocked message is never sent to the model, and a blocked reply is
+ * replaced; both get the policy's refusal, written in the twin's voice.
+ * Streamed replies reach the client as they arrive; every STREAM_CHECK_CHARS
+ * characters the new text is checked in the background, and a reply that
+ * crosses the line is stopped and retracted (see createReplyMonitor).
+ *
+ * The policy lives in config/moderationPolicy over DEFAULT_POLICY. When it
+ * cannot be loaded, the last policy loaded (or DEFAULT_POLICY) applies, so a
+ * Firestore outage does not take the chat down. Every block is logged for
+ * review:
+ *
+ *   moderationIncidents/{id}
+ *     { direction, source, uid, sessionId, personaVersion, categories, rules,
+ *       scores, classifier, excerpt, status: 'open'|'confirmed'|'dismissed',
+ *       reviewedBy, reviewNote, reviewedAt, createdAt }
+ *
+ * Listing open incidents needs a composite index on moderationIncidents
+ * (status, createdAt desc).
+ *
+ * @requires openai
+ * @requires firebase-admin
+ */
+const { OpenAI } = require('openai');
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const CACHE_TTL_MS = 60 * 1000;
+/** Characters of streamed reply between two checks */
+const STREAM_CHECK_CHARS = 400;
+/** Characters of already checked text repeated in the next check */
+const STREAM_CHECK_OVERLAP = 100;
+/** Longest excerpt kept with an incident */
+const EXCERPT_CHARS = 1000;
+const DIRECTIONS = ['input', 'output'];
+const RESOLUTIONS = ['confirmed', 'dismissed'];
+/** Stored in place of a blocked visitor message, so it never reaches the model as context */
+const REDACTED_MESSAGE = '[Message removed by moderation]';
+
+/**
+ * Built-in policy. Thresholds are classifier scores from 0 to 1; categories
+ * left out never block. Replies are held to a stricter standard than
+ * visitors: the twin may be insulted, it may not insult.
+ */
+const DEFAULT_POLICY = {
+  enabled: true,
+  classifier: 'openai',
+  model: 'omni-moderation-latest',
+  /** Let messages through when the classifier is down (rules still apply) */
+  failOpen: true,
+  input: {
+    'sexual/minors': 0.2,
+    'hate/threatening': 0.5,
+    'harassment/threatening': 0.6,
+    'self-harm/instructions': 0.5,
+    'illicit/violent': 0.6,
+    'violence/graphic': 0.8,
+  },
+  output: {
+    'sexual/minors': 0.1,
+    sexual: 0.4,
+    hate: 0.3,
+    'hate/threatening': 0.2,
+    harassment: 0.4,
+    'harassment/threatening': 0.2,
+    'self-harm': 0.3,
+    'self-harm/intent': 0.2,
+    'self-harm/instructions': 0.1,
+    violence: 0.6,
+    'violence/graphic': 0.4,
+    illicit: 0.5,
+    'illicit/violent': 0.3,
+  },
+  rules: [
+    {
+      id: 'defamation',
+      direction: 'output',
+      pattern: '\\b(?:is|was|are|were)\\s+(?:a\\s+|an\\s+)?(?:known\\s+)?(?:criminal|fraudster|fraud|scammer|rapist|pedophile|paedophile|murderer|thief|racist|terrorist)s?\\b',
+      flags: 'i',
+    },
+  ],
+  refusals: {
+    input: 'I\'d rather not go there. Happy to talk about my projects, my work or anything else on your mind, though!',
+    output: 'Hmm, I\'m not going to answer that one. Ask me about my projects, skills or experience instead and I\'m all yours.',
+  },
+};
+
+/**
+ * Error for an invalid moderation policy or review.
+ */
+class ModerationInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModerationInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+/**
+ * Error for an incident id that does not exist.
+ */
+class IncidentNotFoundError extends Error {
+  constructor(id) {
+    super(`Incident ${id} not found`);
+    this.name = 'IncidentNotFoundError';
+    this.status = 404;
+    this.code = 'INCIDENT_NOT_FOUND';
+  }
+}
+
+let openai = null;
+const getOpenAI = () => {
+  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openai;
+};
+
+const toIso = (value) => (value && value.toDate ? value.toDate().toISOString() : value || null);
+
+let policyCache = null;
+
+/**
+ * Current policy: DEFAULT_POLICY with config/moderationPolicy applied.
+ * @returns {Promise<Object>}
+ */
+async function getPolicy() {
+  if (policyCache && policyCache.expires > Date.now()) return policyCache.value;
+  let snap;
+  try {
+    snap = await db.collection('config').doc('moderationPolicy').get();
+  } catch (error) {
+    console.error('Failed to load the moderation policy, using the last known one:', error.message);
+    return policyCache ? policyCache.value : DEFAULT_POLICY;
+  }
+  const { updatedAt, updatedBy, ...stored } = snap.exists ? snap.data() : {};
+  const value = {
+    ...DEFAULT_POLICY,
+    ...stored,
+    refusals: { ...DEFAULT_POLICY.refusals, ...(stored.refusals || {}) },
+  };
+  policyCache = { value, expires: Date.now() + CACHE_TTL_MS };
+  return value;
+}
+
+/**
+ * Validate and store a policy (replacing the stored document).
+ * @param {Object} policy - Any of { enabled, classifier, model, failOpen, input, output, rules, refusals }
+ * @param {Object} [user] - req.user of the admin
+ * @returns {Promise<Object>} Effective policy
+ * @throws {ModerationInputError}
+ */
+async function setPolicy(policy, user) {
+  if (!policy || typeof policy !== 'object') throw new ModerationInputError('policy must be an object');
+  const stored = {};
+  ['enabled', 'failOpen'].forEach(field => {
+    if (policy[field] === undefined) return;
+    if (typeof policy[field] !== 'boolean') throw new ModerationInputError(`${field} must be true or false`);
+    stored[field] = policy[field];
+  });
+  if (policy.classifier !== undefined) {
+    if (!['openai', 'rules'].includes(policy.classifier)) throw new ModerationInputError('classifier must be openai or rules');
+    stored.classifier = policy.classifier;
+  }
+  if (policy.model !== undefined) {
+    if (typeof policy.model !== 'string' || !policy.model.trim()) throw new ModerationInputError('model must be a string');
+    stored.model = policy.model.trim();
+  }
+  DIRECTIONS.forEach(direction => {
+    const thresholds = policy[direction];
+    if (thresholds === undefined) return;
+    if (!thresholds || typeof thresholds !== 'object') throw new ModerationInputError(`${direction} must map categories to thresholds`);
+    Object.entries(thresholds).forEach(([category, value]) => {
+      if (typeof value !== 'number' || value < 0 || value > 1) throw new ModerationInputError(`${direction}.${category} must be a number from 0 to 1`);
+    });
+    stored[direction] = thresholds;
+  });
+  if (policy.rules !== undefined) {
+    if (!Array.isArray(policy.rules)) throw new ModerationInputError('rules must be an array');
+    stored.rules = policy.rules.map((rule, i) => {
+      if (!rule || typeof rule.id !== 'string' || typeof rule.pattern !== 'string') throw new ModerationInputError(`rules[${i}] needs an id and a pattern`);
+      if (![...DIRECTIONS, 'both'].includes(rule.direction)) throw new ModerationInputError(`rules[${i}].direction must be input, output or both`);
+      try {
+        new RegExp(rule.pattern, rule.flags || '');
+      } catch (error) {
+        throw new ModerationInputError(`rules[${i}].pattern is not a valid regular expression`);
+      }
+      return { id: rule.id, direction: rule.direction, pattern: rule.pattern, flags: rule.flags || '' };
+    });
+  }
+  if (policy.refusals !== undefined) {
+    if (!policy.refusals || typeof policy.refusals !== 'object') throw new ModerationInputError('refusals must be an object');
+    DIRECTIONS.forEach(direction => {
+      const text = policy.refusals[direction];
+      if (text !== undefined && (typeof text !== 'string' || !text.trim())) throw new ModerationInputError(`refusals.${direction} must be a non-empty string`);
+    });
+    stored.refusals = policy.refusals;
+  }
+  await db.collection('config').doc('moderationPolicy').set({
+    ...stored,
+    updatedBy: user && user.uid ? user.uid : null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  policyCache = null;
+  return getPolicy();
+}
+
+/**
+ * Scores from the OpenAI moderation endpoint.
+ * @param {string} text
+ * @param {string} model
+ * @returns {Promise<Object<string, number>>} Score per category
+ */
+async function openAIScores(text, model) {
+  const response = await getOpenAI().moderations.create({ model, input: text });
+  const result = (response.results && response.results[0]) || {};
+  return result.category_scores || {};
+}
+
+/**
+ * Classify text against the policy for one direction.
+ * @param {string} text
+ * @param {'input'|'output'} direction
+ * @param {Object} [policy] - Defaults to the current policy
+ * @returns {Promise<{ allowed: boolean, categories: Array<string>, rules: Array<string>, scores: Object, classifier: string }>}
+ *   `categories` and `rules` list what blocked the text; `scores` has the
+ *   scores of the blocking categories. `classifier` is 'openai', 'rules' or
+ *   'rules (classifier unavailable)'.
+ */
+async function classify(text, direction, policy) {
+  const active = policy || await getPolicy();
+  const verdict = { allowed: true, categories: [], rules: [], scores: {}, classifier: 'rules' };
+  if (!active.enabled || !text || !text.trim()) return verdict;
+
+  active.rules
+    .filter(rule => rule.direction === direction || rule.direction === 'both')
+    .forEach(rule => {
+      if (new RegExp(rule.pattern, rule.flags || '').test(text)) verdict.rules.push(rule.id);
+    });
+
+  if (active.classifier === 'openai' && process.env.OPENAI_API_KEY) {
+    try {
+      const scores = await openAIScores(text, active.model);
+      verdict.classifier = 'openai';
+      Object.entries(active[direction] || {}).forEach(([category, threshold]) => {
+        if ((scores[category] || 0) >= threshold) {
+          verdict.categories.push(category);
+          verdict.scores[category] = Math.round(scores[category] * 1000) / 1000;
+        }
+      });
+    } catch (error) {
+      console.error('Moderation classifier failed:', error.message);
+      verdict.classifier = 'rules (classifier unavailable)';
+      if (!active.failOpen) verdict.categories.push('unavailable');
+    }
+  }
+
+  verdict.allowed = verdict.categories.length === 0 && verdict.rules.length === 0;
+  return verdict;
+}
+
+/**
+ * Log a blocked message or reply for review. Failures are logged, not thrown.
+ * @param {Object} params
+ * @param {string} params.text - The blocked text
+ * @param {'input'|'output'} params.direction
+ * @param {Object} params.verdict - From classify
+ * @param {Object} [params.context] - { source, uid, sessionId, personaVersion }
+ * @returns {Promise<string|null>} Incident id
+ */
+async function logIncident({ text, direction, verdict, context = {} }) {
+  try {
+    const ref = db.collection('moderationIncidents').doc();
+    await ref.set({
+      direction,
+      source: context.source || null,
+      uid: context.uid || null,
+      sessionId: context.sessionId || null,
+      personaVersion: context.personaVersion ?? null,
+      categories: verdict.categories,
+      rules: verdict.rules,
+      scores: verdict.scores,
+      classifier: verdict.classifier,
+      excerpt: text.slice(0, EXCERPT_CHARS),
+      status: 'open',
+      reviewedBy: null,
+      reviewNote: null,
+      reviewedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return ref.id;
+  } catch (error) {
+    console.error('Failed to log moderation incident:', error);
+    return null;
+  }
+}
+
+/**
+ * Check a visitor message or a twin reply; blocked text is logged and
+ * answered with the policy's refusal.
+ * @param {Object} params
+ * @param {string} params.text
+ * @param {'input'|'output'} params.direction
+ * @param {Object} [params.context] - { source, uid, sessionId, personaVersion } for the incident log
+ * @returns {Promise<{ allowed: boolean, refusal?: string, incidentId?: string, categories: Array<string>, rules: Array<string> }>}
+ */
+async function moderate({ text, direction, context }) {
+  const policy = await getPolicy();
+  const verdict = await classify(text, direction, policy);
+  if (verdict.allowed) return { allowed: true, categories: [], rules: [] };
+  const incidentId = await logIncident({ text, direction, verdict, context });
+  return { allowed: false, refusal: policy.refusals[direction], incidentId, categories: verdict.categories, rules: verdict.rules };
+}
+
+/**
+ * Watch a streamed reply. Every STREAM_CHECK_CHARS characters the text
+ * streamed since the last check, plus STREAM_CHECK_OVERLAP characters before
+ * it, is checked in the background; when a check blocks the reply, `signal`
+ * aborts so the caller can stop generating and retract what it sent.
+ * `finish` checks the rest the same way.
+ * @param {Object} [context] - Incident context, as for moderate
+ * @returns {{ signal: AbortSignal, push: (textSoFar: string) => void, finish: (text: string) => Promise<Object> }}
+ *   `finish` resolves like moderate
+ */
+function createReplyMonitor(context) {
+  const controller = new AbortController();
+  let checkedUpTo = 0;
+  let pending = Promise.resolve();
+  let blocked = null;
+
+  // Only the text since the last check (plus the overlap, so nothing slips
+  // through split across two windows) is sent, so the cost grows with the
+  // reply rather than with its square
+  const nextWindow = (text) => {
+    const window = text.slice(Math.max(0, checkedUpTo - STREAM_CHECK_OVERLAP));
+    checkedUpTo = text.length;
+    return window;
+  };
+
+  const push = (textSoFar) => {
+    if (blocked || textSoFar.length - checkedUpTo < STREAM_CHECK_CHARS) return;
+    const window = nextWindow(textSoFar);
+    // One check at a time, in order
+    pending = pending.then(async () => {
+      if (blocked) return;
+      const result = await moderate({ text: window, direction: 'output', context });
+      if (result.allowed) return;
+      blocked = result;
+      controller.abort();
+    }).catch(error => console.error('Streamed reply check failed:', error));
+  };
+
+  const finish = async (text) => {
+    await pending;
+    if (blocked) return blocked;
+    if (checkedUpTo > 0 && text.length <= checkedUpTo) return { allowed: true, categories: [], rules: [] };
+    return moderate({ text: nextWindow(text), direction: 'output', context });
+  };
+
+  return { signal: controller.signal, push, finish };
+}
+
+/**
+ * A chat result with its text replaced by a refusal. Tool results stay: the
+ * tools ran on the caller's behalf before the reply was written.
+ * @param {Object} result - From runToolLoop
+ * @param {string} refusal
+ * @returns {Object}
+ */
+function replaceReply(result, refusal) {
+  return { ...result, text: refusal, parts: [...(result.parts || []).filter(part => part.type !== 'text'), { type: 'text', text: refusal }] };
+}
+
+/**
+ * Incidents for review, newest first.
+ * @param {Object} [params]
+ * @param {string} [params.status='open'] - 'open', 'confirmed', 'dismissed' or 'all'
+ * @param {number} [params.limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listIncidents({ status = 'open', limit = 50 } = {}) {
+  if (![...RESOLUTIONS, 'open', 'all'].includes(status)) throw new ModerationInputError('status must be open, confirmed, dismissed or all');
+  let query = db.collection('moderationIncidents');
+  if (status !== 'all') query = query.where('status', '==', status);
+  const snap = await query.orderBy('createdAt', 'desc').limit(Math.min(Math.max(Number(limit) || 50, 1), 200)).get();
+  return snap.docs.map(doc => {
+    const data = doc.data();
+    return { id: doc.id, ...data, createdAt: toIso(data.createdAt), reviewedAt: toIso(data.reviewedAt) };
+  });
+}
+
+/**
+ * Close an incident after review.
+ * @param {string} id
+ * @param {Object} params
+ * @param {'confirmed'|'dismissed'} params.resolution - Dismissed means a false positive
+ * @param {string} [params.note]
+ * @param {Object} params.user - req.user of the reviewer
+ * @returns {Promise<{ id: string, status: string }>}
+ * @throws {ModerationInputError|IncidentNotFoundError}
+ */
+async function reviewIncident(id, { resolution, note, user }) {
+  if (!RESOLUTIONS.includes(resolution)) throw new ModerationInputError('resolution must be confirmed or dismissed');
+  const ref = db.collection('moderationIncidents').doc(String(id));
+  const snap = await ref.get();
+  if (!snap.exists) throw new IncidentNotFoundError(id);
+  await ref.update({
+    status: resolution,
+    reviewNote: typeof note === 'string' ? note.slice(0, 2000) : null,
+    reviewedBy: user.uid,
+    reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { id: ref.id, status: resolution };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  STREAM_CHECK_CHARS,
+  STREAM_CHECK_OVERLAP,
+  REDACTED_MESSAGE,
+  ModerationInputError,
+  IncidentNotFoundError,
+  getPolicy,
+  setPolicy,
+  classify,
+  moderate,
+  createReplyMonitor,
+  replaceReply,
+  listIncidents,
+  reviewIncident,
+};
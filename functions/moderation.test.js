@@ -0,0 +1,134 @@
+const admin = require('firebase-admin');
+const moderation = require('./moderation');
+const { stored } = require('./testing');
+
+jest.mock('openai', () => {
+  const create = jest.fn();
+  return { OpenAI: jest.fn(() => ({ moderations: { create } })), __create: create };
+});
+const { __create: moderationsCreate } = require('openai');
+
+const incidents = () => stored('moderationIncidents');
+const accusation = 'Between us, Sam is a fraudster.';
+
+beforeEach(async () => {
+  admin.__reset();
+  delete process.env.OPENAI_API_KEY;
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // Clears the cached policy
+  await moderation.setPolicy({});
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('getPolicy', () => {
+  test('falls back to the built-in policy when it cannot be loaded', async () => {
+    await jest.isolateModulesAsync(async () => {
+      const fresh = require('./moderation');
+      jest.spyOn(require('firebase-admin').firestore(), 'collection').mockImplementation(() => { throw new Error('unavailable'); });
+      expect(await fresh.getPolicy()).toBe(fresh.DEFAULT_POLICY);
+      expect(await fresh.moderate({ text: 'Hello there', direction: 'input' })).toMatchObject({ allowed: true });
+    });
+  });
+
+  test('keeps the last policy loaded when a reload fails', async () => {
+    await moderation.setPolicy({ refusals: { output: 'Not that.' } });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 5 * 60 * 1000);
+    jest.spyOn(admin.firestore(), 'collection').mockImplementation(() => { throw new Error('unavailable'); });
+    expect((await moderation.getPolicy()).refusals.output).toBe('Not that.');
+  });
+});
+
+describe('setPolicy', () => {
+  test.each([
+    [{ failOpen: 'yes' }, 'failOpen must be true or false'],
+    [{ output: { hate: 2 } }, 'output.hate must be a number from 0 to 1'],
+    [{ rules: [{ id: 'r', direction: 'output', pattern: '(' }] }, 'rules[0].pattern is not a valid regular expression'],
+  ])('rejects %o', async (policy, message) => {
+    await expect(moderation.setPolicy(policy)).rejects.toMatchObject({ status: 400, message });
+  });
+});
+
+describe('moderate', () => {
+  test('blocks replies matching a rule, logs an incident and returns the refusal', async () => {
+    const result = await moderation.moderate({ text: accusation, direction: 'output', context: { source: 'ai', sessionId: 's1' } });
+    expect(result).toMatchObject({ allowed: false, refusal: moderation.DEFAULT_POLICY.refusals.output, rules: ['defamation'], incidentId: expect.any(String) });
+    expect(incidents()).toEqual([expect.objectContaining({ direction: 'output', rules: ['defamation'], sessionId: 's1', status: 'open', excerpt: accusation })]);
+  });
+
+  test('applies output rules to replies only', async () => {
+    expect(await moderation.moderate({ text: accusation, direction: 'input' })).toMatchObject({ allowed: true });
+  });
+
+  test('blocks classifier categories over the threshold', async () => {
+    process.env.OPENAI_API_KEY = 'test';
+    moderationsCreate.mockResolvedValue({ results: [{ category_scores: { harassment: 0.45, violence: 0.1 } }] });
+    expect(await moderation.classify('text', 'output')).toEqual({ allowed: false, categories: ['harassment'], rules: [], scores: { harassment: 0.45 }, classifier: 'openai' });
+    expect(await moderation.classify('text', 'input')).toMatchObject({ allowed: true });
+  });
+
+  test('lets text through when the classifier is down, unless the policy fails closed', async () => {
+    process.env.OPENAI_API_KEY = 'test';
+    moderationsCreate.mockRejectedValue(new Error('503'));
+    expect(await moderation.classify('Hello', 'input')).toMatchObject({ allowed: true, classifier: 'rules (classifier unavailable)' });
+    await moderation.setPolicy({ failOpen: false });
+    expect(await moderation.classify('Hello', 'input')).toMatchObject({ allowed: false, categories: ['unavailable'] });
+  });
+});
+
+describe('createReplyMonitor', () => {
+  test('checks only the new text and a short overlap each time', async () => {
+    process.env.OPENAI_API_KEY = 'test';
+    moderationsCreate.mockResolvedValue({ results: [{ category_scores: {} }] });
+    const monitor = moderation.createReplyMonitor({});
+    const { STREAM_CHECK_CHARS: step, STREAM_CHECK_OVERLAP: overlap } = moderation;
+    const text = ['a', 'b', 'c'].map(letter => letter.repeat(step)).join('');
+    monitor.push(text.slice(0, 100));
+    monitor.push(text.slice(0, step));
+    monitor.push(text.slice(0, 2 * step));
+    expect(await monitor.finish(`${text}d`)).toMatchObject({ allowed: true });
+    const checked = moderationsCreate.mock.calls.map(([request]) => request.input);
+    expect(checked).toEqual([
+      text.slice(0, step),
+      text.slice(step - overlap, 2 * step),
+      `${text.slice(2 * step - overlap)}d`,
+    ]);
+  });
+
+  test('skips the final check when the whole reply was already checked', async () => {
+    process.env.OPENAI_API_KEY = 'test';
+    moderationsCreate.mockResolvedValue({ results: [{ category_scores: {} }] });
+    const monitor = moderation.createReplyMonitor({});
+    const text = 'a'.repeat(moderation.STREAM_CHECK_CHARS);
+    monitor.push(text);
+    expect(await monitor.finish(text)).toMatchObject({ allowed: true });
+    expect(moderationsCreate).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops a reply that crosses the line mid-stream', async () => {
+    const monitor = moderation.createReplyMonitor({ source: 'ai' });
+    const text = `${'a'.repeat(moderation.STREAM_CHECK_CHARS)} ${accusation}`;
+    monitor.push(text);
+    const result = await monitor.finish(`${text} More text.`);
+    expect(monitor.signal.aborted).toBe(true);
+    expect(result).toMatchObject({ allowed: false, rules: ['defamation'] });
+    expect(incidents()).toHaveLength(1);
+  });
+
+  test('catches a phrase split across two checks', async () => {
+    const monitor = moderation.createReplyMonitor({});
+    const first = `${'a'.repeat(moderation.STREAM_CHECK_CHARS - 10)} Sam is a `;
+    monitor.push(first);
+    expect(await monitor.finish(`${first}fraudster.`)).toMatchObject({ allowed: false, rules: ['defamation'] });
+    expect(monitor.signal.aborted).toBe(false);
+  });
+});
+
+describe('incident review', () => {
+  test('lists open incidents and closes them after review', async () => {
+    const { incidentId } = await moderation.moderate({ text: accusation, direction: 'output' });
+    expect((await moderation.listIncidents()).map(incident => incident.id)).toEqual([incidentId]);
+    expect(await moderation.reviewIncident(incidentId, { resolution: 'dismissed', note: 'Quoting a headline', user: { uid: 'admin1' } })).toEqual({ id: incidentId, status: 'dismissed' });
+    expect(await moderation.listIncidents()).toEqual([]);
+    await expect(moderation.reviewIncident('missing', { resolution: 'confirmed', user: { uid: 'admin1' } })).rejects.toMatchObject({ status: 404, code: 'INCIDENT_NOT_FOUND' });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * OpenAPI document for the HTTP endpoints
+ *
+ * Built from the contracts in schemas.js, the same schemas validation.js
+ * enforces. It is served at /api/v1/openapi.json and written to
+ * functions/openapi.json by `npm run openapi` (not checked in: it is built
+ * from the schemas, so it cannot go stale), so client changes can be
+ * checked against it. Schemas are emitted as OpenAPI 3.1 (plain JSON
+ * Schema): `nullable` becomes a "null" type, shared schemas are referenced
+ * from `components.schemas`, and the routed API's `success` and `timestamp`
+ * envelope is added to its replies.
+ */
+const { CONTRACTS, ERROR, NAMED_SCHEMAS } = require('./schemas');
+
+const METHODS = ['get', 'post', 'patch', 'delete'];
+const STATUS_TEXT = {
+  200: 'OK',
+  202: 'Accepted',
+  400: 'The request does not match its schema, or a value is invalid',
+  401: 'Missing, invalid or expired credentials',
+  403: 'Not allowed for this account',
+  404: 'Not found',
+  429: 'Rate limit or daily AI budget exceeded; see Retry-After',
+  500: 'Server error (INTERNAL); AI provider failures answer 502, 503 or 504 with a PROVIDER_* code',
+};
+
+const NAMES = new Map(Object.entries(NAMED_SCHEMAS).map(([name, schema]) => [schema, name]));
+
+/**
+ * Convert a contract schema to OpenAPI 3.1 JSON Schema.
+ * @param {Object} schema
+ * @param {boolean} [inline=false] - Expand a shared schema instead of referencing it
+ * @returns {Object}
+ */
+function toJsonSchema(schema, inline = false) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(item => toJsonSchema(item));
+  if (!inline && NAMES.has(schema)) return { $ref: `#/components/schemas/${NAMES.get(schema)}` };
+  const { nullable, ...rest } = schema;
+  const out = {};
+  Object.entries(rest).forEach(([key, value]) => {
+    if (key === 'properties') {
+      out.properties = Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, toJsonSchema(prop)]));
+    } else {
+      out[key] = typeof value === 'object' && key !== 'enum' && key !== 'required' && key !== 'type' ? toJsonSchema(value) : value;
+    }
+  });
+  if (nullable && out.type) out.type = [...(Array.isArray(out.type) ? out.type : [out.type]), 'null'];
+  return out;
+}
+
+/**
+ * Reply schema as sent, with the routed API's envelope when it applies.
+ * @param {Object} schema
+ * @param {boolean} envelope
+ * @param {boolean} success
+ * @returns {Object}
+ */
+function replySchema(schema, envelope, success) {
+  const converted = toJsonSchema(schema);
+  if (!envelope) return converted;
+  return {
+    allOf: [
+      converted,
+      { type: 'object', properties: { success: { const: success }, timestamp: { type: 'string', format: 'date-time' } }, required: ['success', 'timestamp'] },
+    ],
+  };
+}
+
+/**
+ * One OpenAPI operation from a contract operation.
+ * @param {Object} contract - CONTRACTS entry
+ * @param {Object} operation - Its method's operation
+ * @returns {Object}
+ */
+function buildOperation(contract, operation) {
+  const query = operation.query || { properties: {} };
+  const parameters = Object.entries(query.properties).map(([name, schema]) => ({
+    name,
+    in: 'query',
+    required: (query.required || []).includes(name),
+    schema: toJsonSchema(schema),
+  }));
+
+  const statuses = {
+    ...(operation.query || operation.body ? { 400: ERROR } : {}),
+    401: ERROR,
+    429: ERROR,
+    500: ERROR,
+    ...operation.responses,
+  };
+  const responses = {};
+  Object.entries(statuses).forEach(([status, schema]) => {
+    const ok = Number(status) < 400;
+    const content = { 'application/json': { schema: replySchema(schema, contract.envelope, ok) } };
+    if (ok && operation.stream) {
+      content['text/event-stream'] = { schema: { type: 'string', description: 'token, tool_call, tool_result, moderated, done and error events (see functions/streaming.js)' } };
+    }
+    responses[status] = { description: STATUS_TEXT[status] || 'Reply', content };
+  });
+
+  return {
+    tags: [contract.tag],
+    summary: operation.summary,
+    ...(operation.description ? { description: operation.description } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    ...(operation.body ? { requestBody: { required: true, content: { 'application/json': { schema: toJsonSchema(operation.body) } } } } : {}),
+    ...(operation.rawBody ? { requestBody: { required: true, content: Object.fromEntries(operation.rawBody.map(type => [type, { schema: { type: 'string', contentMediaType: type } }])) } } : {}),
+    responses,
+  };
+}
+
+/**
+ * The OpenAPI document for every contract.
+ * @returns {Object}
+ */
+function buildOpenApi() {
+  const paths = {};
+  Object.entries(CONTRACTS).forEach(([path, contract]) => {
+    paths[path] = {};
+    METHODS.filter(method => contract[method]).forEach(method => {
+      paths[path][method] = buildOperation(contract, contract[method]);
+    });
+  });
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Mexty API',
+      version: '1.0.0',
+      description: 'Endpoints behind the Mexty web app and browser extension. The web app reaches each function at /api/<function> through Hosting; the extension calls the routed `api` function, where unversioned paths are served as v1. Every error reply is an Error: branch on its `code`, and quote its `requestId` (also the X-Request-Id header) when reporting a problem.',
+    },
+    servers: [
+      { url: 'https://mexty101.web.app', description: 'Web app' },
+      { url: 'https://us-central1-mexty101.cloudfunctions.net', description: 'Cloud Functions (the extension)' },
+    ],
+    components: {
+      schemas: Object.fromEntries(Object.entries(NAMED_SCHEMAS).map(([name, schema]) => [name, toJsonSchema(schema, true)])),
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'A Firebase ID token, or an extension session token (mxs_...) from /api/v1/auth/login' },
+      },
+    },
+    // Several endpoints also serve anonymous callers on a stricter quota
+    security: [{ bearerAuth: [] }, {}],
+    paths,
+  };
+}
+
+if (require.main === module) {
+  process.stdout.write(`${JSON.stringify(buildOpenApi(), null, 2)}\n`);
+}
+
+module.exports = { buildOpenApi, toJsonSchema };
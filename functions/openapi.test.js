@@ -0,0 +1,22 @@
+const { buildOpenApi } = require('./openapi');
+const { CONTRACTS } = require('./schemas');
+
+describe('buildOpenApi', () => {
+  const doc = buildOpenApi();
+
+  test('documents every contract path', () => {
+    expect(Object.keys(doc.paths).sort()).toEqual(Object.keys(CONTRACTS).sort());
+  });
+
+  test('resolves every schema reference', () => {
+    const refs = JSON.stringify(doc).match(/"\$ref":"[^"]+"/g) || [];
+    refs.map(ref => ref.slice(8, -1)).forEach(ref => {
+      expect(ref).toMatch(/^#\/components\/schemas\//);
+      expect(doc.components.schemas).toHaveProperty([ref.split('/').pop()]);
+    });
+  });
+
+  test('emits nullable fields as a null type', () => {
+    expect(JSON.stringify(doc)).not.toContain('"nullable"');
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Outbound Mail Queue
+ *
+ * HTTP handlers do not talk to Gmail. They write the message to a Firestore
+ * outbox and return its id; a background worker sends it:
+ *
+ *   mailOutbox/{id}
+ *     { to, replyTo, subject, text, html, template, templateVersion,
+ *       attachments: [{ storagePath, filename, contentType, size }],
+ *       requestedBy, source, status, attempts, maxAttempts, nextAttemptAt,
+ *       lockedUntil, lastError, errors[], smtpMessageId, sentAt, createdAt, updatedAt }
+ *
+ * Status flow:
+ *   queued -> sending -> sent
+ *                     -> retrying -> sending ...   (exponential backoff)
+ *                     -> dead                      (out of attempts or rejected by the server)
+ *
+ * `deliver` runs right after a message is created (Firestore trigger) and
+ * `processDue` picks up retries and sends interrupted by a crash (scheduled).
+ * A message is claimed in a transaction before sending, so two workers never
+ * send it at the same time. Dead messages stay in the outbox until an admin
+ * requeues them. Attachments are kept as Storage paths (already checked
+ * against the sender, see attachments.js) and streamed in at send time.
+ *
+ * The worker queries need composite indexes on mailOutbox (status, nextAttemptAt)
+ * and (status, lockedUntil).
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+const mailer = require('./mailer');
+const templates = require('./emailTemplates');
+const { openAttachments } = require('./attachments');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+/** How long a claimed message may stay in `sending` before another worker takes it over */
+const LOCK_MS = 2 * 60 * 1000;
+const BATCH_SIZE = 20;
+const ERROR_HISTORY = 10;
+
+/**
+ * Error for a message that cannot be queued as given.
+ */
+class MailInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MailInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+/**
+ * Error for an outbox id that does not exist or is not the caller's.
+ */
+class MailNotFoundError extends Error {
+  constructor(id) {
+    super(`Message ${id} not found`);
+    this.name = 'MailNotFoundError';
+    this.status = 404;
+    this.code = 'MAIL_NOT_FOUND';
+  }
+}
+
+const outboxRef = (id) => db.collection('mailOutbox').doc(id);
+
+const toMillis = (value) => (value && value.toMillis ? value.toMillis() : new Date(value || 0).getTime());
+
+const toIso = (value) => (value ? new Date(toMillis(value)).toISOString() : null);
+
+/**
+ * Delay before retry number `attempt` (1-based): 30s, 1m, 2m, ... capped at
+ * an hour, with up to 20% jitter so failed batches do not retry in lockstep.
+ * @param {number} attempt
+ * @returns {number} Milliseconds
+ */
+function backoff(attempt) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Failures that will not succeed on retry: SMTP rejections of the message or
+ * recipient (5xx) and attachments deleted since queueing. Authentication
+ * failures are retried: they are fixed by configuration, not by changing the message.
+ * @param {Error} error - Nodemailer or AttachmentError
+ * @returns {boolean}
+ */
+const isPermanent = (error) => error.name === 'AttachmentError'
+  || Boolean(error.responseCode >= 500 && error.responseCode < 600 && error.code !== 'EAUTH');
+
+/**
+ * Queue a message. Templates are rendered now, so bad template data fails the
+ * request instead of the worker.
+ * @param {Object} params
+ * @param {string} params.to - Recipient address
+ * @param {string} [params.template] - Template id (see emailTemplates.js)
+ * @param {Object} [params.data] - Template variables
+ * @param {number} [params.version] - Template version (default: latest)
+ * @param {string} [params.subject] - Subject, without a template
+ * @param {string} [params.text] - Plain text body, without a template
+ * @param {string} [params.html] - HTML body (default: the text in the branded layout)
+ * @param {string} [params.replyTo] - Reply-To address
+ * @param {Array<Object>} [params.attachments] - Resolved by attachments.resolveAttachments
+ * @param {Object} [params.user] - req.user of the caller; null for system mail
+ * @param {string} [params.source] - What queued it, e.g. 'sendMail', 'contact', 'tool'
+ * @returns {Promise<{ id: string, status: 'queued' }>}
+ * @throws {MailInputError|EmailTemplateNotFoundError|EmailTemplateDataError}
+ */
+async function enqueue({ to, template, data, version, subject, text, html, replyTo, attachments = [], user, source = null }) {
+  if (!mailer.isValidEmail(to)) throw new MailInputError('Please provide a valid email address');
+  if (replyTo && !mailer.isValidEmail(replyTo)) throw new MailInputError('replyTo must be a valid email address');
+  let message;
+  if (template) {
+    const rendered = templates.render(template, data, { version });
+    message = { subject: rendered.subject, text: rendered.text, html: rendered.html, template: rendered.template, templateVersion: rendered.version };
+  } else {
+    if (!subject || !text) throw new MailInputError('subject and text are required without a template');
+    message = { subject, text, html: html || templates.layout(templates.textToHtml(text), text.split('\n')[0]), template: null, templateVersion: null };
+  }
+
+  const ref = db.collection('mailOutbox').doc();
+  await ref.set({
+    to,
+    replyTo: replyTo || null,
+    ...message,
+    attachments: attachments.map(({ storagePath, filename, contentType, size }) => ({ storagePath, filename, contentType, size })),
+    requestedBy: user && !user.anonymous ? user.uid : null,
+    source,
+    status: 'queued',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextAttemptAt: new Date(),
+    lockedUntil: null,
+    lastError: null,
+    errors: [],
+    smtpMessageId: null,
+    sentAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { id: ref.id, status: 'queued' };
+}
+
+/**
+ * Take a message for sending if it is due (or its previous sender stalled).
+ * The attempt is counted here so a crash mid-send still uses one up.
+ * @param {string} id
+ * @returns {Promise<Object|null>} Message data, or null if there is nothing to send
+ */
+async function claim(id) {
+  const ref = outboxRef(id);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const mail = snap.data();
+    const now = Date.now();
+    const due = (mail.status === 'queued' || mail.status === 'retrying') && toMillis(mail.nextAttemptAt) <= now;
+    const stalled = mail.status === 'sending' && toMillis(mail.lockedUntil) <= now;
+    if (!due && !stalled) return null;
+    const attempts = (mail.attempts || 0) + 1;
+    tx.update(ref, { status: 'sending', attempts, lockedUntil: new Date(now + LOCK_MS), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { ...mail, attempts };
+  });
+}
+
+/**
+ * Send one queued message and record the outcome.
+ * @param {string} id - Outbox id
+ * @returns {Promise<string|null>} New status, or null if the message was not due
+ */
+async function deliver(id) {
+  const mail = await claim(id);
+  if (!mail) return null;
+  const ref = outboxRef(id);
+  try {
+    const attachments = await openAttachments(mail.attachments);
+    const { messageId } = await mailer.sendMail({ to: mail.to, replyTo: mail.replyTo || undefined, subject: mail.subject, text: mail.text, html: mail.html, attachments });
+    await ref.update({
+      status: 'sent',
+      smtpMessageId: messageId,
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+      lockedUntil: null,
+      lastError: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return 'sent';
+  } catch (error) {
+    const dead = isPermanent(error) || mail.attempts >= (mail.maxAttempts || MAX_ATTEMPTS);
+    const status = dead ? 'dead' : 'retrying';
+    const lastError = { message: error.message, code: error.code || null, responseCode: error.responseCode || null, attempt: mail.attempts, at: new Date() };
+    console.error(`Mail ${id} attempt ${mail.attempts} failed (${status}):`, error.message);
+    await ref.update({
+      status,
+      lastError,
+      errors: [...(mail.errors || []), lastError].slice(-ERROR_HISTORY),
+      nextAttemptAt: dead ? null : new Date(Date.now() + backoff(mail.attempts)),
+      lockedUntil: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return status;
+  }
+}
+
+/**
+ * Send messages that are due for a retry or were left in `sending` by a
+ * worker that died.
+ * @param {number} [limit=BATCH_SIZE]
+ * @returns {Promise<{ processed: number, sent: number, retrying: number, dead: number }>}
+ */
+async function processDue(limit = BATCH_SIZE) {
+  const now = new Date();
+  const [due, stalled] = await Promise.all([
+    db.collection('mailOutbox').where('status', 'in', ['queued', 'retrying']).where('nextAttemptAt', '<=', now).limit(limit).get(),
+    db.collection('mailOutbox').where('status', '==', 'sending').where('lockedUntil', '<=', now).limit(limit).get(),
+  ]);
+  const summary = { processed: 0, sent: 0, retrying: 0, dead: 0 };
+  // One at a time: Gmail throttles bursts from a single account
+  for (const doc of [...due.docs, ...stalled.docs]) {
+    const status = await deliver(doc.id);
+    if (!status) continue;
+    summary.processed += 1;
+    summary[status] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Delivery status of a message.
+ * @param {string} id - Outbox id
+ * @param {Object} user - req.user; sees only messages they queued unless admin
+ * @returns {Promise<Object>}
+ * @throws {MailNotFoundError}
+ */
+async function getStatus(id, user) {
+  const snap = await outboxRef(String(id)).get();
+  const mail = snap.exists ? snap.data() : null;
+  const isAdmin = Boolean(user && user.claims && user.claims.admin === true);
+  if (!mail || (!isAdmin && (!user || !mail.requestedBy || mail.requestedBy !== user.uid))) throw new MailNotFoundError(id);
+  return {
+    id: snap.id,
+    to: mail.to,
+    subject: mail.subject,
+    template: mail.template,
+    templateVersion: mail.templateVersion,
+    attachments: (mail.attachments || []).map(({ filename, contentType, size }) => ({ filename, contentType, size })),
+    status: mail.status,
+    attempts: mail.attempts,
+    maxAttempts: mail.maxAttempts,
+    nextAttemptAt: toIso(mail.nextAttemptAt),
+    lastError: mail.lastError ? { ...mail.lastError, at: toIso(mail.lastError.at) } : null,
+    smtpMessageId: mail.smtpMessageId,
+    sentAt: toIso(mail.sentAt),
+    createdAt: toIso(mail.createdAt),
+  };
+}
+
+/**
+ * Put a dead message back in the queue with a fresh set of attempts.
+ * @param {string} id - Outbox id
+ * @returns {Promise<{ id: string, status: 'queued' }>}
+ * @throws {MailNotFoundError|MailInputError}
+ */
+async function requeue(id) {
+  const ref = outboxRef(String(id));
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw new MailNotFoundError(id);
+    if (snap.data().status !== 'dead') throw new MailInputError('Only dead messages can be requeued');
+    tx.update(ref, { status: 'queued', attempts: 0, nextAttemptAt: new Date(), lastError: null, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  });
+  return { id: ref.id, status: 'queued' };
+}
+
+module.exports = {
+  MailInputError,
+  MailNotFoundError,
+  MAX_ATTEMPTS,
+  backoff,
+  enqueue,
+  deliver,
+  processDue,
+  getStatus,
+  requeue,
+};
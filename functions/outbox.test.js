@@ -0,0 +1,123 @@
+const admin = require('firebase-admin');
+const mailer = require('./mailer');
+const outbox = require('./outbox');
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const member = { uid: 'u1', anonymous: false, claims: {} };
+const message = { to: 'sam@example.com', subject: 'Hello', text: 'Hi Sam', user: member, source: 'sendMail' };
+const mail = (id) => admin.__store.get(`mailOutbox/${id}`);
+const smtpError = (responseCode, code) => Object.assign(new Error(`SMTP ${responseCode || code}`), { responseCode, code });
+
+beforeEach(() => {
+  admin.__reset();
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('enqueue', () => {
+  test('stores a queued message for the worker', async () => {
+    const { id, status } = await outbox.enqueue(message);
+    expect(status).toBe('queued');
+    expect(mail(id)).toMatchObject({ to: 'sam@example.com', subject: 'Hello', status: 'queued', attempts: 0, requestedBy: 'u1', source: 'sendMail' });
+    expect(mail(id).html).toContain('Hi Sam');
+  });
+
+  test('rejects an invalid recipient', async () => {
+    await expect(outbox.enqueue({ ...message, to: 'nobody' })).rejects.toMatchObject({ status: 400, code: 'INVALID_INPUT' });
+  });
+});
+
+describe('deliver', () => {
+  test('sends a due message once and records the SMTP id', async () => {
+    const send = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ messageId: '<smtp-1>' });
+    const { id } = await outbox.enqueue(message);
+    expect(await outbox.deliver(id)).toBe('sent');
+    expect(await outbox.deliver(id)).toBeNull();
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(mail(id)).toMatchObject({ status: 'sent', attempts: 1, smtpMessageId: '<smtp-1>', lockedUntil: null });
+  });
+
+  test('leaves a message claimed by another worker alone until its lock expires', async () => {
+    const send = jest.spyOn(mailer, 'sendMail').mockResolvedValue({ messageId: '<smtp-1>' });
+    const { id } = await outbox.enqueue(message);
+    await admin.firestore().collection('mailOutbox').doc(id).update({ status: 'sending', attempts: 1, lockedUntil: new Date(NOW + 60 * 1000) });
+    expect(await outbox.deliver(id)).toBeNull();
+    jest.setSystemTime(NOW + 61 * 1000);
+    expect(await outbox.deliver(id)).toBe('sent');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(mail(id).attempts).toBe(2);
+  });
+
+  test('schedules a retry with backoff after a temporary failure', async () => {
+    jest.spyOn(mailer, 'sendMail').mockRejectedValue(smtpError(421));
+    const { id } = await outbox.enqueue(message);
+    expect(await outbox.deliver(id)).toBe('retrying');
+    expect(mail(id)).toMatchObject({ status: 'retrying', attempts: 1, lastError: { responseCode: 421, attempt: 1 } });
+    expect(mail(id).nextAttemptAt.getTime()).toBe(NOW + 30 * 1000);
+    expect(await outbox.deliver(id)).toBeNull();
+  });
+
+  test('gives up on a rejected recipient', async () => {
+    jest.spyOn(mailer, 'sendMail').mockRejectedValue(smtpError(550));
+    const { id } = await outbox.enqueue(message);
+    expect(await outbox.deliver(id)).toBe('dead');
+    expect(mail(id).nextAttemptAt).toBeNull();
+  });
+
+  test('retries authentication failures and marks the message dead after the last attempt', async () => {
+    jest.spyOn(mailer, 'sendMail').mockRejectedValue(smtpError(535, 'EAUTH'));
+    const { id } = await outbox.enqueue(message);
+    const statuses = [];
+    for (let i = 0; i < outbox.MAX_ATTEMPTS; i += 1) {
+      jest.setSystemTime(Date.now() + 2 * 60 * 60 * 1000);
+      statuses.push(await outbox.deliver(id));
+    }
+    expect(statuses).toEqual([...Array(outbox.MAX_ATTEMPTS - 1).fill('retrying'), 'dead']);
+    expect(mail(id).errors).toHaveLength(outbox.MAX_ATTEMPTS);
+  });
+
+  test('gives up when an attachment was deleted after queueing', async () => {
+    const send = jest.spyOn(mailer, 'sendMail');
+    const { id } = await outbox.enqueue({ ...message, attachments: [{ storagePath: 'users/u1/documents/gone.pdf', filename: 'resume.pdf', contentType: 'application/pdf', size: 10 }] });
+    expect(await outbox.deliver(id)).toBe('dead');
+    expect(send).not.toHaveBeenCalled();
+  });
+});
+
+describe('processDue', () => {
+  test('sends due retries and stalled sends, and skips messages not yet due', async () => {
+    jest.spyOn(mailer, 'sendMail').mockResolvedValue({ messageId: '<smtp>' });
+    const outboxes = admin.firestore().collection('mailOutbox');
+    const due = await outbox.enqueue(message);
+    const later = await outbox.enqueue(message);
+    const stalled = await outbox.enqueue(message);
+    await outboxes.doc(later.id).update({ status: 'retrying', nextAttemptAt: new Date(NOW + 60 * 1000) });
+    await outboxes.doc(stalled.id).update({ status: 'sending', attempts: 1, lockedUntil: new Date(NOW - 1000) });
+    expect(await outbox.processDue()).toEqual({ processed: 2, sent: 2, retrying: 0, dead: 0 });
+    expect([mail(due.id).status, mail(later.id).status, mail(stalled.id).status]).toEqual(['sent', 'retrying', 'sent']);
+  });
+});
+
+describe('getStatus and requeue', () => {
+  test('shows a message only to the caller who queued it, or an admin', async () => {
+    const { id } = await outbox.enqueue(message);
+    expect(await outbox.getStatus(id, member)).toMatchObject({ id, status: 'queued', to: 'sam@example.com' });
+    await expect(outbox.getStatus(id, { uid: 'u2', claims: {} })).rejects.toMatchObject({ status: 404, code: 'MAIL_NOT_FOUND' });
+    expect(await outbox.getStatus(id, { uid: 'ops', claims: { admin: true } })).toMatchObject({ id });
+  });
+
+  test('requeues only dead messages, with a fresh set of attempts', async () => {
+    jest.spyOn(mailer, 'sendMail').mockRejectedValueOnce(smtpError(550)).mockResolvedValue({ messageId: '<smtp>' });
+    const { id } = await outbox.enqueue(message);
+    await expect(outbox.requeue(id)).rejects.toMatchObject({ status: 400 });
+    await outbox.deliver(id);
+    expect(await outbox.requeue(id)).toEqual({ id, status: 'queued' });
+    expect(mail(id)).toMatchObject({ status: 'queued', attempts: 0, lastError: null });
+    expect(await outbox.deliver(id)).toBe('sent');
+  });
+});
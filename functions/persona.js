@@ -0,0 +1,238 @@
+/**
+ * Persona Management for "Jerry's digital twin"
+ *
+ * The system prompt is built on the server from a versioned persona document,
+ * so every chat call (web, extension) speaks with the same voice:
+ *
+ *   personas/{personaId}
+ *     { activeVersion, latestVersion, updatedAt }
+ *   personas/{personaId}/versions/{version}
+ *     { version, name, voice, facts[], boundaries[], refusalStyle, note, createdBy, createdAt }
+ *
+ * Versions are immutable. Publishing creates a new version; rolling back
+ * re-activates an older one. With no persona document, DEFAULT_PERSONA
+ * (the prompt the browser services used to hard-code) is applied.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const DEFAULT_PERSONA_ID = 'mexty';
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Built-in persona, used until a version is published.
+ */
+const DEFAULT_PERSONA = {
+  version: 0,
+  name: 'Mexty',
+  voice: 'You respond as Jerry: friendly, approachable, knows all about his AI/ML portfolio, skills, and projects. You can hold open conversations, answer about work, school, hobbies, or general interests, and update your knowledge from social/profiles as needed. Do not restrict to interview mode.',
+  facts: [],
+  boundaries: [
+    'Only state facts about Jerry that you have been given; if you are not sure, say so.',
+    'Never share private contact details, addresses, or financial information.',
+    'If someone sincerely asks whether you are an AI, say that you are Jerry\'s AI twin.',
+  ],
+  refusalStyle: 'Decline briefly and warmly in Jerry\'s voice, without lecturing, and steer back to something you can help with.',
+};
+
+/**
+ * Error for an invalid persona payload.
+ */
+class PersonaValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PersonaValidationError';
+    this.status = 400;
+    this.code = 'INVALID_PERSONA';
+  }
+}
+
+/**
+ * Error for a persona version that does not exist.
+ */
+class PersonaNotFoundError extends Error {
+  constructor(personaId, version) {
+    super(`Persona ${personaId} version ${version} not found`);
+    this.name = 'PersonaNotFoundError';
+    this.status = 404;
+    this.code = 'PERSONA_NOT_FOUND';
+  }
+}
+
+const personaRef = (personaId) => db.collection('personas').doc(personaId);
+const versionRef = (personaId, version) => personaRef(personaId).collection('versions').doc(String(version));
+
+const cache = new Map();
+
+/**
+ * Validate and normalize a persona payload.
+ * @param {Object} input - { name?, voice, facts?, boundaries?, refusalStyle? }
+ * @returns {Object} Normalized persona fields
+ * @throws {PersonaValidationError}
+ */
+function validatePersona(input) {
+  if (!input || typeof input !== 'object') throw new PersonaValidationError('persona must be an object');
+  const { name = DEFAULT_PERSONA.name, voice, facts = [], boundaries = [], refusalStyle = DEFAULT_PERSONA.refusalStyle } = input;
+  if (typeof voice !== 'string' || !voice.trim()) throw new PersonaValidationError('persona.voice is required');
+  if (typeof name !== 'string' || !name.trim()) throw new PersonaValidationError('persona.name must be a string');
+  if (typeof refusalStyle !== 'string') throw new PersonaValidationError('persona.refusalStyle must be a string');
+  const list = (value, field) => {
+    if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) {
+      throw new PersonaValidationError(`persona.${field} must be an array of strings`);
+    }
+    return value.map(v => v.trim()).filter(Boolean);
+  };
+  return {
+    name: name.trim(),
+    voice: voice.trim(),
+    facts: list(facts, 'facts'),
+    boundaries: list(boundaries, 'boundaries'),
+    refusalStyle: refusalStyle.trim(),
+  };
+}
+
+/**
+ * Compile a persona into the system prompt sent with every chat call.
+ * @param {Object} persona
+ * @returns {string}
+ */
+function buildSystemPrompt(persona) {
+  const sections = [`You are Jerry's digital twin, ${persona.name}. ${persona.voice}`];
+  if (persona.facts && persona.facts.length) {
+    sections.push(`Facts about Jerry:\n${persona.facts.map(f => `- ${f}`).join('\n')}`);
+  }
+  if (persona.boundaries && persona.boundaries.length) {
+    sections.push(`Boundaries:\n${persona.boundaries.map(b => `- ${b}`).join('\n')}`);
+  }
+  if (persona.refusalStyle) {
+    sections.push(`When you have to decline: ${persona.refusalStyle}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Load one version of a persona.
+ * @param {string} personaId
+ * @param {number} version
+ * @returns {Promise<Object>}
+ * @throws {PersonaNotFoundError}
+ */
+async function getVersion(personaId, version) {
+  if (Number(version) === 0) return { ...DEFAULT_PERSONA };
+  const snap = await versionRef(personaId, version).get();
+  if (!snap.exists) throw new PersonaNotFoundError(personaId, version);
+  return snap.data();
+}
+
+/**
+ * The active persona, cached per instance for a minute.
+ * @param {string} [personaId]
+ * @returns {Promise<Object>} Persona with `version` (0 = built-in default)
+ */
+async function getActivePersona(personaId = DEFAULT_PERSONA_ID) {
+  const hit = cache.get(personaId);
+  if (hit && hit.expires > Date.now()) return hit.persona;
+
+  let persona = { ...DEFAULT_PERSONA };
+  try {
+    const snap = await personaRef(personaId).get();
+    if (snap.exists && snap.data().activeVersion) {
+      persona = await getVersion(personaId, snap.data().activeVersion);
+    }
+  } catch (error) {
+    // Chat keeps working on the default persona if Firestore is unavailable
+    console.error('Failed to load persona, using default:', error);
+  }
+  cache.set(personaId, { persona, expires: Date.now() + CACHE_TTL_MS });
+  return persona;
+}
+
+/**
+ * Publish a new persona version.
+ * @param {Object} params
+ * @param {string} [params.personaId]
+ * @param {Object} params.persona - Persona fields (see validatePersona)
+ * @param {string} [params.note] - Change note
+ * @param {Object} params.user - req.user of the editor
+ * @param {boolean} [params.activate=false] - Make it the active version
+ * @returns {Promise<Object>} Stored version
+ */
+async function createVersion({ personaId = DEFAULT_PERSONA_ID, persona, note = '', user, activate = false }) {
+  const fields = validatePersona(persona);
+  const ref = personaRef(personaId);
+  const stored = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const version = ((snap.exists && snap.data().latestVersion) || 0) + 1;
+    const doc = {
+      version,
+      ...fields,
+      note: String(note || ''),
+      createdBy: user ? user.uid : null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    tx.set(versionRef(personaId, version), doc);
+    const update = { latestVersion: version, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    if (activate) update.activeVersion = version;
+    tx.set(ref, update, { merge: true });
+    return doc;
+  });
+  cache.delete(personaId);
+  return stored;
+}
+
+/**
+ * Make an existing version active (also used to roll back).
+ * Version 0 restores the built-in default.
+ * @param {string} personaId
+ * @param {number} version
+ * @returns {Promise<void>}
+ */
+async function activateVersion(personaId = DEFAULT_PERSONA_ID, version) {
+  await getVersion(personaId, version);
+  await personaRef(personaId).set({
+    activeVersion: Number(version),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  cache.delete(personaId);
+}
+
+/**
+ * List versions, newest first, with the active one flagged.
+ * @param {string} [personaId]
+ * @returns {Promise<{ activeVersion: number, versions: Array<Object> }>}
+ */
+async function listVersions(personaId = DEFAULT_PERSONA_ID) {
+  const [snap, versions] = await Promise.all([
+    personaRef(personaId).get(),
+    personaRef(personaId).collection('versions').orderBy('version', 'desc').get(),
+  ]);
+  const activeVersion = (snap.exists && snap.data().activeVersion) || 0;
+  return {
+    activeVersion,
+    versions: versions.docs.map(d => {
+      const data = d.data();
+      return {
+        ...data,
+        active: data.version === activeVersion,
+        createdAt: data.createdAt && data.createdAt.toDate ? data.createdAt.toDate().toISOString() : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  DEFAULT_PERSONA,
+  DEFAULT_PERSONA_ID,
+  PersonaValidationError,
+  PersonaNotFoundError,
+  validatePersona,
+  buildSystemPrompt,
+  getVersion,
+  getActivePersona,
+  createVersion,
+  activateVersion,
+  listVersions,
+};
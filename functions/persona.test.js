@@ -0,0 +1,56 @@
+const admin = require('firebase-admin');
+const persona = require('./persona');
+
+const editor = { uid: 'admin1' };
+let personaId = 0;
+const nextId = () => `test-${++personaId}`;
+
+beforeEach(() => admin.__reset());
+
+describe('persona versions', () => {
+  test('applies the built-in persona until one is published', async () => {
+    expect(await persona.getActivePersona(nextId())).toMatchObject({ version: 0, name: 'Mexty' });
+  });
+
+  test('publishes numbered versions and activates on request', async () => {
+    const id = nextId();
+    const first = await persona.createVersion({ personaId: id, persona: { voice: 'Warm.' }, user: editor, activate: true });
+    await persona.createVersion({ personaId: id, persona: { voice: 'Terse.' }, note: 'draft', user: editor });
+    expect(first).toMatchObject({ version: 1, voice: 'Warm.', createdBy: 'admin1' });
+    expect(await persona.getActivePersona(id)).toMatchObject({ version: 1, voice: 'Warm.' });
+    const { activeVersion, versions } = await persona.listVersions(id);
+    expect(activeVersion).toBe(1);
+    expect(versions.map(v => [v.version, v.active, v.note])).toEqual([[2, false, 'draft'], [1, true, '']]);
+  });
+
+  test('rolls back to an older version or the default', async () => {
+    const id = nextId();
+    await persona.createVersion({ personaId: id, persona: { voice: 'One.' }, activate: true });
+    await persona.createVersion({ personaId: id, persona: { voice: 'Two.' }, activate: true });
+    await persona.activateVersion(id, 1);
+    expect((await persona.getActivePersona(id)).voice).toBe('One.');
+    await persona.activateVersion(id, 0);
+    expect((await persona.getActivePersona(id)).version).toBe(0);
+  });
+
+  test('refuses to activate a version that does not exist', async () => {
+    await expect(persona.activateVersion(nextId(), 7)).rejects.toMatchObject({ status: 404, code: 'PERSONA_NOT_FOUND' });
+  });
+});
+
+describe('validatePersona', () => {
+  test('requires a voice and string lists', () => {
+    expect(() => persona.validatePersona({})).toThrow('persona.voice is required');
+    expect(() => persona.validatePersona({ voice: 'x', facts: [1] })).toThrow('persona.facts must be an array of strings');
+    expect(persona.validatePersona({ voice: ' x ', facts: [' a ', ''] })).toMatchObject({ voice: 'x', facts: ['a'], name: 'Mexty' });
+  });
+});
+
+describe('buildSystemPrompt', () => {
+  test('includes the facts, boundaries and refusal style', () => {
+    const prompt = persona.buildSystemPrompt({ name: 'Mexty', voice: 'Warm.', facts: ['Builds web apps'], boundaries: ['No addresses'], refusalStyle: 'Briefly.' });
+    expect(prompt).toContain('Facts about Jerry:\n- Builds web apps');
+    expect(prompt).toContain('Boundaries:\n- No addresses');
+    expect(prompt).toContain('When you have to decline: Briefly.');
+  });
+});
@@ -0,0 +1,254 @@
+/**
+ * Resume Profiles
+ *
+ * Each signed-in user's resume profile lives in `profiles/{uid}`: the data the
+ * resume and cover letter generators (resumeGenerator.js) and the
+ * extension's form auto-fill read.
+ *
+ *   profiles/{uid}
+ *     { name, title, email, phone, location, summary, skills[],
+ *       experience[{ title, company, start, end, summary?, achievements[] }],
+ *       education[{ school, degree, start, end }], projects[{ name, description, url }],
+ *       links: { linkedin, github, website }, avatarUrl, updatedAt, syncedAt }
+ *
+ * Updates are validated field by field and merged, so clients only send what
+ * changed. Missing name and email are filled from the Firebase Auth account.
+ * A JSON Resume document can be imported the same way (see jsonResume.js);
+ * values over the limits below are cut to fit and reported.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+const { fromJsonResume } = require('./jsonResume');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const MAX_TEXT_CHARS = 300;
+const MAX_SUMMARY_CHARS = 4000;
+const MAX_ENTRIES = 50;
+const TEXT_FIELDS = ['name', 'title', 'email', 'phone', 'location'];
+const LINK_FIELDS = ['linkedin', 'github', 'website'];
+const LIST_FIELDS = ['experience', 'education', 'projects'];
+
+/**
+ * Error for profile input the caller has to fix.
+ */
+class ProfileInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+/**
+ * Error for a user without a stored profile.
+ */
+class ProfileNotFoundError extends Error {
+  constructor(uid) {
+    super(`No profile stored for user ${uid}`);
+    this.name = 'ProfileNotFoundError';
+    this.status = 404;
+    this.code = 'PROFILE_NOT_FOUND';
+  }
+}
+
+const profileRef = (uid) => db.collection('profiles').doc(uid);
+const isUrl = (value) => typeof value === 'string' && value.length <= 2048 && /^https?:\/\/\S+$/i.test(value);
+const toIso = (value) => (value && value.toDate ? value.toDate().toISOString() : value || null);
+
+/**
+ * Validate a partial profile update.
+ * @param {Object} input - Fields to change; absent fields are left alone
+ * @returns {Object} Fields to merge into the stored profile
+ * @throws {ProfileInputError}
+ */
+function validateProfile(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw new ProfileInputError('profile must be an object');
+  const update = {};
+  TEXT_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    if (typeof input[field] !== 'string' || input[field].length > MAX_TEXT_CHARS) {
+      throw new ProfileInputError(`${field} must be a string of at most ${MAX_TEXT_CHARS} characters`);
+    }
+    update[field] = input[field].trim();
+  });
+  if (input.summary !== undefined) {
+    if (typeof input.summary !== 'string' || input.summary.length > MAX_SUMMARY_CHARS) {
+      throw new ProfileInputError(`summary must be a string of at most ${MAX_SUMMARY_CHARS} characters`);
+    }
+    update.summary = input.summary.trim();
+  }
+  if (input.skills !== undefined) {
+    const skills = typeof input.skills === 'string' ? input.skills.split(',') : input.skills;
+    if (!Array.isArray(skills) || skills.length > MAX_ENTRIES * 2 || skills.some(s => typeof s !== 'string')) {
+      throw new ProfileInputError('skills must be a list of strings');
+    }
+    update.skills = skills.map(s => s.trim()).filter(Boolean);
+  }
+  LIST_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    const entries = input[field];
+    if (!Array.isArray(entries) || entries.length > MAX_ENTRIES || entries.some(e => !e || (typeof e !== 'object' && typeof e !== 'string'))) {
+      throw new ProfileInputError(`${field} must be a list of at most ${MAX_ENTRIES} entries`);
+    }
+    update[field] = entries;
+  });
+  if (input.links !== undefined) {
+    if (!input.links || typeof input.links !== 'object') throw new ProfileInputError('links must be an object');
+    update.links = {};
+    LINK_FIELDS.forEach(field => {
+      const value = input.links[field];
+      if (value === undefined || value === null || value === '') return;
+      if (!isUrl(value)) throw new ProfileInputError(`links.${field} must be an http(s) URL`);
+      update.links[field] = value;
+    });
+  }
+  if (input.avatarUrl !== undefined && input.avatarUrl !== null) {
+    if (!isUrl(input.avatarUrl)) throw new ProfileInputError('avatarUrl must be an http(s) URL');
+    update.avatarUrl = input.avatarUrl;
+  }
+  return update;
+}
+
+/**
+ * Profile as returned to clients.
+ * @param {Object} data - Stored profile
+ * @returns {Object}
+ */
+function serializeProfile(data) {
+  return { ...data, links: data.links || {}, updatedAt: toIso(data.updatedAt), syncedAt: toIso(data.syncedAt) };
+}
+
+/**
+ * Read a user's profile.
+ * @param {string} uid
+ * @returns {Promise<Object>} Serialized profile
+ * @throws {ProfileNotFoundError}
+ */
+async function getProfile(uid) {
+  const snap = await profileRef(uid).get();
+  if (!snap.exists) throw new ProfileNotFoundError(uid);
+  return serializeProfile(snap.data());
+}
+
+/**
+ * Merge an update into the caller's profile, creating it if needed, and fill
+ * a missing name or email from their Firebase Auth account.
+ * @param {Object} user - req.user
+ * @param {Object} [input] - Partial profile (see validateProfile)
+ * @returns {Promise<Object>} The serialized profile after the update
+ * @throws {ProfileInputError}
+ */
+async function syncProfile(user, input) {
+  const update = input === undefined || input === null ? {} : validateProfile(input);
+  const ref = profileRef(user.uid);
+  const snap = await ref.get();
+  const current = snap.exists ? snap.data() : {};
+  if (!current.email && !update.email && user.email) update.email = user.email;
+  if (!current.name && !update.name) {
+    const account = await admin.auth().getUser(user.uid).catch(() => null);
+    if (account && account.displayName) update.name = account.displayName;
+  }
+  await ref.set({
+    ...update,
+    ...(Object.keys(update).length ? { updatedAt: admin.firestore.FieldValue.serverTimestamp() } : {}),
+    syncedAt: admin.firestore.FieldValue.serverTimestamp(),
+  }, { merge: true });
+  return serializeProfile((await ref.get()).data());
+}
+
+/**
+ * Cut imported values to the profile's limits, with a warning for each cut.
+ * @param {Object} profile - Mapped fields (changed in place)
+ * @param {Array<{ path: string, message: string }>} warnings - Added to
+ * @returns {Object} The profile
+ */
+function fitProfile(profile, warnings) {
+  const cut = (field, max, unit) => {
+    warnings.push({ path: field, message: `cut to ${max} ${unit}` });
+    profile[field] = profile[field].slice(0, max);
+  };
+  TEXT_FIELDS.forEach(field => {
+    if (typeof profile[field] === 'string' && profile[field].length > MAX_TEXT_CHARS) cut(field, MAX_TEXT_CHARS, 'characters');
+  });
+  if (typeof profile.summary === 'string' && profile.summary.length > MAX_SUMMARY_CHARS) cut('summary', MAX_SUMMARY_CHARS, 'characters');
+  if (Array.isArray(profile.skills) && profile.skills.length > MAX_ENTRIES * 2) cut('skills', MAX_ENTRIES * 2, 'entries');
+  LIST_FIELDS.forEach(field => {
+    if (Array.isArray(profile[field]) && profile[field].length > MAX_ENTRIES) cut(field, MAX_ENTRIES, 'entries');
+  });
+  return profile;
+}
+
+/**
+ * Import a JSON Resume document into the caller's profile. The fields it
+ * provides replace the stored ones (lists as a whole); the rest are kept.
+ * @param {Object} user - req.user
+ * @param {Object} resume - A JSON Resume document
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Report and preview without saving
+ * @returns {Promise<{ userData: Object, report: Object, dryRun: boolean }>}
+ *   `userData` is the profile after the import (as it would be, for a dry run);
+ *   `report` is { imported, skipped, warnings } (see jsonResume.js)
+ * @throws {JsonResumeError} When `resume` is not an object
+ * @throws {ProfileInputError} When it has nothing to import
+ */
+async function importJsonResume(user, resume, { dryRun = false } = {}) {
+  const { profile, report } = fromJsonResume(resume);
+  const update = validateProfile(fitProfile(profile, report.warnings));
+  if (!Object.keys(update).length) throw new ProfileInputError('The resume has no fields a profile can use');
+  if (dryRun) {
+    const snap = await profileRef(user.uid).get();
+    return { userData: serializeProfile({ ...(snap.exists ? snap.data() : {}), ...update }), report, dryRun: true };
+  }
+  return { userData: await syncProfile(user, update), report, dryRun: false };
+}
+
+/**
+ * Values for job application form fields, keyed the way the extension's
+ * auto-fill maps them.
+ * @param {Object} profile - Serialized profile
+ * @returns {Object} { fullName, firstName, lastName, email, phone, location, portfolio, linkedin, github, title }
+ */
+function formFillData(profile) {
+  const fullName = (profile.name || '').trim();
+  const [firstName = '', ...rest] = fullName.split(/\s+/).filter(Boolean);
+  const links = profile.links || {};
+  return {
+    fullName,
+    firstName,
+    lastName: rest.join(' '),
+    email: profile.email || '',
+    phone: profile.phone || '',
+    location: profile.location || '',
+    portfolio: links.website || '',
+    linkedin: links.linkedin || '',
+    github: links.github || '',
+    title: profile.title || '',
+  };
+}
+
+/**
+ * Avatar image for a user: the profile's `avatarUrl`, else their Firebase
+ * Auth photo.
+ * @param {string} uid
+ * @returns {Promise<string|null>}
+ */
+async function getAvatarUrl(uid) {
+  const snap = await profileRef(uid).get();
+  if (snap.exists && snap.data().avatarUrl) return snap.data().avatarUrl;
+  const account = await admin.auth().getUser(uid).catch(() => null);
+  return (account && account.photoURL) || null;
+}
+
+module.exports = {
+  ProfileInputError,
+  ProfileNotFoundError,
+  validateProfile,
+  getProfile,
+  syncProfile,
+  importJsonResume,
+  formFillData,
+  getAvatarUrl,
+};
@@ -0,0 +1,584 @@
+/**
+ * AI Provider Registry
+ *
+ * One place to call Gemini and OpenAI for chat, streamed chat, free text and
+ * JSON generation. Each provider declares the models it uses per operation and
+ * its limits. Calls go to the preferred provider first and fail over to the
+ * next configured one when it times out, is rate limited or errors. Every
+ * result records which provider and model actually answered.
+ *
+ * Provider order comes from AI_PROVIDER_ORDER (comma separated, default
+ * "gemini,openai"). Providers without an API key are skipped.
+ *
+ * Chat calls accept `tools` ({ name, description, parameters } with JSON
+ * Schema parameters) and return `{ text, toolCalls }`. Tool turns use one
+ * message format for every provider:
+ *   { role: 'assistant', content, toolCalls: [{ id, name, args }] }
+ *   { role: 'tool', toolCallId, name, content }   (content is the JSON result)
+ *
+ * Providers report token counts through `onUsage`. With a meter (the shared
+ * registry uses usage.js) and a `usage` option naming the caller and
+ * endpoint, each successful call is recorded; counts a provider did not
+ * report are estimated from the text length. `usage.degraded` switches to
+ * the meter's cheaper models.
+ *
+ * @requires @google/generative-ai
+ * @requires openai
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { OpenAI } = require('openai');
+const usageMeter = require('./usage');
+
+/**
+ * Error raised when a provider call fails, classified so the registry can
+ * decide whether to fail over.
+ */
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.provider - Provider id
+   * @param {'timeout'|'rate_limit'|'unavailable'|'error'} details.kind - Failure class
+   * @param {number} [details.status] - Upstream HTTP status, if known
+   * @param {Error} [details.cause] - Original error
+   */
+  constructor(message, { provider, kind, status, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.kind = kind || 'error';
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Map an SDK error to a ProviderError.
+ * @param {string} provider - Provider id
+ * @param {Error} error - Error thrown by the SDK
+ * @returns {ProviderError}
+ */
+function classifyError(provider, error) {
+  if (error instanceof ProviderError) return error;
+  const status = error.status || error.statusCode;
+  const text = String(error.message || '');
+  let kind = 'error';
+  if (error.name === 'APIConnectionTimeoutError' || /timed? ?out/i.test(text)) kind = 'timeout';
+  else if (status === 429 || /\b429\b|rate.?limit|quota|RESOURCE_EXHAUSTED/i.test(text)) kind = 'rate_limit';
+  else if (status === 503 || /\b503\b|overloaded|UNAVAILABLE/i.test(text)) kind = 'unavailable';
+  return new ProviderError(text || `${provider} request failed`, { provider, kind, status, cause: error });
+}
+
+/**
+ * Strip Markdown code fences models sometimes wrap JSON in, then parse.
+ * @param {string} text
+ * @returns {Object}
+ */
+function parseJSON(text) {
+  const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  return JSON.parse(trimmed || '{}');
+}
+
+/**
+ * Run fn with a time limit. fn receives an AbortSignal that fires on timeout
+ * or when the outer signal aborts, and a `disarm` callback that cancels the
+ * time limit (used by streams once the first token has arrived).
+ * @param {(signal: AbortSignal, disarm: () => void) => Promise<*>} fn
+ * @param {Object} options
+ * @param {string} options.provider - Provider id, for the timeout error
+ * @param {number} options.timeoutMs - Time limit
+ * @param {AbortSignal} [options.signal] - Outer cancellation signal
+ * @returns {Promise<*>}
+ */
+async function withTimeout(fn, { provider, timeoutMs, signal }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new ProviderError(`${provider} timed out after ${timeoutMs}ms`, { provider, kind: 'timeout' }));
+    }, timeoutMs);
+  });
+  // Once the timer is cleared the timeout never settles, so only the work can.
+  const disarm = () => clearTimeout(timer);
+  try {
+    return await Promise.race([fn(controller.signal, disarm), timeout]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Split chat messages into Gemini history plus the final prompt parts. Gemini
+ * has no system role here, so system text is prefixed to the latest user
+ * message. Consecutive tool results become one `function` turn.
+ * @param {Array<Object>} messages - Chat messages, including tool turns
+ * @returns {{ history: Array, prompt: Array<Object> }}
+ */
+function toGeminiChat(messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  const turns = messages.filter(m => m.role !== 'system');
+  let lastUser = -1;
+  turns.forEach((m, i) => { if (m.role === 'user') lastUser = i; });
+
+  const contents = [];
+  turns.forEach((msg, i) => {
+    if (msg.role === 'tool') {
+      const part = { functionResponse: { name: msg.name, response: toObject(msg.content) } };
+      const prev = contents[contents.length - 1];
+      if (prev && prev.role === 'function') prev.parts.push(part);
+      else contents.push({ role: 'function', parts: [part] });
+      return;
+    }
+    if (msg.role === 'assistant') {
+      const parts = msg.content ? [{ text: msg.content }] : [];
+      (msg.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.args || {} } }));
+      contents.push({ role: 'model', parts });
+      return;
+    }
+    const text = i === lastUser && system ? `${system}\n\n${msg.content}` : msg.content;
+    contents.push({ role: 'user', parts: [{ text }] });
+  });
+
+  const last = contents.pop() || { parts: [{ text: '' }] };
+  return { history: contents, prompt: last.parts };
+}
+
+/**
+ * Tool results travel as JSON strings; Gemini wants an object.
+ * @param {string|Object} content
+ * @returns {Object}
+ */
+function toObject(content) {
+  if (content && typeof content === 'object') return content;
+  try {
+    const value = JSON.parse(content);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : { result: value };
+  } catch (e) {
+    return { result: String(content) };
+  }
+}
+
+/**
+ * Gemini function calls, numbered so results can be matched back to them.
+ * @param {Array<{name: string, args: Object}>} [calls]
+ * @returns {Array<{ id: string, name: string, args: Object }>}
+ */
+function fromGeminiCalls(calls) {
+  return (calls || []).map((call, i) => ({ id: `call_${Date.now()}_${i}`, name: call.name, args: call.args || {} }));
+}
+
+/**
+ * Convert messages, including tool turns, to the OpenAI chat format.
+ * @param {Array<Object>} messages
+ * @returns {Array<Object>}
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return { role: 'tool', tool_call_id: msg.toolCallId, content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content) };
+    }
+    if (msg.role === 'assistant' && msg.toolCalls && msg.toolCalls.length) {
+      return {
+        role: 'assistant',
+        content: msg.content || null,
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.args || {}) },
+        })),
+      };
+    }
+    return { role: msg.role, content: msg.content };
+  });
+}
+
+/**
+ * Parse OpenAI tool call arguments; a malformed payload becomes {}.
+ * @param {Array<Object>} [calls] - OpenAI tool_calls
+ * @returns {Array<{ id: string, name: string, args: Object }>}
+ */
+function fromOpenAICalls(calls) {
+  return (calls || []).map(call => {
+    let args = {};
+    try {
+      args = JSON.parse(call.function.arguments || '{}');
+    } catch (e) {
+      console.warn(`Ignoring malformed arguments for tool ${call.function.name}`);
+    }
+    return { id: call.id, name: call.function.name, args };
+  });
+}
+
+/**
+ * Gemini model options declaring the tools, if any.
+ * @param {Array<Object>} [tools] - { name, description, parameters }
+ * @returns {Object}
+ */
+function geminiTools(tools) {
+  if (!tools || !tools.length) return {};
+  return { tools: [{ functionDeclarations: tools.map(({ name, description, parameters }) => ({ name, description, parameters })) }] };
+}
+
+/**
+ * OpenAI request options declaring the tools, if any.
+ * @param {Array<Object>} [tools] - { name, description, parameters }
+ * @returns {Object}
+ */
+function openAITools(tools) {
+  if (!tools || !tools.length) return {};
+  return { tools: tools.map(({ name, description, parameters }) => ({ type: 'function', function: { name, description, parameters } })) };
+}
+
+/**
+ * Pass Gemini token counts to the registry's usage callback.
+ * @param {Object} [metadata] - response.usageMetadata
+ * @param {Function} [onUsage]
+ */
+function reportGeminiUsage(metadata, onUsage) {
+  if (!metadata || !onUsage) return;
+  onUsage({ inputTokens: metadata.promptTokenCount || 0, outputTokens: metadata.candidatesTokenCount || 0 });
+}
+
+/**
+ * Pass OpenAI token counts to the registry's usage callback.
+ * @param {Object} [usage] - completion.usage
+ * @param {Function} [onUsage]
+ */
+function reportOpenAIUsage(usage, onUsage) {
+  if (!usage || !onUsage) return;
+  onUsage({ inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 });
+}
+
+/**
+ * Gemini provider
+ */
+function createGeminiProvider() {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+    return client;
+  };
+
+  return {
+    id: 'gemini',
+    label: 'Google Gemini',
+    models: { chat: 'gemini-pro', text: 'gemini-1.5-flash', json: 'gemini-1.5-flash' },
+    limits: { maxOutputTokens: 8192, timeoutMs: 30000 },
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+
+    async chat({ messages, model, maxTokens, temperature, tools, onUsage }) {
+      const { history, prompt } = toGeminiChat(messages);
+      const chat = getClient().getGenerativeModel({ model, ...geminiTools(tools) }).startChat({
+        history,
+        generationConfig: { maxOutputTokens: maxTokens, temperature },
+      });
+      const result = await chat.sendMessage(prompt);
+      reportGeminiUsage(result.response.usageMetadata, onUsage);
+      return { text: result.response.text(), toolCalls: fromGeminiCalls(result.response.functionCalls()) };
+    },
+
+    async streamChat({ messages, model, maxTokens, temperature, tools, signal, onToken, onUsage }) {
+      const { history, prompt } = toGeminiChat(messages);
+      const chat = getClient().getGenerativeModel({ model, ...geminiTools(tools) }).startChat({
+        history,
+        generationConfig: { maxOutputTokens: maxTokens, temperature },
+      });
+      const result = await chat.sendMessageStream(prompt);
+      let full = '';
+      const calls = [];
+      let usageMetadata;
+      for await (const chunk of result.stream) {
+        // The Gemini SDK has no cancel hook; stop reading once aborted.
+        if (signal.aborted) break;
+        const text = chunk.text();
+        if (text) {
+          full += text;
+          onToken(text);
+        }
+        calls.push(...(chunk.functionCalls() || []));
+        // Each chunk carries running totals; the last one has the full count
+        if (chunk.usageMetadata) ({ usageMetadata } = chunk);
+      }
+      reportGeminiUsage(usageMetadata, onUsage);
+      return { text: full, toolCalls: fromGeminiCalls(calls) };
+    },
+
+    async text({ prompt, model, maxTokens, temperature, onUsage }) {
+      const m = getClient().getGenerativeModel({ model, generationConfig: { maxOutputTokens: maxTokens, temperature } });
+      const result = await m.generateContent([{ text: prompt }]);
+      reportGeminiUsage(result.response.usageMetadata, onUsage);
+      return result.response.text();
+    },
+
+    async json({ prompt, model, maxTokens, temperature, onUsage }) {
+      const m = getClient().getGenerativeModel({ model, generationConfig: { maxOutputTokens: maxTokens, temperature } });
+      const result = await m.generateContent([{ text: `${prompt}\nJSON only.` }]);
+      reportGeminiUsage(result.response.usageMetadata, onUsage);
+      return parseJSON(result.response.text());
+    },
+  };
+}
+
+/**
+ * OpenAI provider
+ */
+function createOpenAIProvider() {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return client;
+  };
+
+  return {
+    id: 'openai',
+    label: 'OpenAI',
+    models: { chat: 'gpt-3.5-turbo', text: 'gpt-4o-mini', json: 'gpt-4o-mini' },
+    limits: { maxOutputTokens: 4096, timeoutMs: 30000 },
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+    async chat({ messages, model, maxTokens, temperature, tools, signal, onUsage }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages: toOpenAIMessages(messages),
+        max_tokens: maxTokens,
+        temperature,
+        ...openAITools(tools),
+      }, { signal });
+      reportOpenAIUsage(completion.usage, onUsage);
+      const message = completion.choices?.[0]?.message || {};
+      return { text: message.content || '', toolCalls: fromOpenAICalls(message.tool_calls) };
+    },
+
+    async streamChat({ messages, model, maxTokens, temperature, tools, signal, onToken, onUsage }) {
+      const stream = await getClient().chat.completions.create({
+        model,
+        messages: toOpenAIMessages(messages),
+        max_tokens: maxTokens,
+        temperature,
+        stream: true,
+        // Adds a final chunk with no choices and the token counts
+        stream_options: { include_usage: true },
+        ...openAITools(tools),
+      }, { signal });
+      let full = '';
+      // Tool call fragments arrive by index: id and name first, then argument text
+      const calls = [];
+      for await (const chunk of stream) {
+        if (chunk.usage) reportOpenAIUsage(chunk.usage, onUsage);
+        const delta = chunk.choices[0]?.delta || {};
+        if (delta.content) {
+          full += delta.content;
+          onToken(delta.content);
+        }
+        (delta.tool_calls || []).forEach(part => {
+          const call = calls[part.index] || (calls[part.index] = { id: '', function: { name: '', arguments: '' } });
+          if (part.id) call.id = part.id;
+          if (part.function?.name) call.function.name += part.function.name;
+          if (part.function?.arguments) call.function.arguments += part.function.arguments;
+        });
+      }
+      return { text: full, toolCalls: fromOpenAICalls(calls.filter(Boolean)) };
+    },
+
+    async text({ prompt, model, maxTokens, temperature, signal, onUsage }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+      }, { signal });
+      reportOpenAIUsage(completion.usage, onUsage);
+      return completion.choices?.[0]?.message?.content || '';
+    },
+
+    async json({ prompt, model, maxTokens, temperature, signal, onUsage }) {
+      const completion = await getClient().chat.completions.create({
+        model,
+        messages: [{ role: 'system', content: 'Return valid JSON only.' }, { role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+        response_format: { type: 'json_object' },
+      }, { signal });
+      reportOpenAIUsage(completion.usage, onUsage);
+      return parseJSON(completion.choices?.[0]?.message?.content);
+    },
+  };
+}
+
+/**
+ * Rough token count for text a provider did not report usage for.
+ * @param {*} value - String, or messages/results to measure as JSON
+ * @returns {number}
+ */
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value || '');
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Create a provider registry.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.providers] - Provider definitions (default: Gemini and OpenAI)
+ * @param {Array<string>} [options.order] - Failover order by provider id
+ * @param {Object} [options.meter] - { record(event), degradedModels } for usage accounting
+ * @returns {Object} Registry with register/get/list and chat/streamChat/text/json
+ */
+function createRegistry({ providers, order, meter } = {}) {
+  const byId = new Map();
+  (providers || [createGeminiProvider(), createOpenAIProvider()]).forEach(p => byId.set(p.id, p));
+
+  const defaultOrder = () => order
+    || (process.env.AI_PROVIDER_ORDER || 'gemini,openai').split(',').map(s => s.trim()).filter(Boolean);
+
+  /**
+   * Providers to try, preferred first, then the configured order, then any
+   * remaining registered providers. Unconfigured providers are skipped.
+   */
+  const candidates = (preferred, failover) => {
+    const ids = [preferred, ...defaultOrder(), ...byId.keys()].filter(Boolean);
+    const unique = [...new Set(ids)].map(id => byId.get(id)).filter(Boolean);
+    const ready = unique.filter(p => !p.isConfigured || p.isConfigured());
+    if (failover === false) return ready.filter(p => p.id === (preferred || ready[0]?.id)).slice(0, 1);
+    return ready;
+  };
+
+  /**
+   * Call `operation` on each candidate provider until one succeeds.
+   * `usage` ({ uid, endpoint, degraded? }) records the successful call with the meter.
+   * @returns {Promise<{ result: *, provider: string, model: string, attempts: Array }>}
+   */
+  const run = async (operation, params = {}, { preferred, failover = true, signal, canRetry, usage } = {}) => {
+    const list = candidates(preferred, failover);
+    if (list.length === 0) {
+      throw new ProviderError('No AI provider is configured', { provider: preferred, kind: 'unavailable' });
+    }
+    const attempts = [];
+    let lastError;
+    for (const provider of list) {
+      const kind = operation === 'streamChat' ? 'chat' : operation;
+      const degradedModel = usage && usage.degraded && meter && meter.degradedModels && meter.degradedModels[provider.id];
+      const model = (params.models && params.models[provider.id]) || degradedModel || provider.models[kind];
+      const maxTokens = Math.min(params.maxTokens || 2000, provider.limits.maxOutputTokens);
+      const started = Date.now();
+      let reported = null;
+      try {
+        const result = await withTimeout(
+          (s, disarm) => provider[operation]({
+            ...params,
+            model,
+            maxTokens,
+            temperature: params.temperature ?? 0.7,
+            signal: s,
+            // A stream only has to produce its first token within the limit
+            onToken: params.onToken && (text => { disarm(); params.onToken(text); }),
+            onUsage: counts => { reported = counts; },
+          }),
+          { provider: provider.id, timeoutMs: params.timeoutMs || provider.limits.timeoutMs, signal }
+        );
+        const ms = Date.now() - started;
+        attempts.push({ provider: provider.id, model, ok: true, ms });
+        if (meter && usage) {
+          const counts = reported || {
+            inputTokens: estimateTokens(params.messages || params.prompt),
+            outputTokens: estimateTokens(result),
+          };
+          await meter.record({
+            uid: usage.uid || null,
+            endpoint: usage.endpoint,
+            provider: provider.id,
+            model,
+            operation,
+            ...counts,
+            latencyMs: ms,
+            estimated: !reported,
+            degraded: Boolean(degradedModel),
+          });
+        }
+        return { result, provider: provider.id, model, attempts };
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        lastError = classifyError(provider.id, error);
+        attempts.push({ provider: provider.id, model, ok: false, kind: lastError.kind, ms: Date.now() - started });
+        console.warn(`AI provider ${provider.id} failed (${lastError.kind}): ${lastError.message}`);
+        if (canRetry && !canRetry()) break;
+      }
+    }
+    lastError.attempts = attempts;
+    throw lastError;
+  };
+
+  return {
+    register(provider) { byId.set(provider.id, provider); return this; },
+    get: id => byId.get(id),
+    has: id => byId.has(id),
+    list: () => [...byId.values()].map(p => ({ id: p.id, label: p.label, models: p.models, limits: p.limits, configured: !p.isConfigured || p.isConfigured() })),
+
+    /**
+     * Multi-turn chat. With `tools`, the reply may carry `toolCalls` instead
+     * of (or alongside) text.
+     * @param {Object} params - { messages, tools?, maxTokens?, temperature?, models? }
+     * @param {Object} [options] - { preferred?, failover?, signal?, usage? }
+     * @returns {Promise<{ text: string, toolCalls: Array, provider: string, model: string, attempts: Array }>}
+     */
+    async chat(params, options) {
+      const { result, ...meta } = await run('chat', params, options);
+      return { text: result.text, toolCalls: result.toolCalls || [], ...meta };
+    },
+
+    /**
+     * Streamed multi-turn chat. Fails over only until the first token has been
+     * emitted; after that a failure is surfaced to the caller.
+     * @param {Object} params - { messages, onToken, tools?, maxTokens?, temperature?, models? }
+     * @param {Object} [options] - { preferred?, failover?, signal?, usage? }
+     * @returns {Promise<{ text: string, toolCalls: Array, provider: string, model: string, attempts: Array }>}
+     */
+    async streamChat(params, options = {}) {
+      let emitted = false;
+      const onToken = text => { emitted = true; params.onToken(text); };
+      const { result, ...meta } = await run('streamChat', { ...params, onToken }, { ...options, canRetry: () => !emitted });
+      return { text: result.text, toolCalls: result.toolCalls || [], ...meta };
+    },
+
+    /**
+     * Single-prompt free text generation.
+     * @param {Object} params - { prompt, maxTokens?, temperature?, models? }
+     * @param {Object} [options] - { preferred?, failover?, signal?, usage? }
+     */
+    async text(params, options) {
+      const { result, ...meta } = await run('text', params, options);
+      return { text: result, ...meta };
+    },
+
+    /**
+     * Single-prompt JSON generation; the reply is parsed before returning.
+     * @param {Object} params - { prompt, maxTokens?, temperature?, models? }
+     * @param {Object} [options] - { preferred?, failover?, signal?, usage? }
+     */
+    async json(params, options) {
+      const { result, ...meta } = await run('json', params, options);
+      return { data: result, ...meta };
+    },
+  };
+}
+
+/**
+ * Shared registry used by the HTTP functions, metered by usage.js.
+ */
+const registry = createRegistry({ meter: { record: usageMeter.recordUsage, degradedModels: usageMeter.DEGRADED_MODELS } });
+
+module.exports = {
+  registry,
+  createRegistry,
+  createGeminiProvider,
+  createOpenAIProvider,
+  ProviderError,
+  classifyError,
+  parseJSON,
+};
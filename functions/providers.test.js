@@ -0,0 +1,113 @@
+const { createRegistry, classifyError, parseJSON, ProviderError } = require('./providers');
+
+/** A provider whose operations answer from `behaviour` */
+const fakeProvider = (id, behaviour = {}) => ({
+  id,
+  label: id,
+  models: { chat: `${id}-chat`, text: `${id}-text`, json: `${id}-json` },
+  limits: { maxOutputTokens: 1000, timeoutMs: 1000 },
+  isConfigured: () => behaviour.configured !== false,
+  chat: jest.fn(behaviour.chat || (async () => ({ text: `${id} reply`, toolCalls: [] }))),
+  streamChat: jest.fn(behaviour.streamChat || (async ({ onToken }) => { onToken(`${id} `); return { text: `${id} `, toolCalls: [] }; })),
+  text: jest.fn(behaviour.text || (async () => `${id} text`)),
+  json: jest.fn(behaviour.json || (async () => ({ from: id }))),
+});
+const failing = (message, status) => async () => { throw Object.assign(new Error(message), { status }); };
+
+beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterEach(() => jest.restoreAllMocks());
+
+describe('provider failover', () => {
+  test('answers from the preferred provider', async () => {
+    const gemini = fakeProvider('gemini');
+    const openai = fakeProvider('openai');
+    const registry = createRegistry({ providers: [gemini, openai], order: ['gemini', 'openai'] });
+    const result = await registry.chat({ messages: [] }, { preferred: 'openai' });
+    expect(result).toMatchObject({ text: 'openai reply', provider: 'openai', model: 'openai-chat' });
+    expect(gemini.chat).not.toHaveBeenCalled();
+  });
+
+  test('fails over on a rate limit and records each attempt', async () => {
+    const gemini = fakeProvider('gemini', { chat: failing('429 Too Many Requests', 429) });
+    const registry = createRegistry({ providers: [gemini, fakeProvider('openai')], order: ['gemini', 'openai'] });
+    const result = await registry.chat({ messages: [] }, { preferred: 'gemini' });
+    expect(result.provider).toBe('openai');
+    expect(result.attempts.map(a => [a.provider, a.ok, a.kind])).toEqual([['gemini', false, 'rate_limit'], ['openai', true, undefined]]);
+  });
+
+  test('fails over when a provider times out', async () => {
+    const gemini = fakeProvider('gemini', { text: () => new Promise(() => {}) });
+    gemini.limits.timeoutMs = 20;
+    const registry = createRegistry({ providers: [gemini, fakeProvider('openai')], order: ['gemini', 'openai'] });
+    const result = await registry.text({ prompt: 'hi' }, { preferred: 'gemini' });
+    expect(result).toMatchObject({ text: 'openai text', provider: 'openai' });
+    expect(result.attempts[0]).toMatchObject({ provider: 'gemini', kind: 'timeout' });
+  });
+
+  test('skips providers without an API key', async () => {
+    const gemini = fakeProvider('gemini', { configured: false });
+    const registry = createRegistry({ providers: [gemini, fakeProvider('openai')], order: ['gemini', 'openai'] });
+    expect((await registry.json({ prompt: 'x' }, { preferred: 'gemini' })).data).toEqual({ from: 'openai' });
+    expect(gemini.json).not.toHaveBeenCalled();
+  });
+
+  test('throws the last classified error when every provider fails', async () => {
+    const registry = createRegistry({
+      providers: [fakeProvider('gemini', { chat: failing('overloaded', 503) }), fakeProvider('openai', { chat: failing('boom') })],
+      order: ['gemini', 'openai'],
+    });
+    const error = await registry.chat({ messages: [] }).catch(e => e);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error).toMatchObject({ provider: 'openai', kind: 'error' });
+    expect(error.attempts.map(a => a.kind)).toEqual(['unavailable', 'error']);
+  });
+
+  test('does not fail over a stream once a token was sent', async () => {
+    const gemini = fakeProvider('gemini', { streamChat: async ({ onToken }) => { onToken('Hel'); throw new Error('reset'); } });
+    const openai = fakeProvider('openai');
+    const registry = createRegistry({ providers: [gemini, openai], order: ['gemini', 'openai'] });
+    const tokens = [];
+    await expect(registry.streamChat({ messages: [], onToken: t => tokens.push(t) })).rejects.toThrow('reset');
+    expect(tokens).toEqual(['Hel']);
+    expect(openai.streamChat).not.toHaveBeenCalled();
+  });
+
+  test('fails over a stream that failed before its first token', async () => {
+    const registry = createRegistry({
+      providers: [fakeProvider('gemini', { streamChat: failing('503 unavailable', 503) }), fakeProvider('openai')],
+      order: ['gemini', 'openai'],
+    });
+    const tokens = [];
+    const result = await registry.streamChat({ messages: [], onToken: t => tokens.push(t) });
+    expect(result.provider).toBe('openai');
+    expect(tokens).toEqual(['openai ']);
+  });
+
+  test('meters successful calls, on the degraded model when asked', async () => {
+    const record = jest.fn();
+    const registry = createRegistry({
+      providers: [fakeProvider('gemini')],
+      order: ['gemini'],
+      meter: { record, degradedModels: { gemini: 'gemini-cheap' } },
+    });
+    const result = await registry.text({ prompt: 'abcdefgh' }, { usage: { uid: 'u1', endpoint: 'ai', degraded: true } });
+    expect(result.model).toBe('gemini-cheap');
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({ uid: 'u1', endpoint: 'ai', provider: 'gemini', model: 'gemini-cheap', estimated: true, degraded: true, inputTokens: 2 }));
+  });
+});
+
+describe('classifyError', () => {
+  test('maps SDK errors to failover kinds', () => {
+    expect(classifyError('openai', Object.assign(new Error('x'), { status: 429 })).kind).toBe('rate_limit');
+    expect(classifyError('gemini', new Error('[503 Service Unavailable] The model is overloaded')).kind).toBe('unavailable');
+    expect(classifyError('openai', Object.assign(new Error('Request timed out.'), { name: 'APIConnectionTimeoutError' })).kind).toBe('timeout');
+    expect(classifyError('openai', new Error('Invalid request')).kind).toBe('error');
+  });
+});
+
+describe('parseJSON', () => {
+  test('accepts fenced JSON', () => {
+    expect(parseJSON('```json\n{"a":1}\n```')).toEqual({ a: 1 });
+    expect(parseJSON('')).toEqual({});
+  });
+});
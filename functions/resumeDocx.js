@@ -0,0 +1,230 @@
+/**
+ * Word (DOCX) rendering for resumes and cover letters
+ *
+ * Builds .docx files from the same content as the PDF layouts: resumes from
+ * the structured resume JSON and the profile, laid out with the selected
+ * template's sections, theme, sidebar and limits (see resumeTemplates.js),
+ * and cover letters from the letter text. Word has no chips or flex rows, so
+ * skills become one separated line and dates sit on a right tab stop; the
+ * modern sidebar is a borderless two-column table, and ats stays a plain
+ * single column of paragraphs with standard headings.
+ */
+const {
+  AlignmentType, BorderStyle, Document, Packer, Paragraph, ShadingType, Tab, TabStopPosition, TabStopType,
+  Table, TableBorders, TableCell, TableRow, TextRun, WidthType,
+} = require('docx');
+const { SECTION_TITLES, prepareResume } = require('./resumeTemplates');
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+/** Page margins when a template sets none, as htmlToPdfBuffer prints them */
+const DEFAULT_MARGIN = { top: '16mm', bottom: '16mm', left: '14mm', right: '14mm' };
+const TWIPS_PER_MM = 56.7;
+const GENERIC_FONTS = { 'sans-serif': 'Arial', serif: 'Georgia', monospace: 'Courier New' };
+
+/**
+ * Word color (RRGGBB) for a CSS hex color; names and other values use the fallback.
+ * @param {string} value
+ * @param {string} fallback - A CSS hex color
+ * @returns {string}
+ */
+function wordColor(value, fallback) {
+  const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(value || '') || /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(fallback);
+  const digits = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+  return digits.toUpperCase();
+}
+
+/**
+ * Word font for a CSS font list: its first family, with generic families
+ * replaced by a common font.
+ * @param {string} list - e.g. "Helvetica, Arial, sans-serif"
+ * @returns {string}
+ */
+function wordFont(list) {
+  const first = String(list || '').split(',')[0].replace(/["']/g, '').trim();
+  return GENERIC_FONTS[first] || first || 'Arial';
+}
+
+const twips = (length) => Math.round(parseFloat(length) * TWIPS_PER_MM);
+const margins = (margin = DEFAULT_MARGIN) => ({ top: twips(margin.top), bottom: twips(margin.bottom), left: twips(margin.left), right: twips(margin.right) });
+
+/**
+ * Paragraph builders for one resume style. `size` is the body size in points;
+ * `stacked` puts dates under their entry (the narrow sidebar) and `rule`
+ * colors the heading rules.
+ * @param {Object} style - { primary, text, muted, size, plain?, stacked?, rule?, separator }
+ * @returns {Object}
+ */
+function builders(style) {
+  const gap = Math.round(style.size * 4);
+  const run = (text, extra = {}) => new TextRun({ text, color: style.text, ...extra });
+  const muted = (text) => run(text, { color: style.muted, size: Math.round((style.size - 1) * 2) });
+  const para = (children, extra = {}) => new Paragraph({ children: [].concat(children), spacing: { after: gap }, ...extra });
+  const heading = (id) => para(run(style.plain ? SECTION_TITLES[id].toUpperCase() : SECTION_TITLES[id], { bold: true, color: style.primary, size: Math.round((style.size + 2) * 2) }), {
+    spacing: { before: gap * 3, after: gap },
+    keepNext: true,
+    ...(style.plain ? {} : { border: { bottom: { style: BorderStyle.SINGLE, size: 8, color: style.rule || style.primary, space: 1 } } }),
+  });
+  // Title • subtitle with the dates on a right tab stop; plain styles and
+  // narrow columns put the dates on their own line instead
+  const entry = (title, subtitle, dates) => {
+    if (style.plain || style.stacked) {
+      const line = style.plain ? [run([title, subtitle].filter(Boolean).join(', '), { bold: true })] : [run(title, { bold: true }), ...(subtitle ? [run(` • ${subtitle}`)] : [])];
+      return [para(line, { spacing: { before: gap, after: 0 }, keepNext: true }), ...(dates ? [para(style.plain ? run(dates) : muted(dates), { spacing: { after: gap } })] : [])];
+    }
+    return [para([run(title, { bold: true }), ...(subtitle ? [run(` • ${subtitle}`)] : []), ...(dates ? [new TextRun({ children: [new Tab(), dates], color: style.muted, size: Math.round((style.size - 1) * 2) })] : [])], {
+      spacing: { before: gap, after: 0 },
+      keepNext: true,
+      tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+    })];
+  };
+  const bullet = (text) => new Paragraph({ children: [run(text)], bullet: { level: 0 }, spacing: { after: 0 } });
+  return { run, muted, para, heading, entry, bullet };
+}
+
+/**
+ * Paragraphs for one resume section.
+ * @param {Object} content - From resumeContent
+ * @param {string} id - Section id
+ * @param {Object} b - From builders
+ * @param {Object} style
+ * @param {Object} [limits] - The template's { experience, achievements, education }
+ * @returns {Array<Paragraph>}
+ */
+function sectionBody(content, id, b, style, limits = {}) {
+  switch (id) {
+    case 'summary': return [b.para(b.run(content.summary))];
+    case 'skills': return [b.para(b.run(content.skills.join(style.separator)))];
+    case 'experience': return content.experience.slice(0, limits.experience).flatMap(e => [
+      ...b.entry(e.title, e.company, e.dates),
+      ...e.achievements.slice(0, limits.achievements).map(b.bullet),
+    ]);
+    case 'education': return content.education.slice(0, limits.education).flatMap(e => b.entry(e.degree, e.school, e.dates));
+    case 'projects': return content.projects.flatMap(p => [
+      b.para([b.run(p.name, { bold: true }), ...(p.url && !style.plain ? [b.run(' '), b.muted(p.url)] : [])], { spacing: { after: 0 }, keepNext: Boolean(p.description || (p.url && style.plain)) }),
+      ...(p.description ? [b.para(b.run(p.description), { spacing: { after: 0 } })] : []),
+      ...(p.url && style.plain ? [b.para(b.run(p.url), { spacing: { after: 0 } })] : []),
+    ]);
+    case 'links': return content.links.map(l => b.para(b.run(`${l.label}: ${l.url}`), { spacing: { after: 0 } }));
+    default: return [];
+  }
+}
+
+const sectionsFor = (content, ids, b, style, limits) => ids.flatMap(id => [b.heading(id), ...sectionBody(content, id, b, style, limits)]);
+
+/**
+ * Styles for a template and theme: the page and, for modern, the sidebar.
+ * @param {Object} template
+ * @param {Object} theme - From themeFor
+ * @returns {{ body: Object, side: Object }}
+ */
+function stylesFor(template, theme) {
+  const primary = wordColor(theme.primary, template.theme.primary);
+  const accent = wordColor(theme.accent, template.theme.accent);
+  const body = template.plain
+    ? { primary: '000000', accent: '000000', text: '000000', muted: '000000', size: theme.size, plain: true, separator: ', ' }
+    : { primary, accent, text: '111827', muted: '64748B', size: theme.size, separator: template.onePage ? ' · ' : ' • ' };
+  const side = { ...body, primary: 'F8FAFC', text: 'F8FAFC', muted: 'CBD5E1', rule: accent, stacked: true };
+  return { body, side };
+}
+
+/**
+ * Resume as a Word document, laid out like its PDF template.
+ * @param {Object} params - As for renderResume (resumeTemplates.js)
+ * @returns {Promise<{ buffer: Buffer, template: string, sections: Array<string> }>}
+ * @throws {ResumeTemplateError} For an unknown template or section
+ */
+async function renderResumeDocx(params) {
+  const { id, template, theme, content, sections } = prepareResume(params);
+  const { body, side } = stylesFor(template, theme);
+  const b = builders(body);
+  const name = b.para(b.run(content.name, { bold: true, color: body.primary, size: Math.round((body.size + 9) * 2) }), { spacing: { after: 40 } });
+  const meta = (items, separator) => (items.length ? [b.para(b.run(items.join(separator)), { spacing: { after: 40 } })] : []);
+
+  let children;
+  if (template.sidebar) {
+    const s = builders(side);
+    const sidebar = [
+      s.para(s.run(content.name, { bold: true, size: Math.round((side.size + 8) * 2) }), { spacing: { after: 40 } }),
+      ...(content.title ? [s.para(s.run(content.title, { bold: true, color: side.rule }))] : []),
+      ...content.contact.map(item => s.para(s.run(item, { size: Math.round((side.size - 1) * 2) }), { spacing: { after: 40 } })),
+      ...sectionsFor(content, sections.filter(sid => template.sidebar.includes(sid)), s, side, template.limits),
+    ];
+    const main = [
+      ...(content.target ? [b.para(b.muted(content.target))] : []),
+      ...sectionsFor(content, sections.filter(sid => !template.sidebar.includes(sid)), b, body, template.limits),
+    ];
+    const cell = (cellChildren, width, extra = {}) => new TableCell({
+      children: cellChildren.length ? cellChildren : [new Paragraph({})],
+      width: { size: width, type: WidthType.PERCENTAGE },
+      margins: { top: 280, bottom: 280, left: 280, right: 280 },
+      ...extra,
+    });
+    children = [new Table({
+      width: { size: 100, type: WidthType.PERCENTAGE },
+      borders: TableBorders.NONE,
+      rows: [new TableRow({ children: [cell(sidebar, 32, { shading: { type: ShadingType.CLEAR, color: 'auto', fill: body.primary } }), cell(main, 68)] })],
+    })];
+  } else if (template.plain) {
+    children = [name, ...meta([content.title].filter(Boolean), ''), ...meta(content.contact, ' | '), ...sectionsFor(content, sections, b, body, template.limits)];
+  } else {
+    children = [
+      name,
+      ...meta([content.title, ...content.contact].filter(Boolean), template.onePage ? ' | ' : ' • '),
+      ...(content.target && !template.onePage ? [b.para(b.muted(content.target), { alignment: AlignmentType.RIGHT })] : []),
+      ...sectionsFor(content, sections, b, body, template.limits),
+    ];
+  }
+
+  const doc = new Document({
+    creator: 'Mexty',
+    title: content.name ? `${content.name} - Resume` : 'Resume',
+    styles: { default: { document: { run: { font: wordFont(theme.font), size: Math.round(body.size * 2), color: body.text } } } },
+    // The sidebar runs edge to edge, as in the PDF
+    sections: [{ properties: { page: { margin: template.sidebar ? margins({ top: '0mm', bottom: '0mm', left: '0mm', right: '0mm' }) : margins(template.pdf && template.pdf.margin) } }, children }],
+  });
+  return { buffer: await Packer.toBuffer(doc), template: id, sections };
+}
+
+/**
+ * Cover letter as a Word document, styled like renderCoverHTML: a serif
+ * letter with the candidate's details and the target role above it.
+ * @param {Object} params
+ * @param {string} params.text - The letter; blank lines separate paragraphs
+ * @param {Object} params.profile - Stored profile
+ * @param {Object} params.job - { jobTitle, companyName }
+ * @param {Object} [params.preferences] - { fontFamily? }
+ * @returns {Promise<Buffer>}
+ */
+async function renderCoverDocx({ text, profile = {}, job = {}, preferences = {} }) {
+  const value = (v) => (typeof v === 'string' ? v.trim() : '');
+  const fontFamily = typeof preferences.fontFamily === 'string' && /^[\w\s,'"-]{1,100}$/.test(preferences.fontFamily) ? preferences.fontFamily : 'Georgia, serif';
+  const meta = (line) => new Paragraph({ children: [new TextRun({ text: line, color: '475569', size: 20 })], spacing: { after: 80 } });
+  const paragraphs = String(text || '').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean).map(p => new Paragraph({
+    children: p.split('\n').map((line, i) => new TextRun({ text: line, break: i ? 1 : 0 })),
+    spacing: { after: 200, line: 360 },
+  }));
+  const target = [value(job.jobTitle), value(job.companyName)].filter(Boolean).join(' at ');
+  const doc = new Document({
+    creator: 'Mexty',
+    title: 'Cover Letter',
+    styles: { default: { document: { run: { font: wordFont(fontFamily), size: 24, color: '0B1021' } } } },
+    sections: [{
+      properties: { page: { margin: margins({ top: '18mm', bottom: '18mm', left: '18mm', right: '18mm' }) } },
+      children: [
+        new Paragraph({ children: [new TextRun({ text: 'Cover Letter', bold: true, size: 36 })], spacing: { after: 120 } }),
+        meta([profile.name, profile.email, profile.phone].map(value).filter(Boolean).join(' • ')),
+        ...(target ? [meta(`Target: ${target}`)] : []),
+        new Paragraph({ spacing: { after: 240 } }),
+        ...paragraphs,
+        new Paragraph({ children: [new TextRun('Regards,'), new TextRun({ text: value(profile.name), break: 1 })], spacing: { before: 240 } }),
+      ],
+    }],
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  DOCX_TYPE,
+  renderResumeDocx,
+  renderCoverDocx,
+};
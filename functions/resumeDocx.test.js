@@ -0,0 +1,63 @@
+const zlib = require('zlib');
+const { renderResumeDocx, renderCoverDocx } = require('./resumeDocx');
+
+/**
+ * Read one file out of a zip archive through its central directory.
+ * @param {Buffer} zip
+ * @param {string} name
+ * @returns {string|null}
+ */
+function unzipText(zip, name) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = zip.readUInt32LE(end + 16);
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i += 1) {
+    const method = zip.readUInt16LE(offset + 10);
+    const size = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const local = zip.readUInt32LE(offset + 42);
+    if (zip.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+      const data = zip.subarray(start, start + size);
+      return (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+    }
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return null;
+}
+
+/** The text runs of a Word document, joined */
+const documentText = (docx) => [...unzipText(docx, 'word/document.xml').matchAll(/<w:t(?: [^>]*)?>([^<]*)<\/w:t>/g)].map(m => m[1]).join('');
+
+const data = {
+  summary: 'Builds web apps & APIs.',
+  skills: ['React', 'Node.js'],
+  experience: [{ title: 'Engineer', company: 'Acme', start: '2021', achievements: ['Shipped the store'] }],
+  education: [{ degree: 'BSc', school: 'State University' }],
+};
+const profile = { name: 'Sam Lee', title: 'Full-stack developer', email: 'sam@example.com' };
+const job = { jobTitle: 'Frontend Engineer', companyName: 'Stripe' };
+
+describe('renderResumeDocx', () => {
+  test.each(['classic', 'modern', 'compact', 'ats'])('packs a %s resume as a Word document', async (template) => {
+    const { buffer, template: id, sections } = await renderResumeDocx({ data, profile, job, preferences: { template } });
+    expect(id).toBe(template);
+    expect(buffer.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+    const text = documentText(buffer);
+    expect(text).toContain('Sam Lee');
+    expect(text).toContain('Builds web apps &amp; APIs.');
+    expect(text).toContain('Shipped the store');
+    expect(sections).toContain('experience');
+  });
+});
+
+describe('renderCoverDocx', () => {
+  test('packs the letter paragraphs', async () => {
+    const buffer = await renderCoverDocx({ text: 'Dear team,\n\nI build web apps.\nFast ones.', profile, job });
+    expect(buffer.subarray(0, 2).toString()).toBe('PK');
+    const text = documentText(buffer);
+    expect(text).toContain('Dear team,');
+    expect(text).toContain('I build web apps.');
+    expect(text).toContain('Fast ones.');
+    expect(text).toContain('Sam Lee');
+  });
+});
@@ -4,8 +4,14 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const cors = require('cors');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { OpenAI } = require('openai');
+const { registry } = require('./providers');
+const { createGuard } = require('./auth');
+const { ProfileNotFoundError } = require('./profiles');
+const { withRequestId, replyError, sendError } = require('./errors');
+const { selectTemplate, renderResume } = require('./resumeTemplates');
+const { DOCX_TYPE, renderResumeDocx, renderCoverDocx } = require('./resumeDocx');
+const { matchResume } = require('./keywordMatch');
+const versions = require('./resumeVersions');
 const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
 let puppeteer = null;
 async function getPuppeteer() { if (!puppeteer) puppeteer = await import('puppeteer'); return puppeteer; }
@@ -13,21 +19,42 @@ if (!admin.apps.length) admin.initializeApp();
 const db = admin.firestore();
 const bucket = admin.storage().bucket();
 const allowedOrigins = ['https://mexty101.web.app','https://mexty101.firebaseapp.com',/^chrome-extension:\/[a-z0-9]{32}$/i];
-const corsMiddleware = cors({ origin: (o,cb)=>{ if(!o) return cb(null,true); const ok=allowedOrigins.some(a=> typeof a==='string'? o===a: a.test(o)); return ok?cb(null,true):cb(new Error('Not allowed by CORS')); }, credentials:true, optionsSuccessStatus:200 });
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const openai = new OpenAI({ apiKey: import.meta.env.VITE_OPENAI_API_KEY });
+const corsMiddleware = withRequestId(cors({ origin: (o,cb)=>{ if(!o) return cb(null,true); const ok=allowedOrigins.some(a=> typeof a==='string'? o===a: a.test(o)); return ok?cb(null,true):cb(new Error('Not allowed by CORS')); }, credentials:true, exposedHeaders:['X-Request-Id'], optionsSuccessStatus:200 }));
+const guard = createGuard({ scope:'generateResume', metered:true });
 const safe = (v,d='')=> typeof v==='string'? v: d; const nowIso = ()=> new Date().toISOString();
-async function getUserProfile(userId){ const snap=await db.collection('profiles').doc(userId).get(); if(!snap.exists) throw new Error('Profile not found'); return snap.data(); }
+async function getUserProfile(userId){ const snap=await db.collection('profiles').doc(userId).get(); if(!snap.exists) throw new ProfileNotFoundError(userId); return snap.data(); }
 function resumePrompt(profile, job){ const skills=Array.isArray(profile.skills)? profile.skills.join(', '): safe(profile.skills); const exp=Array.isArray(profile.experience)? JSON.stringify(profile.experience): safe(profile.experience); const edu=Array.isArray(profile.education)? JSON.stringify(profile.education): safe(profile.education); return `Return JSON only with keys: summary, skills[], experience[{title,company,start,end,achievements[]}], education[{school,degree,start,end}].\nTarget: ${safe(job.jobTitle)} at ${safe(job.companyName)}\nJD: ${safe(job.jobDescription)}\nCandidate name:${safe(profile.name)} title:${safe(profile.title)} summary:${safe(profile.summary)} skills:${skills} exp:${exp} edu:${edu}`; }
 function coverPrompt(profile, job){ return `Write a <350 word, professional, human cover letter for ${safe(job.jobTitle)} at ${safe(job.companyName)}. JD:${safe(job.jobDescription)}. Candidate ${safe(profile.name)} (${safe(profile.title)}). Core skills: ${Array.isArray(profile.skills)? profile.skills.join(', '): safe(profile.skills)}. Return plain text.`; }
-async function callAIJSON({model='gemini', prompt}){ if(model==='gemini'){ const m=genAI.getGenerativeModel({model:'gemini-1.5-flash'}); const r=await m.generateContent([{text: prompt+'\nJSON only.'}]); return JSON.parse(await r.response.text()); } if(model==='openai'){ const c=await openai.chat.completions.create({ model:'gpt-4o-mini', messages:[{role:'system',content:'Return valid JSON only.'},{role:'user',content:prompt}], temperature:0.4, max_tokens:1800 }); return JSON.parse(c.choices?.[0]?.message?.content||'{}'); } throw new Error('Unsupported model'); }
-async function callAIText({model='gemini', prompt}){ if(model==='gemini'){ const m=genAI.getGenerativeModel({model:'gemini-1.5-flash'}); const r=await m.generateContent([{text:prompt}]); return r.response.text(); } if(model==='openai'){ const c=await openai.chat.completions.create({ model:'gpt-4o-mini', messages:[{role:'user',content:prompt}], temperature:0.6, max_tokens:800 }); return c.choices?.[0]?.message?.content||''; } throw new Error('Unsupported model'); }
-function renderResumeHTML(data, profile, job, prefs={}){ const primary=prefs.primaryColor||'#0f172a'; const accent=prefs.accentColor||'#0891b2'; const font=prefs.fontFamily||'Arial, Helvetica, sans-serif'; const skills=(data.skills||[]).map(s=>`<span class="chip">${s}</span>`).join(' '); const exp=(data.experience||[]).map(e=>`<div class="exp-item"><div class="row"><strong>${e.title||''}</strong> • ${e.company||''}</div><div class="sub">${e.start||''} – ${e.end||'Present'}</div><ul>${(e.achievements||[]).map(a=>`<li>${a}</li>`).join('')}</ul></div>`).join(''); const edu=(data.education||[]).map(ed=>`<div class="edu-item"><div class="row"><strong>${ed.degree||''}</strong> • ${ed.school||''}</div><div class="sub">${ed.start||''} – ${ed.end||''}</div></div>`).join(''); return `<!doctype html><html><head><meta charset="utf-8"/><style>body{font-family:${font};color:#0b1021;margin:32px}h1{margin:0 0 4px;color:${primary}}h2{color:${primary};border-bottom:2px solid ${primary};padding-bottom:4px;margin-top:18px}.header{display:flex;justify-content:space-between;align-items:baseline}.meta{color:#334155}.chip{display:inline-block;background:${accent}20;color:${primary};padding:4px 8px;border-radius:12px;margin:2px 6px 2px 0;font-size:12px}ul{margin:6px 0 0 18px}.row{display:flex;justify-content:space-between}.sub{color:#475569;font-size:12px}.section{page-break-inside:avoid}</style></head><body><div class="header"><div><h1>${safe(profile.name)}</h1><div class="meta">${safe(profile.title)} • ${safe(profile.email)} • ${safe(profile.phone)}</div><div class="meta">${safe(profile.location||'')}</div></div><div class="meta">${safe(job.jobTitle)} @ ${safe(job.companyName)}</div></div><div class="section"><h2>Professional Summary</h2><p>${safe(data.summary)}</p></div><div class="section"><h2>Skills</h2><div>${skills}</div></div><div class="section"><h2>Experience</h2>${exp}</div><div class="section"><h2>Education</h2>${edu}</div></body></html>`; }
+// AI calls go through the provider registry: `model` is the preferred provider and the result records who answered; `usage` ({uid,endpoint,degraded}) is metered (usage.js)
+async function callAIJSON({model='gemini', prompt, usage}){ const r=await registry.json({prompt,temperature:0.4,maxTokens:1800},{preferred:model,usage}); return {data:r.data,provider:r.provider,providerModel:r.model}; }
+async function callAIText({model='gemini', prompt, usage}){ const r=await registry.text({prompt,temperature:0.6,maxTokens:800},{preferred:model,usage}); return {text:r.text,provider:r.provider,providerModel:r.model}; }
+// Resume layouts come from the template registry (resumeTemplates.js); preferences.template picks one
 function renderCoverHTML(text, profile, job, prefs={}){ const font=prefs.fontFamily||'Georgia, serif'; return `<!doctype html><html><head><meta charset="utf-8"/><style>body{font-family:${font};margin:48px;line-height:1.6;color:#0b1021}h1{font-size:18px;margin:0 0 8px}.meta{color:#475569;font-size:13px;margin-bottom:24px}.sign{margin-top:24px}</style></head><body><h1>Cover Letter</h1><div class="meta">${safe(profile.name)} • ${safe(profile.email)} • ${safe(profile.phone)}</div><div class="meta">Target: ${safe(job.jobTitle)} at ${safe(job.companyName)}</div><p>${text.replace(/\n/g,'<br/>')}</p><div class="sign">Regards,<br/>${safe(profile.name)}</div></body></html>`; }
-async function htmlToPdfBuffer(html){ try{ const {default:pptr}=await getPuppeteer(); const browser=await pptr.launch({args:['--no-sandbox','--disable-setuid-sandbox']}); const page=await browser.newPage(); await page.setContent(html,{waitUntil:'networkidle0'}); const buf=await page.pdf({format:'A4',printBackground:true,margin:{top:'16mm',bottom:'16mm',left:'14mm',right:'14mm'}}); await browser.close(); return buf; } catch(e){ const pdf=await PDFDocument.create(); const p=pdf.addPage(); const font=await pdf.embedFont(StandardFonts.Helvetica); const text=html.replace(/<[^>]+>/g,''); p.drawText(text.slice(0,6000),{x:50,y:p.getHeight()-50,size:12,font,color:rgb(0,0,0)}); return await pdf.save(); } }
+async function htmlToPdfBuffer(html,options={}){ try{ const {default:pptr}=await getPuppeteer(); const browser=await pptr.launch({args:['--no-sandbox','--disable-setuid-sandbox']}); const page=await browser.newPage(); await page.setContent(html,{waitUntil:'networkidle0'}); const buf=await page.pdf({format:'A4',printBackground:true,margin:options.margin||{top:'16mm',bottom:'16mm',left:'14mm',right:'14mm'}}); await browser.close(); return buf; } catch(e){ const pdf=await PDFDocument.create(); const p=pdf.addPage(); const font=await pdf.embedFont(StandardFonts.Helvetica); const text=html.replace(/<[^>]+>/g,''); p.drawText(text.slice(0,6000),{x:50,y:p.getHeight()-50,size:12,font,color:rgb(0,0,0)}); return await pdf.save(); } }
 async function uploadAndSign({buffer,path,contentType='application/pdf',expiresInHours=24}){ const file=bucket.file(path); await file.save(buffer,{contentType,resumable:false,public:false,metadata:{cacheControl:'private, max-age=0'}}); const [url]=await file.getSignedUrl({action:'read',expires: Date.now()+expiresInHours*3600*1000}); return {url,storagePath:path}; }
-async function generateResumeFlow({userId,job,preferences={},model='gemini'}){ const profile=await getUserProfile(userId); const data=await callAIJSON({model,prompt:resumePrompt(profile,job)}); const html=renderResumeHTML(data,profile,job,preferences); const pdfBuffer=await htmlToPdfBuffer(html); const ts=Date.now(); const storagePath=`docs/${userId}/resume_${ts}.pdf`; const signed=await uploadAndSign({buffer:pdfBuffer,path:storagePath}); const docRef=await db.collection('users').doc(userId).collection('documents').add({type:'resume',model,job,preferences,storagePath,url:signed.url,createdAt:admin.firestore.FieldValue.serverTimestamp(),meta:{size:pdfBuffer.length}}); return {documentId:docRef.id,url:signed.url,storagePath,createdAt:nowIso(),type:'resume'}; }
-async function generateCoverFlow({userId,job,preferences={},model='gemini'}){ const profile=await getUserProfile(userId); const letter=await callAIText({model,prompt:coverPrompt(profile,job)}); const html=renderCoverHTML(letter,profile,job,preferences); const pdfBuffer=await htmlToPdfBuffer(html); const ts=Date.now(); const storagePath=`docs/${userId}/cover_letter_${ts}.pdf`; const signed=await uploadAndSign({buffer:pdfBuffer,path:storagePath}); const docRef=await db.collection('users').doc(userId).collection('documents').add({type:'cover_letter',model,job,preferences,storagePath,url:signed.url,createdAt:admin.firestore.FieldValue.serverTimestamp(),meta:{size:pdfBuffer.length}}); return {documentId:docRef.id,url:signed.url,storagePath,createdAt:nowIso(),type:'cover_letter'}; }
+// Documents are rendered as PDF, DOCX or both; each file is stored and recorded in users/{uid}/documents on its own
+const CONTENT_TYPES={pdf:'application/pdf',docx:DOCX_TYPE}; const FORMATS={pdf:['pdf'],docx:['docx'],both:['pdf','docx']};
+class DocumentInputError extends Error{ constructor(message){ super(message); this.name='DocumentInputError'; this.status=400; this.code='INVALID_INPUT'; } }
+class DocumentNotFoundError extends Error{ constructor(id){ super(`No document ${id}`); this.name='DocumentNotFoundError'; this.status=404; this.code='DOCUMENT_NOT_FOUND'; } }
+function documentFormats(format='pdf'){ if(!Object.prototype.hasOwnProperty.call(FORMATS,format)) throw new DocumentInputError('format must be one of pdf, docx, both'); return FORMATS[format]; }
+// The reply describes the first file (the PDF when both) and lists every file in `files`
+async function saveDocuments({userId,type,formats,render,record}){ const ts=Date.now(); const files=[]; for(const format of formats){ const buffer=await render[format](); const storagePath=`docs/${userId}/${type}_${ts}.${format}`; const signed=await uploadAndSign({buffer,path:storagePath,contentType:CONTENT_TYPES[format]}); const docRef=await db.collection('users').doc(userId).collection('documents').add({type,format,...record,storagePath,url:signed.url,createdAt:admin.firestore.FieldValue.serverTimestamp(),meta:{size:buffer.length,contentType:CONTENT_TYPES[format]}}); files.push({format,documentId:docRef.id,url:signed.url,storagePath}); } const [first]=files; return {documentId:first.documentId,url:first.url,storagePath:first.storagePath,format:first.format,files,createdAt:nowIso(),type}; }
+// Resume records keep the generated content and the profile details the templates showed, so they can be exported later (jsonResume.js)
+const SNAPSHOT_FIELDS=['name','title','email','phone','location','links','projects']; function profileSnapshot(profile){ return Object.fromEntries(SNAPSHOT_FIELDS.filter(f=>profile[f]!==undefined).map(f=>[f,profile[f]])); }
+// Resumes for a job with a description are scored for ATS keyword coverage (keywordMatch.js); a failed analysis leaves match null rather than failing the resume
+async function scoreAgainstJob({job,data,model,usage}){ if(!job.jobDescription) return null; try{ return await matchResume({jobDescription:job.jobDescription,resume:data,model,usage}); } catch(e){ console.warn('Keyword match failed:', e.message); return null; } }
+// Render a resume version's files, store them and record the version in its job's history (see resumeVersions.js)
+async function saveResumeVersion({userId,job,data,profile,preferences,formats,model,provider,providerModel,match,action,basedOn=null}){ const rendered=renderResume({data,profile,job,preferences}); const {jobKey,version}=await versions.reserveVersion(userId,job); const snapshot=profileSnapshot(profile); const saved=await saveDocuments({userId,type:'resume',formats,render:{pdf:()=>htmlToPdfBuffer(rendered.html,rendered.pdf),docx:async()=>(await renderResumeDocx({data,profile,job,preferences})).buffer},record:{model,provider,providerModel,job,preferences,template:rendered.template,sections:rendered.sections,resume:data,profile:snapshot,match,jobKey,version}}); await versions.saveVersion(userId,{jobKey,version,action,basedOn,resume:data,profile:snapshot,template:rendered.template,sections:rendered.sections,preferences,model,provider:provider||null,match,files:saved.files.map(({format,documentId,storagePath})=>({format,documentId,storagePath}))}); return {...saved,template:rendered.template,provider,match,jobKey,version}; }
+async function generateResumeFlow({userId,job,preferences={},format='pdf',model='gemini',usage}){ const formats=documentFormats(format); selectTemplate(preferences); const profile=await getUserProfile(userId); const {data,provider,providerModel}=await callAIJSON({model,prompt:resumePrompt(profile,job),usage}); const match=await scoreAgainstJob({job,data,model,usage}); return saveResumeVersion({userId,job,data,profile,preferences,formats,model,provider,providerModel,match,action:'generated'}); }
+// A new version from an older one: the same content (restored) or with whole sections replaced (edited); only edited content is scored again
+async function restoreResumeVersion({userId,jobKey,version,edits,preferences={},format='pdf',model,usage}){ const formats=documentFormats(format); const source=await versions.getVersion(userId,jobKey,version); const prefs={...(source.preferences||{}),...preferences}; selectTemplate(prefs); const edited=edits!==undefined&&edits!==null; const {resume:data,profile}=edited? versions.applyEdits(source,edits): {resume:source.resume||{},profile:source.profile||{}}; const scoring=model||source.model||'gemini'; const match=edited? await scoreAgainstJob({job:source.job,data,model:scoring,usage}): source.match||null; return saveResumeVersion({userId,job:source.job,data,profile,preferences:prefs,formats,model:source.model||null,provider:source.provider||null,providerModel:null,match,action:edited?'edited':'restored',basedOn:source.version}); }
+async function generateCoverFlow({userId,job,preferences={},format='pdf',model='gemini',usage}){ const formats=documentFormats(format); const profile=await getUserProfile(userId); const {text:letter,provider,providerModel}=await callAIText({model,prompt:coverPrompt(profile,job),usage}); const saved=await saveDocuments({userId,type:'cover_letter',formats,render:{pdf:()=>htmlToPdfBuffer(renderCoverHTML(letter,profile,job,preferences)),docx:()=>renderCoverDocx({text:letter,profile,job,preferences})},record:{model,provider,providerModel,job,preferences}}); return {...saved,provider}; }
+// A generated resume in the profile's shape: the stored profile details with the generated summary, skills, experience and education, plus the job it was written for
+async function getGeneratedResume(userId,documentId){ const snap=await db.collection('users').doc(userId).collection('documents').doc(String(documentId)).get(); if(!snap.exists) throw new DocumentNotFoundError(documentId); const doc=snap.data(); if(doc.type!=='resume') throw new DocumentInputError('Only resumes can be exported'); if(!doc.resume) throw new DocumentInputError('This resume was generated before exports were available; generate it again to export it'); return {...(doc.profile||{}),...doc.resume,job:doc.job||{},createdAt:doc.createdAt&&doc.createdAt.toDate? doc.createdAt.toDate().toISOString(): null}; }
 function validateJob(body){ const job=body.job||{}; return { jobTitle:safe(job.jobTitle), jobDescription:safe(job.jobDescription), companyName:safe(job.companyName) }; }
-exports.generateResume = functions.https.onRequest((req,res)=> corsMiddleware(req,res, async ()=>{ if(req.method!=='POST') return res.status(405).json({error:'Method not allowed'}); try{ const {userId,model='gemini',preferences={}}=req.body||{}; if(!userId) return res.status(400).json({error:'userId required'}); const job=validateJob(req.body||{}); const result=await generateResumeFlow({userId,job,preferences,model}); return res.status(200).json(result); } catch(e){ console.error('generateResume error',e); return res.status(500).json({error:'Failed to generate resume',message:e.message}); }}));
-exports.generateCoverLetter = functions.https.onRequest((req,res)=> corsMiddleware(req,res, async ()=>{ if(req.method!=='POST') return res.status(405).json({error:'Method not allowed'}); try{ const {userId,model='gemini',preferences={}}=req.body||{}; if(!userId) return res.status(400).json({error:'userId required'}); const job=validateJob(req.body||{}); const result=await generateCoverFlow({userId,job,preferences,model}); return res.status(200).json(result); } catch(e){ console.error('generateCoverLetter error',e); return res.status(500).json({error:'Failed to generate cover letter',message:e.message}); }}));
+// Documents are always generated for the signed-in caller; a body userId must match it
+function resolveUserId(req){ const {userId}=req.body||{}; return !userId||userId===req.user.uid? req.user.uid: null; }
+exports.generateResume = functions.https.onRequest((req,res)=> corsMiddleware(req,res, ()=> guard(req,res, async ()=>{ if(req.method!=='POST') return replyError(res,'METHOD_NOT_ALLOWED','Only POST requests are accepted'); try{ const {model='gemini',preferences={},format='pdf'}=req.body||{}; const userId=resolveUserId(req); if(!userId) return replyError(res,'FORBIDDEN','userId does not match the signed-in user'); const job=validateJob(req.body||{}); const result=await generateResumeFlow({userId,job,preferences,format,model,usage:req.usage}); return res.status(200).json(result); } catch(e){ return sendError(req,res,e,'generateResume error'); }})));
+exports.generateCoverLetter = functions.https.onRequest((req,res)=> corsMiddleware(req,res, ()=> guard(req,res, async ()=>{ if(req.method!=='POST') return replyError(res,'METHOD_NOT_ALLOWED','Only POST requests are accepted'); try{ const {model='gemini',preferences={},format='pdf'}=req.body||{}; const userId=resolveUserId(req); if(!userId) return replyError(res,'FORBIDDEN','userId does not match the signed-in user'); const job=validateJob(req.body||{}); const result=await generateCoverFlow({userId,job,preferences,format,model,usage:req.usage}); return res.status(200).json(result); } catch(e){ return sendError(req,res,e,'generateCoverLetter error'); }})));
+// Flows are also run by the chat tools (see tools.js); the api function exports generated resumes
+exports.generateResumeFlow = generateResumeFlow; exports.generateCoverFlow = generateCoverFlow; exports.getGeneratedResume = getGeneratedResume; exports.restoreResumeVersion = restoreResumeVersion;
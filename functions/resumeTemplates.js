@@ -0,0 +1,257 @@
+/**
+ * Resume Templates
+ *
+ * The layouts resumeGenerator.js renders resumes with. Each template declares
+ * the sections it supports, in its default order, and renders the resume
+ * content to a standalone HTML page that is printed to PDF:
+ *
+ *   classic  single column with colored headings and skill chips (the original layout)
+ *   modern   two columns: contact, skills, education and links in a sidebar
+ *   compact  dense single column sized for one page; long lists are trimmed
+ *   ats      plain single column for applicant tracking systems: standard
+ *            headings and fonts, no chips, flex rows, columns or colors
+ *
+ * Callers pick one with `preferences.template` (default classic) and may
+ * choose and order sections with `preferences.sections`; sections the
+ * template does not support are left out. `primaryColor`, `accentColor` and
+ * `fontFamily` override a template's colors and font, except in ats.
+ */
+
+/** Section ids and their headings */
+const SECTION_TITLES = {
+  summary: 'Professional Summary',
+  skills: 'Skills',
+  experience: 'Experience',
+  education: 'Education',
+  projects: 'Projects',
+  links: 'Links',
+};
+const LINK_LABELS = { website: 'Portfolio', linkedin: 'LinkedIn', github: 'GitHub' };
+const DEFAULT_TEMPLATE = 'classic';
+
+/**
+ * Error for a template or section that does not exist.
+ */
+class ResumeTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ResumeTemplateError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+const esc = (value) => String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+const texts = (value) => (Array.isArray(value) ? value.map(text).filter(Boolean) : []);
+const dates = (start, end) => [start, end].filter(Boolean).join(' – ');
+const isUrl = (value) => /^https?:\/\/\S+$/i.test(value);
+// Preferences end up in CSS, so only plain colors and font lists are used
+const color = (value, fallback) => (typeof value === 'string' && /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(value) ? value : fallback);
+const font = (value, fallback) => (typeof value === 'string' && /^[\w\s,'"-]{1,100}$/.test(value) ? value : fallback);
+
+/**
+ * Resume content from the generated data and the stored profile, with every
+ * field present and trimmed.
+ * @param {Object} data - Generated { summary, skills[], experience[], education[] }
+ * @param {Object} profile - Stored profile (see profiles.js)
+ * @param {Object} job - { jobTitle, companyName }
+ * @returns {Object}
+ */
+function resumeContent(data = {}, profile = {}, job = {}) {
+  const objects = (value) => (Array.isArray(value) ? value.filter(entry => entry && typeof entry === 'object') : []);
+  const links = profile.links || {};
+  return {
+    name: text(profile.name),
+    title: text(profile.title),
+    contact: [profile.email, profile.phone, profile.location].map(text).filter(Boolean),
+    summary: text(data.summary),
+    skills: texts(data.skills),
+    experience: objects(data.experience).map(e => ({
+      title: text(e.title),
+      company: text(e.company),
+      dates: dates(text(e.start), text(e.end) || (text(e.start) ? 'Present' : '')),
+      achievements: texts(e.achievements),
+    })),
+    education: objects(data.education).map(e => ({ degree: text(e.degree), school: text(e.school), dates: dates(text(e.start), text(e.end)) })),
+    projects: (Array.isArray(profile.projects) ? profile.projects : [])
+      .map(p => (typeof p === 'string' ? { name: text(p), description: '', url: '' } : { name: text(p && p.name), description: text(p && p.description), url: text(p && p.url) }))
+      .filter(p => p.name),
+    links: Object.keys(LINK_LABELS).filter(key => isUrl(text(links[key]))).map(key => ({ label: LINK_LABELS[key], url: text(links[key]) })),
+    target: [text(job.jobTitle), text(job.companyName)].filter(Boolean).join(' @ '),
+  };
+}
+
+const isEmpty = (content, section) => (Array.isArray(content[section]) ? content[section].length === 0 : !content[section]);
+const page = (css, body) => `<!doctype html><html><head><meta charset="utf-8"/><style>${css}</style></head><body>${body}</body></html>`;
+
+/** Section bodies shared by the styled templates (classic, modern, compact) */
+const styled = {
+  summary: c => `<p>${esc(c.summary)}</p>`,
+  skills: c => `<div>${c.skills.map(s => `<span class="chip">${esc(s)}</span>`).join(' ')}</div>`,
+  experience: (c, limits = {}) => c.experience.slice(0, limits.experience).map(e => `<div class="item"><div class="row"><strong>${esc(e.title)}</strong>${e.company ? ` • ${esc(e.company)}` : ''}<span class="sub">${esc(e.dates)}</span></div><ul>${e.achievements.slice(0, limits.achievements).map(a => `<li>${esc(a)}</li>`).join('')}</ul></div>`).join(''),
+  education: (c, limits = {}) => c.education.slice(0, limits.education).map(e => `<div class="item"><div class="row"><strong>${esc(e.degree)}</strong>${e.school ? ` • ${esc(e.school)}` : ''}<span class="sub">${esc(e.dates)}</span></div></div>`).join(''),
+  projects: c => c.projects.map(p => `<div class="item"><strong>${esc(p.name)}</strong>${p.url ? ` <span class="sub">${esc(p.url)}</span>` : ''}${p.description ? `<div>${esc(p.description)}</div>` : ''}</div>`).join(''),
+  links: c => `<ul class="plain">${c.links.map(l => `<li>${esc(l.label)}: ${esc(l.url)}</li>`).join('')}</ul>`,
+};
+
+const section = (content, id, body, className = 'section') => `<div class="${className}"><h2>${SECTION_TITLES[id]}</h2>${body}</div>`;
+
+/**
+ * Templates by id. `sections` lists what a template can show, in its default
+ * order; `theme` holds its default colors, font and Word body size in
+ * points, which preferences override unless the template is `plain`; `pdf`
+ * overrides the print options (see htmlToPdfBuffer). resumeDocx.js lays out
+ * the same content in Word with the same theme, sidebar and limits.
+ */
+const TEMPLATES = {
+  classic: {
+    name: 'Classic',
+    description: 'Single column with colored headings and skill chips',
+    sections: ['summary', 'skills', 'experience', 'education', 'projects'],
+    theme: { primary: '#0f172a', accent: '#0891b2', font: 'Arial, Helvetica, sans-serif', size: 11 },
+    render(content, sections, { primary, accent, font }) {
+      const css = `body{font-family:${font};color:#0b1021;margin:32px}h1{margin:0 0 4px;color:${primary}}h2{color:${primary};border-bottom:2px solid ${primary};padding-bottom:4px;margin-top:18px}.header{display:flex;justify-content:space-between;align-items:baseline}.meta{color:#334155}.chip{display:inline-block;background:${accent}20;color:${primary};padding:4px 8px;border-radius:12px;margin:2px 6px 2px 0;font-size:12px}ul{margin:6px 0 0 18px}.row{display:flex;justify-content:space-between;gap:8px}.sub{color:#475569;font-size:12px}.item{margin-bottom:8px}.section{page-break-inside:avoid}`;
+      const header = `<div class="header"><div><h1>${esc(content.name)}</h1><div class="meta">${[content.title, ...content.contact].map(esc).join(' • ')}</div></div><div class="meta">${esc(content.target)}</div></div>`;
+      return page(css, header + sections.map(id => section(content, id, styled[id](content))).join(''));
+    },
+  },
+
+  modern: {
+    name: 'Modern',
+    description: 'Two columns with contact details, skills, education and links in a sidebar',
+    sections: ['summary', 'experience', 'projects', 'skills', 'education', 'links'],
+    sidebar: ['skills', 'education', 'links'],
+    theme: { primary: '#1e293b', accent: '#6366f1', font: 'Helvetica, Arial, sans-serif', size: 10.5 },
+    render(content, sections, { primary, accent, font }) {
+      const css = `body{font-family:${font};color:#111827;margin:0}.layout{display:grid;grid-template-columns:32% 68%;min-height:100vh}.side{background:${primary};color:#f8fafc;padding:28px 20px}.main{padding:28px 28px}h1{margin:0;font-size:26px}.role{color:${accent};font-weight:bold;margin:4px 0 12px}.side h2{color:#f8fafc;border-bottom:1px solid ${accent}}.main h2{color:${primary};border-bottom:2px solid ${accent}}h2{font-size:14px;text-transform:uppercase;letter-spacing:1px;padding-bottom:4px;margin-top:18px}.contact div{font-size:12px;margin-bottom:4px;word-break:break-all}.chip{display:inline-block;border:1px solid ${accent};padding:2px 8px;border-radius:10px;margin:2px 4px 2px 0;font-size:11px}ul{margin:6px 0 0 18px}ul.plain{list-style:none;margin:0;padding:0;font-size:12px;word-break:break-all}.row{display:flex;justify-content:space-between;gap:8px}.sub{color:#64748b;font-size:12px}.side .sub{color:#cbd5e1}.item{margin-bottom:10px}.section{page-break-inside:avoid}`;
+      const side = sections.filter(id => this.sidebar.includes(id));
+      const main = sections.filter(id => !this.sidebar.includes(id));
+      const sidebar = `<div class="side"><h1>${esc(content.name)}</h1><div class="role">${esc(content.title)}</div><div class="contact">${content.contact.map(item => `<div>${esc(item)}</div>`).join('')}</div>${side.map(id => section(content, id, styled[id](content))).join('')}</div>`;
+      const body = `<div class="main">${content.target ? `<div class="sub">${esc(content.target)}</div>` : ''}${main.map(id => section(content, id, styled[id](content))).join('')}</div>`;
+      return page(css, `<div class="layout">${sidebar}${body}</div>`);
+    },
+  },
+
+  compact: {
+    name: 'Compact',
+    description: 'Dense single column that fits on one page; trims long lists',
+    sections: ['summary', 'skills', 'experience', 'education'],
+    onePage: true,
+    limits: { experience: 4, achievements: 3, education: 2 },
+    pdf: { margin: { top: '10mm', bottom: '10mm', left: '10mm', right: '10mm' } },
+    theme: { primary: '#111827', accent: '#6b7280', font: 'Arial, Helvetica, sans-serif', size: 9 },
+    render(content, sections, { primary, font }) {
+      const css = `body{font-family:${font};color:#111827;margin:0;font-size:11px;line-height:1.35}h1{margin:0;font-size:20px;color:${primary}}.meta{color:#374151}h2{font-size:12px;text-transform:uppercase;color:${primary};border-bottom:1px solid #d1d5db;margin:10px 0 4px;padding-bottom:2px}p{margin:0}.skills{margin:0}ul{margin:2px 0 0 16px;padding:0}li{margin:0}.row{display:flex;justify-content:space-between;gap:8px}.sub{color:#6b7280}.item{margin-bottom:5px}`;
+      const bodies = {
+        ...styled,
+        skills: c => `<p class="skills">${c.skills.map(esc).join(' · ')}</p>`,
+        experience: c => styled.experience(c, this.limits),
+        education: c => styled.education(c, this.limits),
+      };
+      const header = `<h1>${esc(content.name)}</h1><div class="meta">${[content.title, ...content.contact].map(esc).join(' | ')}</div>`;
+      return page(css, header + sections.map(id => section(content, id, bodies[id](content), 'compact-section')).join(''));
+    },
+  },
+
+  ats: {
+    name: 'ATS plain',
+    description: 'Plain single column for applicant tracking systems: standard headings and fonts, no chips, columns, flex rows or colors',
+    sections: ['summary', 'skills', 'experience', 'education', 'projects', 'links'],
+    plain: true,
+    theme: { primary: '#000000', accent: '#000000', font: 'Arial, Helvetica, sans-serif', size: 11 },
+    render(content, sections) {
+      const css = 'body{font-family:Arial, Helvetica, sans-serif;color:#000;margin:32px;font-size:12px;line-height:1.4}h1{font-size:20px;margin:0}h2{font-size:14px;text-transform:uppercase;margin:16px 0 6px}h3{font-size:12px;margin:8px 0 0}p{margin:2px 0}ul{margin:4px 0 0 18px;padding:0}';
+      const bodies = {
+        summary: c => `<p>${esc(c.summary)}</p>`,
+        skills: c => `<p>${c.skills.map(esc).join(', ')}</p>`,
+        experience: c => c.experience.map(e => `<h3>${esc([e.title, e.company].filter(Boolean).join(', '))}</h3>${e.dates ? `<p>${esc(e.dates)}</p>` : ''}${e.achievements.length ? `<ul>${e.achievements.map(a => `<li>${esc(a)}</li>`).join('')}</ul>` : ''}`).join(''),
+        education: c => c.education.map(e => `<h3>${esc([e.degree, e.school].filter(Boolean).join(', '))}</h3>${e.dates ? `<p>${esc(e.dates)}</p>` : ''}`).join(''),
+        projects: c => c.projects.map(p => `<h3>${esc(p.name)}</h3>${p.description ? `<p>${esc(p.description)}</p>` : ''}${p.url ? `<p>${esc(p.url)}</p>` : ''}`).join(''),
+        links: c => c.links.map(l => `<p>${esc(l.label)}: ${esc(l.url)}</p>`).join(''),
+      };
+      const header = `<h1>${esc(content.name)}</h1>${content.title ? `<p>${esc(content.title)}</p>` : ''}<p>${content.contact.map(esc).join(' | ')}</p>`;
+      return page(css, header + sections.map(id => `<h2>${SECTION_TITLES[id]}</h2>${bodies[id](content)}`).join(''));
+    },
+  },
+};
+
+/**
+ * A template's theme with the caller's colors and font applied.
+ * @param {Object} template - A TEMPLATES entry
+ * @param {Object} [prefs] - { primaryColor?, accentColor?, fontFamily? }
+ * @returns {{ primary: string, accent: string, font: string, size: number }}
+ */
+function themeFor(template, prefs = {}) {
+  const { theme } = template;
+  if (template.plain) return { ...theme };
+  return { ...theme, primary: color(prefs.primaryColor, theme.primary), accent: color(prefs.accentColor, theme.accent), font: font(prefs.fontFamily, theme.font) };
+}
+
+/**
+ * The templates callers can choose from.
+ * @returns {Array<{ id: string, name: string, description: string, sections: Array<string>, onePage: boolean }>}
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([id, t]) => ({ id, name: t.name, description: t.description, sections: t.sections, onePage: Boolean(t.onePage) }));
+}
+
+/**
+ * The template and sections for a request's preferences.
+ * @param {Object} [preferences] - { template?, sections? }
+ * @returns {{ id: string, template: Object, sections: Array<string> }}
+ * @throws {ResumeTemplateError} For an unknown template or section id
+ */
+function selectTemplate(preferences = {}) {
+  const id = preferences.template || DEFAULT_TEMPLATE;
+  const template = Object.prototype.hasOwnProperty.call(TEMPLATES, id) ? TEMPLATES[id] : null;
+  if (!template) throw new ResumeTemplateError(`template must be one of ${Object.keys(TEMPLATES).join(', ')}`);
+  if (preferences.sections === undefined) return { id, template, sections: template.sections };
+  if (!Array.isArray(preferences.sections)) throw new ResumeTemplateError('sections must be a list of section ids');
+  const unknown = preferences.sections.find(s => !Object.prototype.hasOwnProperty.call(SECTION_TITLES, s));
+  if (unknown !== undefined) throw new ResumeTemplateError(`Unknown section ${unknown}; sections are ${Object.keys(SECTION_TITLES).join(', ')}`);
+  return { id, template, sections: [...new Set(preferences.sections)].filter(s => template.sections.includes(s)) };
+}
+
+/**
+ * Render a resume with the template its preferences select.
+ * @param {Object} params
+ * @param {Object} params.data - Generated content { summary, skills[], experience[], education[] }
+ * @param {Object} params.profile - Stored profile
+ * @param {Object} params.job - { jobTitle, companyName, ... }
+ * @param {Object} [params.preferences] - { template?, sections?, primaryColor?, accentColor?, fontFamily? }
+ * @returns {{ html: string, template: string, sections: Array<string>, pdf: Object }}
+ *   `sections` are the ones shown: selected, supported and not empty
+ * @throws {ResumeTemplateError}
+ */
+function renderResume({ data, profile, job, preferences = {} }) {
+  const { id, template, sections } = selectTemplate(preferences);
+  const content = resumeContent(data, profile, job);
+  const shown = sections.filter(s => !isEmpty(content, s));
+  return { html: template.render(content, shown, themeFor(template, preferences)), template: id, sections: shown, pdf: template.pdf || {} };
+}
+
+/**
+ * Everything a renderer needs for a resume, without rendering it: the
+ * selected template and its theme, the content and the sections to show.
+ * @param {Object} params - As for renderResume
+ * @returns {{ id: string, template: Object, theme: Object, content: Object, sections: Array<string> }}
+ * @throws {ResumeTemplateError}
+ */
+function prepareResume({ data, profile, job, preferences = {} }) {
+  const { id, template, sections } = selectTemplate(preferences);
+  const content = resumeContent(data, profile, job);
+  return { id, template, theme: themeFor(template, preferences), content, sections: sections.filter(s => !isEmpty(content, s)) };
+}
+
+module.exports = {
+  SECTION_IDS: Object.keys(SECTION_TITLES),
+  TEMPLATE_IDS: Object.keys(TEMPLATES),
+  DEFAULT_TEMPLATE,
+  ResumeTemplateError,
+  listTemplates,
+  SECTION_TITLES,
+  selectTemplate,
+  prepareResume,
+  renderResume,
+};
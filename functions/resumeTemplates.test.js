@@ -0,0 +1,97 @@
+const { renderResume, selectTemplate, listTemplates, TEMPLATE_IDS, DEFAULT_TEMPLATE } = require('./resumeTemplates');
+
+const data = {
+  summary: 'Builds web apps.',
+  skills: ['React', 'Node.js'],
+  experience: [{ title: 'Engineer', company: 'Acme', start: '2021', achievements: ['Shipped the store'] }],
+  education: [{ degree: 'BSc', school: 'State University', start: '2015', end: '2019' }],
+};
+const profile = {
+  name: 'Sam Lee',
+  title: 'Full-stack developer',
+  email: 'sam@example.com',
+  projects: [{ name: 'Twin', description: 'A chat twin', url: 'https://twin.example.com' }],
+  links: { github: 'https://github.com/sam', linkedin: 'javascript:alert(1)' },
+};
+const job = { jobTitle: 'Frontend Engineer', companyName: 'Stripe' };
+const styleOf = (html) => html.match(/<style>(.*)<\/style>/s)[1];
+
+describe('selectTemplate', () => {
+  test('defaults to the classic template and its sections', () => {
+    const { id, sections } = selectTemplate();
+    expect(id).toBe(DEFAULT_TEMPLATE);
+    expect(sections).toEqual(listTemplates().find(t => t.id === 'classic').sections);
+  });
+
+  test('keeps the requested order and drops sections the template lacks', () => {
+    expect(selectTemplate({ template: 'compact', sections: ['education', 'links', 'summary', 'education'] }).sections).toEqual(['education', 'summary']);
+  });
+
+  test.each([
+    [{ template: 'fancy' }, 'template must be one of'],
+    [{ template: 'toString' }, 'template must be one of'],
+    [{ sections: ['summary', 'hobbies'] }, 'Unknown section hobbies'],
+    [{ sections: 'summary' }, 'sections must be a list'],
+  ])('rejects %j', (preferences, message) => {
+    expect(() => selectTemplate(preferences)).toThrow(expect.objectContaining({ code: 'INVALID_INPUT', status: 400, message: expect.stringContaining(message) }));
+  });
+});
+
+describe('renderResume', () => {
+  test.each(TEMPLATE_IDS)('renders the %s template as a page with the content', (template) => {
+    const { html, template: id, sections } = renderResume({ data, profile, job, preferences: { template } });
+    expect(id).toBe(template);
+    expect(html).toMatch(/^<!doctype html>/);
+    expect(html).toContain('Sam Lee');
+    expect(html).toContain('Shipped the store');
+    expect(sections.length).toBeGreaterThan(0);
+  });
+
+  test('leaves out empty sections', () => {
+    const { sections } = renderResume({ data: { ...data, skills: [] }, profile, job });
+    expect(sections).toEqual(['summary', 'experience', 'education', 'projects']);
+  });
+
+  test('shows only web links', () => {
+    const { html } = renderResume({ data, profile, job, preferences: { template: 'modern' } });
+    expect(html).toContain('GitHub: https://github.com/sam');
+    expect(html).not.toContain('javascript:');
+  });
+
+  test('escapes the content', () => {
+    const hostile = { ...data, summary: '<script>alert("x")</script>', skills: ['C & C++'] };
+    TEMPLATE_IDS.forEach((template) => {
+      const { html } = renderResume({ data: hostile, profile: { ...profile, name: `<img src=x onerror='1'>` }, job, preferences: { template } });
+      expect(html).not.toContain('<script>');
+      expect(html).not.toContain('<img');
+      expect(html).toContain('&#60;script&#62;alert(&#34;x&#34;)&#60;/script&#62;');
+    });
+  });
+
+  test('applies plain colors and fonts', () => {
+    const { html } = renderResume({ data, profile, job, preferences: { primaryColor: '#ff0000', accentColor: 'teal', fontFamily: 'Georgia, serif' } });
+    expect(styleOf(html)).toContain('color:#ff0000');
+    expect(styleOf(html)).toContain('font-family:Georgia, serif');
+  });
+
+  test.each([
+    { primaryColor: 'red;}body{background:url(https://evil.test/x)' },
+    { accentColor: '#fff}</style><script>alert(1)</script>' },
+    { fontFamily: 'Arial;}*{display:none' },
+    { fontFamily: 'Arial</style><script>alert(1)</script>' },
+    { primaryColor: 'expression(alert(1))' },
+  ])('ignores preferences that would inject CSS: %j', (preferences) => {
+    const { html } = renderResume({ data, profile, job, preferences: { template: 'classic', ...preferences } });
+    const { html: plain } = renderResume({ data, profile, job, preferences: { template: 'classic' } });
+    expect(styleOf(html)).toBe(styleOf(plain));
+    expect(html).not.toContain('evil.test');
+    expect(html).not.toContain('<script>');
+  });
+
+  test('keeps the ats template plain whatever the preferences', () => {
+    const { html } = renderResume({ data, profile, job, preferences: { template: 'ats', primaryColor: '#ff0000', fontFamily: 'Comic Sans MS' } });
+    expect(html).not.toContain('#ff0000');
+    expect(html).not.toContain('Comic Sans');
+    expect(html).not.toContain('class="chip"');
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Resume Version History
+ *
+ * Generated resumes are grouped by the job they target, and each generation
+ * adds a numbered version to its group:
+ *
+ *   users/{uid}/resumes/{jobKey}
+ *     { job, versionCount, latestVersion, createdAt, updatedAt }
+ *   users/{uid}/resumes/{jobKey}/versions/{version}
+ *     { version, action, basedOn, resume, profile, template, sections,
+ *       preferences, model, provider, match, files[{ format, documentId, storagePath }], createdAt }
+ *
+ * `resume` is the structured resume JSON the files were rendered from and
+ * `profile` the profile fields they used (see resumeGenerator.js). The files
+ * stay in users/{uid}/documents, whose records carry `jobKey` and `version`.
+ * Restoring an older version, with or without edits, renders it again as a
+ * new version (`action` 'restored' or 'edited', `basedOn` the source), so
+ * history is only ever appended to. Version numbers are never reused; a
+ * generation whose files fail to save leaves a gap.
+ *
+ * diffResumes compares two versions section by section.
+ *
+ * @requires firebase-admin
+ */
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const MAX_GROUPS = 50;
+const MAX_VERSIONS = 100;
+/** Sections compared by diffResumes, in reply order */
+const DIFF_SECTIONS = ['summary', 'skills', 'experience', 'education', 'projects'];
+/** Sections a new version can replace; projects come from the profile snapshot */
+const EDITABLE_SECTIONS = { summary: 'text', skills: 'texts', experience: 'entries', education: 'entries', projects: 'entries' };
+/** Fields that identify an entry across versions */
+const ENTRY_KEYS = { experience: ['title', 'company'], education: ['school', 'degree'], projects: ['name'] };
+const JOB_FIELDS = ['jobTitle', 'companyName', 'jobDescription', 'jobUrl'];
+
+/**
+ * Error for a version request the caller has to fix.
+ */
+class VersionInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'VersionInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+/**
+ * Error for a job group or version the caller does not have.
+ */
+class VersionNotFoundError extends Error {
+  constructor(jobKey, version) {
+    super(version ? `No version ${version} of resume ${jobKey}` : `No resume ${jobKey}`);
+    this.name = 'VersionNotFoundError';
+    this.status = 404;
+    this.code = 'VERSION_NOT_FOUND';
+  }
+}
+
+const groups = (uid) => db.collection('users').doc(uid).collection('resumes');
+const toIso = (value) => (value && value.toDate ? value.toDate().toISOString() : value || null);
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * A job posting URL without its fragment and tracking parameters, so the
+ * same posting opened from different links groups together.
+ * @param {string} value
+ * @returns {string} '' when not an http(s) URL
+ */
+function postingUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (e) {
+    return '';
+  }
+  if (!/^https?:$/.test(url.protocol)) return '';
+  url.hash = '';
+  [...url.searchParams.keys()].filter(key => /^utm_|^(ref|trk|refId|trackingId)$/i.test(key)).forEach(key => url.searchParams.delete(key));
+  return `${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, '')}${url.search}`;
+}
+
+/**
+ * The group a job's resumes belong to: its posting URL when known, else its
+ * company and title (case and spacing ignored).
+ * @param {Object} job - { jobTitle, companyName, jobUrl }
+ * @returns {string} Hex id, usable as a Firestore document id
+ */
+function jobKey(job = {}) {
+  const url = postingUrl(job.jobUrl);
+  const basis = url ? `url:${url}` : `job:${normalize(job.companyName)}|${normalize(job.jobTitle)}`;
+  return crypto.createHash('sha256').update(basis).digest('hex').slice(0, 24);
+}
+
+/**
+ * Take the next version number of a job's group, creating the group.
+ * @param {string} uid
+ * @param {Object} job
+ * @returns {Promise<{ jobKey: string, version: number }>}
+ */
+async function reserveVersion(uid, job) {
+  const key = jobKey(job);
+  const ref = groups(uid).doc(key);
+  const version = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const next = ((snap.exists && snap.data().versionCount) || 0) + 1;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const stored = Object.fromEntries(JOB_FIELDS.map(field => [field, typeof job[field] === 'string' ? job[field] : '']));
+    tx.set(ref, { job: stored, versionCount: next, updatedAt: now, ...(snap.exists ? {} : { createdAt: now }) }, { merge: true });
+    return next;
+  });
+  return { jobKey: key, version };
+}
+
+/**
+ * Store a version reserved with reserveVersion, and make it the group's latest
+ * unless a later one was saved first.
+ * @param {string} uid
+ * @param {Object} record - { jobKey, version, action, basedOn, resume, profile, template, ... }
+ * @returns {Promise<void>}
+ */
+async function saveVersion(uid, record) {
+  const ref = groups(uid).doc(record.jobKey);
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const latest = (snap.exists && snap.data().latestVersion) || 0;
+    tx.set(ref.collection('versions').doc(String(record.version)), { basedOn: null, ...record, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    if (record.version > latest) tx.set(ref, { latestVersion: record.version }, { merge: true });
+  });
+}
+
+/**
+ * The caller's job groups, most recently updated first.
+ * @param {string} uid
+ * @returns {Promise<Array<Object>>} { jobKey, job (without the description), latestVersion, createdAt, updatedAt }
+ */
+async function listResumes(uid) {
+  const snap = await groups(uid).orderBy('updatedAt', 'desc').limit(MAX_GROUPS).get();
+  return snap.docs.map(doc => serializeGroup(doc.id, doc.data()));
+}
+
+/** A group as replied; descriptions are long and only the versions need them */
+function serializeGroup(key, data) {
+  const { jobDescription, ...job } = data.job || {};
+  return { jobKey: key, job, latestVersion: data.latestVersion || null, createdAt: toIso(data.createdAt), updatedAt: toIso(data.updatedAt) };
+}
+
+/**
+ * A version as replied: the list entry, plus the content when `full`.
+ * @param {Object} data - Stored version
+ * @param {boolean} [full=false]
+ * @returns {Object}
+ */
+function serializeVersion(data, full = false) {
+  const entry = {
+    version: data.version,
+    action: data.action,
+    basedOn: data.basedOn || null,
+    template: data.template || null,
+    score: data.match ? data.match.score : null,
+    files: data.files || [],
+    createdAt: toIso(data.createdAt),
+  };
+  return full
+    ? { ...entry, resume: data.resume || {}, profile: data.profile || {}, sections: data.sections || [], preferences: data.preferences || {}, match: data.match || null }
+    : entry;
+}
+
+/**
+ * A job group with its versions, newest first.
+ * @param {string} uid
+ * @param {string} key - jobKey
+ * @returns {Promise<Object>} serializeGroup's fields plus `versions`
+ * @throws {VersionNotFoundError}
+ */
+async function listVersions(uid, key) {
+  const ref = groups(uid).doc(String(key));
+  const snap = await ref.get();
+  if (!snap.exists) throw new VersionNotFoundError(key);
+  const versions = await ref.collection('versions').orderBy('version', 'desc').limit(MAX_VERSIONS).get();
+  return { ...serializeGroup(snap.id, snap.data()), versions: versions.docs.map(doc => serializeVersion(doc.data())) };
+}
+
+/**
+ * One stored version, with the group's job.
+ * @param {string} uid
+ * @param {string} key - jobKey
+ * @param {number|string} version
+ * @returns {Promise<Object>} The stored version with `jobKey` and `job`
+ * @throws {VersionNotFoundError}
+ */
+async function getVersion(uid, key, version) {
+  const ref = groups(uid).doc(String(key));
+  const [group, snap] = await Promise.all([ref.get(), ref.collection('versions').doc(String(version)).get()]);
+  if (!group.exists || !snap.exists) throw new VersionNotFoundError(key, version);
+  return { ...snap.data(), jobKey: group.id, job: group.data().job || {} };
+}
+
+/**
+ * A version's content with `edits` applied. Each edit replaces a whole
+ * section; null clears it.
+ * @param {Object} source - Stored version: { resume, profile }
+ * @param {Object} [edits] - { summary?, skills?, experience?, education?, projects? }
+ * @returns {{ resume: Object, profile: Object }}
+ * @throws {VersionInputError} For an unknown section or a value of the wrong type
+ */
+function applyEdits(source, edits = {}) {
+  if (!edits || typeof edits !== 'object' || Array.isArray(edits)) throw new VersionInputError('edits must be an object');
+  const resume = { ...(source.resume || {}) };
+  const profile = { ...(source.profile || {}) };
+  for (const [section, value] of Object.entries(edits)) {
+    const kind = EDITABLE_SECTIONS[section];
+    if (!kind) throw new VersionInputError(`edits.${section} is not an editable section (${Object.keys(EDITABLE_SECTIONS).join(', ')})`);
+    const valid = value === null
+      || (kind === 'text' && typeof value === 'string')
+      || (kind === 'texts' && Array.isArray(value) && value.every(item => typeof item === 'string'))
+      || (kind === 'entries' && Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item)));
+    if (!valid) throw new VersionInputError(`edits.${section} must be ${{ text: 'a string', texts: 'a list of strings', entries: 'a list of objects' }[kind]} or null`);
+    const target = section === 'projects' ? profile : resume;
+    if (value === null) delete target[section];
+    else target[section] = value;
+  }
+  return { resume, profile };
+}
+
+/** Whether a section value has content; '' and [] count as absent */
+const present = (value) => (Array.isArray(value) ? value.length > 0 : typeof value === 'string' ? value.trim() !== '' : value != null);
+const entryKey = (section, entry) => ENTRY_KEYS[section].map(field => normalize(entry && entry[field])).join('|');
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare one list-of-entries section: entries match by ENTRY_KEYS.
+ * @returns {{ added: Array<Object>, removed: Array<Object>, changed: Array<Object>, reordered: boolean }}
+ */
+function diffEntries(section, before, after) {
+  const index = (list) => new Map(list.map(entry => [entryKey(section, entry), entry]));
+  const old = index(before);
+  const next = index(after);
+  const changed = [...next].filter(([key, entry]) => old.has(key) && !same(old.get(key), entry)).map(([key, entry]) => ({
+    key: ENTRY_KEYS[section].map(field => entry[field]).filter(Boolean).join(' @ '),
+    fields: [...new Set([...Object.keys(old.get(key)), ...Object.keys(entry)])].filter(field => !same(old.get(key)[field], entry[field])),
+    before: old.get(key),
+    after: entry,
+  }));
+  const kept = (list, other) => [...list.keys()].filter(key => other.has(key));
+  return {
+    added: [...next].filter(([key]) => !old.has(key)).map(([, entry]) => entry),
+    removed: [...old].filter(([key]) => !next.has(key)).map(([, entry]) => entry),
+    changed,
+    reordered: !same(kept(old, next), kept(next, old)),
+  };
+}
+
+/**
+ * Section-level differences between two versions' content.
+ * @param {Object} before - Stored version: { resume, profile, template }
+ * @param {Object} after - The same
+ * @returns {{ template: Object|null, sections: Array<Object> }} `template` is { before, after }
+ *   when it changed. Each section is { section, status } with status 'added', 'removed',
+ *   'changed' or 'unchanged', plus: summary { before, after }; skills { added, removed,
+ *   reordered }; experience, education and projects { added, removed, changed[{ key,
+ *   fields, before, after }], reordered }
+ */
+function diffResumes(before, after) {
+  const content = (version) => ({ ...(version.profile || {}), ...(version.resume || {}) });
+  const a = content(before);
+  const b = content(after);
+  const sections = DIFF_SECTIONS.map((section) => {
+    const was = present(a[section]);
+    const is = present(b[section]);
+    let detail;
+    if (section === 'summary') {
+      detail = a.summary === b.summary ? {} : { before: was ? a.summary : null, after: is ? b.summary : null };
+    } else if (section === 'skills') {
+      const list = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+      const old = new Map(list(a.skills).map(skill => [normalize(skill), skill]));
+      const next = new Map(list(b.skills).map(skill => [normalize(skill), skill]));
+      const kept = (map, other) => [...map.keys()].filter(key => other.has(key));
+      detail = {
+        added: [...next].filter(([key]) => !old.has(key)).map(([, skill]) => skill),
+        removed: [...old].filter(([key]) => !next.has(key)).map(([, skill]) => skill),
+        reordered: !same(kept(old, next), kept(next, old)),
+      };
+    } else {
+      const list = (value) => (Array.isArray(value) ? value.filter(entry => entry && typeof entry === 'object') : []);
+      detail = diffEntries(section, list(a[section]), list(b[section]));
+    }
+    const changed = section === 'summary'
+      ? a.summary !== b.summary
+      : detail.added.length > 0 || detail.removed.length > 0 || (detail.changed || []).length > 0 || detail.reordered;
+    const status = was && is ? (changed ? 'changed' : 'unchanged') : was ? 'removed' : is ? 'added' : 'unchanged';
+    return { section, status, ...detail };
+  });
+  const template = (before.template || null) === (after.template || null) ? null : { before: before.template || null, after: after.template || null };
+  return { template, sections };
+}
+
+module.exports = {
+  VersionInputError,
+  VersionNotFoundError,
+  jobKey,
+  reserveVersion,
+  saveVersion,
+  listResumes,
+  listVersions,
+  getVersion,
+  serializeVersion,
+  applyEdits,
+  diffResumes,
+};
@@ -0,0 +1,106 @@
+const admin = require('firebase-admin');
+const versions = require('./resumeVersions');
+
+const job = { jobTitle: 'Backend Engineer', companyName: 'Stripe', jobDescription: 'Build APIs.', jobUrl: '' };
+const v1 = {
+  template: 'classic',
+  resume: {
+    summary: 'Backend engineer.',
+    skills: ['Node.js', 'SQL'],
+    experience: [{ title: 'Engineer', company: 'Acme', highlights: ['Built billing'] }, { title: 'Intern', company: 'Beta' }],
+  },
+  profile: { projects: [{ name: 'Mexty', description: 'AI twin' }] },
+};
+
+beforeEach(() => admin.__reset());
+
+describe('jobKey', () => {
+  test('groups a posting by its URL, ignoring fragments and tracking parameters', () => {
+    const key = versions.jobKey({ ...job, jobUrl: 'https://jobs.example.com/42/?utm_source=x#apply' });
+    expect(key).toMatch(/^[0-9a-f]{24}$/);
+    expect(versions.jobKey({ jobTitle: 'Other', jobUrl: 'https://JOBS.example.com/42?ref=feed' })).toBe(key);
+    expect(versions.jobKey({ ...job, jobUrl: 'https://jobs.example.com/43' })).not.toBe(key);
+  });
+
+  test('falls back to company and title, ignoring case and spacing', () => {
+    expect(versions.jobKey({ jobTitle: ' backend  engineer', companyName: 'STRIPE', jobUrl: 'mailto:jobs@stripe.com' })).toBe(versions.jobKey(job));
+  });
+});
+
+describe('version history', () => {
+  test('numbers versions per job and lists them newest first', async () => {
+    const first = await versions.reserveVersion('u1', job);
+    const second = await versions.reserveVersion('u1', job);
+    expect([first.version, second.version]).toEqual([1, 2]);
+    expect(second.jobKey).toBe(first.jobKey);
+    // A later version saved first stays the latest
+    await versions.saveVersion('u1', { ...v1, jobKey: first.jobKey, version: 2, action: 'generated' });
+    await versions.saveVersion('u1', { ...v1, jobKey: first.jobKey, version: 1, action: 'generated', match: { score: 80 } });
+
+    const group = await versions.listVersions('u1', first.jobKey);
+    expect(group).toMatchObject({ jobKey: first.jobKey, job: { jobTitle: 'Backend Engineer', companyName: 'Stripe' }, latestVersion: 2 });
+    expect(group.job).not.toHaveProperty('jobDescription');
+    expect(group.versions.map(v => [v.version, v.score])).toEqual([[2, null], [1, 80]]);
+    expect(await versions.listResumes('u1')).toEqual([expect.objectContaining({ jobKey: first.jobKey, latestVersion: 2 })]);
+  });
+
+  test('keeps each user\'s history to themselves', async () => {
+    const { jobKey, version } = await versions.reserveVersion('u1', job);
+    await versions.saveVersion('u1', { ...v1, jobKey, version, action: 'generated' });
+    expect(await versions.getVersion('u1', jobKey, version)).toMatchObject({ version: 1, basedOn: null, job: { companyName: 'Stripe' }, resume: v1.resume });
+    await expect(versions.getVersion('u2', jobKey, version)).rejects.toMatchObject({ status: 404, code: 'VERSION_NOT_FOUND' });
+    await expect(versions.listVersions('u2', jobKey)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('applyEdits', () => {
+  test('replaces or clears whole sections without touching the source', () => {
+    const edited = versions.applyEdits(v1, { summary: 'Platform engineer.', skills: null, projects: [] });
+    expect(edited.resume).toEqual({ summary: 'Platform engineer.', experience: v1.resume.experience });
+    expect(edited.profile).toEqual({ projects: [] });
+    expect(v1.resume.skills).toEqual(['Node.js', 'SQL']);
+  });
+
+  test.each([
+    [{ links: [] }, /edits\.links is not an editable section/],
+    [{ skills: 'Node.js' }, 'edits.skills must be a list of strings or null'],
+    [{ experience: ['Engineer'] }, 'edits.experience must be a list of objects or null'],
+  ])('rejects %o', (edits, message) => {
+    expect(() => versions.applyEdits(v1, edits)).toThrow(expect.objectContaining({ status: 400, message: expect.stringMatching(message) }));
+  });
+});
+
+describe('diffResumes', () => {
+  test('reports changes section by section', () => {
+    const v2 = {
+      template: 'ats',
+      resume: {
+        summary: 'Backend engineer.',
+        skills: ['sql', 'Node.js', 'Go'],
+        experience: [{ title: 'Engineer', company: 'ACME', highlights: ['Built billing', 'Led on-call'] }],
+        education: [{ school: 'MIT', degree: 'BSc' }],
+      },
+      profile: { projects: [{ name: 'Mexty', description: 'AI twin' }] },
+    };
+    const diff = versions.diffResumes(v1, v2);
+    expect(diff.template).toEqual({ before: 'classic', after: 'ats' });
+    const section = (name) => diff.sections.find(s => s.section === name);
+    expect(section('summary')).toEqual({ section: 'summary', status: 'unchanged' });
+    expect(section('skills')).toEqual({ section: 'skills', status: 'changed', added: ['Go'], removed: [], reordered: true });
+    expect(section('experience')).toMatchObject({
+      status: 'changed',
+      added: [],
+      removed: [{ title: 'Intern', company: 'Beta' }],
+      changed: [{ key: 'Engineer @ ACME', fields: ['company', 'highlights'] }],
+      reordered: false,
+    });
+    expect(section('education')).toMatchObject({ status: 'added', added: [{ school: 'MIT', degree: 'BSc' }] });
+    expect(section('projects')).toMatchObject({ status: 'unchanged', added: [], removed: [], changed: [] });
+  });
+
+  test('finds nothing between identical versions', () => {
+    const diff = versions.diffResumes(v1, JSON.parse(JSON.stringify(v1)));
+    expect(diff.template).toBeNull();
+    expect(diff.sections.every(s => s.status === 'unchanged')).toBe(true);
+  });
+});
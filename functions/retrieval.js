@@ -0,0 +1,336 @@
+/**
+ * Profile Retrieval for grounded twin answers
+ *
+ * Chunks the twin's source documents into short passages, indexes them with
+ * BM25 and returns the passages most relevant to a chat message:
+ * - userProfileData/jerronce/profile/latest: the consolidated profile written
+ *   by the autoUpdate sync job (GitHub repos, latest commits, education, socials)
+ * - profiles/{TWIN_PROFILE_UID}: the resume profile (summary, skills,
+ *   experience, education, projects)
+ *
+ * The index lives in memory per function instance. It is rebuilt when the
+ * cache expires, and the rebuild is skipped if neither document changed.
+ * Each passage carries a source reference ({ id, source, title, url }) that
+ * is returned to the client with the reply.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const TWIN_PROFILE_PATH = 'userProfileData/jerronce/profile/latest';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_TOP_K = 4;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(('a an and are as at be but by can do does did for from has have he her his how i in ' +
+  'is it its jerry me my of on or our she so that the their them they this to was what when where which ' +
+  'who why will with you your about tell know any some').split(' '));
+
+/**
+ * Crude suffix stemming so "studies"/"study" and "projects"/"project" match.
+ * @param {string} token
+ * @returns {string}
+ */
+function stem(token) {
+  if (token.length <= 4) return token;
+  if (token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('ing') && token.length > 5) return token.slice(0, -3);
+  if (token.endsWith('ed') && token.length > 5) return token.slice(0, -2);
+  if (token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+/**
+ * Lowercase, stemmed word tokens without stopwords.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map(t => t.replace(/^\.+|\.+$/g, ''))
+    .filter(t => t.length > 1 && !STOPWORDS.has(t))
+    .map(stem);
+}
+
+const str = (v) => (typeof v === 'string' ? v.trim() : '');
+const join = (parts, sep = ' ') => parts.filter(Boolean).join(sep);
+
+/**
+ * Passages from the consolidated autoUpdate profile.
+ * @param {Object} profile - userProfileData/.../latest document
+ * @returns {Array<Object>} { id, source, title, url, text }
+ */
+function chunkTwinProfile(profile) {
+  if (!profile) return [];
+  const chunks = [];
+  const source = 'profile';
+  const gh = profile.github || {};
+  const ghProfile = gh.profile || {};
+
+  if (ghProfile.login || ghProfile.bio) {
+    chunks.push({
+      id: 'github:profile',
+      source,
+      title: 'GitHub profile',
+      url: ghProfile.html_url || null,
+      text: join([
+        ghProfile.name && `${ghProfile.name} is on GitHub as ${ghProfile.login || gh.username}.`,
+        ghProfile.bio && `Bio: ${ghProfile.bio}.`,
+        ghProfile.public_repos !== undefined && `${ghProfile.public_repos} public repositories, ${ghProfile.followers || 0} followers.`,
+      ]),
+    });
+  }
+
+  (gh.repos || []).forEach(repo => {
+    if (!repo || !repo.name) return;
+    chunks.push({
+      id: `github:repo:${repo.name}`,
+      source,
+      title: `GitHub project ${repo.name}`,
+      url: repo.html_url || null,
+      text: join([
+        `Project ${repo.name}${repo.language ? ` (${repo.language})` : ''}:`,
+        repo.description ? `${repo.description}.` : 'No description.',
+        `${repo.stargazers_count || 0} stars, ${repo.forks_count || 0} forks.`,
+        repo.pushed_at && `Last pushed ${String(repo.pushed_at).slice(0, 10)}.`,
+      ]),
+    });
+  });
+
+  (gh.latestCommits || []).forEach(entry => {
+    const commits = (entry && entry.commits) || [];
+    if (!commits.length) return;
+    chunks.push({
+      id: `github:commits:${entry.repo}`,
+      source,
+      title: `Recent commits in ${entry.repo}`,
+      url: commits[0].html_url || null,
+      text: `Recent work on ${entry.repo}: ${commits
+        .map(c => `${str(c.message).split('\n')[0]}${c.date ? ` (${String(c.date).slice(0, 10)})` : ''}`)
+        .join('; ')}.`,
+    });
+  });
+
+  (profile.education || []).forEach((ed, i) => {
+    const school = str(ed.schoolName || ed.school);
+    if (!school) return;
+    chunks.push({
+      id: `profile:education:${i}`,
+      source,
+      title: `Education: ${school}`,
+      url: null,
+      text: join([
+        `Studies at ${school}.`,
+        str(ed.degreeName || ed.degree) && `Degree: ${str(ed.degreeName || ed.degree)}.`,
+        str(ed.fieldOfStudy) && `Field: ${str(ed.fieldOfStudy)}.`,
+        join([str(ed.startDate || ed.start), str(ed.endDate || ed.end)], ' – '),
+      ]),
+    });
+  });
+
+  const links = (profile.socials && profile.socials.links) || {};
+  const linkList = Object.entries(links).filter(([, url]) => url);
+  if (linkList.length) {
+    chunks.push({
+      id: 'profile:socials',
+      source,
+      title: 'Social links',
+      url: null,
+      text: `Social profiles and links: ${linkList.map(([name, url]) => `${name} ${url}`).join(', ')}.`,
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Passages from a resume profile (profiles/{userId}).
+ * @param {Object} profile
+ * @param {string} userId
+ * @returns {Array<Object>} { id, source, title, url, text }
+ */
+function chunkResumeProfile(profile, userId) {
+  if (!profile) return [];
+  const chunks = [];
+  const source = `profiles/${userId}`;
+  const asText = (v) => (Array.isArray(v) ? v.join(', ') : str(v));
+
+  if (profile.summary || profile.title) {
+    chunks.push({
+      id: 'resume:summary',
+      source,
+      title: 'Resume summary',
+      url: null,
+      text: join([str(profile.name), str(profile.title) && `works as ${str(profile.title)}.`, str(profile.summary)]),
+    });
+  }
+  if (asText(profile.skills)) {
+    chunks.push({ id: 'resume:skills', source, title: 'Skills', url: null, text: `Skills: ${asText(profile.skills)}.` });
+  }
+
+  const entries = (value) => (Array.isArray(value) ? value : []);
+  entries(profile.experience).forEach((e, i) => {
+    if (typeof e === 'string') {
+      chunks.push({ id: `resume:experience:${i}`, source, title: 'Experience', url: null, text: e });
+      return;
+    }
+    chunks.push({
+      id: `resume:experience:${i}`,
+      source,
+      title: `Experience: ${join([str(e.title), str(e.company)], ' at ')}`,
+      url: null,
+      text: join([
+        join([str(e.title), str(e.company)], ' at ') + '.',
+        join([str(e.start), str(e.end) || 'Present'], ' – ') + '.',
+        asText(e.achievements || e.highlights),
+        str(e.description),
+      ]),
+    });
+  });
+  entries(profile.education).forEach((ed, i) => {
+    if (typeof ed === 'string') {
+      chunks.push({ id: `resume:education:${i}`, source, title: 'Education', url: null, text: ed });
+      return;
+    }
+    chunks.push({
+      id: `resume:education:${i}`,
+      source,
+      title: `Education: ${str(ed.school)}`,
+      url: null,
+      text: join([str(ed.degree), str(ed.school) && `at ${str(ed.school)}`, join([str(ed.start), str(ed.end)], ' – ')]),
+    });
+  });
+  entries(profile.projects).forEach((p, i) => {
+    const name = str(p.name || p.title);
+    if (!name) return;
+    chunks.push({
+      id: `resume:project:${i}`,
+      source,
+      title: `Project ${name}`,
+      url: str(p.url) || null,
+      text: join([`Project ${name}:`, str(p.description), asText(p.technologies || p.keywords || p.highlights)]),
+    });
+  });
+  return chunks;
+}
+
+/**
+ * Build a BM25 index over passages.
+ * @param {Array<Object>} chunks
+ * @returns {Object} Index
+ */
+function createIndex(chunks) {
+  const docs = chunks.map(chunk => {
+    const tokens = tokenize(`${chunk.title} ${chunk.text}`);
+    const tf = new Map();
+    tokens.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    return { chunk, tf, length: tokens.length };
+  });
+  const df = new Map();
+  docs.forEach(d => d.tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  return { docs, df, avgLength };
+}
+
+/**
+ * Top passages for a query.
+ * @param {Object} index - From createIndex
+ * @param {string} query
+ * @param {number} [k]
+ * @returns {Array<{ chunk: Object, score: number }>}
+ */
+function search(index, query, k = DEFAULT_TOP_K) {
+  const terms = [...new Set(tokenize(query))];
+  const n = index.docs.length;
+  if (!terms.length || !n) return [];
+  return index.docs
+    .map(doc => {
+      let score = 0;
+      terms.forEach(term => {
+        const f = doc.tf.get(term);
+        if (!f) return;
+        const df = index.df.get(term);
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        score += idf * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / index.avgLength));
+      });
+      return { chunk: doc.chunk, score };
+    })
+    .filter(hit => hit.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+let cached = null;
+
+/**
+ * Load both source documents and (re)build the index when they changed.
+ * @returns {Promise<Object>} Index
+ */
+async function getIndex() {
+  if (cached && cached.expires > Date.now()) return cached.index;
+
+  const uid = process.env.TWIN_PROFILE_UID || 'jerronce';
+  const [twinSnap, resumeSnap] = await Promise.all([
+    db.doc(TWIN_PROFILE_PATH).get(),
+    db.collection('profiles').doc(uid).get(),
+  ]);
+  const stamp = [twinSnap.updateTime, resumeSnap.updateTime].map(t => (t ? t.toMillis() : 0)).join(':');
+
+  if (!cached || cached.stamp !== stamp) {
+    const chunks = [
+      ...chunkTwinProfile(twinSnap.exists ? twinSnap.data() : null),
+      ...chunkResumeProfile(resumeSnap.exists ? resumeSnap.data() : null, uid),
+    ];
+    cached = { index: createIndex(chunks), stamp };
+  }
+  cached.expires = Date.now() + CACHE_TTL_MS;
+  return cached.index;
+}
+
+/**
+ * Retrieve grounding passages for a chat message.
+ * @param {string} query - The user's message
+ * @param {Object} [options]
+ * @param {number} [options.k] - Maximum passages
+ * @returns {Promise<{ context: string|null, sources: Array<Object> }>}
+ *   `context` is a system-prompt block citing passages as [1], [2], ...;
+ *   `sources` lists them as { ref, id, source, title, url }.
+ */
+async function retrieve(query, { k = DEFAULT_TOP_K } = {}) {
+  let hits = [];
+  try {
+    hits = search(await getIndex(), query, k);
+  } catch (error) {
+    // Answer ungrounded rather than failing the chat
+    console.error('Retrieval failed:', error);
+  }
+  if (!hits.length) return { context: null, sources: [] };
+
+  const sources = hits.map(({ chunk }, i) => ({
+    ref: i + 1,
+    id: chunk.id,
+    source: chunk.source,
+    title: chunk.title,
+    url: chunk.url,
+  }));
+  const context = [
+    'Reference facts about Jerry from his synced profile. Use them when relevant and cite them like [1].',
+    'If they do not cover the question, say you are not sure rather than guessing.',
+    ...hits.map(({ chunk }, i) => `[${i + 1}] ${chunk.text}`),
+  ].join('\n');
+  return { context, sources };
+}
+
+module.exports = {
+  TWIN_PROFILE_PATH,
+  tokenize,
+  chunkTwinProfile,
+  chunkResumeProfile,
+  createIndex,
+  search,
+  retrieve,
+};
@@ -0,0 +1,101 @@
+const { chunkTwinProfile, chunkResumeProfile, createIndex, search, tokenize, TWIN_PROFILE_PATH } = require('./retrieval');
+
+const twinProfile = {
+  github: {
+    username: 'jerronce',
+    profile: { login: 'jerronce', name: 'Jerry', bio: 'Full-stack developer', public_repos: 12, followers: 30, html_url: 'https://github.com/jerronce' },
+    repos: [
+      { name: 'mexty', language: 'JavaScript', description: 'AI digital twin with voice chat', stargazers_count: 5, html_url: 'https://github.com/jerronce/mexty' },
+      { name: 'ledger', language: 'Rust', description: 'Double-entry accounting engine', stargazers_count: 2, html_url: 'https://github.com/jerronce/ledger' },
+    ],
+    latestCommits: [{ repo: 'mexty', commits: [{ message: 'Add sentence chunking for speech\n\nDetails', date: '2026-10-01T10:00:00Z', html_url: 'https://github.com/jerronce/mexty/commit/1' }] }],
+  },
+  education: [{ schoolName: 'State University', degreeName: 'BSc', fieldOfStudy: 'Computer Science', startDate: '2015', endDate: '2019' }],
+  socials: { links: { linkedin: 'https://linkedin.com/in/jerry', twitter: '' } },
+};
+const resumeProfile = {
+  name: 'Jerry',
+  title: 'Software engineer',
+  summary: 'Builds web apps and payment systems.',
+  skills: ['React', 'Node.js', 'Rust', 'PostgreSQL'],
+  experience: [
+    { title: 'Engineer', company: 'Acme Payments', start: '2021', achievements: ['Built the card payment pipeline', 'Cut checkout latency by half'] },
+    'Freelance web development',
+  ],
+  education: [{ degree: 'BSc', school: 'State University', start: '2015', end: '2019' }],
+  projects: [{ name: 'Studio', description: 'Podcast editing studio', technologies: ['Electron', 'FFmpeg'], url: 'https://studio.example.com' }],
+};
+const index = createIndex([...chunkTwinProfile(twinProfile), ...chunkResumeProfile(resumeProfile, 'jerronce')]);
+const top = (query, k) => search(index, query, k).map(hit => hit.chunk.id);
+
+describe('chunking', () => {
+  test('makes one passage per repo, commit list, school and link list', () => {
+    expect(chunkTwinProfile(twinProfile).map(c => c.id)).toEqual([
+      'github:profile', 'github:repo:mexty', 'github:repo:ledger', 'github:commits:mexty', 'profile:education:0', 'profile:socials',
+    ]);
+    expect(chunkTwinProfile(twinProfile).find(c => c.id === 'profile:socials').text).not.toContain('twitter');
+  });
+
+  test('makes one passage per resume entry, keeping plain-text entries', () => {
+    const chunks = chunkResumeProfile(resumeProfile, 'u1');
+    expect(chunks.map(c => c.id)).toEqual([
+      'resume:summary', 'resume:skills', 'resume:experience:0', 'resume:experience:1', 'resume:education:0', 'resume:project:0',
+    ]);
+    expect(chunks.every(c => c.source === 'profiles/u1')).toBe(true);
+    expect(chunks[3].text).toBe('Freelance web development');
+  });
+
+  test('has nothing to chunk without a profile', () => {
+    expect(chunkTwinProfile(null)).toEqual([]);
+    expect(chunkResumeProfile(undefined, 'u1')).toEqual([]);
+  });
+});
+
+describe('search', () => {
+  test('ranks the passage about the asked topic first', () => {
+    expect(top('What accounting engine did you write in Rust?')[0]).toBe('github:repo:ledger');
+    expect(top('Tell me about the payment pipeline at Acme')[0]).toBe('resume:experience:0');
+    expect(top('Where did he study computer science?')[0]).toBe('profile:education:0');
+    expect(top('podcast editing')[0]).toBe('resume:project:0');
+  });
+
+  test('matches word forms through stemming', () => {
+    expect(tokenize('studies projects building')).toEqual(tokenize('study project build'));
+    expect(top('What has he been chunking lately?')[0]).toBe('github:commits:mexty');
+  });
+
+  test('returns at most k passages, best first', () => {
+    const hits = search(index, 'Rust payments React web', 2);
+    expect(hits).toHaveLength(2);
+    expect(hits[0].score).toBeGreaterThanOrEqual(hits[1].score);
+  });
+
+  test('finds nothing for stopwords or unknown words', () => {
+    expect(search(index, 'what is the')).toEqual([]);
+    expect(search(index, 'kubernetes')).toEqual([]);
+  });
+});
+
+describe('retrieve', () => {
+  let admin;
+  let retrieve;
+  beforeEach(() => {
+    jest.resetModules();
+    admin = require('firebase-admin');
+    ({ retrieve } = require('./retrieval'));
+    admin.__reset();
+  });
+
+  test('cites the best passages from both stored profiles', async () => {
+    await admin.firestore().doc(TWIN_PROFILE_PATH).set(twinProfile);
+    await admin.firestore().doc('profiles/jerronce').set(resumeProfile);
+    const { context, sources } = await retrieve('Which accounting engine is written in Rust?', { k: 2 });
+    expect(sources[0]).toEqual({ ref: 1, id: 'github:repo:ledger', source: 'profile', title: 'GitHub project ledger', url: 'https://github.com/jerronce/ledger' });
+    expect(sources).toHaveLength(2);
+    expect(context).toContain('[1] Project ledger (Rust): Double-entry accounting engine.');
+  });
+
+  test('answers ungrounded when nothing matches', async () => {
+    expect(await retrieve('kubernetes')).toEqual({ context: null, sources: [] });
+  });
+});
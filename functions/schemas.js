@@ -0,0 +1,514 @@
+/**
+ * Endpoint Contracts
+ *
+ * Request and response schemas for every HTTP endpoint, keyed by the path
+ * clients call and then by method:
+ *
+ *   CONTRACTS['/api/ai'].post = { summary, description?, query?, body?, stream?, rawBody?, responses: { 200: schema, ... } }
+ *
+ * The same schemas are enforced at runtime (validation.js) and published as
+ * the OpenAPI document (openapi.js), so the two cannot drift apart. Request
+ * schemas describe the HTTP surface only; modules still validate what they
+ * are given (persona drafts, budgets, page content, ...) in more depth.
+ * Unknown request fields are allowed and ignored.
+ *
+ * Contracts flagged `envelope` belong to the routed API (api.js), whose
+ * replies also carry `success` and `timestamp`; the schemas here describe the
+ * reply before those are added.
+ */
+const { ERROR_CODES } = require('./errors');
+const { TEMPLATE_IDS, SECTION_IDS } = require('./resumeTemplates');
+
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const bool = (extra = {}) => ({ type: 'boolean', ...extra });
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const obj = (properties = {}, required = [], extra = {}) => ({ type: 'object', properties, ...(required.length ? { required } : {}), ...extra });
+/** A whole number, as a JSON number or (from a query string) its digits */
+const count = (extra = {}) => ({ type: ['integer', 'string'], pattern: '^\\d+$', minimum: 0, ...extra });
+/** Firestore timestamps are sent as ISO strings; absent ones as null */
+const timestamp = (extra = {}) => str({ format: 'date-time', nullable: true, ...extra });
+
+const ERROR = obj({
+  error: str({ description: 'Short error title, e.g. "Invalid input"' }),
+  code: str({ enum: Object.keys(ERROR_CODES), description: 'Stable error code to branch on (see functions/errors.js)' }),
+  message: str({ description: 'What went wrong, safe to show to people' }),
+  details: arr(obj({ path: str(), message: str() }, ['path', 'message']), { description: 'Every schema mismatch in the request (400 only)' }),
+  retryAfter: int({ description: 'Seconds until the quota or budget resets (429 only)' }),
+  requestId: str({ description: 'Same as the X-Request-Id header; quote it when reporting a problem' }),
+  timestamp: timestamp(),
+}, ['error', 'code', 'message']);
+
+const MODEL = str({ enum: ['gemini', 'openai'], description: 'Preferred AI provider' });
+
+const PAGE_CONTEXT = obj({
+  selection: str({ minLength: 1, maxLength: 8000 }),
+  url: str({ maxLength: 2048, nullable: true }),
+  title: str({ nullable: true }),
+}, ['selection'], { description: 'Text the user selected on a web page; quoted to the model as untrusted data' });
+
+const CHAT_REQUEST = obj({
+  message: str({ minLength: 1 }),
+  model: MODEL,
+  sessionId: str({ nullable: true, description: 'Continue this conversation; a new one is started when it is absent or null' }),
+  stream: bool({ description: 'Reply as Server-Sent Events (see streaming.js)' }),
+  tools: bool({ description: 'false turns tool use off' }),
+  pageContext: PAGE_CONTEXT,
+}, ['message']);
+
+const SOURCE = obj({ ref: int(), id: str(), source: str(), title: str(), url: str({ nullable: true }) });
+const PART = obj({ type: str({ enum: ['text', 'tool_result'] }), text: str(), name: str(), ok: bool(), result: obj() }, ['type']);
+
+const CHAT_REPLY = obj({
+  response: str(),
+  parts: arr(PART),
+  sources: arr(SOURCE),
+  sessionId: str(),
+  model: str({ nullable: true, description: 'Provider that answered' }),
+  providerModel: str({ nullable: true }),
+  requestedModel: str(),
+  injection: obj({ flagged: bool(), patterns: arr(str()), matches: arr(obj({ pattern: str(), field: str(), excerpt: str() })) }),
+  moderated: obj({ direction: str({ enum: ['input', 'output'] }) }),
+  timestamp: timestamp(),
+}, ['response', 'sessionId']);
+
+const SESSION = obj({
+  id: str(), title: str(), model: str({ nullable: true }), provider: str({ nullable: true }), providerModel: str({ nullable: true }),
+  messageCount: int(), createdAt: timestamp(), updatedAt: timestamp(),
+}, ['id']);
+const MESSAGE = obj({ seq: int(), role: str({ enum: ['user', 'assistant'] }), content: str(), createdAt: timestamp() }, ['role', 'content']);
+const SESSIONS_REPLY = obj({
+  session: SESSION,
+  messages: arr(MESSAGE),
+  sessions: arr(SESSION),
+}, [], { description: '{ session, messages } with `id`, else { sessions }' });
+
+const CHUNK = obj({ index: int(), text: str(), start: { type: 'number' }, duration: { type: 'number' }, url: str(), path: str(), cached: bool() }, ['index', 'start', 'duration']);
+const TTS_REQUEST = obj({
+  text: str({ minLength: 1, maxLength: 20000 }),
+  voice: str({ description: 'Provider voice id (default alloy)' }),
+  provider: str({ enum: ['openai', 'elevenlabs'] }),
+  format: str({ enum: ['mp3', 'wav'] }),
+  output: str({ enum: ['file', 'playlist'], description: 'One stitched file, or one URL per chunk' }),
+}, ['text']);
+const TTS_REPLY = {
+  oneOf: [
+    obj({ output: str({ const: 'file' }), url: str(), path: str(), key: str(), cached: bool(), provider: str(), format: str(), duration: { type: 'number' }, chunks: arr(CHUNK) }, ['output', 'url', 'chunks']),
+    obj({ output: str({ const: 'playlist' }), cached: bool(), provider: str(), format: str(), duration: { type: 'number' }, chunks: arr(CHUNK) }, ['output', 'chunks']),
+  ],
+};
+
+const JOB = {
+  jobTitle: str({ maxLength: 200 }),
+  companyName: str({ maxLength: 200 }),
+  jobDescription: str({ maxLength: 20000 }),
+  jobUrl: str({ maxLength: 2048, description: 'Stored with the document; the page is not fetched' }),
+};
+const DOCUMENT_REQUEST = obj({
+  job: obj(JOB),
+  ...JOB,
+  model: MODEL,
+  format: str({ enum: ['pdf', 'docx', 'both'], description: 'File format (default pdf); both stores a PDF and a DOCX, each as its own document' }),
+  preferences: obj({
+    template: str({ enum: TEMPLATE_IDS, description: 'Resume layout (default classic); cover letters ignore it' }),
+    sections: arr(str({ enum: SECTION_IDS }), { maxItems: SECTION_IDS.length, description: 'Resume sections to show, in order; ones the template does not support are left out' }),
+    primaryColor: str({ pattern: '^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$' }),
+    accentColor: str({ pattern: '^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$' }),
+    fontFamily: str({ maxLength: 100 }),
+  }),
+}, [], { description: 'Job fields go in `job` or at the top level' });
+const KEYWORD = obj({ term: str(), kind: str({ enum: ['skill', 'tool', 'keyword'] }), aliases: arr(str()) }, ['term']);
+const COVERAGE = obj({ total: int(), matched: arr(str()), missing: arr(str()) }, ['total', 'matched', 'missing']);
+const KEYWORD_MATCH = obj({
+  score: int({ minimum: 0, maximum: 100, nullable: true, description: 'Weighted coverage of the posting\'s terms; null when it names none' }),
+  required: COVERAGE,
+  preferred: COVERAGE,
+  missing: arr(str(), { description: 'Required terms not found, then preferred ones' }),
+  keywords: obj({ required: arr(KEYWORD), preferred: arr(KEYWORD) }),
+  provider: str(),
+  analyzedAt: timestamp(),
+}, ['score', 'required', 'preferred', 'missing']);
+const DOCUMENT_REPLY = {
+  documentId: str(), url: str(), storagePath: str(), createdAt: timestamp(), type: str({ enum: ['resume', 'cover_letter'] }), template: str({ enum: TEMPLATE_IDS }), provider: str({ nullable: true }),
+  match: { ...KEYWORD_MATCH, nullable: true, description: 'ATS keyword match against the job description; resumes only, null without a description' },
+  format: str({ enum: ['pdf', 'docx'] }),
+  files: arr(obj({ format: str({ enum: ['pdf', 'docx'] }), documentId: str(), url: str(), storagePath: str() }, ['format', 'documentId', 'url', 'storagePath']), { description: 'Every file generated; the top-level fields describe the first' }),
+  jobKey: str({ description: 'Resumes only: the job group in the version history' }),
+  version: int({ minimum: 1, description: 'Resumes only: the version number within the job group' }),
+};
+
+const JOB_KEY = str({ pattern: '^[0-9a-f]{24}$', description: 'Job group id, from /resumes or a generate-resume reply' });
+const VERSION_NUMBER = count({ minimum: 1, pattern: '^[1-9]\\d*$' });
+const RESUME_GROUP = obj({
+  jobKey: str(),
+  job: obj({ jobTitle: str(), companyName: str(), jobUrl: str() }),
+  latestVersion: int({ nullable: true }),
+  createdAt: timestamp(),
+  updatedAt: timestamp(),
+}, ['jobKey', 'job']);
+const RESUME_VERSION = obj({
+  version: int(),
+  action: str({ enum: ['generated', 'restored', 'edited'], description: 'How the version was made; restored and edited ones name their source in basedOn' }),
+  basedOn: int({ nullable: true }),
+  template: str({ nullable: true }),
+  score: int({ nullable: true, description: 'ATS keyword match score' }),
+  files: arr(obj({ format: str({ enum: ['pdf', 'docx'] }), documentId: str(), storagePath: str() }, ['format', 'documentId'])),
+  createdAt: timestamp(),
+  resume: obj({}, [], { description: 'Structured resume JSON: summary, skills, experience, education' }),
+  profile: obj({}, [], { description: 'The profile fields the files used: name, title, contact details, links, projects' }),
+  sections: arr(str()),
+  preferences: obj(),
+  match: { ...KEYWORD_MATCH, nullable: true },
+}, ['version', 'action']);
+const SECTION_DIFF = obj({
+  section: str({ enum: ['summary', 'skills', 'experience', 'education', 'projects'] }),
+  status: str({ enum: ['added', 'removed', 'changed', 'unchanged'] }),
+  before: str({ nullable: true, description: 'summary only' }),
+  after: str({ nullable: true, description: 'summary only' }),
+  added: arr({ type: ['string', 'object'] }),
+  removed: arr({ type: ['string', 'object'] }),
+  changed: arr(obj({ key: str(), fields: arr(str()), before: obj(), after: obj() }), { description: 'Entries present in both versions whose fields differ' }),
+  reordered: bool(),
+}, ['section', 'status']);
+const RESUME_EDITS = obj({
+  summary: str({ nullable: true, maxLength: 4000 }),
+  skills: arr(str({ maxLength: 300 }), { nullable: true, maxItems: 100 }),
+  experience: arr(obj({ title: str(), company: str(), start: str(), end: str(), achievements: arr(str()) }), { nullable: true, maxItems: 50 }),
+  education: arr(obj({ school: str(), degree: str(), start: str(), end: str() }), { nullable: true, maxItems: 50 }),
+  projects: arr(obj({ name: str(), description: str(), url: str() }), { nullable: true, maxItems: 50 }),
+}, [], { additionalProperties: false, description: 'Sections to replace whole; null clears one' });
+
+const PROFILE = obj({
+  name: str({ maxLength: 300 }), title: str({ maxLength: 300 }), email: str({ maxLength: 300 }), phone: str({ maxLength: 300 }), location: str({ maxLength: 300 }),
+  summary: str({ maxLength: 4000 }),
+  skills: { type: ['array', 'string'], items: str(), description: 'A list, or one comma separated string' },
+  experience: arr({ type: ['object', 'string'] }, { maxItems: 50 }),
+  education: arr({ type: ['object', 'string'] }, { maxItems: 50 }),
+  projects: arr({ type: ['object', 'string'] }, { maxItems: 50 }),
+  links: obj({ linkedin: str({ format: 'uri' }), github: str({ format: 'uri' }), website: str({ format: 'uri' }) }),
+  avatarUrl: str({ format: 'uri', nullable: true }),
+});
+
+const JSON_RESUME = obj({ basics: obj(), work: arr(obj()), education: arr(obj()), skills: arr(obj()), projects: arr(obj()) }, [], { description: 'A JSON Resume document (https://jsonresume.org/schema)' });
+const IMPORT_REPORT = obj({
+  imported: arr(obj({ from: str(), to: str() })),
+  skipped: arr(obj({ path: str(), reason: str() })),
+  warnings: arr(obj({ path: str(), message: str() })),
+}, ['imported', 'skipped', 'warnings']);
+const EXPORT_QUERY = { format: str({ enum: ['json', 'markdown'], description: 'JSON Resume (default) or Markdown' }) };
+const EXPORT_REPLY = obj({ format: str({ enum: ['json', 'markdown'] }), filename: str(), resume: JSON_RESUME, markdown: str() }, ['format', 'filename']);
+const INCIDENT = obj({ id: str(), direction: str(), status: str({ enum: ['open', 'confirmed', 'dismissed'] }) }, ['id']);
+const MAIL_STATUS = obj({
+  id: str(), to: str(), subject: str({ nullable: true }), template: str({ nullable: true }), templateVersion: { type: 'integer', nullable: true },
+  attachments: arr(obj({ filename: str(), contentType: str(), size: int() })),
+  status: str({ enum: ['queued', 'sending', 'retrying', 'sent', 'dead'] }),
+  attempts: int(), maxAttempts: int(), nextAttemptAt: timestamp(), lastError: obj({}, [], { nullable: true }),
+  smtpMessageId: str({ nullable: true }), sentAt: timestamp(), createdAt: timestamp(),
+}, ['id', 'status']);
+const ATTACHMENT = { oneOf: [obj({ documentId: str({ minLength: 1 }) }, ['documentId']), obj({ path: str({ minLength: 1 }) }, ['path'])] };
+const USAGE_REPLY = obj({ kind: str({ enum: ['user', 'endpoint', 'total'] }), key: str({ nullable: true }), from: str({ format: 'date' }), to: str({ format: 'date' }), days: arr(obj()), totals: obj() }, ['kind', 'from', 'to', 'totals']);
+
+const CONTRACTS = {
+  '/api/ai': {
+    tag: 'Chat',
+    post: {
+      summary: 'Chat with the twin',
+      description: 'Answers one message in a stored conversation, with the active persona, profile grounding, tools and moderation.',
+      body: CHAT_REQUEST,
+      stream: true,
+      responses: { 200: CHAT_REPLY, 404: ERROR },
+    },
+  },
+  '/api/sessions': {
+    tag: 'Chat',
+    get: { summary: 'Read a conversation, or list yours', query: obj({ id: str() }), responses: { 200: SESSIONS_REPLY, 404: ERROR } },
+    patch: { summary: 'Rename a conversation', body: obj({ id: str({ minLength: 1 }), title: str() }, ['id', 'title']), responses: { 200: obj({ success: bool() }), 404: ERROR } },
+    delete: { summary: 'Delete a conversation', query: obj({ id: str({ minLength: 1 }) }, ['id']), responses: { 200: obj({ success: bool() }), 404: ERROR } },
+  },
+  '/api/persona': {
+    tag: 'Admin',
+    get: {
+      summary: 'Active system prompt (public), or all persona versions (admin)',
+      query: obj({ view: str({ enum: ['prompt'] }) }),
+      responses: { 200: obj({ version: int(), systemPrompt: str(), activeVersion: int(), versions: arr(obj({ version: int(), active: bool(), createdAt: timestamp() })) }), 403: ERROR },
+    },
+    post: {
+      summary: 'Publish, preview or activate a persona version (admin)',
+      body: {
+        oneOf: [
+          obj({ action: str({ const: 'publish' }), persona: obj(), note: str(), activate: bool() }, ['action', 'persona']),
+          obj({ action: str({ const: 'preview' }), message: str({ minLength: 1 }), model: MODEL, persona: obj(), version: count() }, ['action', 'message']),
+          obj({ action: str({ const: 'activate' }), version: count() }, ['action', 'version']),
+        ],
+      },
+      responses: { 200: obj({ version: int(), active: bool(), activeVersion: int(), systemPrompt: str(), response: str(), model: str() }), 403: ERROR, 404: ERROR },
+    },
+  },
+  '/api/generateResume': {
+    tag: 'Documents',
+    post: {
+      summary: 'Write resume text from the given details',
+      body: obj({
+        userData: obj({ name: str(), email: str(), phone: str(), experience: str(), education: str(), skills: str(), summary: str() }),
+        model: MODEL,
+      }, ['userData']),
+      responses: { 200: obj({ resume: str(), model: str(), providerModel: str({ nullable: true }), requestedModel: str(), timestamp: timestamp() }, ['resume']) },
+    },
+  },
+  '/api/atsMatch': {
+    tag: 'Documents',
+    post: {
+      summary: 'Score a resume\'s coverage of a job description\'s keywords',
+      description: 'Scores `resume`, else the generated resume `documentId`, else the stored profile. With `documentId` the job description defaults to the one it was generated for.',
+      body: obj({ jobDescription: str({ maxLength: 20000 }), resume: obj({}, [], { description: 'Resume JSON: summary, skills, experience, education, projects' }), documentId: str({ minLength: 1 }), model: MODEL }),
+      responses: { 200: { ...KEYWORD_MATCH, properties: { ...KEYWORD_MATCH.properties, source: str({ enum: ['resume', 'document', 'profile'] }), timestamp: timestamp() } }, 404: ERROR },
+    },
+  },
+  '/api/sendMail': {
+    tag: 'Mail',
+    post: {
+      summary: 'Queue an email, or a job application to a recruiter',
+      body: {
+        oneOf: [
+          obj({
+            to: str({ format: 'email' }), subject: str({ minLength: 1 }), text: str({ minLength: 1 }), html: str(),
+            template: str({ minLength: 1 }), data: obj(), version: count(), attachments: arr(ATTACHMENT, { maxItems: 5 }),
+          }, ['to'], { anyOf: [obj({}, ['template']), obj({}, ['subject', 'text'])], description: 'A template with `data`, or `subject` and `text`' }),
+          obj({
+            action: str({ const: 'sendApplication' }), to: str({ format: 'email' }), resumeId: str({ minLength: 1 }), coverLetterId: str(),
+            recipientName: str(), note: str(), jobTitle: str(), companyName: str(), senderName: str(),
+          }, ['action', 'to', 'resumeId']),
+        ],
+      },
+      responses: { 202: obj({ success: bool(), messageId: str(), status: str(), attachments: arr(obj()), timestamp: timestamp() }, ['messageId', 'status']), 404: ERROR },
+    },
+  },
+  '/api/mailStatus': {
+    tag: 'Mail',
+    get: { summary: 'Delivery status of a queued email', query: obj({ id: str({ minLength: 1 }) }, ['id']), responses: { 200: MAIL_STATUS, 404: ERROR } },
+    post: {
+      summary: 'Requeue a dead email (admin)',
+      body: obj({ action: str({ const: 'requeue' }), id: str({ minLength: 1 }) }, ['action', 'id']),
+      responses: { 200: obj({ success: bool(), id: str(), status: str() }), 403: ERROR, 404: ERROR },
+    },
+  },
+  '/api/emailPreview': {
+    tag: 'Mail',
+    get: {
+      summary: 'List email templates, or render one with its sample data',
+      query: obj({ template: str(), version: count() }),
+      responses: { 200: obj({ templates: arr(obj({ id: str(), version: int(), description: str(), variables: arr(str()) })), template: str(), version: int(), subject: str(), text: str(), html: str(), data: obj() }) },
+    },
+    post: {
+      summary: 'Render an email template with the given data',
+      body: obj({ template: str({ minLength: 1 }), version: count(), data: obj() }, ['template']),
+      responses: { 200: obj({ template: str(), version: int(), subject: str(), text: str(), html: str(), data: obj() }, ['subject', 'html']), 404: ERROR },
+    },
+  },
+  '/api/contact': {
+    tag: 'Public',
+    post: {
+      summary: 'Send a contact form message',
+      body: obj({
+        name: str({ minLength: 2, maxLength: 100 }),
+        email: str({ format: 'email', maxLength: 254 }),
+        message: str({ minLength: 10, maxLength: 5000 }),
+        timestamp: str(),
+        website: str({ description: 'Honeypot; leave empty' }),
+      }, ['name', 'email', 'message']),
+      responses: { 200: obj({ success: bool(), id: str({ nullable: true }), duplicate: bool(), message: str(), timestamp: timestamp() }, ['success', 'duplicate']) },
+    },
+  },
+  '/api/tts': {
+    tag: 'Voice',
+    post: { summary: 'Text to speech', body: TTS_REQUEST, responses: { 200: TTS_REPLY } },
+  },
+  '/api/transcribe': {
+    tag: 'Voice',
+    post: {
+      summary: 'Speech to text',
+      description: 'The body is the raw recording (audio/webm, audio/ogg or audio/wav, up to 10 MB) with its Content-Type.',
+      query: obj({ language: str({ pattern: '^[a-z]{2}$', description: 'ISO-639-1 hint' }) }),
+      rawBody: ['audio/webm', 'audio/ogg', 'audio/wav'],
+      responses: {
+        200: obj({ text: str(), language: str({ nullable: true }), duration: { type: 'number', nullable: true }, words: arr(obj({ word: str(), start: { type: 'number' }, end: { type: 'number' } })), provider: str(), model: str(), timestamp: timestamp() }, ['text']),
+      },
+    },
+  },
+  '/api/usage': {
+    tag: 'Admin',
+    get: {
+      summary: 'AI usage and cost rollups, or the budgets (admin)',
+      query: obj({ from: str({ format: 'date' }), to: str({ format: 'date' }), uid: str(), endpoint: str(), view: str({ enum: ['budgets'] }) }),
+      responses: { 200: { anyOf: [USAGE_REPLY, obj({ budgets: obj() }, ['budgets'])] }, 403: ERROR },
+    },
+    post: {
+      summary: 'Replace the daily budgets (admin)',
+      body: obj({ action: str({ const: 'setBudgets' }), budgets: obj() }, ['action', 'budgets']),
+      responses: { 200: obj({ success: bool(), budgets: obj() }), 403: ERROR },
+    },
+  },
+  '/api/moderation': {
+    tag: 'Admin',
+    get: {
+      summary: 'Moderation incidents, or the policy (admin)',
+      query: obj({ view: str({ enum: ['policy'] }), status: str({ enum: ['open', 'confirmed', 'dismissed', 'all'] }), limit: count() }),
+      responses: { 200: obj({ incidents: arr(INCIDENT), policy: obj() }), 403: ERROR },
+    },
+    post: {
+      summary: 'Review an incident or replace the policy (admin)',
+      body: {
+        oneOf: [
+          obj({ action: str({ const: 'review' }), id: str({ minLength: 1 }), resolution: str({ enum: ['confirmed', 'dismissed'] }), note: str() }, ['action', 'id', 'resolution']),
+          obj({ action: str({ const: 'setPolicy' }), policy: obj() }, ['action', 'policy']),
+        ],
+      },
+      responses: { 200: obj({ success: bool(), id: str(), status: str(), policy: obj() }), 403: ERROR, 404: ERROR },
+    },
+  },
+
+  '/api/v1/auth/login': {
+    tag: 'Extension', envelope: true,
+    post: {
+      summary: 'Sign in with email and password; returns an extension session token',
+      body: obj({ email: str({ minLength: 1 }), password: str({ minLength: 1 }) }, ['email', 'password']),
+      responses: { 200: obj({ token: str(), expiresAt: timestamp(), user: obj({ uid: str(), email: str(), displayName: str({ nullable: true }) }) }, ['token', 'user']), 403: ERROR },
+    },
+  },
+  '/api/v1/auth/logout': {
+    tag: 'Extension', envelope: true,
+    post: { summary: 'Revoke the session token sent', responses: { 200: obj() } },
+  },
+  '/api/v1/chat': {
+    tag: 'Extension', envelope: true,
+    post: {
+      summary: 'Chat with the twin (as /api/ai, plus `reply`)',
+      body: CHAT_REQUEST,
+      stream: true,
+      responses: { 200: { ...CHAT_REPLY, properties: { reply: str(), ...CHAT_REPLY.properties }, required: ['reply', ...CHAT_REPLY.required] }, 404: ERROR },
+    },
+  },
+  '/api/v1/sessions': {
+    tag: 'Extension', envelope: true,
+    get: { summary: 'Read a conversation, or list yours', query: obj({ id: str() }), responses: { 200: SESSIONS_REPLY, 404: ERROR } },
+  },
+  '/api/v1/sync-profile': {
+    tag: 'Extension', envelope: true,
+    post: { summary: 'Merge profile fields and return the stored profile', body: obj({ profile: PROFILE }), responses: { 200: obj({ userData: PROFILE }, ['userData']) } },
+  },
+  '/api/v1/get-profile-data': {
+    tag: 'Extension', envelope: true,
+    get: { summary: 'Values for job application form auto-fill', responses: { 200: obj({ data: obj({ fullName: str(), firstName: str(), lastName: str(), email: str(), phone: str(), location: str(), portfolio: str(), linkedin: str(), github: str(), title: str() }) }, ['data']), 404: ERROR } },
+  },
+  '/api/v1/get-avatar': {
+    tag: 'Extension', envelope: true,
+    get: { summary: 'Avatar image URL', responses: { 200: obj({ avatarUrl: str({ nullable: true }) }, ['avatarUrl']) } },
+  },
+  '/api/v1/profile/import': {
+    tag: 'Extension', envelope: true,
+    post: {
+      summary: 'Import a JSON Resume document into the profile',
+      description: 'Mapped fields replace the stored ones; the report lists what was imported, skipped and ignored (see functions/jsonResume.js). With `dryRun` nothing is saved.',
+      body: obj({ resume: JSON_RESUME, dryRun: bool() }, ['resume']),
+      responses: { 200: obj({ userData: PROFILE, report: IMPORT_REPORT, dryRun: bool() }, ['userData', 'report']) },
+    },
+  },
+  '/api/v1/profile/export': {
+    tag: 'Extension', envelope: true,
+    get: { summary: 'The profile as JSON Resume or Markdown', query: obj(EXPORT_QUERY), responses: { 200: EXPORT_REPLY, 404: ERROR } },
+  },
+  '/api/v1/documents/export': {
+    tag: 'Extension', envelope: true,
+    get: {
+      summary: 'A generated resume as JSON Resume or Markdown',
+      query: obj({ id: str({ minLength: 1, description: 'documentId of a generated resume' }), ...EXPORT_QUERY }, ['id']),
+      responses: { 200: EXPORT_REPLY, 404: ERROR },
+    },
+  },
+  '/api/v1/generate-resume': {
+    tag: 'Extension', envelope: true,
+    post: { summary: 'Generate a PDF or DOCX resume for a job from the stored profile', body: DOCUMENT_REQUEST, responses: { 200: obj({ resumeUrl: str(), ...DOCUMENT_REPLY }, ['resumeUrl', 'documentId']), 404: ERROR } },
+  },
+  '/api/v1/resumes': {
+    tag: 'Extension', envelope: true,
+    get: { summary: 'Generated resumes grouped by the job they target, most recent first', responses: { 200: obj({ resumes: arr(RESUME_GROUP) }, ['resumes']) } },
+  },
+  '/api/v1/resumes/versions': {
+    tag: 'Extension', envelope: true,
+    get: {
+      summary: 'The versions of one job\'s resume, newest first',
+      query: obj({ job: JOB_KEY }, ['job']),
+      responses: { 200: obj({ ...RESUME_GROUP.properties, versions: arr(RESUME_VERSION) }, ['jobKey', 'versions']), 404: ERROR },
+    },
+  },
+  '/api/v1/resumes/version': {
+    tag: 'Extension', envelope: true,
+    get: {
+      summary: 'One resume version with its structured JSON',
+      query: obj({ job: JOB_KEY, version: VERSION_NUMBER }, ['job', 'version']),
+      responses: { 200: obj({ jobKey: str(), job: obj(JOB), version: RESUME_VERSION }, ['jobKey', 'version']), 404: ERROR },
+    },
+  },
+  '/api/v1/resumes/diff': {
+    tag: 'Extension', envelope: true,
+    get: {
+      summary: 'Section-level differences between two versions of a job\'s resume',
+      query: obj({ job: JOB_KEY, from: VERSION_NUMBER, to: VERSION_NUMBER }, ['job', 'from', 'to']),
+      responses: {
+        200: obj({ jobKey: str(), from: int(), to: int(), template: obj({ before: str({ nullable: true }), after: str({ nullable: true }) }, [], { nullable: true }), sections: arr(SECTION_DIFF) }, ['jobKey', 'from', 'to', 'sections']),
+        404: ERROR,
+      },
+    },
+  },
+  '/api/v1/resumes/restore': {
+    tag: 'Extension', envelope: true,
+    post: {
+      summary: 'Render an older resume version again as the newest version, optionally with edits',
+      description: 'The source version is kept. Without `edits` the new version is `restored` with the same content and keyword match; with them it is `edited` and scored again. `preferences` are merged over the source version\'s.',
+      body: obj({ jobKey: JOB_KEY, version: VERSION_NUMBER, edits: RESUME_EDITS, preferences: DOCUMENT_REQUEST.properties.preferences, format: DOCUMENT_REQUEST.properties.format, model: MODEL }, ['jobKey', 'version']),
+      responses: { 200: obj({ resumeUrl: str(), ...DOCUMENT_REPLY }, ['resumeUrl', 'documentId', 'jobKey', 'version']), 404: ERROR },
+    },
+  },
+  '/api/v1/generate-cover-letter': {
+    tag: 'Extension', envelope: true,
+    post: { summary: 'Generate a PDF or DOCX cover letter for a job from the stored profile', body: DOCUMENT_REQUEST, responses: { 200: obj({ coverLetterUrl: str(), ...DOCUMENT_REPLY }, ['coverLetterUrl', 'documentId']), 404: ERROR } },
+  },
+  '/api/v1/tts': {
+    tag: 'Extension', envelope: true,
+    post: { summary: 'Text to speech (as /api/tts)', body: TTS_REQUEST, responses: { 200: TTS_REPLY } },
+  },
+  '/api/v1/openapi.json': {
+    tag: 'Extension',
+    get: { summary: 'This API description (OpenAPI 3.0)', responses: { 200: obj({ openapi: str(), paths: obj() }, ['openapi', 'paths']) } },
+  },
+};
+
+// The POST form of get-profile-data is what the extension's background worker sends
+CONTRACTS['/api/v1/get-profile-data'].post = CONTRACTS['/api/v1/get-profile-data'].get;
+
+/** Schemas shared between endpoints, published by name in the OpenAPI document */
+const NAMED_SCHEMAS = {
+  Error: ERROR,
+  ChatRequest: CHAT_REQUEST,
+  ChatReply: CHAT_REPLY,
+  PageContext: PAGE_CONTEXT,
+  Source: SOURCE,
+  Part: PART,
+  Session: SESSION,
+  Message: MESSAGE,
+  SessionsReply: SESSIONS_REPLY,
+  TtsRequest: TTS_REQUEST,
+  TtsReply: TTS_REPLY,
+  AudioChunk: CHUNK,
+  DocumentRequest: DOCUMENT_REQUEST,
+  Profile: PROFILE,
+  KeywordMatch: KEYWORD_MATCH,
+  ResumeVersion: RESUME_VERSION,
+  JsonResume: JSON_RESUME,
+  ImportReport: IMPORT_REPORT,
+  MailStatus: MAIL_STATUS,
+  Attachment: ATTACHMENT,
+  Incident: INCIDENT,
+};
+
+module.exports = { CONTRACTS, ERROR, NAMED_SCHEMAS };
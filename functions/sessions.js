@@ -0,0 +1,256 @@
+/**
+ * Conversation Sessions
+ *
+ * Chat history lives server-side so clients only send a `sessionId`:
+ *
+ *   conversations/{sessionId}
+ *     { ownerUid, title, model, provider, providerModel, messageCount,
+ *       createdAt, updatedAt }
+ *   conversations/{sessionId}/messages/{seq}
+ *     { seq, role: 'user'|'assistant', content, provider?, model?, personaVersion?, sources?, parts?, stopped?, createdAt }
+ *
+ * Message docs are keyed by a zero-padded sequence number so they read back
+ * in order. Sessions created by signed-in users are bound to their uid;
+ * anonymous sessions (public portfolio chat) have ownerUid null and are
+ * reachable only by their unguessable id.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+/** Number of prior messages sent to the model as context */
+const CONTEXT_MESSAGES = 20;
+const TITLE_LENGTH = 60;
+
+/**
+ * Error for a session that does not exist or belongs to someone else.
+ * Both cases surface as 404 so ids cannot be probed.
+ */
+class SessionNotFoundError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} not found`);
+    this.name = 'SessionNotFoundError';
+    this.status = 404;
+    this.code = 'SESSION_NOT_FOUND';
+  }
+}
+
+const sessionRef = (sessionId) => db.collection('conversations').doc(sessionId);
+const seqId = (seq) => String(seq).padStart(8, '0');
+
+/**
+ * Title a session from its first user message.
+ * @param {string} message
+ * @returns {string}
+ */
+function titleFrom(message) {
+  const line = String(message || '').replace(/\s+/g, ' ').trim();
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line || 'New conversation';
+}
+
+/**
+ * Whether `user` may read and write the session.
+ * @param {Object} session - Session document data
+ * @param {Object} user - req.user from the auth guard
+ * @returns {boolean}
+ */
+function canAccess(session, user) {
+  return !session.ownerUid || (user && session.ownerUid === user.uid);
+}
+
+/**
+ * Create a new session.
+ * @param {Object} params
+ * @param {Object} params.user - req.user
+ * @param {string} [params.title] - Initial title
+ * @param {string} [params.model] - Requested provider id
+ * @returns {Promise<{ id: string, title: string }>}
+ */
+async function createSession({ user, title, model }) {
+  const ref = db.collection('conversations').doc();
+  const data = {
+    ownerUid: user && !user.anonymous ? user.uid : null,
+    title: title || 'New conversation',
+    model: model || null,
+    provider: null,
+    providerModel: null,
+    messageCount: 0,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await ref.set(data);
+  return { id: ref.id, title: data.title };
+}
+
+/**
+ * Load a session the user can access.
+ * @param {string} sessionId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} Session data with `id`
+ * @throws {SessionNotFoundError}
+ */
+async function getSession(sessionId, user) {
+  if (typeof sessionId !== 'string' || !sessionId || sessionId.includes('/')) {
+    throw new SessionNotFoundError(sessionId);
+  }
+  const snap = await sessionRef(sessionId).get();
+  if (!snap.exists || !canAccess(snap.data(), user)) throw new SessionNotFoundError(sessionId);
+  return { id: snap.id, ...snap.data() };
+}
+
+/**
+ * Read a session's messages in order.
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Only the most recent `limit` messages
+ * @returns {Promise<Array<Object>>}
+ */
+async function listMessages(sessionId, { limit } = {}) {
+  let query = sessionRef(sessionId).collection('messages').orderBy('seq', limit ? 'desc' : 'asc');
+  if (limit) query = query.limit(limit);
+  const snap = await query.get();
+  const messages = snap.docs.map(d => d.data());
+  return limit ? messages.reverse() : messages;
+}
+
+/**
+ * Prior turns to send to the model, oldest first.
+ * @param {string} sessionId
+ * @returns {Promise<Array<{role: string, content: string}>>}
+ */
+async function loadContext(sessionId) {
+  const messages = await listMessages(sessionId, { limit: CONTEXT_MESSAGES });
+  // Gemini requires history to open with a user turn
+  const firstUser = messages.findIndex(m => m.role === 'user');
+  return (firstUser === -1 ? [] : messages.slice(firstUser))
+    .filter(m => m.content)
+    .map(m => ({ role: m.role, content: m.content }));
+}
+
+/**
+ * Append messages to a session in order.
+ * @param {string} sessionId
+ * @param {Array<Object>} messages - { role, content, provider?, model?, personaVersion?, sources?, parts?, stopped?, moderated? }
+ * @returns {Promise<number>} New message count
+ */
+async function appendMessages(sessionId, messages) {
+  const ref = sessionRef(sessionId);
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) throw new SessionNotFoundError(sessionId);
+    const session = snap.data();
+    let seq = session.messageCount || 0;
+    const update = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+
+    messages.forEach(msg => {
+      const doc = {
+        seq,
+        role: msg.role,
+        content: msg.content,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      if (msg.provider) {
+        doc.provider = msg.provider;
+        doc.model = msg.model || null;
+        update.provider = msg.provider;
+        update.providerModel = msg.model || null;
+      }
+      if (msg.personaVersion !== undefined) doc.personaVersion = msg.personaVersion;
+      if (msg.sources && msg.sources.length) doc.sources = msg.sources;
+      if (msg.parts && msg.parts.length) doc.parts = msg.parts;
+      if (msg.stopped) doc.stopped = true;
+      if (msg.moderated) doc.moderated = msg.moderated;
+      tx.set(ref.collection('messages').doc(seqId(seq)), doc);
+      seq += 1;
+    });
+
+    const firstUser = messages.find(m => m.role === 'user');
+    if (!session.messageCount && firstUser && session.title === 'New conversation') {
+      update.title = titleFrom(firstUser.content);
+    }
+    update.messageCount = seq;
+    tx.update(ref, update);
+    return seq;
+  });
+}
+
+/**
+ * List a signed-in user's sessions, most recently updated first.
+ * @param {Object} user - req.user
+ * @param {number} [limit=50]
+ * @returns {Promise<Array<Object>>}
+ */
+async function listSessions(user, limit = 50) {
+  const snap = await db.collection('conversations')
+    .where('ownerUid', '==', user.uid)
+    .orderBy('updatedAt', 'desc')
+    .limit(limit)
+    .get();
+  return snap.docs.map(d => serializeSession({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Rename a session.
+ * @param {string} sessionId
+ * @param {Object} user - req.user
+ * @param {string} title
+ */
+async function renameSession(sessionId, user, title) {
+  await getSession(sessionId, user);
+  await sessionRef(sessionId).update({ title: titleFrom(title), updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+}
+
+/**
+ * Delete a session and its messages.
+ * @param {string} sessionId
+ * @param {Object} user - req.user
+ */
+async function deleteSession(sessionId, user) {
+  await getSession(sessionId, user);
+  await db.recursiveDelete(sessionRef(sessionId));
+}
+
+const toIso = (ts) => (ts && ts.toDate ? ts.toDate().toISOString() : ts || null);
+
+/**
+ * JSON-safe view of a session document.
+ * @param {Object} session
+ * @returns {Object}
+ */
+function serializeSession(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    model: session.model,
+    provider: session.provider,
+    providerModel: session.providerModel,
+    messageCount: session.messageCount,
+    createdAt: toIso(session.createdAt),
+    updatedAt: toIso(session.updatedAt),
+  };
+}
+
+/**
+ * JSON-safe view of a message document.
+ * @param {Object} message
+ * @returns {Object}
+ */
+function serializeMessage(message) {
+  return { ...message, createdAt: toIso(message.createdAt) };
+}
+
+module.exports = {
+  SessionNotFoundError,
+  createSession,
+  getSession,
+  listMessages,
+  loadContext,
+  appendMessages,
+  listSessions,
+  renameSession,
+  deleteSession,
+  serializeSession,
+  serializeMessage,
+};
@@ -0,0 +1,73 @@
+const admin = require('firebase-admin');
+const sessions = require('./sessions');
+
+const alice = { uid: 'alice', anonymous: false };
+const bob = { uid: 'bob', anonymous: false };
+const visitor = { uid: null, anonymous: true };
+
+beforeEach(() => admin.__reset());
+
+describe('getSession', () => {
+  test('loads a session for its owner', async () => {
+    const { id } = await sessions.createSession({ user: alice, model: 'gemini' });
+    expect(await sessions.getSession(id, alice)).toMatchObject({ id, ownerUid: 'alice', model: 'gemini', messageCount: 0 });
+  });
+
+  test.each([
+    ['another user', bob],
+    ['a visitor', visitor],
+    ['no user', undefined],
+  ])('hides a signed-in user session from %s', async (_, user) => {
+    const { id } = await sessions.createSession({ user: alice });
+    await expect(sessions.getSession(id, user)).rejects.toMatchObject({ status: 404, code: 'SESSION_NOT_FOUND' });
+  });
+
+  test('opens an anonymous session to whoever has its id', async () => {
+    const { id } = await sessions.createSession({ user: visitor });
+    expect(await sessions.getSession(id, visitor)).toMatchObject({ id, ownerUid: null });
+    expect(await sessions.getSession(id, bob)).toMatchObject({ id });
+  });
+
+  test.each([[''], [null], ['conversations/x'], ['missing']])('answers an unusable id %j like a missing session', async (id) => {
+    await expect(sessions.getSession(id, alice)).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+  });
+});
+
+describe('listSessions', () => {
+  test('lists only the caller sessions', async () => {
+    const own = await sessions.createSession({ user: alice });
+    await sessions.createSession({ user: bob });
+    await sessions.createSession({ user: visitor });
+    expect((await sessions.listSessions(alice)).map(s => s.id)).toEqual([own.id]);
+    expect(await sessions.listSessions({ uid: 'carol', anonymous: false })).toEqual([]);
+  });
+});
+
+describe('messages', () => {
+  test('appends in order, titles the session and trims context to a user turn', async () => {
+    const { id } = await sessions.createSession({ user: alice });
+    await sessions.appendMessages(id, [{ role: 'assistant', content: 'Welcome!' }]);
+    expect(await sessions.appendMessages(id, [
+      { role: 'user', content: 'What do you build?' },
+      { role: 'assistant', content: 'Web apps.', provider: 'gemini', model: 'gemini-test' },
+    ])).toBe(3);
+    expect((await sessions.listMessages(id)).map(m => m.seq)).toEqual([0, 1, 2]);
+    expect(await sessions.loadContext(id)).toEqual([
+      { role: 'user', content: 'What do you build?' },
+      { role: 'assistant', content: 'Web apps.' },
+    ]);
+    expect(await sessions.getSession(id, alice)).toMatchObject({ messageCount: 3, provider: 'gemini', providerModel: 'gemini-test' });
+  });
+
+  test('names a session after its first user message', async () => {
+    const { id } = await sessions.createSession({ user: alice });
+    await sessions.appendMessages(id, [{ role: 'user', content: 'Tell me about your projects' }, { role: 'assistant', content: 'Sure.' }]);
+    expect((await sessions.getSession(id, alice)).title).toBe('Tell me about your projects');
+  });
+
+  test('refuses to rename another user session', async () => {
+    const { id } = await sessions.createSession({ user: alice });
+    await expect(sessions.renameSession(id, bob, 'Mine now')).rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    expect((await sessions.getSession(id, alice)).title).toBe('New conversation');
+  });
+});
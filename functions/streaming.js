@@ -0,0 +1,66 @@
+/**
+ * Server-Sent Events helpers for streaming AI responses
+ *
+ * A streaming response is a `text/event-stream` body made of named events:
+ * - token: { text } - a partial chunk of the reply, in order
+ * - moderated: { direction, response } - the reply was blocked (see moderation.js);
+ *   `response` is the refusal that replaces the text streamed so far
+ * - done:  { response, model, timestamp } - the full reply once the provider finishes
+ * - error: { error, message } - the provider failed mid-stream; no `done` follows
+ *
+ * The stream is closed after `done` or `error`. If the client disconnects first,
+ * `signal` is aborted so the provider request can be cancelled.
+ */
+
+/**
+ * Whether the caller asked for a streamed response, either with `stream: true`
+ * in the body or an `Accept: text/event-stream` header.
+ * @param {import('express').Request} req
+ * @returns {boolean}
+ */
+function wantsStream(req) {
+  if (req.body && req.body.stream === true) return true;
+  const accept = req.get ? req.get('accept') : req.headers && req.headers.accept;
+  return typeof accept === 'string' && accept.includes('text/event-stream');
+}
+
+/**
+ * Switch the response into SSE mode and return a small writer around it.
+ * @param {import('express').Response} res
+ * @returns {{ signal: AbortSignal, isClosed: () => boolean, send: (event: string, data: Object) => boolean, end: () => void }}
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+  let closed = false;
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  // `close` fires on both normal completion and client disconnect;
+  // only the latter happens before we have ended the response.
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+    closed = true;
+  });
+
+  const send = (event, data) => {
+    if (closed || res.writableEnded) return false;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    return true;
+  };
+
+  const end = () => {
+    if (!res.writableEnded) res.end();
+    closed = true;
+  };
+
+  return { signal: controller.signal, isClosed: () => closed, send, end };
+}
+
+module.exports = { wantsStream, openEventStream };
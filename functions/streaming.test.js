@@ -0,0 +1,33 @@
+const { wantsStream, openEventStream } = require('./streaming');
+const { mockRequest, mockResponse } = require('./testing');
+
+describe('wantsStream', () => {
+  test('is set by stream: true or an event-stream Accept header', () => {
+    expect(wantsStream(mockRequest({ body: { stream: true } }))).toBe(true);
+    expect(wantsStream(mockRequest({ headers: { Accept: 'text/event-stream' } }))).toBe(true);
+    expect(wantsStream(mockRequest({ body: { stream: 'yes' } }))).toBe(false);
+    expect(wantsStream(mockRequest())).toBe(false);
+  });
+});
+
+describe('openEventStream', () => {
+  test('writes named events and ends once', () => {
+    const res = mockResponse();
+    const events = openEventStream(res);
+    expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(events.send('token', { text: 'Hi' })).toBe(true);
+    events.send('done', { response: 'Hi' });
+    events.end();
+    expect(events.send('token', { text: 'late' })).toBe(false);
+    expect(res.events).toEqual([{ event: 'token', data: { text: 'Hi' } }, { event: 'done', data: { response: 'Hi' } }]);
+    expect(events.signal.aborted).toBe(false);
+  });
+
+  test('aborts its signal when the client disconnects first', () => {
+    const res = mockResponse();
+    const events = openEventStream(res);
+    res.emit('close');
+    expect(events.signal.aborted).toBe(true);
+    expect(events.isClosed()).toBe(true);
+  });
+});
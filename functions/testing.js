@@ -0,0 +1,164 @@
+/**
+ * Test helpers: Express-like requests and responses for driving handlers
+ * without a server, a view of what they stored, and small synthetic audio
+ * files. Firestore, Storage and Auth are replaced by the in-memory
+ * firebase-admin in __mocks__/.
+ */
+const { EventEmitter } = require('events');
+const admin = require('firebase-admin');
+
+/**
+ * A request with the fields the handlers read.
+ * @param {Object} [options]
+ * @param {string} [options.method='POST']
+ * @param {Object} [options.body]
+ * @param {Object} [options.query]
+ * @param {Object} [options.headers] - Lowercase names
+ * @param {string} [options.path='/']
+ * @param {string} [options.ip='203.0.113.1'] - Socket address
+ * @returns {Object}
+ */
+function mockRequest({ method = 'POST', body = {}, query = {}, headers = {}, path = '/', ip = '203.0.113.1' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    method,
+    body,
+    query,
+    path,
+    headers: lower,
+    ip,
+    socket: { remoteAddress: ip },
+    id: 'req-test',
+    get: (name) => lower[String(name).toLowerCase()],
+  };
+}
+
+/**
+ * A response that records what the handler sent. `body` is the JSON reply,
+ * `events` the server-sent events as { event, data }.
+ * @returns {Object}
+ */
+function mockResponse() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    writableEnded: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      if (typeof name === 'object') Object.entries(name).forEach(([key, item]) => { res.headers[key.toLowerCase()] = item; });
+      else res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+    getHeader: (name) => res.headers[name.toLowerCase()],
+    json(body) {
+      res.body = body;
+      res.writableEnded = true;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      res.writableEnded = true;
+      return res;
+    },
+    write(chunk) {
+      res.chunks.push(String(chunk));
+      return true;
+    },
+    end() {
+      res.writableEnded = true;
+      res.emit('close');
+      return res;
+    },
+    flushHeaders() {},
+  });
+  Object.defineProperty(res, 'events', {
+    get: () => res.chunks.join('').split('\n\n').filter(Boolean).map((block) => {
+      const [, event] = block.match(/^event: (.*)$/m) || [];
+      const [, data] = block.match(/^data: (.*)$/m) || [];
+      return { event, data: data ? JSON.parse(data) : undefined };
+    }),
+  });
+  return res;
+}
+
+/**
+ * The documents stored directly in a collection of the in-memory Firestore.
+ * @param {string} collection - Collection path, e.g. 'mailOutbox' or 'conversations/c1/messages'
+ * @returns {Array<Object>} Document data, in write order
+ */
+function stored(collection) {
+  const depth = collection.split('/').length + 1;
+  return [...admin.__store.entries()]
+    .filter(([path]) => path.startsWith(`${collection}/`) && path.split('/').length === depth)
+    .map(([, data]) => data);
+}
+
+/** MPEG1 Layer III, 128 kbit/s, 44.1 kHz, no padding: 417 bytes, 1152 samples */
+const MP3_FRAME_HEADER = [0xff, 0xfb, 0x90, 0x00];
+const MP3_FRAME_BYTES = 417;
+const MP3_FRAME_SECONDS = 1152 / 44100;
+
+/**
+ * An MP3 made of silent frames.
+ * @param {Object} [options]
+ * @param {number} [options.frames=1] - Audio frames
+ * @param {boolean} [options.id3=false] - Start with an ID3v2 tag
+ * @param {boolean} [options.xing=false] - Start with a Xing header frame, as encoders write
+ * @param {number} [options.fill=0] - Byte the frame bodies are filled with
+ * @returns {Buffer}
+ */
+function mp3File({ frames = 1, id3 = false, xing = false, fill = 0 } = {}) {
+  const frame = (body) => {
+    const buf = Buffer.alloc(MP3_FRAME_BYTES, body);
+    Buffer.from(MP3_FRAME_HEADER).copy(buf);
+    return buf;
+  };
+  const parts = [];
+  if (id3) parts.push(Buffer.concat([Buffer.from('ID3'), Buffer.from([3, 0, 0, 0, 0, 0, 20]), Buffer.alloc(20)]));
+  if (xing) {
+    const info = frame(0);
+    info.write('Xing', 36, 'latin1');
+    parts.push(info);
+  }
+  for (let i = 0; i < frames; i += 1) parts.push(frame(fill));
+  return Buffer.concat(parts);
+}
+
+/**
+ * A PCM WAV file.
+ * @param {Buffer} data - Sample bytes
+ * @param {Object} [options]
+ * @param {number} [options.byteRate=16000] - 8 kHz, 16-bit mono
+ * @param {boolean} [options.streamed=false] - Leave the data size unset, as streamed output does
+ * @returns {Buffer}
+ */
+function wavFile(data, { byteRate = 16000, streamed = false } = {}) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);
+  fmt.writeUInt16LE(1, 2);
+  fmt.writeUInt32LE(byteRate / 2, 4);
+  fmt.writeUInt32LE(byteRate, 8);
+  fmt.writeUInt16LE(2, 12);
+  fmt.writeUInt16LE(16, 14);
+  const header = Buffer.alloc(20);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(streamed ? 0 : 36 + data.length, 4);
+  header.write('WAVE', 8, 'latin1');
+  header.write('fmt ', 12, 'latin1');
+  header.writeUInt32LE(fmt.length, 16);
+  const dataHeader = Buffer.alloc(8);
+  dataHeader.write('data', 0, 'latin1');
+  dataHeader.writeUInt32LE(streamed ? 0 : data.length, 4);
+  return Buffer.concat([header, fmt, dataHeader, data]);
+}
+
+module.exports = { mockRequest, mockResponse, stored, mp3File, wavFile, MP3_FRAME_BYTES, MP3_FRAME_SECONDS };
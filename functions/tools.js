@@ -0,0 +1,286 @@
+/**
+ * Chat Tools
+ *
+ * Lets the twin act on chat requests ("make me a resume for this Stripe job")
+ * by exposing backend capabilities to the model as typed tools:
+ * - generate_resume / generate_cover_letter: tailored PDF or DOCX for a job (resumeGenerator.js)
+ * - text_to_speech: spoken audio for a piece of text (tts.js)
+ * - send_email: email from the Mexty mailbox to the signed-in user's own
+ *   verified address, queued in the outbox (outbox.js). The model cannot pick
+ *   the recipient, so a prompt cannot make the twin mail anyone else.
+ *
+ * Tools run with the caller's permissions. A tool marked `access: 'user'` is
+ * only offered to signed-in callers and acts on their own data (documents are
+ * generated from profiles/{uid}), and every call is charged against the
+ * caller's quota and daily AI budget for the tool's scope, exactly as if they
+ * had called the matching endpoint; the tool's AI usage is recorded under
+ * that scope.
+ *
+ * runToolLoop drives the conversation: the model is called with the tools,
+ * any calls it makes are executed and their results fed back, until it
+ * answers in text or MAX_STEPS is reached. Tool results are returned as
+ * structured message parts:
+ *   { type: 'text', text }
+ *   { type: 'tool_result', id, name, ok, result | error }
+ */
+const admin = require('firebase-admin');
+const { registry } = require('./providers');
+const { enforceQuota } = require('./auth');
+const { checkBudget } = require('./usage');
+const { synthesizeSpeech } = require('./tts');
+const mailer = require('./mailer');
+const outbox = require('./outbox');
+const { describeError } = require('./errors');
+const { TEMPLATE_IDS } = require('./resumeTemplates');
+
+/** Model calls per request, including the final text answer */
+const MAX_STEPS = 4;
+
+const JOB_PARAMETERS = {
+  type: 'object',
+  properties: {
+    jobTitle: { type: 'string', description: 'Title of the role, e.g. "Backend Engineer"' },
+    companyName: { type: 'string', description: 'Hiring company, e.g. "Stripe"' },
+    jobDescription: { type: 'string', description: 'The job description or its key requirements, as given by the user' },
+    format: { type: 'string', enum: ['pdf', 'docx', 'both'], description: 'File format: pdf (default), docx for Word, or both' },
+  },
+  required: ['jobTitle', 'companyName'],
+};
+
+// resumeGenerator.js initializes Storage on load, so it is required lazily
+const documents = () => require('./resumeGenerator');
+
+/**
+ * Format a generated document for the model and the client.
+ * @param {Object} doc - Result of a resumeGenerator flow
+ * @returns {Object}
+ */
+const documentResult = (doc) => ({ documentId: doc.documentId, type: doc.type, ...(doc.template ? { template: doc.template } : {}), format: doc.format, url: doc.url, storagePath: doc.storagePath, files: doc.files, ...(doc.match ? { match: { score: doc.match.score, missing: doc.match.missing } } : {}), ...(doc.version ? { version: doc.version } : {}), createdAt: doc.createdAt });
+
+const jobFrom = (args) => ({ jobTitle: args.jobTitle, companyName: args.companyName, jobDescription: args.jobDescription || '' });
+
+/**
+ * Tool definitions. `parameters` is JSON Schema and is sent to the providers
+ * as-is; `run(args, context)` performs the action.
+ */
+const TOOLS = [
+  {
+    name: 'generate_resume',
+    description: 'Generate a PDF resume tailored to a specific job from the signed-in user\'s profile. Returns a signed download URL.',
+    parameters: {
+      ...JOB_PARAMETERS,
+      properties: {
+        ...JOB_PARAMETERS.properties,
+        template: { type: 'string', enum: TEMPLATE_IDS, description: 'Layout: classic (default), modern two-column, compact one-page, or ats for applicant tracking systems' },
+      },
+    },
+    access: 'user',
+    scope: 'generateResume',
+    run: async (args, { user, model, usage }) => documentResult(
+      await documents().generateResumeFlow({ userId: user.uid, job: jobFrom(args), preferences: args.template ? { template: args.template } : {}, format: args.format, model, usage })
+    ),
+  },
+  {
+    name: 'generate_cover_letter',
+    description: 'Write a PDF cover letter for a specific job from the signed-in user\'s profile. Returns a signed download URL.',
+    parameters: JOB_PARAMETERS,
+    access: 'user',
+    scope: 'generateResume',
+    run: async (args, { user, model, usage }) => documentResult(
+      await documents().generateCoverFlow({ userId: user.uid, job: jobFrom(args), format: args.format, model, usage })
+    ),
+  },
+  {
+    name: 'text_to_speech',
+    description: 'Read a piece of text aloud. Returns a signed URL to an MP3 file.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'The text to speak, at most 4000 characters' },
+        voice: { type: 'string', enum: ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'], description: 'Voice to use (default alloy)' },
+      },
+      required: ['text'],
+    },
+    access: 'anyone',
+    scope: 'tts',
+    run: async (args, { usage }) => {
+      const audio = await synthesizeSpeech({ text: args.text.slice(0, 4000), voice: args.voice || 'alloy', usage });
+      return { url: audio.url, path: audio.path, format: audio.format };
+    },
+  },
+  {
+    name: 'send_email',
+    description: 'Email something to the signed-in user, e.g. a draft or a link they asked to have sent to themselves. It always goes to their own verified address and cannot be sent to anyone else. Only use this when the user explicitly asks. The email is queued and sent in the background; the result has its message id.',
+    parameters: {
+      type: 'object',
+      properties: {
+        subject: { type: 'string', description: 'Subject line' },
+        text: { type: 'string', description: 'Plain text body' },
+      },
+      required: ['subject', 'text'],
+    },
+    access: 'user',
+    scope: 'sendMail',
+    run: async (args, { user }) => {
+      const to = await verifiedEmail(user);
+      if (!to) throw new ToolError('Email can only be sent to your own verified email address, and this account has none');
+      const { id, status } = await outbox.enqueue({ to, subject: args.subject, text: args.text, user, source: 'tool' });
+      return { messageId: id, status, to };
+    },
+  },
+];
+
+/**
+ * Error a tool reports back to the model (bad arguments, not permitted, ...).
+ */
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+/**
+ * The caller's email address if Firebase Auth has verified it. ID tokens carry
+ * the flag; session tokens only have the address, so the account is looked up.
+ * @param {Object} user - req.user
+ * @returns {Promise<string|null>}
+ */
+async function verifiedEmail(user) {
+  const account = user.via === 'firebase'
+    ? { email: user.email, emailVerified: user.claims.email_verified === true }
+    : await admin.auth().getUser(user.uid);
+  return account.emailVerified && mailer.isValidEmail(account.email) ? account.email : null;
+}
+
+const byName = new Map(TOOLS.map(tool => [tool.name, tool]));
+
+/**
+ * Whether a caller may use a tool.
+ * @param {Object} tool
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+const permits = (tool, user) => tool.access === 'anyone' || Boolean(user && !user.anonymous && user.uid);
+
+/**
+ * Tool declarations the caller may use.
+ * @param {Object} user - req.user
+ * @returns {Array<{ name: string, description: string, parameters: Object }>}
+ */
+function toolsFor(user) {
+  return TOOLS.filter(tool => permits(tool, user)).map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+/**
+ * Check arguments against a tool's schema (required fields, primitive types, enums).
+ * @param {Object} schema - JSON Schema of type object
+ * @param {Object} args
+ * @throws {ToolError}
+ */
+function validateArgs(schema, args) {
+  if (!args || typeof args !== 'object') throw new ToolError('Arguments must be an object');
+  (schema.required || []).forEach(key => {
+    if (args[key] === undefined || args[key] === null || args[key] === '') throw new ToolError(`${key} is required`);
+  });
+  Object.entries(schema.properties || {}).forEach(([key, prop]) => {
+    const value = args[key];
+    if (value === undefined) return;
+    if (prop.type && typeof value !== prop.type) throw new ToolError(`${key} must be a ${prop.type}`);
+    if (prop.enum && !prop.enum.includes(value)) throw new ToolError(`${key} must be one of ${prop.enum.join(', ')}`);
+  });
+}
+
+/**
+ * Execute one tool call for a caller. Failures are returned, not thrown, so
+ * the model can explain them.
+ * @param {{ id: string, name: string, args: Object }} call
+ * @param {Object} context - { user, ip, model, usage }
+ * @returns {Promise<{ type: 'tool_result', id: string, name: string, ok: boolean, result?: Object, error?: string }>}
+ */
+async function runTool(call, context) {
+  const part = { type: 'tool_result', id: call.id, name: call.name };
+  const tool = byName.get(call.name);
+  try {
+    if (!tool) throw new ToolError(`Unknown tool ${call.name}`);
+    if (!permits(tool, context.user)) throw new ToolError('The user must be signed in to use this tool');
+    validateArgs(tool.parameters, call.args);
+    const quota = await enforceQuota({ scope: tool.scope, user: context.user, ip: context.ip });
+    if (quota.limited) throw new ToolError(`Rate limit exceeded, try again in ${quota.retryAfter} seconds`);
+    const budget = await checkBudget({ user: context.user, endpoint: tool.scope }).catch(error => {
+      console.error(`Budget check failed for ${tool.scope}:`, error);
+      return { mode: 'normal' };
+    });
+    if (budget.mode === 'block') throw new ToolError('The daily AI usage budget has been reached, try again tomorrow');
+    const usage = { uid: context.usage ? context.usage.uid : null, endpoint: tool.scope, degraded: budget.mode === 'degrade' };
+    return { ...part, ok: true, result: await tool.run(call.args, { ...context, usage }) };
+  } catch (error) {
+    if (error instanceof ToolError) return { ...part, ok: false, error: error.message };
+    console.error(`Tool ${call.name} failed:`, error);
+    // Like error replies, provider and internal failures get a user-safe message
+    return { ...part, ok: false, error: describeError(error).body.message };
+  }
+}
+
+/**
+ * Chat with tools until the model answers in text.
+ * @param {Object} params
+ * @param {Array<Object>} params.messages - System prompt, context and the user message
+ * @param {Object} params.user - req.user; decides which tools are offered
+ * @param {string} params.ip - Client IP, for tool quotas
+ * @param {string} [params.model] - Preferred provider
+ * @param {boolean} [params.useTools=true] - Offer tools at all
+ * @param {AbortSignal} [params.signal]
+ * @param {Function} [params.onToken] - Stream text; without it each step is a single call
+ * @param {Function} [params.onToolCall] - Called with { id, name, args } before a tool runs
+ * @param {Function} [params.onToolResult] - Called with each tool_result part
+ * @param {Object} [params.generation] - { maxTokens, temperature }
+ * @param {Object} [params.usage] - req.usage, for accounting and budget degradation
+ * @returns {Promise<{ text: string, parts: Array<Object>, provider: string, model: string, attempts: Array }>}
+ */
+async function runToolLoop({ messages, user, ip, model, useTools = true, signal, onToken, onToolCall, onToolResult, generation = {}, usage }) {
+  const tools = useTools ? toolsFor(user) : [];
+  const turns = [...messages];
+  const parts = [];
+  let text = '';
+  let last;
+
+  for (let step = 0; step < MAX_STEPS; step += 1) {
+    // The final step offers no tools so the model has to answer
+    const params = { ...generation, messages: turns, tools: step < MAX_STEPS - 1 ? tools : [] };
+    last = onToken
+      ? await registry.streamChat({ ...params, onToken }, { preferred: model, signal, usage })
+      : await registry.chat(params, { preferred: model, signal, usage });
+
+    if (last.text) {
+      text += last.text;
+      parts.push({ type: 'text', text: last.text });
+    }
+    if (!last.toolCalls.length || (signal && signal.aborted)) break;
+
+    turns.push({ role: 'assistant', content: last.text, toolCalls: last.toolCalls });
+    for (const call of last.toolCalls) {
+      if (onToolCall) onToolCall(call);
+      const result = await runTool(call, { user, ip, model, usage });
+      parts.push(result);
+      if (onToolResult) onToolResult(result);
+      turns.push({
+        role: 'tool',
+        toolCallId: call.id,
+        name: call.name,
+        content: JSON.stringify(result.ok ? result.result : { error: result.error }),
+      });
+    }
+  }
+
+  return { text, parts, provider: last.provider, model: last.model, attempts: last.attempts };
+}
+
+module.exports = {
+  TOOLS,
+  ToolError,
+  toolsFor,
+  validateArgs,
+  runTool,
+  runToolLoop,
+};
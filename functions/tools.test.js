@@ -0,0 +1,81 @@
+const admin = require('firebase-admin');
+const { registry } = require('./providers');
+const tools = require('./tools');
+const { stored } = require('./testing');
+
+const member = { uid: 'u1', email: 'sam@example.com', anonymous: false, via: 'firebase', claims: { email_verified: true } };
+const visitor = { uid: null, anonymous: true, claims: {} };
+const reply = (text, toolCalls = []) => ({ text, toolCalls, provider: 'gemini', model: 'gemini-test', attempts: [] });
+const emailCall = { id: 'call_1', name: 'send_email', args: { subject: 'Notes', text: 'From our chat.' } };
+const outbox = () => stored('mailOutbox');
+
+beforeEach(() => {
+  admin.__reset();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('runToolLoop', () => {
+  test('runs the requested tool and feeds its result back until the model answers', async () => {
+    const chat = jest.spyOn(registry, 'chat')
+      .mockResolvedValueOnce(reply('', [emailCall]))
+      .mockResolvedValueOnce(reply('Sent it to you.'));
+    const result = await tools.runToolLoop({ messages: [{ role: 'user', content: 'Email me my notes' }], user: member, ip: '203.0.113.1' });
+    expect(result.text).toBe('Sent it to you.');
+    expect(result.parts.map(part => part.type)).toEqual(['tool_result', 'text']);
+    expect(result.parts[0]).toMatchObject({ ok: true, name: 'send_email', result: { status: 'queued', to: 'sam@example.com' } });
+    const fed = chat.mock.calls[1][0].messages;
+    expect(fed[fed.length - 1]).toMatchObject({ role: 'tool', toolCallId: 'call_1', name: 'send_email' });
+  });
+
+  test('stops offering tools on the last step', async () => {
+    const chat = jest.spyOn(registry, 'chat').mockResolvedValue(reply('', [{ id: 'c', name: 'unknown_tool', args: {} }]));
+    await tools.runToolLoop({ messages: [], user: member, ip: '203.0.113.1' });
+    expect(chat).toHaveBeenCalledTimes(4);
+    expect(chat.mock.calls.map(([params]) => params.tools.length > 0)).toEqual([true, true, true, false]);
+  });
+
+  test('offers anonymous callers only the tools open to everyone', () => {
+    expect(tools.toolsFor(visitor).map(tool => tool.name)).toEqual(['text_to_speech']);
+    expect(tools.toolsFor(member).map(tool => tool.name)).toContain('send_email');
+  });
+});
+
+describe('runTool', () => {
+  test('refuses user tools to anonymous callers', async () => {
+    expect(await tools.runTool(emailCall, { user: visitor, ip: '203.0.113.1' })).toMatchObject({ ok: false, error: 'The user must be signed in to use this tool' });
+  });
+
+  test('reports missing arguments to the model', async () => {
+    expect(await tools.runTool({ ...emailCall, args: { subject: 'Notes' } }, { user: member, ip: '203.0.113.1' })).toMatchObject({ ok: false, error: 'text is required' });
+  });
+
+  test('counts calls against the scope quota', async () => {
+    const results = [];
+    for (let i = 0; i < 6; i += 1) results.push(await tools.runTool(emailCall, { user: member, ip: '203.0.113.1' }));
+    expect(results.slice(0, 5).every(result => result.ok)).toBe(true);
+    expect(results[5]).toMatchObject({ ok: false, error: expect.stringMatching(/^Rate limit exceeded/) });
+  });
+});
+
+describe('send_email', () => {
+  test('always mails the caller, whatever recipient the model asks for', async () => {
+    const result = await tools.runTool({ ...emailCall, args: { ...emailCall.args, to: 'someone@else.com' } }, { user: member, ip: '203.0.113.1' });
+    expect(result).toMatchObject({ ok: true, result: { to: 'sam@example.com' } });
+    expect(outbox()).toEqual([expect.objectContaining({ to: 'sam@example.com', requestedBy: 'u1', source: 'tool' })]);
+  });
+
+  test('refuses an unverified address', async () => {
+    const result = await tools.runTool(emailCall, { user: { ...member, claims: { email_verified: false } }, ip: '203.0.113.1' });
+    expect(result).toMatchObject({ ok: false, error: expect.stringMatching(/own verified email address/) });
+    expect(outbox()).toEqual([]);
+  });
+
+  test('looks up the account for extension sessions', async () => {
+    const session = { uid: 'u2', email: 'kim@example.com', anonymous: false, via: 'session', claims: {} };
+    admin.__auth.users.set('u2', { uid: 'u2', email: 'kim@example.com', emailVerified: false });
+    expect(await tools.runTool(emailCall, { user: session, ip: '203.0.113.1' })).toMatchObject({ ok: false });
+    admin.__auth.users.set('u2', { uid: 'u2', email: 'kim@example.com', emailVerified: true });
+    expect(await tools.runTool(emailCall, { user: session, ip: '203.0.113.1' })).toMatchObject({ ok: true, result: { to: 'kim@example.com' } });
+  });
+});
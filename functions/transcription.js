@@ -0,0 +1,217 @@
+/**
+ * Speech-to-Text
+ *
+ * Transcribes short voice recordings (the MediaRecorder fallback in
+ * src/services/voice.js) into text with word timestamps and the detected
+ * language.
+ *
+ * Providers implement one method:
+ *   transcribe({ buffer, mimeType, language?, signal? })
+ *     -> { text, language, duration, words: [{ word, start, end }], model }
+ * `createTranscriber` picks one by id (TRANSCRIBE_PROVIDER, default "openai").
+ * The "local" provider is a deterministic stand-in for tests and the emulator:
+ * it returns a fixed transcript instead of calling a paid API.
+ *
+ * With a meter (the shared transcriber uses usage.js) and a `usage` argument,
+ * the seconds of audio transcribed are recorded for cost accounting.
+ *
+ * @requires openai
+ */
+const { OpenAI, toFile } = require('openai');
+const usageMeter = require('./usage');
+const { classifyError } = require('./providers');
+
+/** Largest upload accepted (Cloud Functions caps request bodies at 10 MB) */
+const MAX_AUDIO_BYTES = 10 * 1024 * 1024;
+
+/** Supported containers by MIME type, with their file extension */
+const FORMATS = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+};
+
+/**
+ * Error for an upload the caller has to fix.
+ */
+class TranscriptionInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptionInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+/**
+ * Container actually present in the bytes, from its magic number.
+ * @param {Buffer} buffer
+ * @returns {'webm'|'ogg'|'wav'|null}
+ */
+function sniffFormat(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return 'webm';
+  if (buffer.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE') return 'wav';
+  return null;
+}
+
+/**
+ * Check an upload and resolve its format.
+ * @param {Buffer} buffer - Audio bytes
+ * @param {string} [contentType] - Declared MIME type, parameters allowed ("audio/webm;codecs=opus")
+ * @returns {{ format: string, mimeType: string }}
+ * @throws {TranscriptionInputError}
+ */
+function validateAudio(buffer, contentType) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw new TranscriptionInputError('Audio is required');
+  if (buffer.length > MAX_AUDIO_BYTES) throw new TranscriptionInputError('Audio must be at most 10 MB');
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const declared = FORMATS[mimeType];
+  const actual = sniffFormat(buffer);
+  if (!actual) throw new TranscriptionInputError('Audio must be webm, ogg or wav');
+  if (declared && declared !== actual) throw new TranscriptionInputError(`Audio declared as ${mimeType} is ${actual}`);
+  return { format: actual, mimeType: declared ? mimeType : `audio/${actual}` };
+}
+
+/**
+ * OpenAI Whisper provider
+ */
+function createWhisperProvider() {
+  let client = null;
+  const getClient = () => {
+    if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    return client;
+  };
+
+  return {
+    id: 'openai',
+    model: 'whisper-1',
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+
+    async transcribe({ buffer, mimeType, language, signal }) {
+      const ext = FORMATS[mimeType] || 'webm';
+      const result = await getClient().audio.transcriptions.create({
+        file: await toFile(buffer, `recording.${ext}`, { type: mimeType }),
+        model: this.model,
+        response_format: 'verbose_json',
+        timestamp_granularities: ['word'],
+        ...(language ? { language } : {}),
+      }, { signal });
+      return {
+        text: (result.text || '').trim(),
+        language: result.language || language || null,
+        duration: result.duration ?? null,
+        words: (result.words || []).map(w => ({ word: w.word, start: w.start, end: w.end })),
+        model: this.model,
+      };
+    },
+  };
+}
+
+/**
+ * Local stand-in provider. The transcript is fixed, words are spread evenly
+ * over the recording and the duration is read from WAV headers (one second
+ * per word for other containers), so the same upload always gives the same
+ * result.
+ * @param {Object} [options]
+ * @param {string} [options.transcript='This is a local transcription.']
+ * @param {string} [options.language='en'] - Reported when no hint is given
+ * @returns {Object}
+ */
+function createLocalProvider({ transcript = 'This is a local transcription.', language = 'en' } = {}) {
+  return {
+    id: 'local',
+    model: 'local-stub',
+
+    async transcribe({ buffer, language: hint }) {
+      const tokens = transcript.split(/\s+/).filter(Boolean);
+      const byteRate = sniffFormat(buffer) === 'wav' && buffer.length >= 44 ? buffer.readUInt32LE(28) : 0;
+      const duration = byteRate ? Math.round(((buffer.length - 44) / byteRate) * 100) / 100 : tokens.length;
+      const step = tokens.length ? duration / tokens.length : 0;
+      return {
+        text: transcript,
+        language: hint || language,
+        duration,
+        words: tokens.map((word, i) => ({ word, start: Math.round(i * step * 100) / 100, end: Math.round((i + 1) * step * 100) / 100 })),
+        model: this.model,
+      };
+    },
+  };
+}
+
+/**
+ * Create a transcriber over a set of providers.
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.providers] - Provider definitions (default: Whisper and the local stand-in)
+ * @param {string} [options.providerId] - Provider to use (default: TRANSCRIBE_PROVIDER or "openai")
+ * @param {Object} [options.meter] - { record(event) } for usage accounting
+ * @returns {Object} Transcriber with register/get and transcribe
+ */
+function createTranscriber({ providers, providerId, meter } = {}) {
+  const byId = new Map();
+  (providers || [createWhisperProvider(), createLocalProvider()]).forEach(p => byId.set(p.id, p));
+  const currentId = () => providerId || process.env.TRANSCRIBE_PROVIDER || 'openai';
+
+  return {
+    register(provider) { byId.set(provider.id, provider); return this; },
+    get: id => byId.get(id),
+
+    /**
+     * Transcribe an upload.
+     * @param {Object} params
+     * @param {Buffer} params.buffer - Audio bytes
+     * @param {string} [params.contentType] - Declared MIME type
+     * @param {string} [params.language] - ISO-639-1 hint; detected when omitted
+     * @param {AbortSignal} [params.signal]
+     * @param {Object} [params.usage] - req.usage ({ uid, endpoint }) to record the call against
+     * @returns {Promise<{ text: string, language: string|null, duration: number|null, words: Array, provider: string, model: string }>}
+     * @throws {TranscriptionInputError}
+     * @throws {ProviderError} When the provider call fails
+     */
+    async transcribe({ buffer, contentType, language, signal, usage }) {
+      const { mimeType } = validateAudio(buffer, contentType);
+      if (language !== undefined && !/^[a-z]{2}$/.test(language)) {
+        throw new TranscriptionInputError('language must be an ISO-639-1 code such as "en"');
+      }
+      const provider = byId.get(currentId());
+      if (!provider || (provider.isConfigured && !provider.isConfigured())) {
+        throw new Error(`Transcription provider ${currentId()} is not configured`);
+      }
+      const started = Date.now();
+      const result = await provider.transcribe({ buffer, mimeType, language, signal }).catch(error => {
+        throw classifyError(provider.id, error);
+      });
+      if (meter && usage) {
+        await meter.record({
+          uid: usage.uid,
+          endpoint: usage.endpoint,
+          provider: provider.id,
+          model: result.model,
+          operation: 'transcribe',
+          seconds: result.duration || 0,
+          latencyMs: Date.now() - started,
+        });
+      }
+      return { ...result, provider: provider.id };
+    },
+  };
+}
+
+/**
+ * Shared transcriber used by the HTTP function, metered by usage.js.
+ */
+const transcriber = createTranscriber({ meter: { record: usageMeter.recordUsage } });
+
+module.exports = {
+  MAX_AUDIO_BYTES,
+  TranscriptionInputError,
+  validateAudio,
+  createWhisperProvider,
+  createLocalProvider,
+  createTranscriber,
+  transcriber,
+};
@@ -0,0 +1,70 @@
+const { createTranscriber, createLocalProvider, TranscriptionInputError } = require('./transcription');
+const { ProviderError } = require('./providers');
+
+/** A silent 16 kHz mono 16-bit WAV file of the given length */
+function wav(seconds) {
+  const data = Buffer.alloc(32000 * seconds);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'latin1');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'latin1');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('transcriber with the local provider', () => {
+  test('returns the transcript with word timestamps and records the audio seconds', async () => {
+    const meter = { record: jest.fn() };
+    const transcriber = createTranscriber({ providerId: 'local', meter });
+    const result = await transcriber.transcribe({ buffer: wav(2), contentType: 'audio/wav', usage: { uid: 'u1', endpoint: 'transcribe' } });
+    expect(result).toEqual({
+      text: 'This is a local transcription.',
+      language: 'en',
+      duration: 2,
+      words: [
+        { word: 'This', start: 0, end: 0.4 },
+        { word: 'is', start: 0.4, end: 0.8 },
+        { word: 'a', start: 0.8, end: 1.2 },
+        { word: 'local', start: 1.2, end: 1.6 },
+        { word: 'transcription.', start: 1.6, end: 2 },
+      ],
+      model: 'local-stub',
+      provider: 'local',
+    });
+    expect(meter.record).toHaveBeenCalledWith(expect.objectContaining({ uid: 'u1', provider: 'local', operation: 'transcribe', seconds: 2 }));
+  });
+
+  test('is deterministic and keeps the language hint', async () => {
+    const transcriber = createTranscriber({ providers: [createLocalProvider({ transcript: 'hola mundo' })], providerId: 'local' });
+    const first = await transcriber.transcribe({ buffer: wav(1), language: 'es' });
+    expect(first).toMatchObject({ text: 'hola mundo', language: 'es', duration: 1 });
+    expect(await transcriber.transcribe({ buffer: wav(1), language: 'es' })).toEqual(first);
+  });
+
+  test('rejects empty audio before calling the provider', async () => {
+    const provider = { ...createLocalProvider(), transcribe: jest.fn() };
+    const transcriber = createTranscriber({ providers: [provider], providerId: 'local' });
+    const error = await transcriber.transcribe({ buffer: Buffer.alloc(0), contentType: 'audio/webm' }).catch(e => e);
+    expect(error).toBeInstanceOf(TranscriptionInputError);
+    expect(error).toMatchObject({ status: 400, code: 'INVALID_INPUT', message: 'Audio is required' });
+    expect(provider.transcribe).not.toHaveBeenCalled();
+  });
+
+  test('reports provider failures as ProviderError without recording usage', async () => {
+    const meter = { record: jest.fn() };
+    const failing = { id: 'local', transcribe: jest.fn().mockRejectedValue(Object.assign(new Error('Too many requests'), { status: 429 })) };
+    const transcriber = createTranscriber({ providers: [failing], providerId: 'local', meter });
+    const error = await transcriber.transcribe({ buffer: wav(1), usage: { uid: 'u1', endpoint: 'transcribe' } }).catch(e => e);
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error).toMatchObject({ provider: 'local', kind: 'rate_limit', status: 429 });
+    expect(meter.record).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * Text-to-Speech
+ *
+ * Synthesizes speech with OpenAI or ElevenLabs, stores the audio in Firebase
+ * Storage and returns a signed URL. Used by the /api/tts endpoint and by the
+ * chat `text_to_speech` tool.
+ *
+ * Audio is content-addressed: the object lives at tts/cache/<key>.<ext>, where
+ * key is a SHA-256 of provider, voice, format and text. A repeat request
+ * reuses the stored object and only signs a fresh URL. Hits and misses are
+ * counted per entry in `ttsCache/{key}` and per day in `ttsCacheStats/{date}`
+ * (requests, hits, misses, characters and bytes served from cache).
+ *
+ * Long text is split at sentence boundaries into chunks that are synthesized
+ * CHUNK_CONCURRENCY at a time (each chunk is cached on its own). The result is
+ * either one concatenated file (`output: 'file'`, the default) or an ordered
+ * playlist of chunk URLs (`output: 'playlist'`) that can start playing as soon
+ * as the first URL is loaded. Both carry per-chunk { index, text, start,
+ * duration } timings in seconds for captions.
+ *
+ * Rendered characters (cache misses only) are recorded with usage.js. When
+ * the caller's AI budget is in its degraded range, ElevenLabs requests are
+ * served by the cheaper OpenAI voice instead.
+ *
+ * @requires openai
+ * @requires firebase-admin
+ */
+const crypto = require('crypto');
+const { OpenAI } = require('openai');
+const fetch = require('node-fetch');
+const admin = require('firebase-admin');
+const { audioDuration, concatAudio } = require('./audio');
+const { recordUsage } = require('./usage');
+const { classifyError } = require('./providers');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const PROVIDERS = ['openai', 'elevenlabs'];
+const MODELS = { openai: 'gpt-4o-mini-tts', elevenlabs: 'eleven_multilingual_v2' };
+const OUTPUTS = ['file', 'playlist'];
+const SIGNED_URL_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_TEXT_CHARS = 20000;
+/** Text up to this length is synthesized in one call */
+const CHUNK_TARGET_CHARS = 400;
+/** Longest chunk sent to a provider; longer sentences are split at clause or word breaks */
+const CHUNK_MAX_CHARS = 1000;
+const CHUNK_CONCURRENCY = 3;
+/** Speaking rate used when a stored file has no recorded duration */
+const CHARS_PER_SECOND = 15;
+
+/**
+ * Error for a request the caller has to fix (bad provider, missing key).
+ */
+class TTSInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TTSInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+let openai = null;
+const getOpenAI = () => {
+  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openai;
+};
+
+/**
+ * Render audio with the chosen provider and record the characters used.
+ * @param {Object} params - { text, voice, provider, format, usage? }
+ * @returns {Promise<Buffer>}
+ * @throws {ProviderError} When the provider call fails
+ */
+async function renderAudio({ text, voice, provider, format, usage }) {
+  const started = Date.now();
+  const buffer = await requestAudio({ text, voice, provider, format }).catch(error => {
+    throw error instanceof TTSInputError ? error : classifyError(provider, error);
+  });
+  if (usage) {
+    await recordUsage({
+      uid: usage.uid,
+      endpoint: usage.endpoint,
+      provider,
+      model: MODELS[provider],
+      operation: 'tts',
+      characters: text.length,
+      latencyMs: Date.now() - started,
+      degraded: Boolean(usage.degraded),
+    });
+  }
+  return buffer;
+}
+
+/**
+ * Call the provider's speech API.
+ * @param {Object} params - { text, voice, provider, format }
+ * @returns {Promise<Buffer>}
+ */
+async function requestAudio({ text, voice, provider, format }) {
+  if (provider === 'openai') {
+    const ttsResp = await getOpenAI().audio.speech.create({
+      model: MODELS.openai,
+      voice,
+      input: text,
+      response_format: format,
+    });
+    return Buffer.from(await ttsResp.arrayBuffer());
+  }
+
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+  if (!apiKey) throw new TTSInputError('Missing ELEVENLABS_API_KEY');
+  const voiceId = voice || '21m00Tcm4TlvDq8ikWAM';
+  const resp = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
+    method: 'POST',
+    headers: {
+      'xi-api-key': apiKey,
+      'Content-Type': 'application/json',
+      'Accept': 'audio/mpeg'
+    },
+    body: JSON.stringify({
+      text,
+      model_id: MODELS.elevenlabs,
+      voice_settings: { stability: 0.55, similarity_boost: 0.6 },
+    })
+  });
+  if (!resp.ok) {
+    const errText = await resp.text();
+    throw new Error(`ElevenLabs error: ${resp.status} ${errText}`);
+  }
+  return Buffer.from(await resp.arrayBuffer());
+}
+
+/**
+ * Container format actually produced: ElevenLabs always returns MP3.
+ * @param {string} provider
+ * @param {string} format - Requested format
+ * @returns {'mp3'|'wav'}
+ */
+const audioFormat = (provider, format) => (provider === 'openai' && format === 'wav' ? 'wav' : 'mp3');
+
+/**
+ * Split one overlong sentence at clause breaks, then at word breaks.
+ * @param {string} sentence
+ * @returns {Array<string>}
+ */
+function splitLong(sentence) {
+  if (sentence.length <= CHUNK_MAX_CHARS) return [sentence];
+  const pieces = [];
+  let rest = sentence;
+  while (rest.length > CHUNK_MAX_CHARS) {
+    const window = rest.slice(0, CHUNK_MAX_CHARS);
+    const clause = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '), window.lastIndexOf(': '));
+    const cut = clause > CHUNK_MAX_CHARS / 2 ? clause + 1 : window.lastIndexOf(' ') > 0 ? window.lastIndexOf(' ') : CHUNK_MAX_CHARS;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split text into synthesis chunks at sentence boundaries. Short text stays
+ * one chunk; otherwise sentences are packed up to CHUNK_TARGET_CHARS.
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function chunkText(text) {
+  const trimmed = text.trim();
+  if (trimmed.length <= CHUNK_TARGET_CHARS) return [trimmed];
+  const sentences = (trimmed.match(/[^.!?…\n]+(?:[.!?…]+["'”’)\]]*|\n+|$)/g) || [trimmed])
+    .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(splitLong);
+
+  const chunks = [];
+  let current = '';
+  sentences.forEach(sentence => {
+    if (current && current.length + 1 + sentence.length > CHUNK_TARGET_CHARS) {
+      chunks.push(current);
+      current = sentence;
+    } else {
+      current = current ? `${current} ${sentence}` : sentence;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight, keeping order.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: *, index: number) => Promise<*>} fn
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Cache key for a synthesis request.
+ * @param {Object} params - { text, voice, provider, format }
+ * @returns {string} SHA-256 hex digest
+ */
+function cacheKey({ text, voice, provider, format }) {
+  return crypto.createHash('sha256').update(JSON.stringify([provider, voice, format, text])).digest('hex');
+}
+
+/**
+ * Record a cache hit or miss. Failures are logged, never surfaced.
+ * @param {Object} params
+ * @param {string} params.key - Cache key
+ * @param {boolean} params.hit
+ * @param {Object} params.entry - { provider, voice, format, path, chars, bytes, rendered }
+ *   `rendered` is false for a file stitched from chunks, whose characters
+ *   are counted by the chunk entries.
+ * @returns {Promise<void>}
+ */
+async function recordCacheUse({ key, hit, entry }) {
+  const { increment, serverTimestamp } = admin.firestore.FieldValue;
+  const day = new Date().toISOString().slice(0, 10);
+  const batch = db.batch();
+  batch.set(db.collection('ttsCache').doc(key), hit
+    ? { hits: increment(1), lastHitAt: serverTimestamp() }
+    : { ...entry, hits: 0, createdAt: serverTimestamp() }, { merge: true });
+  batch.set(db.collection('ttsCacheStats').doc(day), {
+    date: day,
+    requests: increment(1),
+    hits: increment(hit ? 1 : 0),
+    misses: increment(hit ? 0 : 1),
+    charsSaved: increment(hit ? entry.chars : 0),
+    bytesSaved: increment(hit ? entry.bytes : 0),
+    charsSynthesized: increment(!hit && entry.rendered ? entry.chars : 0),
+  }, { merge: true });
+  try {
+    await batch.commit();
+  } catch (error) {
+    console.error('Failed to record TTS cache use:', error);
+  }
+}
+
+/**
+ * Load a cached audio object, or build and store it.
+ * @param {Object} params
+ * @param {string} params.text - Text the audio speaks (part of the key)
+ * @param {string} params.voice
+ * @param {string} params.provider
+ * @param {'mp3'|'wav'} params.format
+ * @param {() => Promise<{ buffer: Buffer, durations: Array<number>, rendered: boolean }>} params.build
+ *   Produces the audio on a miss, with the duration of each chunk it contains
+ * @param {boolean} [params.needBuffer=false] - Also download the audio on a hit
+ * @returns {Promise<{ file: Object, key: string, path: string, cached: boolean, durations: Array<number>, buffer?: Buffer }>}
+ */
+async function getOrCreateAudio({ text, voice, provider, format, build, needBuffer = false }) {
+  const key = cacheKey({ text, voice, provider, format });
+  const path = `tts/cache/${key}.${format}`;
+  const file = admin.storage().bucket().file(path);
+
+  // One round trip: the metadata read doubles as the existence check
+  const metadata = await file.getMetadata().then(([meta]) => meta, error => {
+    if (error.code === 404) return null;
+    throw error;
+  });
+
+  if (metadata) {
+    const custom = metadata.metadata || {};
+    let durations = [];
+    try {
+      durations = JSON.parse(custom.durations || '[]');
+    } catch (e) {
+      // Entries cached before durations were recorded are estimated below
+    }
+    const [buffer] = needBuffer ? await file.download() : [undefined];
+    await recordCacheUse({ key, hit: true, entry: { chars: text.length, bytes: Number(metadata.size) || 0 } });
+    return { file, key, path, cached: true, durations, buffer };
+  }
+
+  const { buffer, durations, rendered } = await build();
+  await file.save(buffer, {
+    contentType: format === 'wav' ? 'audio/wav' : 'audio/mpeg',
+    public: false,
+    metadata: {
+      cacheControl: 'public, max-age=31536000',
+      metadata: { provider, voice, chars: String(text.length), durations: JSON.stringify(durations.map(d => Math.round(d * 1000) / 1000)) }
+    }
+  });
+  await recordCacheUse({ key, hit: false, entry: { provider, voice, format, path, chars: text.length, bytes: buffer.length, rendered } });
+  return { file, key, path, cached: false, durations, buffer };
+}
+
+/**
+ * Audio for a single chunk, rendered by the provider on a miss.
+ * @param {Object} params - { text, voice, provider, format, needBuffer, usage? }
+ * @returns {Promise<Object>} See getOrCreateAudio
+ */
+function chunkAudio({ text, voice, provider, format, needBuffer, usage }) {
+  return getOrCreateAudio({
+    text, voice, provider, format, needBuffer,
+    build: async () => {
+      const buffer = await renderAudio({ text, voice, provider, format, usage });
+      let duration;
+      try {
+        duration = audioDuration(buffer, format);
+      } catch (error) {
+        console.warn('Could not read TTS audio duration:', error.message);
+        duration = text.length / CHARS_PER_SECOND;
+      }
+      return { buffer, durations: [duration], rendered: true };
+    },
+  });
+}
+
+/**
+ * Duration of a single-chunk audio object, estimated if it was never recorded.
+ * @param {Object} audio - From chunkAudio
+ * @param {string} text - The chunk text
+ * @returns {number} Seconds
+ */
+const chunkDuration = (audio, text) => (audio.durations.length === 1 ? audio.durations[0] : text.length / CHARS_PER_SECOND);
+
+/**
+ * Per-chunk caption timings from chunk durations; missing durations are
+ * estimated from the text length.
+ * @param {Array<string>} chunks - Chunk texts
+ * @param {Array<number>} durations - Seconds per chunk
+ * @returns {{ timings: Array<{ index: number, text: string, start: number, duration: number }>, duration: number }}
+ */
+function timeline(chunks, durations) {
+  let start = 0;
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const timings = chunks.map((text, index) => {
+    const duration = durations.length === chunks.length ? durations[index] : text.length / CHARS_PER_SECOND;
+    const timing = { index, text, start: round(start), duration: round(duration) };
+    start += duration;
+    return timing;
+  });
+  return { timings, duration: round(start) };
+}
+
+const sign = async (file) => (await file.getSignedUrl({ action: 'read', expires: Date.now() + SIGNED_URL_TTL_MS }))[0];
+
+/**
+ * Synthesize speech and store it, reusing cached audio for repeat requests.
+ * @param {Object} params
+ * @param {string} params.text - Text to speak (up to MAX_TEXT_CHARS)
+ * @param {string} [params.voice='alloy'] - Provider voice id
+ * @param {'openai'|'elevenlabs'} [params.provider='openai']
+ * @param {'mp3'|'wav'} [params.format='mp3'] - ElevenLabs always produces mp3
+ * @param {'file'|'playlist'} [params.output='file'] - One stitched file, or one URL per chunk
+ * @param {Object} [params.usage] - req.usage ({ uid, endpoint, degraded }); rendered characters are recorded against it
+ * @returns {Promise<Object>}
+ *   file:     { output, url, path, key, cached, provider, format, duration, chunks: [{ index, text, start, duration }] }
+ *   playlist: { output, provider, format, duration, cached, chunks: [{ index, text, start, duration, url, path, cached }] }
+ * @throws {TTSInputError}
+ */
+async function synthesizeSpeech({ text, voice = 'alloy', provider = 'openai', format = 'mp3', output = 'file', usage }) {
+  if (!text || typeof text !== 'string' || text.trim().length === 0) throw new TTSInputError('text is required');
+  if (text.length > MAX_TEXT_CHARS) throw new TTSInputError(`text must be at most ${MAX_TEXT_CHARS} characters`);
+  if (!PROVIDERS.includes(provider)) throw new TTSInputError('provider must be openai or elevenlabs');
+  if (!OUTPUTS.includes(output)) throw new TTSInputError('output must be file or playlist');
+  if (usage && usage.degraded && provider === 'elevenlabs') {
+    // ElevenLabs voice ids mean nothing to OpenAI
+    provider = 'openai';
+    voice = 'alloy';
+  }
+
+  const ext = audioFormat(provider, format);
+  const chunks = chunkText(text);
+
+  if (output === 'playlist') {
+    const audios = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, chunk => chunkAudio({ text: chunk, voice, provider, format: ext, usage }));
+    const { timings, duration } = timeline(chunks, audios.map((a, i) => chunkDuration(a, chunks[i])));
+    const urls = await Promise.all(audios.map(a => sign(a.file)));
+    return {
+      output,
+      provider,
+      format: ext,
+      duration,
+      cached: audios.every(a => a.cached),
+      chunks: timings.map((timing, i) => ({ ...timing, url: urls[i], path: audios[i].path, cached: audios[i].cached })),
+    };
+  }
+
+  const audio = chunks.length === 1
+    ? await chunkAudio({ text: chunks[0], voice, provider, format: ext, usage })
+    : await getOrCreateAudio({
+      text, voice, provider, format: ext,
+      build: async () => {
+        const parts = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, chunk => chunkAudio({ text: chunk, voice, provider, format: ext, needBuffer: true, usage }));
+        return {
+          buffer: concatAudio(parts.map(p => p.buffer), ext),
+          durations: parts.map((p, i) => chunkDuration(p, chunks[i])),
+          rendered: false,
+        };
+      },
+    });
+  const { timings, duration } = timeline(chunks, audio.durations);
+  return {
+    output,
+    url: await sign(audio.file),
+    path: audio.path,
+    key: audio.key,
+    cached: audio.cached,
+    provider,
+    format: ext,
+    duration,
+    chunks: timings,
+  };
+}
+
+module.exports = {
+  TTSInputError,
+  CHUNK_TARGET_CHARS,
+  CHUNK_MAX_CHARS,
+  CHUNK_CONCURRENCY,
+  cacheKey,
+  chunkText,
+  synthesizeSpeech,
+};
@@ -0,0 +1,140 @@
+const admin = require('firebase-admin');
+const { synthesizeSpeech, cacheKey, chunkText, CHUNK_TARGET_CHARS, CHUNK_MAX_CHARS, CHUNK_CONCURRENCY } = require('./tts');
+const { stored, mp3File, MP3_FRAME_BYTES, MP3_FRAME_SECONDS } = require('./testing');
+
+jest.mock('openai', () => {
+  const create = jest.fn();
+  return { OpenAI: jest.fn(() => ({ audio: { speech: { create } } })), __create: create };
+});
+const { __create: speechCreate } = require('openai');
+
+/** Fake provider audio: an MP3 with a Xing frame and one audio frame per 10 characters */
+const framesFor = (text) => Math.ceil(text.length / 10);
+const speak = ({ input }) => Promise.resolve({ arrayBuffer: async () => mp3File({ frames: framesFor(input), xing: true }) });
+const sentence = (n) => `Sentence number ${n} talks about building web apps for clients.`;
+const stats = () => stored('ttsCacheStats')[0];
+
+let signed;
+beforeEach(() => {
+  admin.__reset();
+  speechCreate.mockImplementation(speak);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  signed = [];
+  const bucket = admin.storage().bucket();
+  const file = bucket.file;
+  jest.spyOn(bucket, 'file').mockImplementation((path) => {
+    const handle = file(path);
+    return { ...handle, getSignedUrl: (options) => { signed.push(path); return handle.getSignedUrl(options); } };
+  });
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('TTS cache', () => {
+  test('stores audio under its cache key on a miss', async () => {
+    const result = await synthesizeSpeech({ text: 'Hello there.' });
+    const key = cacheKey({ text: 'Hello there.', voice: 'alloy', provider: 'openai', format: 'mp3' });
+    expect(result).toMatchObject({ cached: false, key, path: `tts/cache/${key}.mp3`, url: `https://storage.test/tts/cache/${key}.mp3` });
+    expect(admin.__files.get(result.path).data.length).toBe(3 * MP3_FRAME_BYTES);
+    expect(stored('ttsCache')).toEqual([expect.objectContaining({ provider: 'openai', chars: 12, rendered: true, hits: 0 })]);
+    expect(stats()).toMatchObject({ requests: 1, hits: 0, misses: 1, charsSynthesized: 12, charsSaved: 0 });
+  });
+
+  test('reuses the stored audio on a hit and signs a fresh URL', async () => {
+    const first = await synthesizeSpeech({ text: 'Hello there.' });
+    const second = await synthesizeSpeech({ text: 'Hello there.' });
+    expect(speechCreate).toHaveBeenCalledTimes(1);
+    expect(second).toMatchObject({ cached: true, path: first.path });
+    expect(signed).toEqual([first.path, first.path]);
+    expect(stored('ttsCache')[0]).toMatchObject({ hits: 1 });
+    expect(stats()).toMatchObject({ requests: 2, hits: 1, misses: 1, charsSaved: 12, bytesSaved: 3 * MP3_FRAME_BYTES, charsSynthesized: 12 });
+  });
+
+  test('keys audio by voice, provider and format as well as text', () => {
+    const base = { text: 'Hi', voice: 'alloy', provider: 'openai', format: 'mp3' };
+    const keys = [base, { ...base, voice: 'nova' }, { ...base, format: 'wav' }, { ...base, provider: 'elevenlabs' }].map(cacheKey);
+    expect(new Set(keys).size).toBe(4);
+  });
+
+  test('counts the characters of a stitched file once, through its chunks', async () => {
+    const text = Array.from({ length: 12 }, (_, i) => sentence(i)).join(' ');
+    const chunks = chunkText(text);
+    expect(chunks.length).toBeGreaterThan(1);
+
+    const first = await synthesizeSpeech({ text });
+    expect(first.cached).toBe(false);
+    const frames = chunks.reduce((sum, chunk) => sum + framesFor(chunk), 0);
+    expect(admin.__files.get(first.path).data.length).toBe(frames * MP3_FRAME_BYTES);
+    expect(first.duration).toBeCloseTo(frames * MP3_FRAME_SECONDS, 2);
+    const synthesized = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    expect(stats()).toMatchObject({ misses: chunks.length + 1, charsSynthesized: synthesized });
+    expect(stored('ttsCache').find(entry => entry.chars === text.length)).toMatchObject({ rendered: false });
+
+    const second = await synthesizeSpeech({ text });
+    expect(second.cached).toBe(true);
+    expect(speechCreate).toHaveBeenCalledTimes(chunks.length);
+    expect(stats()).toMatchObject({ hits: 1, charsSaved: text.length, charsSynthesized: synthesized });
+  });
+});
+
+describe('chunkText', () => {
+  test('keeps short text in one chunk', () => {
+    expect(chunkText('  Hi there. How are you?  ')).toEqual(['Hi there. How are you?']);
+  });
+
+  test('packs whole sentences up to the target length', () => {
+    const sentences = Array.from({ length: 20 }, (_, i) => sentence(i));
+    const chunks = chunkText(sentences.join(' '));
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => {
+      expect(chunk.length).toBeLessThanOrEqual(CHUNK_TARGET_CHARS);
+      expect(chunk).toMatch(/clients\.$/);
+    });
+    expect(chunks.join(' ')).toBe(sentences.join(' '));
+  });
+
+  test('splits an overlong sentence at a clause break, then at a word break', () => {
+    const clause = `${'word '.repeat(140).trim()}, `;
+    const long = `${clause}${'more '.repeat(250).trim()}.`;
+    const chunks = chunkText(long);
+    expect(chunks[0]).toBe(clause.trim());
+    chunks.forEach(chunk => expect(chunk.length).toBeLessThanOrEqual(CHUNK_MAX_CHARS));
+    expect(chunks.join(' ').replace(/\s+/g, ' ')).toBe(long);
+  });
+
+  test('cuts text without spaces at the maximum length', () => {
+    const chunks = chunkText('x'.repeat(CHUNK_MAX_CHARS * 2 + 5));
+    expect(chunks.map(chunk => chunk.length)).toEqual([CHUNK_MAX_CHARS, CHUNK_MAX_CHARS, 5]);
+  });
+});
+
+describe('synthesizeSpeech with long text', () => {
+  test('keeps at most CHUNK_CONCURRENCY provider calls in flight', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    speechCreate.mockImplementation(async (request) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setImmediate(resolve));
+      inFlight -= 1;
+      return speak(request);
+    });
+    const text = Array.from({ length: 40 }, (_, i) => sentence(i)).join(' ');
+    const result = await synthesizeSpeech({ text, output: 'playlist' });
+    expect(speechCreate.mock.calls.length).toBeGreaterThan(CHUNK_CONCURRENCY);
+    expect(peak).toBe(CHUNK_CONCURRENCY);
+    expect(result.chunks.map(chunk => chunk.index)).toEqual(result.chunks.map((_, i) => i));
+    expect(result.chunks.map(chunk => chunk.text)).toEqual(chunkText(text));
+  });
+
+  test('times each chunk from where the previous one ended', async () => {
+    const text = Array.from({ length: 12 }, (_, i) => sentence(i)).join(' ');
+    const { chunks, duration } = await synthesizeSpeech({ text, output: 'playlist' });
+    chunks.forEach(chunk => expect(chunk.duration).toBeCloseTo(framesFor(chunk.text) * MP3_FRAME_SECONDS, 3));
+    chunks.reduce((start, chunk) => {
+      expect(chunk.start).toBeCloseTo(start, 3);
+      expect(chunk.url).toBe(`https://storage.test/${chunk.path}`);
+      return chunk.start + chunk.duration;
+    }, 0);
+    expect(duration).toBeCloseTo(chunks.reduce((sum, chunk) => sum + chunk.duration, 0), 2);
+  });
+});
@@ -0,0 +1,309 @@
+/**
+ * Usage and Cost Accounting
+ *
+ * Every paid AI call (chat and generation through the provider registry,
+ * OpenAI and ElevenLabs TTS, Whisper transcription) is recorded with its
+ * tokens or characters, latency, model and an estimated cost:
+ *
+ *   usageEvents/{id}
+ *     { uid, endpoint, provider, model, operation, inputTokens, outputTokens,
+ *       characters, seconds, latencyMs, costUsd, estimated, degraded, createdAt, expiresAt }
+ *   usageDaily/{YYYY-MM-DD}_total
+ *   usageDaily/{YYYY-MM-DD}_user_{uid|anonymous}
+ *   usageDaily/{YYYY-MM-DD}_endpoint_{endpoint}
+ *     { date, kind, key, requests, inputTokens, outputTokens, characters,
+ *       seconds, latencyMs, costUsd, byProvider: { [id]: {...} }, byEndpoint: { [id]: {...} } }
+ *
+ * Costs are estimates from PRICES (USD per million tokens or characters, per
+ * minute of audio). Anonymous callers share one `anonymous` rollup.
+ *
+ * Daily budgets (DEFAULT_BUDGETS, overridden by the Firestore doc
+ * config/usageBudgets) are checked before a metered request: past
+ * `degradeAtUsd` the request runs on the cheaper DEGRADED_MODELS, past
+ * `blockAtUsd` it is refused. Budgets apply to the whole day's spend in
+ * UTC, globally, per caller and per endpoint.
+ *
+ * Enable a Firestore TTL policy on usageEvents.expiresAt to drop raw events
+ * after EVENT_TTL_DAYS; the daily rollups are kept.
+ *
+ * @requires firebase-admin
+ */
+const admin = require('firebase-admin');
+if (!admin.apps.length) admin.initializeApp();
+const db = admin.firestore();
+
+const EVENT_TTL_DAYS = 90;
+const MAX_RANGE_DAYS = 92;
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * Estimated prices in USD. Token models: per million input/output tokens.
+ * TTS: per million characters. Transcription: per minute of audio.
+ */
+const PRICES = {
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o-mini-tts': { characters: 15 },
+  'eleven_multilingual_v2': { characters: 300 },
+  'whisper-1': { minutes: 0.006 },
+};
+
+/** Models used per chat provider while a budget is in its degraded range */
+const DEGRADED_MODELS = { gemini: 'gemini-1.5-flash', openai: 'gpt-4o-mini' };
+
+/**
+ * Daily budgets in USD. `users` can hold per-uid overrides of `user`, and
+ * `endpoints` per-endpoint limits; a missing threshold never triggers.
+ */
+const DEFAULT_BUDGETS = {
+  global: { degradeAtUsd: 5, blockAtUsd: 20 },
+  user: { degradeAtUsd: 0.5, blockAtUsd: 2 },
+  anonymous: { degradeAtUsd: 1, blockAtUsd: 3 },
+  users: {},
+  endpoints: {},
+};
+
+/**
+ * Error for an invalid usage query or budget document.
+ */
+class UsageInputError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageInputError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+  }
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+const userKey = (uid) => uid || 'anonymous';
+const rollupRef = (date, kind, key) => db.collection('usageDaily').doc(kind === 'total' ? `${date}_total` : `${date}_${kind}_${key}`);
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Estimated cost of one call.
+ * @param {Object} event - { model, inputTokens?, outputTokens?, characters?, seconds? }
+ * @returns {number} USD; 0 for models without a price
+ */
+function estimateCost({ model, inputTokens = 0, outputTokens = 0, characters = 0, seconds = 0 }) {
+  const price = PRICES[model];
+  if (!price) return 0;
+  const cost = (price.input || 0) * inputTokens / 1e6
+    + (price.output || 0) * outputTokens / 1e6
+    + (price.characters || 0) * characters / 1e6
+    + (price.minutes || 0) * seconds / 60;
+  return round6(cost);
+}
+
+/**
+ * Record one call and add it to the daily rollups. Failures are logged, not
+ * thrown: accounting must not break the request it measures.
+ * @param {Object} event
+ * @param {string|null} event.uid - Caller uid; null for anonymous
+ * @param {string} event.endpoint - Function that made the call, e.g. 'ai', 'tts'
+ * @param {string} event.provider - 'gemini', 'openai', 'elevenlabs'
+ * @param {string} event.model
+ * @param {string} event.operation - 'chat', 'streamChat', 'text', 'json', 'tts', 'transcribe'
+ * @param {number} [event.inputTokens]
+ * @param {number} [event.outputTokens]
+ * @param {number} [event.characters] - TTS input
+ * @param {number} [event.seconds] - Transcribed audio
+ * @param {number} event.latencyMs
+ * @param {boolean} [event.estimated] - Token counts were estimated from text length
+ * @param {boolean} [event.degraded] - Ran on a degraded model because of a budget
+ * @returns {Promise<void>}
+ */
+async function recordUsage(event) {
+  try {
+    const counts = {
+      inputTokens: Math.round(event.inputTokens || 0),
+      outputTokens: Math.round(event.outputTokens || 0),
+      characters: Math.round(event.characters || 0),
+      seconds: round6(event.seconds || 0),
+    };
+    const costUsd = estimateCost({ model: event.model, ...counts });
+    const date = today();
+    const batch = db.batch();
+    batch.set(db.collection('usageEvents').doc(), {
+      uid: event.uid || null,
+      endpoint: event.endpoint,
+      provider: event.provider,
+      model: event.model,
+      operation: event.operation,
+      ...counts,
+      latencyMs: Math.round(event.latencyMs || 0),
+      costUsd,
+      estimated: Boolean(event.estimated),
+      degraded: Boolean(event.degraded),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: new Date(Date.now() + EVENT_TTL_DAYS * 86400 * 1000),
+    });
+
+    const inc = admin.firestore.FieldValue.increment;
+    const totals = {
+      requests: inc(1),
+      inputTokens: inc(counts.inputTokens),
+      outputTokens: inc(counts.outputTokens),
+      characters: inc(counts.characters),
+      seconds: inc(counts.seconds),
+      latencyMs: inc(Math.round(event.latencyMs || 0)),
+      costUsd: inc(costUsd),
+    };
+    const rollup = (kind, key, breakdowns) => batch.set(rollupRef(date, kind, key), {
+      date, kind, key, ...totals, ...breakdowns, updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+    const byProvider = { byProvider: { [event.provider]: totals } };
+    const byEndpoint = { byEndpoint: { [event.endpoint]: totals } };
+    rollup('total', null, { ...byProvider, ...byEndpoint });
+    rollup('user', userKey(event.uid), { ...byProvider, ...byEndpoint });
+    rollup('endpoint', event.endpoint, byProvider);
+    await batch.commit();
+  } catch (error) {
+    console.error('Failed to record usage:', error);
+  }
+}
+
+let budgetCache = null;
+
+/**
+ * Current budgets: DEFAULT_BUDGETS with config/usageBudgets applied.
+ * @returns {Promise<Object>}
+ */
+async function getBudgets() {
+  if (budgetCache && budgetCache.expires > Date.now()) return budgetCache.value;
+  const snap = await db.collection('config').doc('usageBudgets').get();
+  const stored = snap.exists ? snap.data() : {};
+  const value = {
+    ...DEFAULT_BUDGETS,
+    ...stored,
+    users: { ...(stored.users || {}) },
+    endpoints: { ...(stored.endpoints || {}) },
+  };
+  budgetCache = { value, expires: Date.now() + CACHE_TTL_MS };
+  return value;
+}
+
+/**
+ * Validate and store budgets (replacing the stored document).
+ * @param {Object} budgets - { global?, user?, anonymous?, users?, endpoints? }
+ * @returns {Promise<Object>} Effective budgets
+ * @throws {UsageInputError}
+ */
+async function setBudgets(budgets) {
+  if (!budgets || typeof budgets !== 'object') throw new UsageInputError('budgets must be an object');
+  const checkLimit = (limit, name) => {
+    if (limit === null) return;
+    if (typeof limit !== 'object') throw new UsageInputError(`${name} must be an object`);
+    ['degradeAtUsd', 'blockAtUsd'].forEach(field => {
+      const value = limit[field];
+      if (value !== undefined && value !== null && !(typeof value === 'number' && value >= 0)) {
+        throw new UsageInputError(`${name}.${field} must be a non-negative number`);
+      }
+    });
+  };
+  const stored = {};
+  ['global', 'user', 'anonymous'].forEach(name => {
+    if (budgets[name] === undefined) return;
+    checkLimit(budgets[name], name);
+    stored[name] = budgets[name];
+  });
+  ['users', 'endpoints'].forEach(name => {
+    if (budgets[name] === undefined) return;
+    if (!budgets[name] || typeof budgets[name] !== 'object') throw new UsageInputError(`${name} must be an object`);
+    Object.entries(budgets[name]).forEach(([key, limit]) => checkLimit(limit, `${name}.${key}`));
+    stored[name] = budgets[name];
+  });
+  await db.collection('config').doc('usageBudgets').set({ ...stored, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  budgetCache = null;
+  return getBudgets();
+}
+
+/**
+ * Decide how a request may run under today's budgets.
+ * @param {Object} params
+ * @param {Object} params.user - req.user
+ * @param {string} params.endpoint
+ * @returns {Promise<{ mode: 'normal'|'degrade'|'block', budget?: string, spentUsd?: number, limitUsd?: number }>}
+ *   `budget` names the limit that applies: 'global', 'user', 'anonymous' or 'endpoint'
+ */
+async function checkBudget({ user, endpoint }) {
+  const budgets = await getBudgets();
+  const date = today();
+  const uid = user && !user.anonymous ? user.uid : null;
+  const [total, own, perEndpoint] = await db.getAll(
+    rollupRef(date, 'total'),
+    rollupRef(date, 'user', userKey(uid)),
+    rollupRef(date, 'endpoint', endpoint),
+  );
+  const spent = (snap) => (snap.exists ? snap.data().costUsd || 0 : 0);
+  const limits = [
+    ['global', budgets.global, spent(total)],
+    uid ? ['user', budgets.users[uid] || budgets.user, spent(own)] : ['anonymous', budgets.anonymous, spent(own)],
+    ['endpoint', budgets.endpoints[endpoint], spent(perEndpoint)],
+  ].filter(([, limit]) => limit);
+
+  const over = (field) => limits.find(([, limit, spentUsd]) => typeof limit[field] === 'number' && spentUsd >= limit[field]);
+  const blocked = over('blockAtUsd');
+  if (blocked) return { mode: 'block', budget: blocked[0], spentUsd: round6(blocked[2]), limitUsd: blocked[1].blockAtUsd };
+  const degraded = over('degradeAtUsd');
+  if (degraded) return { mode: 'degrade', budget: degraded[0], spentUsd: round6(degraded[2]), limitUsd: degraded[1].degradeAtUsd };
+  return { mode: 'normal' };
+}
+
+/**
+ * Dates from `from` to `to`, inclusive.
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Array<string>}
+ * @throws {UsageInputError}
+ */
+function dateRange(from, to) {
+  const valid = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(`${d}T00:00:00Z`));
+  if (!valid(from) || !valid(to)) throw new UsageInputError('from and to must be dates as YYYY-MM-DD');
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  if (end < start) throw new UsageInputError('to must not be before from');
+  const days = (end - start) / 86400000 + 1;
+  if (days > MAX_RANGE_DAYS) throw new UsageInputError(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+  return Array.from({ length: days }, (_, i) => new Date(start + i * 86400000).toISOString().slice(0, 10));
+}
+
+/**
+ * Daily usage for one rollup over a date range.
+ * @param {Object} params
+ * @param {string} params.from - YYYY-MM-DD
+ * @param {string} params.to - YYYY-MM-DD
+ * @param {'total'|'user'|'endpoint'} params.kind
+ * @param {string} [params.key] - uid ('anonymous' for anonymous callers) or endpoint
+ * @returns {Promise<{ kind: string, key: string|null, from: string, to: string, days: Array<Object>, totals: Object }>}
+ * @throws {UsageInputError}
+ */
+async function getUsage({ from, to, kind, key }) {
+  const dates = dateRange(from, to);
+  const snaps = await db.getAll(...dates.map(date => rollupRef(date, kind, key)));
+  const fields = ['requests', 'inputTokens', 'outputTokens', 'characters', 'seconds', 'latencyMs', 'costUsd'];
+  const totals = Object.fromEntries(fields.map(f => [f, 0]));
+  const days = snaps.filter(snap => snap.exists).map(snap => {
+    const { updatedAt, ...day } = snap.data();
+    fields.forEach(f => { totals[f] += day[f] || 0; });
+    return day;
+  });
+  totals.costUsd = round6(totals.costUsd);
+  totals.seconds = round6(totals.seconds);
+  return { kind, key: key || null, from, to, days, totals };
+}
+
+module.exports = {
+  PRICES,
+  DEGRADED_MODELS,
+  DEFAULT_BUDGETS,
+  UsageInputError,
+  estimateCost,
+  recordUsage,
+  getBudgets,
+  setBudgets,
+  checkBudget,
+  getUsage,
+};
@@ -0,0 +1,106 @@
+const admin = require('firebase-admin');
+const usage = require('./usage');
+const { createGuard } = require('./auth');
+const { mockRequest, mockResponse, stored } = require('./testing');
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0, 0);
+const member = { uid: 'u1', anonymous: false, claims: {} };
+const visitor = { uid: null, anonymous: true, claims: {} };
+const rollup = (id) => admin.__store.get(`usageDaily/2026-10-19_${id}`);
+/** Record a gpt-4o-mini call costing $0.60 per million output tokens */
+const spend = (uid, outputTokens, endpoint = 'ai') => usage.recordUsage({ uid, endpoint, provider: 'openai', model: 'gpt-4o-mini', operation: 'chat', inputTokens: 0, outputTokens, latencyMs: 100 });
+
+beforeEach(async () => {
+  admin.__reset();
+  jest.useFakeTimers({ now: NOW });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  // Clears the cached budgets
+  await usage.setBudgets({});
+});
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('estimateCost', () => {
+  test('prices tokens, characters and audio minutes', () => {
+    expect(usage.estimateCost({ model: 'gpt-4o-mini', inputTokens: 1e6, outputTokens: 1e6 })).toBe(0.75);
+    expect(usage.estimateCost({ model: 'gpt-4o-mini-tts', characters: 1000 })).toBe(0.015);
+    expect(usage.estimateCost({ model: 'whisper-1', seconds: 30 })).toBe(0.003);
+    expect(usage.estimateCost({ model: 'unknown', inputTokens: 1e6 })).toBe(0);
+  });
+});
+
+describe('recordUsage', () => {
+  test('stores the event and adds it to the total, caller and endpoint rollups', async () => {
+    await spend('u1', 1e6);
+    await spend(null, 5e5, 'tts');
+    expect(stored('usageEvents')).toHaveLength(2);
+    expect(rollup('total')).toMatchObject({ requests: 2, outputTokens: 1.5e6, costUsd: expect.closeTo(0.9, 6), byEndpoint: { ai: { requests: 1 }, tts: { requests: 1 } }, byProvider: { openai: { requests: 2 } } });
+    expect(rollup('user_u1')).toMatchObject({ requests: 1, costUsd: 0.6 });
+    expect(rollup('user_anonymous')).toMatchObject({ requests: 1, costUsd: 0.3 });
+    expect(rollup('endpoint_tts')).toMatchObject({ requests: 1, costUsd: 0.3 });
+  });
+
+  test('logs storage failures instead of failing the request', async () => {
+    jest.spyOn(admin.firestore(), 'batch').mockImplementation(() => { throw new Error('unavailable'); });
+    await expect(spend('u1', 1)).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Failed to record usage:', expect.any(Error));
+  });
+});
+
+describe('checkBudget', () => {
+  test('runs normally under every limit', async () => {
+    await spend('u1', 1e5);
+    expect(await usage.checkBudget({ user: member, endpoint: 'ai' })).toEqual({ mode: 'normal' });
+  });
+
+  test('degrades, then blocks, a caller over their own limits', async () => {
+    await spend('u1', 1e6);
+    expect(await usage.checkBudget({ user: member, endpoint: 'ai' })).toEqual({ mode: 'degrade', budget: 'user', spentUsd: 0.6, limitUsd: 0.5 });
+    await spend('u1', 3e6);
+    expect(await usage.checkBudget({ user: member, endpoint: 'ai' })).toEqual({ mode: 'block', budget: 'user', spentUsd: 2.4, limitUsd: 2 });
+    expect((await usage.checkBudget({ user: { ...member, uid: 'u2' }, endpoint: 'ai' })).mode).toBe('normal');
+  });
+
+  test('applies per-user overrides, the anonymous pool and endpoint limits', async () => {
+    await usage.setBudgets({ users: { u1: { degradeAtUsd: 5 } }, endpoints: { tts: { blockAtUsd: 0.2 } } });
+    await spend('u1', 1e6);
+    await spend(null, 2e6, 'tts');
+    expect(await usage.checkBudget({ user: member, endpoint: 'ai' })).toEqual({ mode: 'normal' });
+    expect(await usage.checkBudget({ user: visitor, endpoint: 'ai' })).toMatchObject({ mode: 'degrade', budget: 'anonymous' });
+    expect(await usage.checkBudget({ user: member, endpoint: 'tts' })).toMatchObject({ mode: 'block', budget: 'endpoint' });
+  });
+
+  test('rejects invalid budget documents', async () => {
+    await expect(usage.setBudgets({ user: { blockAtUsd: -1 } })).rejects.toMatchObject({ status: 400, message: 'user.blockAtUsd must be a non-negative number' });
+  });
+});
+
+describe('metered guard', () => {
+  const guard = createGuard({ scope: 'ai', allowAnonymous: true, metered: true });
+  const run = async () => {
+    const req = mockRequest();
+    const res = mockResponse();
+    const next = jest.fn();
+    await guard(req, res, next);
+    return { req, res, next };
+  };
+
+  test('marks requests over a degrade limit as degraded', async () => {
+    await spend(null, 2e6);
+    const { req, res, next } = await run();
+    expect(next).toHaveBeenCalled();
+    expect(req.usage.degraded).toBe(true);
+    expect(res.headers['x-usage-mode']).toBe('degraded');
+  });
+
+  test('refuses requests over a block limit until midnight UTC', async () => {
+    await spend(null, 5e6);
+    const { res, next } = await run();
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.body).toMatchObject({ code: 'BUDGET_EXCEEDED', budget: 'anonymous', retryAfter: 12 * 3600 });
+    expect(res.headers['retry-after']).toBe(String(12 * 3600));
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Request and response validation against the endpoint contracts
+ *
+ * Schemas (see schemas.js) use a subset of JSON Schema as it appears in
+ * OpenAPI 3.0: type (a name or a list), nullable, enum, const, minLength
+ * (of the trimmed text), maxLength, pattern, format (email, uri, date,
+ * date-time), minimum, maximum, properties, required, additionalProperties,
+ * items, minItems, maxItems, oneOf and anyOf. Keywords outside the subset (description, example, ...)
+ * are ignored here and passed through to the OpenAPI document.
+ *
+ * `createValidator(path)` builds a middleware with the same (req, res, next)
+ * shape as the auth guards. It checks the query and body of each request
+ * against the contract for its method and answers mismatches with a 400
+ * INVALID_INPUT error (see errors.js) whose `details` lists every problem as
+ * { path, message }.
+ * Replies are checked too: a reply that does not match its schema is sent
+ * unchanged and logged, so contract drift shows up without breaking clients.
+ */
+const { CONTRACTS, ERROR } = require('./schemas');
+const { replyError } = require('./errors');
+
+/** Most details reported for one invalid request */
+const MAX_DETAILS = 20;
+
+/**
+ * Error for a request that does not match its schema; `details` lists every
+ * problem as { path, message }.
+ */
+class RequestValidationError extends Error {
+  constructor(details) {
+    super(`Invalid request: ${details.slice(0, 3).map(d => `${d.path} ${d.message}`).join('; ')}`);
+    this.name = 'RequestValidationError';
+    this.status = 400;
+    this.code = 'INVALID_INPUT';
+    this.details = details;
+  }
+}
+
+const FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^https?:\/\/\S+$/i.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => !Number.isNaN(Date.parse(value)),
+};
+
+/**
+ * JSON type name of a value, as schemas spell it.
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'string';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+const matchesType = (actual, expected) => expected === actual || (expected === 'number' && actual === 'integer');
+const article = (type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+/**
+ * The branch of a oneOf/anyOf that a value selects with a `const` property,
+ * e.g. `action: 'review'`.
+ * @param {Array<Object>} branches
+ * @param {*} value
+ * @returns {{ index: number, key?: string, values?: Array<*> }} index -1 when no branch is selected
+ */
+function selectBranch(branches, value) {
+  const consts = branches.map(branch => Object.entries((branch && branch.properties) || {}).find(([, prop]) => prop.const !== undefined));
+  const index = consts.findIndex((entry, i) => entry && value && value[entry[0]] === branches[i].properties[entry[0]].const);
+  if (index >= 0 || !value || typeOf(value) !== 'object') return { index };
+  const keys = [...new Set(consts.filter(Boolean).map(([key]) => key))];
+  const key = keys.find(k => value[k] !== undefined);
+  return key ? { index, key, values: consts.filter(entry => entry && entry[0] === key).map(([, prop]) => prop.const) } : { index };
+}
+
+/**
+ * Check a value against a schema.
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path='value'] - Where the value sits, for error paths
+ * @returns {Array<{ path: string, message: string }>} Empty when the value matches
+ */
+function validate(schema, value, path = 'value') {
+  if (!schema) return [];
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (value === null && schema.nullable) return errors;
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = typeOf(value);
+    if (!types.some(type => matchesType(actual, type))) {
+      fail(`must be ${types.map(article).join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) fail(`must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object' && !(value instanceof Date)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) fail('is required', `${path}.${key}`);
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+      if (properties[key]) {
+        errors.push(...validate(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', `${path}.${key}`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    });
+  }
+
+  const branches = schema.oneOf || schema.anyOf;
+  if (branches) {
+    const results = branches.map(branch => validate(branch, value, path));
+    if (!results.some(result => result.length === 0)) {
+      // Report the branch the value picked by its `action` (or similar) if any,
+      // an unknown `action` as such, and otherwise the branch that came closest
+      const selected = selectBranch(branches, value);
+      if (selected.index >= 0) errors.push(...results[selected.index]);
+      else if (selected.key) fail(`must be one of ${selected.values.map(v => JSON.stringify(v)).join(', ')}`, `${path}.${selected.key}`);
+      else errors.push(...results.reduce((best, result) => (result.length < best.length ? result : best)));
+    }
+  }
+  return errors;
+}
+
+/**
+ * The contract operation for a request, or null when the method has none.
+ * @param {string} path - Contract path, e.g. "/api/ai"
+ * @param {string} method
+ * @returns {Object|null}
+ */
+function operationFor(path, method) {
+  const contract = CONTRACTS[path];
+  if (!contract) throw new Error(`No contract for ${path}`);
+  return contract[method.toLowerCase()] || null;
+}
+
+/**
+ * Check a request's query and body against its operation.
+ * @param {Object} operation - From operationFor
+ * @param {import('express').Request} req
+ * @throws {RequestValidationError}
+ */
+function validateRequest(operation, req) {
+  const details = [
+    ...(operation.query ? validate(operation.query, req.query || {}, 'query') : []),
+    ...(operation.body ? validate(operation.body, req.body === undefined ? {} : req.body, 'body') : []),
+  ];
+  if (details.length) throw new RequestValidationError(details.slice(0, MAX_DETAILS));
+}
+
+/**
+ * Middleware enforcing the contract for one endpoint (see the module docs).
+ * Methods without an operation pass through, so handlers still answer 405.
+ * @param {string} path - Contract path, a key of CONTRACTS
+ * @returns {(req, res, next: Function) => *}
+ */
+function createValidator(path) {
+  if (!CONTRACTS[path]) throw new Error(`No contract for ${path}`);
+  return (req, res, next) => {
+    const operation = operationFor(path, req.method);
+    if (!operation) return next();
+    try {
+      validateRequest(operation, req);
+    } catch (error) {
+      return replyError(res, 'INVALID_INPUT', error.message, { details: error.details });
+    }
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const schema = (operation.responses || {})[res.statusCode] || (res.statusCode >= 400 ? ERROR : null);
+      const mismatches = validate(schema, body, 'response');
+      if (mismatches.length) console.warn(`Reply from ${req.method} ${path} (${res.statusCode}) does not match its schema:`, mismatches.slice(0, 5));
+      return json(body);
+    };
+    return next();
+  };
+}
+
+module.exports = {
+  RequestValidationError,
+  validate,
+  validateRequest,
+  operationFor,
+  createValidator,
+};
@@ -0,0 +1,58 @@
+const { validate, createValidator, operationFor } = require('./validation');
+const { CONTRACTS } = require('./schemas');
+const { mockRequest, mockResponse } = require('./testing');
+
+/** Run an endpoint's validator; resolves with the response and whether the handler ran */
+function check(path, body, method = 'POST') {
+  const res = mockResponse();
+  let passed = false;
+  createValidator(path)(mockRequest({ method, body }), res, () => { passed = true; });
+  return { res, passed };
+}
+
+describe('chat contracts', () => {
+  test.each(['/api/ai', '/api/v1/chat'])('%s starts a fresh conversation with a null or missing sessionId', (path) => {
+    expect(check(path, { message: 'Hi', sessionId: null }).passed).toBe(true);
+    expect(check(path, { message: 'Hi' }).passed).toBe(true);
+    expect(check(path, { message: 'Hi', sessionId: 'abc', stream: true }).passed).toBe(true);
+  });
+
+  test.each(['/api/ai', '/api/v1/chat'])('%s reports every mismatch with its path', (path) => {
+    const { res, passed } = check(path, { message: ' ', sessionId: 5, pageContext: { url: 'https://x.test' } });
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toMatchObject({ code: 'INVALID_INPUT' });
+    expect(res.body.details).toEqual([
+      { path: 'body.message', message: 'must not be empty' },
+      { path: 'body.sessionId', message: 'must be a string' },
+      { path: 'body.pageContext.selection', message: 'is required' },
+    ]);
+  });
+
+  test('accepts page content from pages without a web URL', () => {
+    expect(check('/api/ai', { message: 'Hi', pageContext: { selection: 'Job text', url: null, title: null } }).passed).toBe(true);
+  });
+});
+
+describe('validate', () => {
+  test('checks types, enums, lengths and nested items', () => {
+    const schema = { type: 'object', properties: { tags: { type: 'array', items: { type: 'string', enum: ['a', 'b'] }, maxItems: 2 }, n: { type: 'integer', minimum: 1 } }, required: ['n'] };
+    expect(validate(schema, { n: 1, tags: ['a'] })).toEqual([]);
+    expect(validate(schema, { n: 0, tags: ['a', 'c', 'b'] })).toEqual([
+      { path: 'value.n', message: 'must be at least 1' },
+      { path: 'value.tags', message: 'must have at most 2 items' },
+      { path: 'value.tags[1]', message: 'must be one of "a", "b"' },
+    ]);
+  });
+});
+
+describe('contracts', () => {
+  test('every operation has a summary and a reply schema', () => {
+    Object.keys(CONTRACTS).forEach(path => ['get', 'post', 'put', 'delete'].forEach(method => {
+      const operation = operationFor(path, method);
+      if (!operation) return;
+      expect({ path, method, summary: typeof operation.summary }).toEqual({ path, method, summary: 'string' });
+      expect(Object.keys(operation.responses || {}).length).toBeGreaterThan(0);
+    }));
+  });
+});
@@ -1,20 +1,159 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import { fetchSession, streamChat } from '../services/chat';
+import { errorMessage } from '../services/apiError';
+
+// The conversation itself is stored server-side; only its id is kept locally
+const SESSION_STORAGE_KEY = 'mexty.chatSessionId';
+
+const GREETING = { sender: 'ai', text: "👋 Hello! I'm your AI assistant. Start a conversation in text, voice, or video mode!", greeting: true };
+
+// How each chat tool is shown while it runs and once it has a result
+const TOOL_LABELS = {
+  generate_resume: { running: 'Generating resume…', done: '📄 Resume (PDF)' },
+  generate_cover_letter: { running: 'Writing cover letter…', done: '📄 Cover letter (PDF)' },
+  text_to_speech: { running: 'Recording audio…', done: '🔊 Audio' },
+  send_email: { running: 'Queueing email…', done: '✉️ Email queued' }
+};
+
+/**
+ * Render a tool the twin ran: progress, a link to its output, or the error
+ * @param {Object} tool - { id, name, status: 'running'|'done'|'failed', result, error }
+ */
+const ToolStatus = ({ tool }) => {
+  const label = TOOL_LABELS[tool.name] || { running: `Running ${tool.name}…`, done: tool.name };
+  if (tool.status === 'running') {
+    return <div className="text-xs text-gray-600 animate-pulse">⚙️ {label.running}</div>;
+  }
+  if (tool.status === 'failed') {
+    return <div className="text-xs text-red-700">⚠️ {label.done}: {tool.error}</div>;
+  }
+  const url = tool.result && tool.result.url;
+  if (tool.name === 'text_to_speech' && url) {
+    return <audio className="w-full mt-1" controls src={url} />;
+  }
+  return (
+    <div className="text-xs">
+      {url
+        ? <a href={url} target="_blank" rel="noopener noreferrer" className="underline font-semibold hover:text-blue-700">{label.done}</a>
+        : label.done}
+    </div>
+  );
+};
+
+// Stored and `done` tool_result parts as ToolStatus entries
+const toolsFromParts = (parts) => (parts || [])
+  .filter(part => part.type === 'tool_result')
+  .map(part => ({ id: part.id, name: part.name, status: part.ok ? 'done' : 'failed', result: part.result, error: part.error }));
 
 const Chat = () => {
   const [mode, setMode] = useState('text');
   const [message, setMessage] = useState('');
-  const [messages, setMessages] = useState([
-    { sender: 'ai', text: "👋 Hello! I'm your AI assistant. Start a conversation in text, voice, or video mode!" }
-  ]);
+  const [messages, setMessages] = useState([GREETING]);
+  const [isStreaming, setIsStreaming] = useState(false);
+  // The conversation stored before a reload; ids set later come from replies already on screen
+  const [restoredId] = useState(() => localStorage.getItem(SESSION_STORAGE_KEY));
+  const [sessionId, setSessionId] = useState(restoredId);
+  const abortRef = useRef(null);
+
+  // Restore the stored conversation after a reload
+  useEffect(() => {
+    if (!restoredId) return;
+    let cancelled = false;
+    fetchSession(restoredId)
+      .then(data => {
+        if (cancelled) return;
+        if (!data) {
+          localStorage.removeItem(SESSION_STORAGE_KEY);
+          setSessionId(null);
+          return;
+        }
+        setMessages([
+          GREETING,
+          ...data.messages.map(m => ({ sender: m.role === 'user' ? 'user' : 'ai', text: m.content, stopped: m.stopped, sources: m.sources, tools: toolsFromParts(m.parts) }))
+        ]);
+      })
+      .catch(error => console.error('Failed to restore conversation:', error));
+    return () => { cancelled = true; };
+  }, [restoredId]);
+
+  const rememberSession = (id) => {
+    if (!id || id === sessionId) return;
+    localStorage.setItem(SESSION_STORAGE_KEY, id);
+    setSessionId(id);
+  };
+
+  const handleNewChat = () => {
+    if (isStreaming) return;
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSessionId(null);
+    setMessages([GREETING]);
+  };
 
   const handleModeChange = (m) => setMode(m);
 
-  const handleSubmit = (e) => {
+  // Replace the text of the last (in-progress) AI message
+  const updateReply = (patch) => {
+    setMessages(prev => [...prev.slice(0, -1), { ...prev[prev.length - 1], ...patch }]);
+  };
+
+  // Add or update a tool on the in-progress AI message
+  const updateTool = (tool) => {
+    setMessages(prev => {
+      const last = prev[prev.length - 1];
+      const tools = (last.tools || []).filter(t => t.id !== tool.id);
+      return [...prev.slice(0, -1), { ...last, tools: [...tools, tool] }];
+    });
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!message.trim()) return;
-    setMessages([...messages, { sender: 'user', text: message }]);
+    if (!message.trim() || isStreaming) return;
+
+    const text = message.trim();
+    setMessages(prev => [...prev, { sender: 'user', text }, { sender: 'ai', text: '', pending: true }]);
     setMessage('');
-    // TODO: send message to AI and append response with setMessages
+    setIsStreaming(true);
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const reply = await streamChat({
+        message: text,
+        sessionId,
+        signal: controller.signal,
+        onToken: (_chunk, soFar) => updateReply({ text: soFar }),
+        onToolCall: call => updateTool({ id: call.id, name: call.name, status: 'running' }),
+        onToolResult: part => updateTool(toolsFromParts([part])[0])
+      });
+      rememberSession(reply.sessionId);
+      updateReply({ text: reply.response, sources: reply.sources, tools: toolsFromParts(reply.parts), pending: false });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever arrived before the user stopped the reply
+        setMessages(prev => {
+          const last = prev[prev.length - 1];
+          return last.text || (last.tools && last.tools.length)
+            ? [...prev.slice(0, -1), { ...last, pending: false, stopped: true }]
+            : prev.slice(0, -1);
+        });
+      } else {
+        console.error('Chat error:', error);
+        // The stored conversation is gone; the next message starts a new one
+        if (error.code === 'SESSION_NOT_FOUND') {
+          localStorage.removeItem(SESSION_STORAGE_KEY);
+          setSessionId(null);
+        }
+        updateReply({ text: `⚠️ ${errorMessage(error)}`, pending: false, error: true });
+      }
+    } finally {
+      abortRef.current = null;
+      setIsStreaming(false);
+    }
+  };
+
+  const handleStop = () => {
+    if (abortRef.current) abortRef.current.abort();
   };
 
   return (
@@ -48,6 +187,14 @@ const Chat = () => {
         >
           📹 Video
         </button>
+        <button
+          className="px-4 py-2 rounded-full transition-all font-semibold shadow bg-gray-200 text-gray-800 hover:bg-gray-300 disabled:opacity-50"
+          onClick={handleNewChat}
+          disabled={isStreaming}
+          type="button"
+        >
+          ➕ New
+        </button>
       </div>
 
       {/* Main Chat/Video Area */}
@@ -72,10 +219,30 @@ const Chat = () => {
                 className={`max-w-[80%] px-4 py-2 rounded-xl shadow text-base ${
                   m.sender === 'user'
                     ? 'ml-auto bg-gradient-to-r from-blue-400 to-blue-700 text-white'
-                    : 'mr-auto bg-gray-200 text-gray-800'
+                    : m.error
+                      ? 'mr-auto bg-red-100 text-red-800'
+                      : 'mr-auto bg-gray-200 text-gray-800'
                 }`}
               >
-                {m.text}
+                {m.text || (m.pending && !(m.tools && m.tools.length) && <span className="animate-pulse">…</span>)}
+                {m.tools && m.tools.length > 0 && (
+                  <div className="mt-2 space-y-1">
+                    {m.tools.map(tool => <ToolStatus key={tool.id} tool={tool} />)}
+                  </div>
+                )}
+                {m.stopped && <span className="block text-xs text-gray-500 mt-1">Stopped</span>}
+                {m.sources && m.sources.length > 0 && (
+                  <ul className="mt-2 pt-1 border-t border-gray-300 text-xs text-gray-600 space-y-0.5">
+                    {m.sources.map(src => (
+                      <li key={src.id}>
+                        [{src.ref}]{' '}
+                        {src.url
+                          ? <a href={src.url} target="_blank" rel="noopener noreferrer" className="underline hover:text-blue-700">{src.title}</a>
+                          : src.title}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
             ))}
           </div>
@@ -103,13 +270,23 @@ const Chat = () => {
           value={message}
           onChange={e => setMessage(e.target.value)}
         />
-        <button
-          className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-800 text-white rounded-lg font-bold"
-          type="submit"
-          disabled={!message.trim()}
-        >
-          Send
-        </button>
+        {isStreaming ? (
+          <button
+            className="px-4 py-2 bg-gray-700 text-white rounded-lg font-bold"
+            type="button"
+            onClick={handleStop}
+          >
+            Stop
+          </button>
+        ) : (
+          <button
+            className="px-4 py-2 bg-gradient-to-r from-blue-600 to-purple-800 text-white rounded-lg font-bold"
+            type="submit"
+            disabled={!message.trim()}
+          >
+            Send
+          </button>
+        )}
       </form>
     </div>
   );
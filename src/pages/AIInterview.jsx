@@ -1,10 +1,12 @@
 import { useState, useEffect } from 'react'
-import { GoogleGenerativeAI } from '@google/generative-ai'
-import { sendMessageToOpenAI, isOpenAIConfigured } from '../services/openai'
+import { streamChat } from '../services/chat'
+import { errorMessage } from '../services/apiError'
 import SpeechRecognition, { useSpeechRecognition } from 'react-speech-recognition'
 
 function AIInterview() {
   const [messages, setMessages] = useState([])
+  // The conversation is kept server-side; only the new message and this id are sent
+  const [sessionId, setSessionId] = useState(null)
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
   const [interviewStarted, setInterviewStarted] = useState(false)
@@ -69,6 +71,7 @@ function AIInterview() {
 
   const startInterview = async () => {
     setInterviewStarted(true)
+    setSessionId(null)
     const welcomeMsg = {
       role: 'ai',
       content: `Welcome to your AI-powered interview practice! I'm here to help you prepare for your next job interview using ${aiEngine === 'gemini' ? 'Google Gemini' : 'OpenAI'}. Tell me about the position you're interviewing for, and I'll ask you relevant questions.`
@@ -81,23 +84,6 @@ function AIInterview() {
     }
   }
 
-  const sendMessageWithGemini = async (userInput, conversationHistory) => {
-    // Initialize Gemini AI with API key from environment variable
-    const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY)
-    const model = genAI.getGenerativeModel({ model: 'gemini-pro' })
-    
-    // Build conversation context
-    const context = conversationHistory.map(msg => 
-      `${msg.role === 'user' ? 'Candidate' : 'Interviewer'}: ${msg.content}`
-    ).join('\n')
-    
-    const prompt = `You are a professional interview coach conducting a mock interview. ${context}\nCandidate: ${userInput}\n\nProvide a thoughtful, professional response. Ask follow-up questions to help the candidate practice. Be encouraging but constructive.`
-    
-    const result = await model.generateContent(prompt)
-    const response = await result.response
-    return response.text()
-  }
-
   const sendMessage = async () => {
     if (!input.trim()) return
 
@@ -112,42 +98,31 @@ function AIInterview() {
     resetTranscript()
     setLoading(true)
 
-    try {
-      let aiResponse
-      
-      if (aiEngine === 'openai') {
-        // Use OpenAI
-        const conversationHistory = messages.map(msg => ({
-          role: msg.role === 'user' ? 'user' : 'assistant',
-          content: msg.content
-        }))
-        aiResponse = await sendMessageToOpenAI(input, conversationHistory)
-      } else {
-        // Use Gemini
-        aiResponse = await sendMessageWithGemini(input, messages)
-      }
+    // Placeholder the streamed reply is written into
+    setMessages(prev => [...prev, { role: 'ai', content: '' }])
+    const showReply = (content) => setMessages(prev => [...prev.slice(0, -1), { role: 'ai', content }])
 
-      const aiMessage = { 
-        role: 'ai', 
-        content: aiResponse
-      }
-      
-      setMessages(prev => [...prev, aiMessage])
+    try {
+      const reply = await streamChat({
+        message: userMessage.content,
+        model: aiEngine,
+        sessionId,
+        onToken: (chunk, text) => showReply(text)
+      })
+      setSessionId(reply.sessionId)
+      showReply(reply.response)
       
       // Speak AI response if voice is enabled
       if (voiceEnabled) {
-        speak(aiResponse)
+        speak(reply.response)
       }
     } catch (error) {
       console.error('Error:', error)
-      const errorMessage = `Sorry, I encountered an error with ${aiEngine === 'gemini' ? 'Google Gemini' : 'OpenAI'}. Please make sure your API key is configured correctly in the .env file. Error: ${error.message}`
-      setMessages(prev => [...prev, { 
-        role: 'ai', 
-        content: errorMessage
-      }])
+      const message = `Sorry, I encountered an error: ${errorMessage(error)}`
+      showReply(message)
       
       if (voiceEnabled) {
-        speak(errorMessage)
+        speak(message)
       }
     } finally {
       setLoading(false)
@@ -185,9 +160,7 @@ function AIInterview() {
             }}
           >
             <option value="gemini">Google Gemini</option>
-            <option value="openai" disabled={!isOpenAIConfigured()}>
-              OpenAI {!isOpenAIConfigured() && '(Not Configured)'}
-            </option>
+            <option value="openai">OpenAI</option>
           </select>
         </div>
       )}
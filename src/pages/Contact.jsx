@@ -2,12 +2,13 @@
  * Contact.jsx
  * 
  * A modular React form component for collecting user contact information.
- * Submits data to a secure backend endpoint that handles both email sending
- * and Firestore storage. This ensures the client has no direct access to
- * Firestore credentials or mail service configuration.
+ * Submits data to the /api/contact endpoint, which stores the submission in
+ * Firestore and emails both the owner and the visitor. This ensures the client
+ * has no direct access to Firestore credentials or mail service configuration.
  * 
  * Features:
  * - Form validation for name, email, and message fields
+ * - Hidden honeypot field that the backend uses to drop bot submissions
  * - Loading states during submission
  * - Success/error user feedback
  * - Responsive TailwindCSS styling
@@ -16,6 +17,7 @@
 
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { readApiError, errorMessage } from '../services/apiError';
 
 const Contact = () => {
   const navigate = useNavigate();
@@ -24,7 +26,8 @@ const Contact = () => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
-    message: ''
+    message: '',
+    website: '' // Honeypot: hidden from people, filled in by bots
   });
   
   // UI state management
@@ -108,11 +111,11 @@ const Contact = () => {
     setSubmitStatus({ type: '', message: '' });
     
     try {
-      // POST to secure backend endpoint
+      // POST to the contact endpoint
       // Backend will handle:
-      // 1. Sending email via mail service
-      // 2. Saving contact data to Firestore
-      const response = await fetch('/api/sendMail', {
+      // 1. Saving contact data to Firestore
+      // 2. Notifying the owner and confirming to the visitor by email
+      const response = await fetch('/api/contact', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -121,39 +124,41 @@ const Contact = () => {
           name: formData.name.trim(),
           email: formData.email.trim(),
           message: formData.message.trim(),
+          website: formData.website,
           timestamp: new Date().toISOString()
         })
       });
       
-      const data = await response.json();
-      
-      if (response.ok) {
-        // Success - show success message
-        setSubmitStatus({
-          type: 'success',
-          message: data.message || 'Thank you for contacting us! We\'ll get back to you soon.'
-        });
-        
-        // Reset form after successful submission
-        setFormData({
-          name: '',
-          email: '',
-          message: ''
-        });
-        
-        // Optional: Navigate to home or thank you page after a delay
-        // setTimeout(() => navigate('/'), 3000);
-      } else {
+      if (!response.ok) {
         // Server responded with error
-        throw new Error(data.error || 'Failed to send message');
+        throw await readApiError(response);
       }
+
+      const data = await response.json();
+      
+      // Success - show success message
+      setSubmitStatus({
+        type: 'success',
+        message: data.message || 'Thank you for contacting us! We\'ll get back to you soon.'
+      });
+      
+      // Reset form after successful submission
+      setFormData({
+        name: '',
+        email: '',
+        message: '',
+        website: ''
+      });
+      
+      // Optional: Navigate to home or thank you page after a delay
+      // setTimeout(() => navigate('/'), 3000);
     } catch (error) {
       console.error('Contact form submission error:', error);
       
       // Show user-friendly error message
       setSubmitStatus({
         type: 'error',
-        message: error.message || 'Failed to send message. Please try again later.'
+        message: error.message ? errorMessage(error) : 'Failed to send message. Please try again later.'
       });
     } finally {
       setIsSubmitting(false);
@@ -263,6 +268,20 @@ const Contact = () => {
               )}
             </div>
 
+            {/* Honeypot Field (off-screen, skipped by keyboard and screen readers) */}
+            <div className="absolute -left-[9999px]" aria-hidden="true">
+              <label htmlFor="website">Website</label>
+              <input
+                type="text"
+                id="website"
+                name="website"
+                value={formData.website}
+                onChange={handleChange}
+                tabIndex={-1}
+                autoComplete="off"
+              />
+            </div>
+
             {/* Status Message */}
             {submitStatus.message && (
               <div 
@@ -0,0 +1,46 @@
+/**
+ * API Error - Error replies from the backend as exceptions
+ * Every error reply carries a stable `code` (see functions/errors.js), a
+ * message safe to show and the request id the server logged it under.
+ * Branch on `code`; the status and message text may change.
+ * @module services/apiError
+ */
+
+/**
+ * An error reply (or mid-stream `error` event) from the backend
+ */
+export class ApiError extends Error {
+  /**
+   * @param {Object} body - Error reply: { error, code, message, requestId, retryAfter? }
+   * @param {number} status - HTTP status (omitted for stream events)
+   */
+  constructor(body = {}, status) {
+    super(body.message || body.error || 'Request failed');
+    this.name = 'ApiError';
+    this.code = body.code || 'INTERNAL';
+    this.status = status;
+    this.requestId = body.requestId || null;
+    this.retryAfter = body.retryAfter;
+  }
+}
+
+/**
+ * Read a failed response as an ApiError
+ * @param {Response} response - A fetch response that is not ok
+ * @returns {Promise<ApiError>}
+ */
+export const readApiError = async (response) => {
+  const body = await response.json().catch(() => ({}));
+  return new ApiError({ requestId: response.headers.get('X-Request-Id'), ...body }, response.status);
+};
+
+/**
+ * Message to show for an error, with the request id to quote when reporting it
+ * @param {Error} error
+ * @returns {string}
+ */
+export const errorMessage = (error) => (
+  error.requestId ? `${error.message} (ref: ${error.requestId})` : error.message
+);
+
+export default { ApiError, readApiError, errorMessage };
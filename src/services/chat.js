@@ -0,0 +1,119 @@
+/**
+ * Chat Service - Streaming client for the /api/ai endpoint
+ * Sends a message with `stream: true` and reads the Server-Sent Events reply,
+ * reporting partial text as it arrives.
+ * @module services/chat
+ */
+
+import { getAuthHeaders } from './firebase';
+import { ApiError, readApiError } from './apiError';
+
+/**
+ * Parse a Server-Sent Events body into { event, data } records.
+ * @param {ReadableStream<Uint8Array>} body - Response body stream
+ * @returns {AsyncGenerator<{event: string, data: Object}>}
+ */
+async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        let event = 'message';
+        let data = '';
+        block.split('\n').forEach(line => {
+          if (line.startsWith('event:')) event = line.slice(6).trim();
+          else if (line.startsWith('data:')) data += line.slice(5).trim();
+        });
+        if (data) yield { event, data: JSON.parse(data) };
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Send a chat message and stream the reply
+ * Prior context comes from the server-side session, so only the new message
+ * and the `sessionId` are sent. Omit `sessionId` to start a new conversation.
+ * @param {Object} params - Chat parameters
+ * @param {string} params.message - User message
+ * @param {string} params.model - AI provider ('gemini' or 'openai', default: 'gemini')
+ * @param {string} params.sessionId - Conversation to continue (optional)
+ * @param {AbortSignal} params.signal - Abort to cancel the request mid-stream
+ * @param {Function} params.onToken - Called with (chunk, fullTextSoFar) for each partial chunk
+ * @param {Function} params.onToolCall - Called with { id, name, args } when the twin starts a tool
+ * @param {Function} params.onToolResult - Called with { id, name, ok, result | error } when it finishes
+ * @returns {Promise<Object>} The `done` payload: { response, parts, sources, sessionId, model, ... }
+ * @throws {ApiError} If the request fails or the server reports a mid-stream error
+ */
+export const streamChat = async ({ message, model = 'gemini', sessionId, signal, onToken, onToolCall, onToolResult }) => {
+  const response = await fetch('/api/ai', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify({ message, model, sessionId, stream: true }),
+    signal
+  });
+
+  if (!response.ok) throw await readApiError(response);
+
+  let text = '';
+  for await (const { event, data } of readEvents(response.body)) {
+    if (event === 'token') {
+      text += data.text;
+      if (onToken) onToken(data.text, text);
+    } else if (event === 'moderated') {
+      // The reply was blocked: replace what was shown with the refusal
+      text = data.response;
+      if (onToken) onToken('', text);
+    } else if (event === 'tool_call') {
+      if (onToolCall) onToolCall(data);
+    } else if (event === 'tool_result') {
+      if (onToolResult) onToolResult(data);
+    } else if (event === 'error') {
+      throw new ApiError({ message: 'The reply was interrupted', ...data });
+    } else if (event === 'done') {
+      return data;
+    }
+  }
+
+  // Stream closed without a `done` event
+  throw new Error('The reply was interrupted');
+};
+
+/**
+ * Load a stored conversation
+ * @param {string} sessionId - Conversation id
+ * @returns {Promise<Object|null>} { session, messages } or null if it no longer exists
+ */
+export const fetchSession = async (sessionId) => {
+  const response = await fetch(`/api/sessions?id=${encodeURIComponent(sessionId)}`, {
+    headers: await getAuthHeaders()
+  });
+  if (!response.ok) {
+    const error = await readApiError(response);
+    if (error.code === 'SESSION_NOT_FOUND') return null;
+    throw error;
+  }
+  return response.json();
+};
+
+export default {
+  streamChat,
+  fetchSession
+};
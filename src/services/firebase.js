@@ -6,10 +6,12 @@
  * configuration from environment variables. No secrets are hardcoded or exposed.
  * 
  * @requires firebase/app
+ * @requires firebase/auth
  * @requires firebase/firestore
  */
 
 import { initializeApp } from 'firebase/app';
+import { getAuth } from 'firebase/auth';
 import { getFirestore } from 'firebase/firestore';
 
 /**
@@ -75,6 +77,25 @@ export const app = initializeApp(firebaseConfig);
  */
 export const db = getFirestore(app);
 
+/**
+ * Initialize Firebase Auth
+ * @constant {Auth} auth - Initialized Firebase Auth instance
+ */
+export const auth = getAuth(app);
+
+/**
+ * Authorization header for calls to the /api/* functions
+ * Signed-in users send their Firebase ID token; visitors send nothing and
+ * are served on the anonymous tier.
+ * @returns {Promise<Object>} Headers to merge into a fetch request
+ */
+export const getAuthHeaders = async () => {
+  const user = auth.currentUser;
+  if (!user) return {};
+  const token = await user.getIdToken();
+  return { Authorization: `Bearer ${token}` };
+};
+
 /**
  * Export Firebase configuration for debugging purposes (non-sensitive only)
  * DO NOT expose sensitive keys through this export
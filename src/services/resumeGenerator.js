@@ -5,9 +5,23 @@
 
 import { getFunctions, httpsCallable } from 'firebase/functions';
 import { app } from './firebase';
+import { ApiError } from './apiError';
 
 const functions = getFunctions(app);
 
+/**
+ * A failed call as an ApiError, keeping the error code and request id the
+ * function sent with it
+ * @param {Error} error - Error thrown by the callable
+ * @param {string} fallback - Message when the error has none
+ * @returns {ApiError}
+ */
+const toApiError = (error, fallback) => {
+  if (error instanceof ApiError) return error;
+  const details = error.details && typeof error.details === 'object' ? error.details : {};
+  return new ApiError({ message: error.message || fallback, ...details });
+};
+
 /**
  * Generate a resume PDF based on user profile and job details
  * @param {Object} params - Generation parameters
@@ -15,8 +29,11 @@ const functions = getFunctions(app);
  * @param {string} params.jobTitle - Target job title
  * @param {string} params.jobDescription - Job description to tailor the resume
  * @param {string} params.companyName - Company name
- * @param {Object} params.preferences - Resume preferences (template, sections, etc.)
+ * @param {Object} params.preferences - Resume preferences: template ('classic', 'modern',
+ *   'compact' or 'ats'), sections (ids in display order), primaryColor, accentColor, fontFamily
+ * @param {string} [params.format] - 'pdf' (default), 'docx' or 'both'; each file is its own document
  * @returns {Promise<Object>} Object containing download URL and document metadata
+ * @throws {ApiError}
  */
 export const generateResume = async (params) => {
   try {
@@ -25,7 +42,7 @@ export const generateResume = async (params) => {
     return result.data;
   } catch (error) {
     console.error('Error generating resume:', error);
-    throw new Error(error.message || 'Failed to generate resume');
+    throw toApiError(error, 'Failed to generate resume');
   }
 };
 
@@ -38,7 +55,9 @@ export const generateResume = async (params) => {
  * @param {string} params.companyName - Company name
  * @param {string} params.hiringManager - Hiring manager name (optional)
  * @param {Object} params.preferences - Cover letter preferences
+ * @param {string} [params.format] - 'pdf' (default), 'docx' or 'both'
  * @returns {Promise<Object>} Object containing download URL and document metadata
+ * @throws {ApiError}
  */
 export const generateCoverLetter = async (params) => {
   try {
@@ -47,7 +66,7 @@ export const generateCoverLetter = async (params) => {
     return result.data;
   } catch (error) {
     console.error('Error generating cover letter:', error);
-    throw new Error(error.message || 'Failed to generate cover letter');
+    throw toApiError(error, 'Failed to generate cover letter');
   }
 };
 
@@ -55,6 +74,7 @@ export const generateCoverLetter = async (params) => {
  * Get download URL for a previously generated document
  * @param {string} documentId - Document ID
  * @returns {Promise<string>} Download URL
+ * @throws {ApiError}
  */
 export const getDocumentUrl = async (documentId) => {
   try {
@@ -63,7 +83,7 @@ export const getDocumentUrl = async (documentId) => {
     return result.data.url;
   } catch (error) {
     console.error('Error getting document URL:', error);
-    throw new Error(error.message || 'Failed to get document URL');
+    throw toApiError(error, 'Failed to get document URL');
   }
 };
 
@@ -71,6 +91,7 @@ export const getDocumentUrl = async (documentId) => {
  * List all generated documents for a user
  * @param {string} userId - User ID
  * @returns {Promise<Array>} Array of document metadata
+ * @throws {ApiError}
  */
 export const listUserDocuments = async (userId) => {
   try {
@@ -79,6 +100,6 @@ export const listUserDocuments = async (userId) => {
     return result.data.documents;
   } catch (error) {
     console.error('Error listing documents:', error);
-    throw new Error(error.message || 'Failed to list documents');
+    throw toApiError(error, 'Failed to list documents');
   }
 };
@@ -4,6 +4,9 @@
  * @module services/voice
  */
 
+import { getAuthHeaders } from './firebase';
+import { readApiError } from './apiError';
+
 /**
  * Check if Web Speech API is available in the browser
  * @returns {Object} Object with TTS and STT availability
@@ -110,50 +113,84 @@ export const startListening = (options = {}) => {
   };
 };
 
+/**
+ * Call the backend /api/tts endpoint
+ * @param {Object} body - { text, voice, provider, format, output }
+ * @returns {Promise<Object>} Endpoint response
+ * @throws {ApiError} If the request fails
+ */
+const requestTTS = async (body) => {
+  const response = await fetch('/api/tts', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) throw await readApiError(response);
+  return response.json();
+};
+
 /**
  * Backend TTS using Firebase Cloud Functions
- * Calls /api/tts endpoint for high-quality TTS
+ * Calls /api/tts endpoint for high-quality TTS. Long text is stitched into a
+ * single file on the server.
  * @param {string} text - Text to convert to speech
  * @param {Object} options - TTS options
  * @param {string} options.voice - Voice ID (provider-specific)
  * @param {string} options.provider - TTS provider ('openai' or 'elevenlabs')
- * @param {string} options.model - Model to use (provider-specific)
+ * @param {string} options.format - 'mp3' or 'wav' (default: 'mp3')
  * @returns {Promise<string>} Audio URL
  */
 export const generateTTS = async (text, options = {}) => {
   try {
-    const { voice, provider = 'openai', model } = options;
+    const { voice, provider = 'openai', format } = options;
 
     // Call backend TTS endpoint (no API keys exposed)
-    const response = await fetch('/api/tts', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        text,
-        voice,
-        provider,
-        model
-      })
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'TTS generation failed');
-    }
-
-    const data = await response.json();
-    return data.audioUrl;
+    const data = await requestTTS({ text, voice, provider, format, output: 'file' });
+    return data.url;
   } catch (error) {
     console.error('Backend TTS error:', error);
     throw error;
   }
 };
 
+/**
+ * Backend TTS as a playlist of sentence chunks, so playback can start before
+ * the whole text is spoken
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Same as generateTTS
+ * @returns {Promise<{chunks: Array<{index: number, text: string, start: number, duration: number, url: string}>, duration: number}>}
+ */
+export const generateTTSPlaylist = async (text, options = {}) => {
+  const { voice, provider = 'openai', format } = options;
+  const data = await requestTTS({ text, voice, provider, format, output: 'playlist' });
+  return { chunks: data.chunks, duration: data.duration };
+};
+
+/**
+ * Play playlist chunks in order, preloading the next one
+ * @param {Array<Object>} chunks - From generateTTSPlaylist
+ * @param {Object} options - Playback options (see playAudio)
+ * @param {Function} options.onChunk - Called with each chunk ({ index, text, start, duration }) as it starts, e.g. for captions
+ * @returns {Promise<void>}
+ */
+export const playPlaylist = async (chunks, options = {}) => {
+  let next = chunks.length ? new Audio(chunks[0].url) : null;
+  for (let i = 0; i < chunks.length; i++) {
+    const current = next;
+    next = i + 1 < chunks.length ? new Audio(chunks[i + 1].url) : null;
+    if (next) next.preload = 'auto';
+    if (options.onChunk) options.onChunk(chunks[i]);
+    await playAudio(current, options);
+  }
+};
+
 /**
  * Play audio from URL
- * @param {string} audioUrl - URL of the audio file
+ * @param {string|HTMLAudioElement} audioUrl - URL of the audio file, or a preloaded audio element
  * @param {Object} options - Playback options
  * @param {number} options.volume - Volume 0-1 (default: 1)
  * @param {number} options.playbackRate - Playback rate (default: 1)
@@ -161,7 +198,7 @@ export const generateTTS = async (text, options = {}) => {
  */
 export const playAudio = (audioUrl, options = {}) => {
   return new Promise((resolve, reject) => {
-    const audio = new Audio(audioUrl);
+    const audio = typeof audioUrl === 'string' ? new Audio(audioUrl) : audioUrl;
     audio.volume = options.volume || 1;
     audio.playbackRate = options.playbackRate || 1;
 
@@ -184,9 +221,9 @@ export const speak = async (text, options = {}) => {
     if (checkWebSpeechSupport().tts && !options.forceBackend) {
       await speakText(text, options);
     } else {
-      // Fallback to backend TTS
-      const audioUrl = await generateTTS(text, options);
-      await playAudio(audioUrl, options);
+      // Fallback to backend TTS, played chunk by chunk so it starts sooner
+      const { chunks } = await generateTTSPlaylist(text, options);
+      await playPlaylist(chunks, options);
     }
   } catch (error) {
     console.error('Voice TTS error:', error);
@@ -194,16 +231,47 @@ export const speak = async (text, options = {}) => {
   }
 };
 
+/**
+ * Backend speech-to-text using the /api/transcribe endpoint
+ * @param {Blob} audioBlob - webm, ogg or wav recording (up to 10 MB)
+ * @param {Object} options - Transcription options
+ * @param {string} options.language - ISO-639-1 hint such as 'en' (detected when omitted)
+ * @returns {Promise<{text: string, language: string, duration: number, words: Array<{word: string, start: number, end: number}>}>}
+ * @throws {ApiError} If the request fails
+ */
+export const transcribeAudio = async (audioBlob, options = {}) => {
+  const query = options.language ? `?language=${encodeURIComponent(options.language)}` : '';
+  const response = await fetch(`/api/transcribe${query}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': audioBlob.type || 'audio/webm',
+      ...(await getAuthHeaders())
+    },
+    body: audioBlob
+  });
+
+  if (!response.ok) throw await readApiError(response);
+  return response.json();
+};
+
+// Recording formats the transcribe endpoint accepts, most preferred first
+const RECORDER_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/ogg'];
+
 /**
  * Voice recorder using Web Speech API or MediaRecorder
+ * Without Web Speech recognition the recording is sent to /api/transcribe
+ * when it stops, and the transcript is reported in the same shape as Web
+ * Speech results.
  * @param {Object} options - Recording options
  * @param {boolean} options.useWebSpeech - Use Web Speech API (default: true)
+ * @param {boolean} options.transcribe - Transcribe MediaRecorder audio on the backend (default: true)
+ * @param {string} options.lang - Language code, e.g. 'en-US' (used as a hint for the backend)
  * @param {Function} options.onResult - Callback for recognition results
  * @param {Function} options.onError - Callback for errors
  * @returns {Object} Recorder controller
  */
 export const createVoiceRecorder = (options = {}) => {
-  const { useWebSpeech = true, onResult, onError } = options;
+  const { useWebSpeech = true, transcribe = true, onResult, onError } = options;
 
   if (useWebSpeech && checkWebSpeechSupport().stt) {
     // Use Web Speech API for STT
@@ -230,21 +298,44 @@ export const createVoiceRecorder = (options = {}) => {
     // Fallback to MediaRecorder for raw audio capture
     let mediaRecorder = null;
     let audioChunks = [];
+    let aborted = false;
 
     return {
       start: async () => {
         try {
           const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-          mediaRecorder = new MediaRecorder(stream);
+          const mimeType = RECORDER_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+          mediaRecorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
           audioChunks = [];
+          aborted = false;
 
           mediaRecorder.ondataavailable = (event) => {
             audioChunks.push(event.data);
           };
 
-          mediaRecorder.onstop = () => {
-            const audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
-            if (onResult) onResult({ audioBlob });
+          mediaRecorder.onstop = async () => {
+            if (aborted) return;
+            const audioBlob = new Blob(audioChunks, { type: mediaRecorder.mimeType || 'audio/webm' });
+            if (!transcribe) {
+              if (onResult) onResult({ audioBlob });
+              return;
+            }
+            try {
+              const language = options.lang ? options.lang.slice(0, 2).toLowerCase() : undefined;
+              const result = await transcribeAudio(audioBlob, { language });
+              if (onResult) {
+                onResult([{
+                  transcript: result.text,
+                  confidence: null,
+                  isFinal: true,
+                  words: result.words,
+                  language: result.language,
+                  audioBlob
+                }]);
+              }
+            } catch (error) {
+              if (onError) onError(error);
+            }
           };
 
           mediaRecorder.start();
@@ -260,6 +351,7 @@ export const createVoiceRecorder = (options = {}) => {
       },
       abort: () => {
         if (mediaRecorder) {
+          aborted = true;
           audioChunks = [];
           if (mediaRecorder.state !== 'inactive') {
             mediaRecorder.stop();
@@ -278,7 +370,10 @@ export default {
   getAvailableVoices,
   startListening,
   generateTTS,
+  generateTTSPlaylist,
   playAudio,
+  playPlaylist,
   speak,
+  transcribeAudio,
   createVoiceRecorder
 };